@@ -2,19 +2,32 @@ import sqlite3 from 'sqlite3';
 import path from 'path';
 import { promises as fs } from 'fs';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const { verbose } = sqlite3;
 
-const DB_PATH = path.join(__dirname, '..', 'data', 'schema_designer.db');
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'data', 'schema_designer.db');
 
 let db = null;
 
+// Transactions share the single connection, so they run one at a time: transactionQueue settles
+// once every transaction started so far has finished. transactionContext marks the queries
+// issued from inside the running transaction.
+let transactionQueue = Promise.resolve();
+const transactionContext = new AsyncLocalStorage();
+
+// Database file: DB_PATH from the environment (see .env.example), read when the database
+// is opened so that .env has been loaded; ':memory:' opens a private in-memory database
+function getDatabasePath() {
+  return process.env.DB_PATH || DEFAULT_DB_PATH;
+}
+
 // Ensure data directory exists
-async function ensureDataDirectory() {
-  const dataDir = path.dirname(DB_PATH);
+async function ensureDataDirectory(dbPath) {
+  const dataDir = path.dirname(dbPath);
   try {
     await fs.access(dataDir);
   } catch (error) {
@@ -33,9 +46,10 @@ function getDB() {
 // Initialize database connection and create tables
 async function initializeDatabase() {
   try {
-    await ensureDataDirectory();
+    const dbPath = getDatabasePath();
+    await ensureDataDirectory(dbPath);
     
-    db = new verbose().Database(DB_PATH, (err) => {
+    db = new (verbose().Database)(dbPath, (err) => {
       if (err) {
         console.error('Error opening database:', err);
         throw err;
@@ -57,8 +71,15 @@ async function initializeDatabase() {
   }
 }
 
+// Queries from outside the running transaction wait until it has finished, so that they
+// are neither part of it nor rolled back with it
+function whenNoTransaction() {
+  return transactionContext.getStore() ? Promise.resolve() : transactionQueue;
+}
+
 // Promisify database queries
-function runQuery(sql, params = []) {
+async function runQuery(sql, params = []) {
+  await whenNoTransaction();
   return new Promise((resolve, reject) => {
     db.run(sql, params, function(err) {
       if (err) {
@@ -70,7 +91,8 @@ function runQuery(sql, params = []) {
   });
 }
 
-function getQuery(sql, params = []) {
+async function getQuery(sql, params = []) {
+  await whenNoTransaction();
   return new Promise((resolve, reject) => {
     db.get(sql, params, (err, row) => {
       if (err) {
@@ -82,7 +104,8 @@ function getQuery(sql, params = []) {
   });
 }
 
-function allQuery(sql, params = []) {
+async function allQuery(sql, params = []) {
+  await whenNoTransaction();
   return new Promise((resolve, reject) => {
     db.all(sql, params, (err, rows) => {
       if (err) {
@@ -94,6 +117,45 @@ function allQuery(sql, params = []) {
   });
 }
 
+// Run the queries issued by callback inside a single transaction.
+// Commits when callback resolves and rolls back (re-throwing) when it rejects.
+// Transactions are queued behind each other; one started inside another joins it.
+async function runTransaction(callback) {
+  if (transactionContext.getStore()) {
+    return callback();
+  }
+
+  const previous = transactionQueue;
+  let finish;
+  transactionQueue = new Promise(resolve => { finish = resolve; });
+  await previous;
+
+  try {
+    return await transactionContext.run(true, async () => {
+      await runQuery('BEGIN TRANSACTION');
+      try {
+        const result = await callback();
+        await runQuery('COMMIT');
+        return result;
+      } catch (error) {
+        await runQuery('ROLLBACK');
+        throw error;
+      }
+    });
+  } finally {
+    finish();
+  }
+}
+
+// Add a column to a table created by an earlier version (CREATE TABLE IF NOT EXISTS keeps
+// existing tables as they are)
+async function addMissingColumn(table, column, definition) {
+  const existingColumns = await allQuery(`PRAGMA table_info(${table})`);
+  if (!existingColumns.some(existing => existing.name === column)) {
+    await runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
 // Create database tables
 async function createTables() {
   // Schemas table (no user authentication needed)
@@ -143,6 +205,7 @@ async function createTables() {
       is_required BOOLEAN DEFAULT 0,
       is_auto_increment BOOLEAN DEFAULT 0,
       default_value TEXT,
+      check_constraint TEXT, -- CHECK expression on the column
       description TEXT,
       order_index INTEGER DEFAULT 0,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -152,6 +215,22 @@ async function createTables() {
     )
   `);
 
+  await addMissingColumn('columns', 'check_constraint', 'TEXT');
+
+  // Table-level CHECK constraints
+  await runQuery(`
+    CREATE TABLE IF NOT EXISTS check_constraints (
+      id TEXT PRIMARY KEY,
+      table_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      expression TEXT NOT NULL,
+      position INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (table_id) REFERENCES tables (id) ON DELETE CASCADE,
+      UNIQUE(table_id, name)
+    )
+  `);
+
   // Relationships table
   await runQuery(`
     CREATE TABLE IF NOT EXISTS relationships (
@@ -176,6 +255,59 @@ async function createTables() {
     )
   `);
 
+  // Foreign key column pairs of a relationship, in key order; the first pair is mirrored
+  // in relationships.source_column_id/target_column_id
+  await runQuery(`
+    CREATE TABLE IF NOT EXISTS relationship_columns (
+      relationship_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      source_column_id TEXT NOT NULL,
+      target_column_id TEXT NOT NULL,
+      PRIMARY KEY (relationship_id, position),
+      FOREIGN KEY (relationship_id) REFERENCES relationships (id) ON DELETE CASCADE,
+      FOREIGN KEY (source_column_id) REFERENCES columns (id) ON DELETE CASCADE,
+      FOREIGN KEY (target_column_id) REFERENCES columns (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Relationships created before relationship_columns existed have a single column pair
+  await runQuery(`
+    INSERT INTO relationship_columns (relationship_id, position, source_column_id, target_column_id)
+    SELECT id, 0, source_column_id, target_column_id FROM relationships
+    WHERE id NOT IN (SELECT relationship_id FROM relationship_columns)
+  `);
+
+  // Indexes table (columns are listed in index_columns)
+  await runQuery(`
+    CREATE TABLE IF NOT EXISTS indexes (
+      id TEXT PRIMARY KEY,
+      table_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      is_unique BOOLEAN DEFAULT 0,
+      method TEXT, -- 'btree', 'hash', 'gin', 'gist', 'brin', 'spgist'; NULL for the dialect default
+      where_clause TEXT, -- predicate of a partial index
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (table_id) REFERENCES tables (id) ON DELETE CASCADE,
+      UNIQUE(table_id, name)
+    )
+  `);
+
+  // Index key parts: a column or an expression, in index order
+  await runQuery(`
+    CREATE TABLE IF NOT EXISTS index_columns (
+      index_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      column_id TEXT, -- NULL for expressions
+      expression TEXT,
+      sort_order TEXT DEFAULT 'ASC', -- 'ASC', 'DESC'
+      PRIMARY KEY (index_id, position),
+      FOREIGN KEY (index_id) REFERENCES indexes (id) ON DELETE CASCADE,
+      FOREIGN KEY (column_id) REFERENCES columns (id) ON DELETE CASCADE
+    )
+  `);
+
   // Templates table (no user authentication needed)
   await runQuery(`
     CREATE TABLE IF NOT EXISTS templates (
@@ -223,7 +355,12 @@ async function createTables() {
   // Indexes for better performance
   await runQuery('CREATE INDEX IF NOT EXISTS idx_tables_schema_id ON tables (schema_id)');
   await runQuery('CREATE INDEX IF NOT EXISTS idx_columns_table_id ON columns (table_id)');
+  await runQuery('CREATE INDEX IF NOT EXISTS idx_check_constraints_table_id ON check_constraints (table_id)');
   await runQuery('CREATE INDEX IF NOT EXISTS idx_relationships_schema_id ON relationships (schema_id)');
+  await runQuery('CREATE INDEX IF NOT EXISTS idx_relationship_columns_source ON relationship_columns (source_column_id)');
+  await runQuery('CREATE INDEX IF NOT EXISTS idx_relationship_columns_target ON relationship_columns (target_column_id)');
+  await runQuery('CREATE INDEX IF NOT EXISTS idx_indexes_table_id ON indexes (table_id)');
+  await runQuery('CREATE INDEX IF NOT EXISTS idx_index_columns_column_id ON index_columns (column_id)');
   await runQuery('CREATE INDEX IF NOT EXISTS idx_templates_public ON templates (is_public)');
   await runQuery('CREATE INDEX IF NOT EXISTS idx_templates_category ON templates (category)');
   await runQuery('CREATE INDEX IF NOT EXISTS idx_versions_schema_id ON schema_versions (schema_id)');
@@ -255,5 +392,6 @@ export {
   runQuery,
   getQuery,
   allQuery,
+  runTransaction,
   closeDatabase
 };
\ No newline at end of file
@@ -1,4 +1,49 @@
 const Joi = require('joi');
+const { hasDialect, listDialects } = require('../utils/dialects');
+const SQLParser = require('../utils/sqlParser');
+
+// Generic column data types (mapped to each dialect by SQLGenerator)
+const DATA_TYPES = [
+  'INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT',
+  'VARCHAR', 'CHAR', 'TEXT', 'LONGTEXT',
+  'DECIMAL', 'NUMERIC', 'FLOAT', 'DOUBLE', 'REAL',
+  'DATE', 'TIME', 'DATETIME', 'TIMESTAMP',
+  'BOOLEAN', 'BIT', 'JSON', 'JSONB', 'BLOB', 'UUID'
+];
+
+// Index methods (used by dialects that support them, see SQLGenerator)
+const INDEX_METHODS = ['btree', 'hash', 'gin', 'gist', 'brin', 'spgist'];
+
+// Raw SQL fragment (index expression or WHERE predicate, CHECK expression); one statement only
+const sqlFragment = (max) => Joi.string().trim().max(max).pattern(/^[^;]+$/, 'SQL without semicolons');
+
+// Table-level CHECK constraints; names are unique within the table
+const checkConstraintList = () => Joi.array().items(Joi.object({
+  name: Joi.string().required().min(1).max(100).pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/),
+  expression: sqlFragment(1000).required()
+})).max(50).unique('name');
+
+// Index key part: a column (by ID) or an expression, ascending by default
+const indexColumn = (columnId) => Joi.object({
+  columnId,
+  expression: sqlFragment(500),
+  order: Joi.string().uppercase().valid('ASC', 'DESC').default('ASC')
+}).xor('columnId', 'expression');
+
+// Foreign key column pair: a source column and the target column it references
+const relationshipColumn = (columnId) => Joi.object({
+  sourceColumnId: columnId,
+  targetColumnId: columnId
+});
+
+// Semantic version without pre-release/build metadata (e.g. 1.4.2)
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/;
+
+// SQL generation dialect; checked against the dialect registry when validating,
+// so dialects registered after this module loads are accepted too
+const sqlDialect = () => Joi.string().custom((value, helpers) => (
+  hasDialect(value) ? value.toLowerCase() : helpers.error('any.only', { valids: listDialects() })
+));
 
 // Validation schemas
 const schemas = {
@@ -39,19 +84,26 @@ const schemas = {
       x: Joi.number().integer().min(0).required(),
       y: Joi.number().integer().min(0).required()
     }).required(),
-    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).default('#ffffff')
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).default('#ffffff'),
+    checkConstraints: checkConstraintList().default([])
+  }),
+
+  // Table update (partial; checkConstraints replace the existing list)
+  tableUpdate: Joi.object({
+    name: Joi.string().min(1).max(100).pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/),
+    description: Joi.string().allow('').max(500),
+    position: Joi.object({
+      x: Joi.number().integer().min(0),
+      y: Joi.number().integer().min(0)
+    }),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/),
+    checkConstraints: checkConstraintList()
   }),
 
   // Column creation/update
   column: Joi.object({
     name: Joi.string().required().min(1).max(100).pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/),
-    dataType: Joi.string().required().valid(
-      'INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT',
-      'VARCHAR', 'CHAR', 'TEXT', 'LONGTEXT',
-      'DECIMAL', 'NUMERIC', 'FLOAT', 'DOUBLE', 'REAL',
-      'DATE', 'TIME', 'DATETIME', 'TIMESTAMP',
-      'BOOLEAN', 'BIT', 'JSON', 'JSONB', 'BLOB', 'UUID'
-    ),
+    dataType: Joi.string().required().valid(...DATA_TYPES),
     length: Joi.number().integer().min(1).max(65535).optional(),
     precision: Joi.number().integer().min(1).max(65).optional(),
     scale: Joi.number().integer().min(0).max(30).optional(),
@@ -60,21 +112,177 @@ const schemas = {
     isRequired: Joi.boolean().default(false),
     isAutoIncrement: Joi.boolean().default(false),
     defaultValue: Joi.string().allow('', null).optional(),
+    checkConstraint: sqlFragment(1000).allow('', null).optional(),
+    description: Joi.string().allow('').max(500),
+    orderIndex: Joi.number().integer().min(0).optional() // Appended to the end when omitted
+  }),
+
+  // Column update (partial)
+  columnUpdate: Joi.object({
+    name: Joi.string().min(1).max(100).pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/),
+    dataType: Joi.string().valid(...DATA_TYPES),
+    length: Joi.number().integer().min(1).max(65535).allow(null),
+    precision: Joi.number().integer().min(1).max(65).allow(null),
+    scale: Joi.number().integer().min(0).max(30).allow(null),
+    isPrimaryKey: Joi.boolean(),
+    isUnique: Joi.boolean(),
+    isRequired: Joi.boolean(),
+    isAutoIncrement: Joi.boolean(),
+    defaultValue: Joi.string().allow('', null),
+    checkConstraint: sqlFragment(1000).allow('', null),
     description: Joi.string().allow('').max(500),
-    orderIndex: Joi.number().integer().min(0).default(0)
+    orderIndex: Joi.number().integer().min(0)
+  }).min(1), // At least one field required
+
+  // Column reordering
+  columnOrder: Joi.object({
+    columnIds: Joi.array().items(Joi.string().uuid()).min(1).unique().required()
+  }),
+
+  // Index creation
+  index: Joi.object({
+    name: Joi.string().required().min(1).max(100).pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/),
+    columns: Joi.array().items(indexColumn(Joi.string().uuid())).min(1).max(32).required(),
+    isUnique: Joi.boolean().default(false),
+    method: Joi.string().lowercase().valid(...INDEX_METHODS).allow(null),
+    where: sqlFragment(1000).allow('', null),
+    description: Joi.string().allow('').max(500)
   }),
 
+  // Index update (partial; columns replace the existing list)
+  indexUpdate: Joi.object({
+    name: Joi.string().min(1).max(100).pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/),
+    columns: Joi.array().items(indexColumn(Joi.string().uuid())).min(1).max(32),
+    isUnique: Joi.boolean(),
+    method: Joi.string().lowercase().valid(...INDEX_METHODS).allow(null),
+    where: sqlFragment(1000).allow('', null),
+    description: Joi.string().allow('').max(500)
+  }).min(1), // At least one field required
+
   // Relationship creation/update
   relationship: Joi.object({
     sourceTableId: Joi.string().uuid().required(),
-    sourceColumnId: Joi.string().uuid().required(),
+    sourceColumnId: Joi.string().uuid(),
     targetTableId: Joi.string().uuid().required(),
-    targetColumnId: Joi.string().uuid().required(),
+    targetColumnId: Joi.string().uuid(),
+    // Composite foreign keys list their column pairs in order instead
+    columns: Joi.array().items(relationshipColumn(Joi.string().uuid().required())).min(1).max(32),
     relationshipType: Joi.string().valid('one-to-one', 'one-to-many', 'many-to-many').required(),
     onDelete: Joi.string().valid('CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION').default('RESTRICT'),
     onUpdate: Joi.string().valid('CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION').default('CASCADE'),
     name: Joi.string().max(100).optional(),
     description: Joi.string().allow('').max(500)
+  }).xor('sourceColumnId', 'columns').and('sourceColumnId', 'targetColumnId'),
+
+  // Relationship update (partial)
+  relationshipUpdate: Joi.object({
+    sourceTableId: Joi.string().uuid(),
+    sourceColumnId: Joi.string().uuid(),
+    targetTableId: Joi.string().uuid(),
+    targetColumnId: Joi.string().uuid(),
+    columns: Joi.array().items(relationshipColumn(Joi.string().uuid().required())).min(1).max(32),
+    relationshipType: Joi.string().valid('one-to-one', 'one-to-many', 'many-to-many'),
+    onDelete: Joi.string().valid('CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION'),
+    onUpdate: Joi.string().valid('CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION'),
+    name: Joi.string().max(100).allow(null),
+    description: Joi.string().allow('').max(500)
+  }).min(1) // At least one field required
+    .oxor('sourceColumnId', 'columns')
+    .oxor('targetColumnId', 'columns'),
+
+  // Schema import from a JSON export document (see POST /schemas/:schemaId/export)
+  schemaImport: Joi.object({
+    format: Joi.string().valid('schema-designer').required(),
+    formatVersion: Joi.number().integer().valid(1).required(),
+    exportedAt: Joi.string().isoDate().optional(),
+    name: Joi.string().min(1).max(255).optional(), // Overrides the exported schema name
+    isPublic: Joi.boolean().default(false),
+    schema: Joi.object({
+      name: Joi.string().required().min(1).max(255),
+      description: Joi.string().allow('', null).max(1000),
+      version: Joi.string().pattern(SEMVER_PATTERN).default('1.0.0'),
+      tables: Joi.array().items(Joi.object({
+        id: Joi.string().required().max(100),
+        name: Joi.string().required().min(1).max(100).pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/),
+        description: Joi.string().allow('', null).max(500),
+        position: Joi.object({
+          x: Joi.number().min(0).required(),
+          y: Joi.number().min(0).required()
+        }).default({ x: 0, y: 0 }),
+        color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null),
+        columns: Joi.array().items(Joi.object({
+          id: Joi.string().required().max(100),
+          name: Joi.string().required().min(1).max(100).pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/),
+          dataType: Joi.string().required().valid(...DATA_TYPES),
+          length: Joi.number().integer().min(1).max(65535).allow(null),
+          precision: Joi.number().integer().min(1).max(65).allow(null),
+          scale: Joi.number().integer().min(0).max(30).allow(null),
+          isPrimaryKey: Joi.boolean().default(false),
+          isUnique: Joi.boolean().default(false),
+          isRequired: Joi.boolean().default(false),
+          isAutoIncrement: Joi.boolean().default(false),
+          defaultValue: Joi.string().allow('', null),
+          checkConstraint: sqlFragment(1000).allow('', null),
+          description: Joi.string().allow('', null).max(500),
+          orderIndex: Joi.number().integer().min(0)
+        })).max(500).default([]),
+        checkConstraints: checkConstraintList().default([]),
+        indexes: Joi.array().items(Joi.object({
+          id: Joi.string().max(100),
+          name: Joi.string().required().min(1).max(100).pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/),
+          columns: Joi.array().items(indexColumn(Joi.string().max(100))).min(1).max(32).required(),
+          isUnique: Joi.boolean().default(false),
+          method: Joi.string().lowercase().valid(...INDEX_METHODS).allow(null),
+          where: sqlFragment(1000).allow('', null),
+          description: Joi.string().allow('', null).max(500)
+        })).max(200).default([])
+      })).max(500).default([]),
+      relationships: Joi.array().items(Joi.object({
+        id: Joi.string().required().max(100),
+        sourceTableId: Joi.string().required().max(100),
+        sourceColumnId: Joi.string().required().max(100),
+        targetTableId: Joi.string().required().max(100),
+        targetColumnId: Joi.string().required().max(100),
+        columns: Joi.array().items(relationshipColumn(Joi.string().required().max(100))).min(1).max(32),
+        relationshipType: Joi.string().valid('one-to-one', 'one-to-many', 'many-to-many').default('one-to-many'),
+        onDelete: Joi.string().valid('CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION').default('RESTRICT'),
+        onUpdate: Joi.string().valid('CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION').default('CASCADE'),
+        name: Joi.string().max(100).allow(null),
+        description: Joi.string().allow('', null).max(500)
+      })).max(2000).default([])
+    }).required()
+  }),
+
+  // Schema import from SQL DDL (CREATE TABLE / ALTER TABLE / CREATE INDEX)
+  sqlImport: Joi.object({
+    sql: Joi.string().required().max(5 * 1024 * 1024),
+    dialect: Joi.string().valid(...SQLParser.DIALECTS).required(),
+    name: Joi.string().required().min(1).max(255),
+    description: Joi.string().allow('').max(1000),
+    isPublic: Joi.boolean().default(false)
+  }),
+
+  // Schema import from a Prisma schema file
+  prismaImport: Joi.object({
+    prisma: Joi.string().required().max(5 * 1024 * 1024),
+    name: Joi.string().required().min(1).max(255),
+    description: Joi.string().allow('').max(1000),
+    isPublic: Joi.boolean().default(false)
+  }),
+
+  // Schema import from DBML
+  dbmlImport: Joi.object({
+    dbml: Joi.string().required().max(5 * 1024 * 1024),
+    name: Joi.string().required().min(1).max(255),
+    description: Joi.string().allow('').max(1000),
+    isPublic: Joi.boolean().default(false)
+  }),
+
+  // Schema import from an uploaded SQLite database file (query string; the file is the request body)
+  sqliteUpload: Joi.object({
+    name: Joi.string().required().min(1).max(255),
+    description: Joi.string().allow('').max(1000),
+    isPublic: Joi.boolean().default(false)
   }),
 
   // Template creation
@@ -87,6 +295,33 @@ const schemas = {
     tags: Joi.array().items(Joi.string().max(50)).max(10).default([])
   }),
 
+  // Schema version snapshot
+  schemaVersion: Joi.object({
+    bump: Joi.string().valid('major', 'minor', 'patch'),
+    version: Joi.string().pattern(SEMVER_PATTERN),
+    description: Joi.string().allow('').max(500)
+  }).oxor('bump', 'version'),
+
+  // Schema version route parameters
+  versionParams: Joi.object({
+    schemaId: Joi.string().uuid().required(),
+    version: Joi.string().pattern(SEMVER_PATTERN).required()
+  }),
+
+  // Schema diff query ('current' is the live schema)
+  schemaDiff: Joi.object({
+    from: Joi.alternatives(Joi.string().pattern(SEMVER_PATTERN), Joi.string().valid('current')).required(),
+    to: Joi.alternatives(Joi.string().pattern(SEMVER_PATTERN), Joi.string().valid('current')).default('current')
+  }),
+
+  // Migration script query ('current' is the live schema)
+  schemaMigration: Joi.object({
+    from: Joi.alternatives(Joi.string().pattern(SEMVER_PATTERN), Joi.string().valid('current')).required(),
+    to: Joi.alternatives(Joi.string().pattern(SEMVER_PATTERN), Joi.string().valid('current')).default('current'),
+    dialect: sqlDialect().default('mysql'),
+    includeComments: Joi.boolean().default(true)
+  }),
+
   // AI chat message
   aiChat: Joi.object({
     message: Joi.string().required().min(1).max(2000),
@@ -113,25 +348,53 @@ const schemas = {
 
   // SQL export options
   sqlExport: Joi.object({
-    dialect: Joi.string().valid('mysql', 'postgresql', 'sqlite', 'mssql').default('mysql'),
+    dialect: sqlDialect().default('mysql'),
+    autoIncrement: Joi.string().valid('identity', 'sequence').default('identity'),
+    identifierLength: Joi.number().valid(30, 128).optional(),
     includeDropStatements: Joi.boolean().default(false),
     includeComments: Joi.boolean().default(true),
-    includeData: Joi.boolean().default(false)
+    includeData: Joi.boolean().default(false),
+    rowCount: Joi.number().integer().min(1).max(1000).default(10),
+    seed: Joi.number().integer().min(0).max(2147483647).optional()
+  }),
+
+  // Mock data generation options
+  mockData: Joi.object({
+    format: Joi.string().valid('sql', 'json', 'csv').default('sql'),
+    dialect: sqlDialect().default('mysql'),
+    autoIncrement: Joi.string().valid('identity', 'sequence').default('identity'),
+    identifierLength: Joi.number().valid(30, 128).optional(),
+    rowCount: Joi.number().integer().min(1).max(1000).default(10),
+    seed: Joi.number().integer().min(0).max(2147483647).optional()
+  }),
+
+  // SVG diagram options (query string)
+  schemaDiagram: Joi.object({
+    showTypes: Joi.boolean().default(true)
   }),
 
   // Schema export options
   schemaExport: Joi.object({
-    format: Joi.string().valid('sql', 'json', 'xml').required(),
-    dialect: Joi.string().valid('mysql', 'postgresql', 'sqlite', 'mssql').when('format', {
-      is: 'sql',
-      then: Joi.required(),
+    format: Joi.string().valid('sql', 'json', 'prisma', 'typescript', 'graphql', 'dbml', 'mermaid', 'plantuml', 'markdown', 'html', 'xml').required(),
+    // Prisma has no Oracle provider
+    dialect: sqlDialect().when('format', {
+      switch: [
+        { is: 'sql', then: Joi.required() },
+        { is: 'prisma', then: Joi.invalid('oracle') }
+      ],
       otherwise: Joi.optional()
     }),
     options: Joi.object({
       includeData: Joi.boolean().default(false),
       includeComments: Joi.boolean().default(true),
       includeIndexes: Joi.boolean().default(true),
-      includeConstraints: Joi.boolean().default(true)
+      includeConstraints: Joi.boolean().default(true),
+      includeZod: Joi.boolean().default(false),
+      includeInputTypes: Joi.boolean().default(false),
+      autoIncrement: Joi.string().valid('identity', 'sequence').default('identity'),
+      identifierLength: Joi.number().valid(30, 128).optional(),
+      rowCount: Joi.number().integer().min(1).max(1000).default(10),
+      seed: Joi.number().integer().min(0).max(2147483647).optional()
     }).default({})
   })
 };
@@ -151,7 +414,7 @@ function validate(schemaName, source = 'body') {
       });
     }
 
-    const data = source === 'query' ? req.query : req.body;
+    const data = source === 'body' ? req.body : req[source];
     const { error, value } = schema.validate(data, {
       abortEarly: false,
       stripUnknown: true,
@@ -179,6 +442,8 @@ function validate(schemaName, source = 'body') {
     // Replace the original data with the validated and sanitized data
     if (source === 'query') {
       req.query = value;
+    } else if (source === 'params') {
+      req.params = value;
     } else {
       req.body = value;
     }
@@ -1,12 +1,82 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { runQuery, getQuery, allQuery } = require('../database/init');
+const { runQuery, getQuery, allQuery, runTransaction } = require('../database/init');
 const { authenticate, authorizeSchemaAccess } = require('../middleware/auth');
 const { validate, validateUUID, validateUUIDs } = require('../middleware/validation');
 const SQLGenerator = require('../utils/sqlGenerator');
+const MigrationGenerator = require('../utils/migrationGenerator');
+const SQLParser = require('../utils/sqlParser');
+const PrismaGenerator = require('../utils/prismaGenerator');
+const PrismaParser = require('../utils/prismaParser');
+const TypeScriptGenerator = require('../utils/typescriptGenerator');
+const GraphQLGenerator = require('../utils/graphqlGenerator');
+const DBMLGenerator = require('../utils/dbmlGenerator');
+const DBMLParser = require('../utils/dbmlParser');
+const ERDiagramGenerator = require('../utils/erDiagramGenerator');
+const SVGDiagramGenerator = require('../utils/svgDiagramGenerator');
+const DataDictionaryGenerator = require('../utils/dataDictionaryGenerator');
+const MockDataGenerator = require('../utils/mockDataGenerator');
+const {
+  areKeyTypesCompatible,
+  formatColumn,
+  formatTable,
+  loadSchemaContent,
+  getTableCheckConstraints,
+  saveCheckConstraints,
+  getIndex,
+  saveIndexColumns,
+  insertSchemaContent,
+  importSchema,
+  syncForeignKeyFlags,
+  getRelationship,
+  saveRelationshipColumns,
+  isTableKey,
+  templateDataToContent,
+  namedContentToContent,
+  buildExportDocument
+} = require('../utils/schemaData');
+const { diffSchemas } = require('../utils/schemaDiff');
 
 const router = express.Router();
 
+// Map camelCase column fields to their database columns
+const COLUMN_FIELDS = {
+  name: 'name',
+  dataType: 'data_type',
+  length: 'length',
+  precision: 'precision_val',
+  scale: 'scale_val',
+  isPrimaryKey: 'is_primary_key',
+  isUnique: 'is_unique',
+  isRequired: 'is_required',
+  isAutoIncrement: 'is_auto_increment',
+  defaultValue: 'default_value',
+  checkConstraint: 'check_constraint',
+  description: 'description'
+};
+
+// Map camelCase index fields to their database columns (columns are stored in index_columns)
+const INDEX_FIELDS = {
+  name: 'name',
+  isUnique: 'is_unique',
+  method: 'method',
+  where: 'where_clause',
+  description: 'description'
+};
+
+// Map camelCase relationship fields to their database columns
+const RELATIONSHIP_FIELDS = {
+  sourceTableId: 'source_table_id',
+  sourceColumnId: 'source_column_id',
+  targetTableId: 'target_table_id',
+  targetColumnId: 'target_column_id',
+  relationshipType: 'relationship_type',
+  onDelete: 'on_delete',
+  onUpdate: 'on_update',
+  name: 'name',
+  description: 'description'
+};
+
 // Get all schemas for authenticated user
 router.get('/', authenticate, validate('listQuery', 'query'), async (req, res) => {
   try {
@@ -125,59 +195,8 @@ router.get('/:schemaId', authenticate, validateUUID('schemaId'), authorizeSchema
       });
     }
 
-    // Get tables
-    const tables = await allQuery(`
-      SELECT * FROM tables 
-      WHERE schema_id = ? 
-      ORDER BY name
-    `, [schemaId]);
-
-    // Get columns for all tables
-    const columns = await allQuery(`
-      SELECT c.* FROM columns c
-      JOIN tables t ON c.table_id = t.id
-      WHERE t.schema_id = ?
-      ORDER BY c.table_id, c.order_index, c.name
-    `, [schemaId]);
-
-    // Get relationships
-    const relationships = await allQuery(`
-      SELECT r.*, 
-        st.name as source_table_name,
-        sc.name as source_column_name,
-        tt.name as target_table_name,
-        tc.name as target_column_name
-      FROM relationships r
-      JOIN tables st ON r.source_table_id = st.id
-      JOIN columns sc ON r.source_column_id = sc.id
-      JOIN tables tt ON r.target_table_id = tt.id
-      JOIN columns tc ON r.target_column_id = tc.id
-      WHERE r.schema_id = ?
-    `, [schemaId]);
-
-    // Group columns by table
-    const tableColumnsMap = {};
-    columns.forEach(column => {
-      if (!tableColumnsMap[column.table_id]) {
-        tableColumnsMap[column.table_id] = [];
-      }
-      tableColumnsMap[column.table_id].push({
-        id: column.id,
-        name: column.name,
-        dataType: column.data_type,
-        length: column.length,
-        precision: column.precision_val,
-        scale: column.scale_val,
-        isPrimaryKey: Boolean(column.is_primary_key),
-        isForeignKey: Boolean(column.is_foreign_key),
-        isUnique: Boolean(column.is_unique),
-        isRequired: Boolean(column.is_required),
-        isAutoIncrement: Boolean(column.is_auto_increment),
-        defaultValue: column.default_value,
-        description: column.description,
-        orderIndex: column.order_index
-      });
-    });
+    // Get tables, columns and relationships
+    const { tables, relationships } = await loadSchemaContent(schemaId);
 
     // Build response
     const schemaData = {
@@ -190,33 +209,8 @@ router.get('/:schemaId', authenticate, validateUUID('schemaId'), authorizeSchema
       updatedAt: schema.updated_at,
       ownerName: schema.owner_name,
       userRole: req.userRole,
-      tables: tables.map(table => ({
-        id: table.id,
-        name: table.name,
-        description: table.description,
-        position: {
-          x: table.position_x,
-          y: table.position_y
-        },
-        color: table.color,
-        columns: tableColumnsMap[table.id] || []
-      })),
-      relationships: relationships.map(rel => ({
-        id: rel.id,
-        sourceTableId: rel.source_table_id,
-        sourceColumnId: rel.source_column_id,
-        targetTableId: rel.target_table_id,
-        targetColumnId: rel.target_column_id,
-        relationshipType: rel.relationship_type,
-        onDelete: rel.on_delete,
-        onUpdate: rel.on_update,
-        name: rel.name,
-        description: rel.description,
-        sourceTableName: rel.source_table_name,
-        sourceColumnName: rel.source_column_name,
-        targetTableName: rel.target_table_name,
-        targetColumnName: rel.target_column_name
-      }))
+      tables,
+      relationships
     };
 
     res.json({
@@ -246,31 +240,45 @@ router.post('/', authenticate, validate('schema'), async (req, res) => {
     const userId = req.user.id;
     const schemaId = uuidv4();
 
-    // Create schema
-    await runQuery(`
-      INSERT INTO schemas (id, user_id, name, description, is_public, version)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [schemaId, userId, name, description || '', isPublic, '1.0.0']);
-
-    // If template is specified, copy its structure
+    // If template is specified, its structure is copied into the new schema
+    let template = null;
     if (templateId) {
-      try {
-        const template = await getQuery(
-          'SELECT schema_data FROM templates WHERE id = ? AND (is_public = 1 OR user_id = ?)',
-          [templateId, userId]
-        );
-
-        if (template) {
-          const templateData = JSON.parse(template.schema_data);
-          // TODO: Implement template copying logic here
-          // This would involve creating tables, columns, and relationships from template
-        }
-      } catch (templateError) {
-        console.error('Template copying error:', templateError);
-        // Continue without template if there's an error
+      template = await getQuery(
+        'SELECT id, schema_data FROM templates WHERE id = ? AND (is_public = 1 OR user_id = ?)',
+        [templateId, userId]
+      );
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'RESOURCE_NOT_FOUND',
+            message: 'Template not found'
+          },
+          timestamp: new Date().toISOString()
+        });
       }
     }
 
+    await runTransaction(async () => {
+      // Create schema
+      await runQuery(`
+        INSERT INTO schemas (id, user_id, name, description, is_public, version)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [schemaId, userId, name, description || '', isPublic, '1.0.0']);
+
+      if (template) {
+        const templateData = JSON.parse(template.schema_data);
+        await insertSchemaContent(schemaId, templateDataToContent(templateData));
+
+        // Record template usage (same as POST /templates/:templateId/use)
+        await runQuery(
+          'UPDATE templates SET usage_count = usage_count + 1 WHERE id = ?',
+          [template.id]
+        );
+      }
+    });
+
     // Get the created schema
     const schema = await getQuery(
       'SELECT * FROM schemas WHERE id = ?',
@@ -288,8 +296,7 @@ router.post('/', authenticate, validate('schema'), async (req, res) => {
           version: schema.version,
           createdAt: schema.created_at,
           updatedAt: schema.updated_at,
-          tables: [],
-          relationships: []
+          ...await loadSchemaContent(schemaId)
         }
       },
       message: 'Schema created successfully',
@@ -310,6 +317,199 @@ router.post('/', authenticate, validate('schema'), async (req, res) => {
   }
 });
 
+// Import schema from a JSON export document (see POST /schemas/:schemaId/export)
+router.post('/import', authenticate, validate('schemaImport'), async (req, res) => {
+  try {
+    const { schema: document, name, isPublic } = req.body;
+
+    // Everything is created with fresh IDs; conflicts are reported instead of failing the import
+    const data = await importSchema(req.user.id, {
+      name: name || document.name,
+      description: document.description,
+      isPublic,
+      version: document.version
+    }, document);
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Schema imported successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Import schema error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to import schema'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Import schema from SQL DDL
+router.post('/import/sql', authenticate, validate('sqlImport'), async (req, res) => {
+  try {
+    const { sql, dialect, name, description, isPublic } = req.body;
+
+    const parser = new SQLParser(dialect);
+    const { tables, relationships, warnings } = parser.parse(sql);
+
+    if (tables.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: 'No CREATE TABLE statements found',
+          details: warnings
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await importSchema(
+      req.user.id,
+      { name, description, isPublic },
+      namedContentToContent({ tables, relationships }),
+      warnings
+    );
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Schema imported successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Import SQL error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to import SQL'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Import schema from a Prisma schema file
+router.post('/import/prisma', authenticate, validate('prismaImport'), async (req, res) => {
+  try {
+    const { prisma, name, description, isPublic } = req.body;
+
+    const parser = new PrismaParser();
+    const { tables, relationships, warnings } = parser.parse(prisma);
+
+    if (tables.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: 'No model blocks found',
+          details: warnings
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await importSchema(
+      req.user.id,
+      { name, description, isPublic },
+      namedContentToContent({ tables, relationships }),
+      warnings
+    );
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Schema imported successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Import Prisma error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to import Prisma schema'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Import schema from DBML
+router.post('/import/dbml', authenticate, validate('dbmlImport'), async (req, res) => {
+  try {
+    const { dbml, name, description, isPublic } = req.body;
+
+    let parsed;
+    try {
+      parsed = new DBMLParser().parse(dbml);
+    } catch (error) {
+      if (!(error instanceof DBMLParser.DBMLSyntaxError)) throw error;
+
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { tables, relationships, warnings } = parsed;
+
+    if (tables.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: 'No Table definitions found',
+          details: warnings
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await importSchema(
+      req.user.id,
+      { name, description, isPublic },
+      namedContentToContent({ tables, relationships }),
+      warnings
+    );
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Schema imported successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Import DBML error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to import DBML'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Update schema
 router.put('/:schemaId', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('editor'), validate('schemaUpdate'), async (req, res) => {
   try {
@@ -413,7 +613,7 @@ router.delete('/:schemaId', authenticate, validateUUID('schemaId'), authorizeSch
 router.post('/:schemaId/tables', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('editor'), validate('table'), async (req, res) => {
   try {
     const { schemaId } = req.params;
-    const { name, description, position, color } = req.body;
+    const { name, description, position, color, checkConstraints } = req.body;
     const tableId = uuidv4();
 
     // Check if table name already exists in schema
@@ -439,6 +639,8 @@ router.post('/:schemaId/tables', authenticate, validateUUID('schemaId'), authori
       VALUES (?, ?, ?, ?, ?, ?, ?)
     `, [tableId, schemaId, name, description || '', position.x, position.y, color || '#ffffff']);
 
+    await saveCheckConstraints(tableId, checkConstraints);
+
     // Create default ID column
     const columnId = uuidv4();
     await runQuery(`
@@ -466,32 +668,7 @@ router.post('/:schemaId/tables', authenticate, validateUUID('schemaId'), authori
     res.status(201).json({
       success: true,
       data: {
-        table: {
-          id: table.id,
-          name: table.name,
-          description: table.description,
-          position: {
-            x: table.position_x,
-            y: table.position_y
-          },
-          color: table.color,
-          columns: columns.map(col => ({
-            id: col.id,
-            name: col.name,
-            dataType: col.data_type,
-            length: col.length,
-            precision: col.precision_val,
-            scale: col.scale_val,
-            isPrimaryKey: Boolean(col.is_primary_key),
-            isForeignKey: Boolean(col.is_foreign_key),
-            isUnique: Boolean(col.is_unique),
-            isRequired: Boolean(col.is_required),
-            isAutoIncrement: Boolean(col.is_auto_increment),
-            defaultValue: col.default_value,
-            description: col.description,
-            orderIndex: col.order_index
-          }))
-        }
+        table: formatTable(table, columns.map(formatColumn), [], await getTableCheckConstraints(tableId))
       },
       message: 'Table created successfully',
       timestamp: new Date().toISOString()
@@ -512,10 +689,10 @@ router.post('/:schemaId/tables', authenticate, validateUUID('schemaId'), authori
 });
 
 // Update table
-router.put('/:schemaId/tables/:tableId', authenticate, validateUUIDs('schemaId', 'tableId'), authorizeSchemaAccess('editor'), async (req, res) => {
+router.put('/:schemaId/tables/:tableId', authenticate, validateUUIDs('schemaId', 'tableId'), authorizeSchemaAccess('editor'), validate('tableUpdate'), async (req, res) => {
   try {
     const { schemaId, tableId } = req.params;
-    const { name, description, position, color } = req.body;
+    const { name, description, position, color, checkConstraints } = req.body;
 
     // Verify table belongs to schema
     const table = await getQuery(
@@ -542,7 +719,7 @@ router.put('/:schemaId/tables/:tableId', authenticate, validateUUIDs('schemaId',
     if (position?.y !== undefined) updateData.position_y = position.y;
     if (color !== undefined) updateData.color = color;
 
-    if (Object.keys(updateData).length === 0) {
+    if (Object.keys(updateData).length === 0 && checkConstraints === undefined) {
       return res.status(400).json({
         success: false,
         error: {
@@ -558,10 +735,16 @@ router.put('/:schemaId/tables/:tableId', authenticate, validateUUIDs('schemaId',
     const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
     const values = [...Object.values(updateData), tableId];
 
-    await runQuery(
-      `UPDATE tables SET ${fields} WHERE id = ?`,
-      values
-    );
+    await runTransaction(async () => {
+      await runQuery(
+        `UPDATE tables SET ${fields} WHERE id = ?`,
+        values
+      );
+
+      if (checkConstraints !== undefined) {
+        await saveCheckConstraints(tableId, checkConstraints);
+      }
+    });
 
     // Update schema timestamp
     await runQuery(
@@ -613,6 +796,7 @@ router.delete('/:schemaId/tables/:tableId', authenticate, validateUUIDs('schemaI
 
     // Delete table (cascade will handle columns and relationships)
     await runQuery('DELETE FROM tables WHERE id = ?', [tableId]);
+    await syncForeignKeyFlags(schemaId);
 
     // Update schema timestamp
     await runQuery(
@@ -640,157 +824,1750 @@ router.delete('/:schemaId/tables/:tableId', authenticate, validateUUIDs('schemaI
   }
 });
 
-// Generate SQL DDL for schema
-router.get('/:schemaId/sql', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('viewer'), async (req, res) => {
+// Create column in table
+router.post('/:schemaId/tables/:tableId/columns', authenticate, validateUUIDs('schemaId', 'tableId'), authorizeSchemaAccess('editor'), validate('column'), async (req, res) => {
   try {
-    const { schemaId } = req.params;
-    const { dialect = 'mysql', includeDropStatements = false, includeComments = true } = req.query;
+    const { schemaId, tableId } = req.params;
+    const {
+      name,
+      dataType,
+      length,
+      precision,
+      scale,
+      isPrimaryKey,
+      isUnique,
+      isRequired,
+      isAutoIncrement,
+      defaultValue,
+      checkConstraint,
+      description,
+      orderIndex
+    } = req.body;
 
-    // Get schema with full details
-    const schema = await getQuery('SELECT * FROM schemas WHERE id = ?', [schemaId]);
-    const tables = await allQuery('SELECT * FROM tables WHERE schema_id = ? ORDER BY name', [schemaId]);
-    const columns = await allQuery(`
-      SELECT c.* FROM columns c
-      JOIN tables t ON c.table_id = t.id
-      WHERE t.schema_id = ?
-      ORDER BY c.table_id, c.order_index, c.name
-    `, [schemaId]);
-    const relationships = await allQuery(`
-      SELECT r.*, 
-        st.name as source_table_name,
-        sc.name as source_column_name,
-        tt.name as target_table_name,
-        tc.name as target_column_name
-      FROM relationships r
-      JOIN tables st ON r.source_table_id = st.id
-      JOIN columns sc ON r.source_column_id = sc.id
-      JOIN tables tt ON r.target_table_id = tt.id
-      JOIN columns tc ON r.target_column_id = tc.id
-      WHERE r.schema_id = ?
-    `, [schemaId]);
+    // Verify table belongs to schema
+    const table = await getQuery(
+      'SELECT id FROM tables WHERE id = ? AND schema_id = ?',
+      [tableId, schemaId]
+    );
 
-    // Group columns by table
-    const tableColumnsMap = {};
-    columns.forEach(column => {
-      if (!tableColumnsMap[column.table_id]) {
-        tableColumnsMap[column.table_id] = [];
-      }
-      tableColumnsMap[column.table_id].push({
-        name: column.name,
-        dataType: column.data_type,
-        length: column.length,
-        precision: column.precision_val,
-        scale: column.scale_val,
-        isPrimaryKey: Boolean(column.is_primary_key),
-        isForeignKey: Boolean(column.is_foreign_key),
-        isUnique: Boolean(column.is_unique),
-        isRequired: Boolean(column.is_required),
-        isAutoIncrement: Boolean(column.is_auto_increment),
-        defaultValue: column.default_value,
-        description: column.description
-      });
-    });
-
-    // Prepare data for SQL generator
-    const tablesData = tables.map(table => ({
-      name: table.name,
-      description: table.description,
-      columns: tableColumnsMap[table.id] || []
-    }));
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Table not found in schema'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    const relationshipsData = relationships.map(rel => ({
-      name: rel.name,
-      sourceTableName: rel.source_table_name,
-      sourceColumnName: rel.source_column_name,
-      targetTableName: rel.target_table_name,
-      targetColumnName: rel.target_column_name,
-      onDelete: rel.on_delete,
-      onUpdate: rel.on_update
-    }));
+    // Check if column name already exists in table
+    const existingColumn = await getQuery(
+      'SELECT id FROM columns WHERE table_id = ? AND name = ?',
+      [tableId, name]
+    );
 
-    // Generate SQL
-    const sqlGenerator = new SQLGenerator(dialect);
-    const sql = sqlGenerator.generateSchema(tablesData, relationshipsData, {
-      includeDropStatements: includeDropStatements === 'true',
-      includeComments: includeComments === 'true',
-      includeIndexes: true,
-      includeConstraints: true
+    if (existingColumn) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_RESOURCE',
+          message: 'Column with this name already exists in table'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Create column (primary keys are always NOT NULL)
+    const columnId = uuidv4();
+    await runTransaction(async () => {
+      const existingColumns = await allQuery(
+        'SELECT id FROM columns WHERE table_id = ? ORDER BY order_index, name',
+        [tableId]
+      );
+
+      await runQuery(`
+        INSERT INTO columns (
+          id, table_id, name, data_type, length, precision_val, scale_val,
+          is_primary_key, is_unique, is_required, is_auto_increment,
+          default_value, check_constraint, description, order_index
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        columnId,
+        tableId,
+        name,
+        dataType,
+        length ?? null,
+        precision ?? null,
+        scale ?? null,
+        isPrimaryKey ? 1 : 0,
+        isUnique ? 1 : 0,
+        isRequired || isPrimaryKey ? 1 : 0,
+        isAutoIncrement ? 1 : 0,
+        defaultValue ?? null,
+        checkConstraint || null,
+        description || '',
+        existingColumns.length
+      ]);
+
+      // Insert at the requested position, or append when none was given
+      const columnIds = existingColumns.map(col => col.id);
+      const position = Math.min(orderIndex ?? columnIds.length, columnIds.length);
+      columnIds.splice(position, 0, columnId);
+      await reorderColumns(columnIds);
     });
 
-    res.json({
+    // Update schema timestamp
+    await runQuery(
+      'UPDATE schemas SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), schemaId]
+    );
+
+    const column = await getQuery('SELECT * FROM columns WHERE id = ?', [columnId]);
+
+    res.status(201).json({
       success: true,
-      data: {
-        sql,
-        dialect,
-        generatedAt: new Date().toISOString(),
-        schemaName: schema.name
-      },
+      data: { column: formatColumn(column) },
+      message: 'Column created successfully',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('SQL generation error:', error);
+    console.error('Create column error:', error);
     
     res.status(500).json({
       success: false,
       error: {
         code: 'INTERNAL_SERVER_ERROR',
-        message: 'Failed to generate SQL'
+        message: 'Failed to create column'
       },
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Export schema in various formats
-router.post('/:schemaId/export', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('viewer'), validate('schemaExport'), async (req, res) => {
+// Reorder columns in table
+router.put('/:schemaId/tables/:tableId/columns/order', authenticate, validateUUIDs('schemaId', 'tableId'), authorizeSchemaAccess('editor'), validate('columnOrder'), async (req, res) => {
   try {
-    const { schemaId } = req.params;
-    const { format, dialect, options } = req.body;
+    const { schemaId, tableId } = req.params;
+    const { columnIds } = req.body;
 
-    // Get schema data (same as SQL generation)
-    const schema = await getQuery('SELECT * FROM schemas WHERE id = ?', [schemaId]);
-    
-    if (format === 'sql') {
-      // Use the existing SQL generation logic
-      const sqlGenerator = new SQLGenerator(dialect);
-      // ... implement SQL export
-      
-      const filename = `${schema.name.replace(/\s+/g, '_').toLowerCase()}_schema.sql`;
-      
-      res.setHeader('Content-Type', 'application/sql');
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      res.send('-- SQL export would be implemented here');
-    } else if (format === 'json') {
-      // JSON export
-      const filename = `${schema.name.replace(/\s+/g, '_').toLowerCase()}_schema.json`;
-      
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      res.json({ message: 'JSON export would be implemented here' });
-    } else {
-      res.status(400).json({
+    // Verify table belongs to schema
+    const table = await getQuery(
+      'SELECT id FROM tables WHERE id = ? AND schema_id = ?',
+      [tableId, schemaId]
+    );
+
+    if (!table) {
+      return res.status(404).json({
         success: false,
         error: {
-          code: 'INVALID_FORMAT',
-          message: 'Unsupported export format'
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Table not found in schema'
         },
         timestamp: new Date().toISOString()
       });
     }
 
-  } catch (error) {
-    console.error('Schema export error:', error);
-    
-    res.status(500).json({
-      success: false,
-      error: {
-        code: 'INTERNAL_SERVER_ERROR',
-        message: 'Failed to export schema'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+    // The new order must list every column of the table exactly once
+    const existingColumns = await allQuery(
+      'SELECT id FROM columns WHERE table_id = ?',
+      [tableId]
+    );
+    const existingIds = new Set(existingColumns.map(col => col.id));
+
+    if (columnIds.length !== existingIds.size || !columnIds.every(id => existingIds.has(id))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'columnIds must contain every column of the table exactly once'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await reorderColumns(columnIds);
+
+    // Update schema timestamp
+    await runQuery(
+      'UPDATE schemas SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), schemaId]
+    );
+
+    const columns = await allQuery(
+      'SELECT * FROM columns WHERE table_id = ? ORDER BY order_index, name',
+      [tableId]
+    );
+
+    res.json({
+      success: true,
+      data: { columns: columns.map(formatColumn) },
+      message: 'Columns reordered successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Reorder columns error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to reorder columns'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Update column
+router.put('/:schemaId/tables/:tableId/columns/:columnId', authenticate, validateUUIDs('schemaId', 'tableId', 'columnId'), authorizeSchemaAccess('editor'), validate('columnUpdate'), async (req, res) => {
+  try {
+    const { schemaId, tableId, columnId } = req.params;
+    const { orderIndex, ...fields } = req.body;
+
+    // Verify column belongs to table and table belongs to schema
+    const column = await getQuery(`
+      SELECT c.* FROM columns c
+      JOIN tables t ON c.table_id = t.id
+      WHERE c.id = ? AND c.table_id = ? AND t.schema_id = ?
+    `, [columnId, tableId, schemaId]);
+
+    if (!column) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Column not found in table'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (fields.name !== undefined && fields.name !== column.name) {
+      const existingColumn = await getQuery(
+        'SELECT id FROM columns WHERE table_id = ? AND name = ? AND id != ?',
+        [tableId, fields.name, columnId]
+      );
+
+      if (existingColumn) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'DUPLICATE_RESOURCE',
+            message: 'Column with this name already exists in table'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    // A new data type must stay compatible with every relationship using the column
+    if (fields.dataType !== undefined && fields.dataType !== column.data_type) {
+      const linkedColumns = await allQuery(`
+        SELECT c.name, c.data_type FROM relationship_columns rc
+        JOIN columns c ON c.id = CASE WHEN rc.source_column_id = ? THEN rc.target_column_id ELSE rc.source_column_id END
+        WHERE rc.source_column_id = ? OR rc.target_column_id = ?
+      `, [columnId, columnId, columnId]);
+
+      const conflict = linkedColumns.find(linked => !areKeyTypesCompatible(fields.dataType, linked.data_type));
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INCOMPATIBLE_COLUMN_TYPES',
+            message: `Data type ${fields.dataType} is incompatible with related column ${conflict.name} (${conflict.data_type})`
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    // Build update query
+    const updateData = {};
+    for (const [key, dbKey] of Object.entries(COLUMN_FIELDS)) {
+      if (fields[key] !== undefined) {
+        updateData[dbKey] = typeof fields[key] === 'boolean' ? (fields[key] ? 1 : 0) : fields[key];
+      }
+    }
+
+    // Primary keys are always NOT NULL
+    if (fields.isPrimaryKey === true) {
+      updateData.is_required = 1;
+    }
+
+    updateData.updated_at = new Date().toISOString();
+
+    const updateFields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = [...Object.values(updateData), columnId];
+
+    await runTransaction(async () => {
+      await runQuery(
+        `UPDATE columns SET ${updateFields} WHERE id = ?`,
+        values
+      );
+
+      // Move the column if a new position was requested
+      if (orderIndex !== undefined) {
+        const siblings = await allQuery(
+          'SELECT id FROM columns WHERE table_id = ? AND id != ? ORDER BY order_index, name',
+          [tableId, columnId]
+        );
+        const columnIds = siblings.map(col => col.id);
+        columnIds.splice(Math.min(orderIndex, columnIds.length), 0, columnId);
+        await reorderColumns(columnIds);
+      }
+    });
+
+    // Update schema timestamp
+    await runQuery(
+      'UPDATE schemas SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), schemaId]
+    );
+
+    const updatedColumn = await getQuery('SELECT * FROM columns WHERE id = ?', [columnId]);
+
+    res.json({
+      success: true,
+      data: { column: formatColumn(updatedColumn) },
+      message: 'Column updated successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Update column error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to update column'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Delete column
+router.delete('/:schemaId/tables/:tableId/columns/:columnId', authenticate, validateUUIDs('schemaId', 'tableId', 'columnId'), authorizeSchemaAccess('editor'), async (req, res) => {
+  try {
+    const { schemaId, tableId, columnId } = req.params;
+
+    // Verify column belongs to table and table belongs to schema
+    const column = await getQuery(`
+      SELECT c.id FROM columns c
+      JOIN tables t ON c.table_id = t.id
+      WHERE c.id = ? AND c.table_id = ? AND t.schema_id = ?
+    `, [columnId, tableId, schemaId]);
+
+    if (!column) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Column not found in table'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await runTransaction(async () => {
+      // Indexes on the column are dropped with it, as databases do
+      await runQuery(
+        'DELETE FROM indexes WHERE id IN (SELECT index_id FROM index_columns WHERE column_id = ?)',
+        [columnId]
+      );
+
+      // So are the (possibly composite) foreign keys that use it
+      await runQuery(`
+        DELETE FROM relationships WHERE id IN (
+          SELECT relationship_id FROM relationship_columns WHERE source_column_id = ? OR target_column_id = ?
+        )
+      `, [columnId, columnId]);
+
+      // Delete column
+      await runQuery('DELETE FROM columns WHERE id = ?', [columnId]);
+
+      await syncForeignKeyFlags(schemaId);
+
+      // Close the gap left in order_index
+      const remaining = await allQuery(
+        'SELECT id FROM columns WHERE table_id = ? ORDER BY order_index, name',
+        [tableId]
+      );
+      await reorderColumns(remaining.map(col => col.id));
+    });
+
+    // Update schema timestamp
+    await runQuery(
+      'UPDATE schemas SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), schemaId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Column deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Delete column error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to delete column'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List the indexes of a table
+router.get('/:schemaId/tables/:tableId/indexes', authenticate, validateUUIDs('schemaId', 'tableId'), authorizeSchemaAccess('viewer'), async (req, res) => {
+  try {
+    const { schemaId, tableId } = req.params;
+
+    // Verify table belongs to schema
+    const table = await getQuery(
+      'SELECT id FROM tables WHERE id = ? AND schema_id = ?',
+      [tableId, schemaId]
+    );
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Table not found in schema'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { tables } = await loadSchemaContent(schemaId);
+    const { indexes } = tables.find(candidate => candidate.id === tableId);
+
+    res.json({
+      success: true,
+      data: { indexes },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List indexes error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to fetch indexes'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create index on table
+router.post('/:schemaId/tables/:tableId/indexes', authenticate, validateUUIDs('schemaId', 'tableId'), authorizeSchemaAccess('editor'), validate('index'), async (req, res) => {
+  try {
+    const { schemaId, tableId } = req.params;
+    const { name, columns, isUnique, method, where, description } = req.body;
+
+    // Verify table belongs to schema
+    const table = await getQuery(
+      'SELECT id FROM tables WHERE id = ? AND schema_id = ?',
+      [tableId, schemaId]
+    );
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Table not found in schema'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const problem = await checkIndex(schemaId, tableId, { name, columns });
+    if (problem) {
+      return res.status(problem.status).json({
+        success: false,
+        error: {
+          code: problem.code,
+          message: problem.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const indexId = uuidv4();
+    await runTransaction(async () => {
+      await runQuery(`
+        INSERT INTO indexes (id, table_id, name, is_unique, method, where_clause, description)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        indexId,
+        tableId,
+        name,
+        isUnique ? 1 : 0,
+        method || null,
+        where || null,
+        description || ''
+      ]);
+
+      await saveIndexColumns(indexId, columns);
+    });
+
+    // Update schema timestamp
+    await runQuery(
+      'UPDATE schemas SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), schemaId]
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { index: await getIndex(indexId) },
+      message: 'Index created successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Create index error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to create index'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Update index
+router.put('/:schemaId/tables/:tableId/indexes/:indexId', authenticate, validateUUIDs('schemaId', 'tableId', 'indexId'), authorizeSchemaAccess('editor'), validate('indexUpdate'), async (req, res) => {
+  try {
+    const { schemaId, tableId, indexId } = req.params;
+    const { columns, ...fields } = req.body;
+
+    // Verify index belongs to table and table belongs to schema
+    const index = await getQuery(`
+      SELECT i.* FROM indexes i
+      JOIN tables t ON i.table_id = t.id
+      WHERE i.id = ? AND i.table_id = ? AND t.schema_id = ?
+    `, [indexId, tableId, schemaId]);
+
+    if (!index) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Index not found in table'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const problem = await checkIndex(schemaId, tableId, { name: fields.name, columns }, indexId);
+    if (problem) {
+      return res.status(problem.status).json({
+        success: false,
+        error: {
+          code: problem.code,
+          message: problem.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Build update query
+    const updateData = {};
+    for (const [key, dbKey] of Object.entries(INDEX_FIELDS)) {
+      if (fields[key] !== undefined) {
+        updateData[dbKey] = typeof fields[key] === 'boolean' ? (fields[key] ? 1 : 0) : (fields[key] || null);
+      }
+    }
+    updateData.updated_at = new Date().toISOString();
+
+    const updateFields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = [...Object.values(updateData), indexId];
+
+    await runTransaction(async () => {
+      await runQuery(
+        `UPDATE indexes SET ${updateFields} WHERE id = ?`,
+        values
+      );
+
+      if (columns !== undefined) {
+        await saveIndexColumns(indexId, columns);
+      }
+    });
+
+    // Update schema timestamp
+    await runQuery(
+      'UPDATE schemas SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), schemaId]
+    );
+
+    res.json({
+      success: true,
+      data: { index: await getIndex(indexId) },
+      message: 'Index updated successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Update index error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to update index'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Delete index
+router.delete('/:schemaId/tables/:tableId/indexes/:indexId', authenticate, validateUUIDs('schemaId', 'tableId', 'indexId'), authorizeSchemaAccess('editor'), async (req, res) => {
+  try {
+    const { schemaId, tableId, indexId } = req.params;
+
+    const result = await runQuery(`
+      DELETE FROM indexes
+      WHERE id = ? AND table_id = ? AND table_id IN (SELECT id FROM tables WHERE schema_id = ?)
+    `, [indexId, tableId, schemaId]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Index not found in table'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Update schema timestamp
+    await runQuery(
+      'UPDATE schemas SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), schemaId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Index deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Delete index error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to delete index'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create relationship between tables
+router.post('/:schemaId/relationships', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('editor'), validate('relationship'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+    const {
+      sourceTableId,
+      targetTableId,
+      relationshipType,
+      onDelete,
+      onUpdate,
+      name,
+      description
+    } = req.body;
+    const columns = req.body.columns || [{
+      sourceColumnId: req.body.sourceColumnId,
+      targetColumnId: req.body.targetColumnId
+    }];
+
+    const problem = await checkRelationshipColumns(schemaId, { sourceTableId, targetTableId, columns, onDelete });
+    if (problem) {
+      return res.status(problem.status).json({
+        success: false,
+        error: {
+          code: problem.code,
+          message: problem.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Check if the same columns are already linked
+    if (await findLinkedRelationship(columns)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_RESOURCE',
+          message: 'Relationship between these columns already exists'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Create relationship; its first column pair is also kept on the relationship row
+    const relationshipId = uuidv4();
+    await runTransaction(async () => {
+      await runQuery(`
+        INSERT INTO relationships (
+          id, schema_id, source_table_id, source_column_id, target_table_id, target_column_id,
+          relationship_type, on_delete, on_update, name, description
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        relationshipId,
+        schemaId,
+        sourceTableId,
+        columns[0].sourceColumnId,
+        targetTableId,
+        columns[0].targetColumnId,
+        relationshipType,
+        onDelete,
+        onUpdate,
+        name || null,
+        description || ''
+      ]);
+
+      await saveRelationshipColumns(relationshipId, columns);
+    });
+
+    await syncForeignKeyFlags(schemaId);
+
+    // Update schema timestamp
+    await runQuery(
+      'UPDATE schemas SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), schemaId]
+    );
+
+    const relationship = await getRelationship(relationshipId);
+
+    res.status(201).json({
+      success: true,
+      data: { relationship },
+      message: 'Relationship created successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Create relationship error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to create relationship'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Update relationship
+router.put('/:schemaId/relationships/:relationshipId', authenticate, validateUUIDs('schemaId', 'relationshipId'), authorizeSchemaAccess('editor'), validate('relationshipUpdate'), async (req, res) => {
+  try {
+    const { schemaId, relationshipId } = req.params;
+    const updates = req.body;
+
+    // Verify relationship belongs to schema
+    const existing = await getQuery(
+      'SELECT * FROM relationships WHERE id = ? AND schema_id = ?',
+      [relationshipId, schemaId]
+    );
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Relationship not found in schema'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Re-check the relationship as it will look after the update;
+    // sourceColumnId/targetColumnId replace its first column pair
+    const existingColumns = await allQuery(
+      'SELECT source_column_id, target_column_id FROM relationship_columns WHERE relationship_id = ? ORDER BY position',
+      [relationshipId]
+    );
+    const columns = updates.columns || existingColumns.map((pair, position) => ({
+      sourceColumnId: (position === 0 && updates.sourceColumnId) || pair.source_column_id,
+      targetColumnId: (position === 0 && updates.targetColumnId) || pair.target_column_id
+    }));
+    const merged = {
+      sourceTableId: updates.sourceTableId ?? existing.source_table_id,
+      targetTableId: updates.targetTableId ?? existing.target_table_id,
+      columns,
+      onDelete: updates.onDelete ?? existing.on_delete,
+      onUpdate: updates.onUpdate ?? existing.on_update
+    };
+
+    const problem = await checkRelationshipColumns(schemaId, merged);
+    if (problem) {
+      return res.status(problem.status).json({
+        success: false,
+        error: {
+          code: problem.code,
+          message: problem.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (await findLinkedRelationship(columns, relationshipId)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_RESOURCE',
+          message: 'Relationship between these columns already exists'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Build update query
+    const updateData = {};
+    for (const [key, dbKey] of Object.entries(RELATIONSHIP_FIELDS)) {
+      if (updates[key] !== undefined) {
+        updateData[dbKey] = updates[key];
+      }
+    }
+    updateData.source_column_id = columns[0].sourceColumnId;
+    updateData.target_column_id = columns[0].targetColumnId;
+    updateData.updated_at = new Date().toISOString();
+
+    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const values = [...Object.values(updateData), relationshipId];
+
+    await runTransaction(async () => {
+      await runQuery(
+        `UPDATE relationships SET ${fields} WHERE id = ?`,
+        values
+      );
+
+      await saveRelationshipColumns(relationshipId, columns);
+    });
+
+    await syncForeignKeyFlags(schemaId);
+
+    // Update schema timestamp
+    await runQuery(
+      'UPDATE schemas SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), schemaId]
+    );
+
+    const relationship = await getRelationship(relationshipId);
+
+    res.json({
+      success: true,
+      data: { relationship },
+      message: 'Relationship updated successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Update relationship error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to update relationship'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Delete relationship
+router.delete('/:schemaId/relationships/:relationshipId', authenticate, validateUUIDs('schemaId', 'relationshipId'), authorizeSchemaAccess('editor'), async (req, res) => {
+  try {
+    const { schemaId, relationshipId } = req.params;
+
+    const result = await runQuery(
+      'DELETE FROM relationships WHERE id = ? AND schema_id = ?',
+      [relationshipId, schemaId]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Relationship not found in schema'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await syncForeignKeyFlags(schemaId);
+
+    // Update schema timestamp
+    await runQuery(
+      'UPDATE schemas SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), schemaId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Relationship deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Delete relationship error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to delete relationship'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Tag a version snapshot of the schema
+router.post('/:schemaId/versions', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('editor'), validate('schemaVersion'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+    const { bump, version: requestedVersion, description } = req.body;
+
+    const schema = await getQuery('SELECT * FROM schemas WHERE id = ?', [schemaId]);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Schema not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Bump from whichever is newer: the schema's version or its latest snapshot
+    const existingVersions = await allQuery(
+      'SELECT version FROM schema_versions WHERE schema_id = ?',
+      [schemaId]
+    );
+    const latestVersion = existingVersions
+      .map(row => row.version)
+      .sort(compareVersions)
+      .pop();
+
+    let version;
+    if (requestedVersion) {
+      if (latestVersion && compareVersions(requestedVersion, latestVersion) <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `Version must be greater than the latest version ${latestVersion}`
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+      version = requestedVersion;
+    } else {
+      const baseVersion = latestVersion && compareVersions(latestVersion, schema.version) > 0
+        ? latestVersion
+        : schema.version;
+      version = bumpVersion(baseVersion, bump || 'patch');
+    }
+
+    if (existingVersions.some(row => row.version === version)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_RESOURCE',
+          message: `Version ${version} already exists`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Snapshot the schema exactly as GET /schemas/:schemaId serializes it
+    const snapshot = {
+      name: schema.name,
+      description: schema.description,
+      version,
+      ...await loadSchemaContent(schemaId)
+    };
+
+    const versionId = uuidv4();
+    await runTransaction(async () => {
+      await runQuery(`
+        INSERT INTO schema_versions (id, schema_id, version, description, schema_data)
+        VALUES (?, ?, ?, ?, ?)
+      `, [versionId, schemaId, version, description || '', JSON.stringify(snapshot)]);
+
+      await runQuery(
+        'UPDATE schemas SET version = ?, updated_at = ? WHERE id = ?',
+        [version, new Date().toISOString(), schemaId]
+      );
+    });
+
+    const versionRow = await getQuery('SELECT * FROM schema_versions WHERE id = ?', [versionId]);
+
+    res.status(201).json({
+      success: true,
+      data: { version: formatVersion(versionRow) },
+      message: `Version ${version} created successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Create version error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to create version'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List version snapshots of the schema (newest first)
+router.get('/:schemaId/versions', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('viewer'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+
+    const versions = await allQuery(
+      'SELECT * FROM schema_versions WHERE schema_id = ?',
+      [schemaId]
+    );
+
+    versions.sort((a, b) => compareVersions(b.version, a.version));
+
+    res.json({
+      success: true,
+      data: {
+        versions: versions.map(row => formatVersion(row))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get versions error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to fetch versions'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get a single version snapshot
+router.get('/:schemaId/versions/:version', authenticate, validate('versionParams', 'params'), authorizeSchemaAccess('viewer'), async (req, res) => {
+  try {
+    const { schemaId, version } = req.params;
+
+    const versionRow = await getQuery(
+      'SELECT * FROM schema_versions WHERE schema_id = ? AND version = ?',
+      [schemaId, version]
+    );
+
+    if (!versionRow) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: `Version ${version} not found`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { version: formatVersion(versionRow, { includeSnapshot: true }) },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get version error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to fetch version'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Restore the schema to a previous version snapshot
+router.post('/:schemaId/versions/:version/restore', authenticate, validate('versionParams', 'params'), authorizeSchemaAccess('editor'), async (req, res) => {
+  try {
+    const { schemaId, version } = req.params;
+
+    const versionRow = await getQuery(
+      'SELECT * FROM schema_versions WHERE schema_id = ? AND version = ?',
+      [schemaId, version]
+    );
+
+    if (!versionRow) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: `Version ${version} not found`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const snapshot = JSON.parse(versionRow.schema_data);
+
+    // Replace the current structure with the snapshot, keeping the snapshot's IDs
+    // so later diffs can still match tables and columns across versions
+    await runTransaction(async () => {
+      await runQuery('DELETE FROM relationships WHERE schema_id = ?', [schemaId]);
+      await runQuery('DELETE FROM tables WHERE schema_id = ?', [schemaId]);
+      await insertSchemaContent(schemaId, snapshot, { preserveIds: true });
+
+      await runQuery(
+        'UPDATE schemas SET version = ?, updated_at = ? WHERE id = ?',
+        [version, new Date().toISOString(), schemaId]
+      );
+    });
+
+    const schema = await getQuery('SELECT * FROM schemas WHERE id = ?', [schemaId]);
+
+    res.json({
+      success: true,
+      data: {
+        schema: {
+          id: schema.id,
+          name: schema.name,
+          description: schema.description,
+          isPublic: Boolean(schema.is_public),
+          version: schema.version,
+          createdAt: schema.created_at,
+          updatedAt: schema.updated_at,
+          ...await loadSchemaContent(schemaId)
+        }
+      },
+      message: `Schema restored to version ${version}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Restore version error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to restore version'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Diff two versions of the schema (or a version and the live schema)
+router.get('/:schemaId/diff', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('viewer'), validate('schemaDiff', 'query'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+    const { from, to } = req.query;
+
+    const fromState = await loadSchemaState(schemaId, from);
+    const toState = await loadSchemaState(schemaId, to);
+
+    if (!fromState || !toState) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: `Version ${fromState ? to : from} not found`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        ...diffSchemas(fromState, toState)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Schema diff error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to diff schema versions'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Generate a migration script (up and down) between two versions of the schema
+router.get('/:schemaId/migration', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('viewer'), validate('schemaMigration', 'query'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+    const { from, to, dialect, includeComments } = req.query;
+
+    const fromState = await loadSchemaState(schemaId, from);
+    const toState = await loadSchemaState(schemaId, to);
+
+    if (!fromState || !toState) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: `Version ${fromState ? to : from} not found`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const migrationGenerator = new MigrationGenerator(dialect);
+    const migration = migrationGenerator.generateMigration(fromState, toState, { includeComments });
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        dialect,
+        ...migration,
+        generatedAt: new Date().toISOString()
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Migration generation error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to generate migration'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Generate SQL DDL for schema
+router.get('/:schemaId/sql', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('viewer'), validate('sqlExport', 'query'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+    const { dialect, autoIncrement, identifierLength, includeDropStatements, includeComments, includeData, rowCount, seed } = req.query;
+
+    // Get schema with full details
+    const schema = await getQuery('SELECT * FROM schemas WHERE id = ?', [schemaId]);
+    const content = await loadSchemaContent(schemaId);
+
+    // Generate SQL
+    const sqlOptions = { autoIncrement, identifierLength };
+    const sqlGenerator = new SQLGenerator(dialect, sqlOptions);
+    let sql = sqlGenerator.generateSchema(content.tables, content.relationships, {
+      includeDropStatements,
+      includeComments,
+      includeIndexes: true,
+      includeConstraints: true
+    });
+
+    // Append generated seed rows
+    const warnings = [...sqlGenerator.warnings];
+    if (includeData) {
+      const mockDataGenerator = new MockDataGenerator({ rowCount, seed });
+      const data = mockDataGenerator.generate(content.tables, content.relationships);
+      sql += `\n${mockDataGenerator.toSQL(data, dialect, sqlOptions)}`;
+      warnings.push(...data.warnings);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sql,
+        dialect,
+        warnings,
+        generatedAt: new Date().toISOString(),
+        schemaName: schema.name
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('SQL generation error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to generate SQL'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Generate mock rows for every table
+router.post('/:schemaId/mock-data', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('viewer'), validate('mockData'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+    const { format, dialect, autoIncrement, identifierLength, rowCount, seed } = req.body;
+
+    const schema = await getQuery('SELECT * FROM schemas WHERE id = ?', [schemaId]);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Schema not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const content = await loadSchemaContent(schemaId);
+    const mockDataGenerator = new MockDataGenerator({ rowCount, seed });
+    const data = mockDataGenerator.generate(content.tables, content.relationships);
+
+    const result = { format, seed: mockDataGenerator.seed, rowCount };
+    if (format === 'sql') {
+      result.dialect = dialect;
+      result.sql = mockDataGenerator.toSQL(data, dialect, { autoIncrement, identifierLength });
+    } else if (format === 'csv') {
+      result.files = mockDataGenerator.toCSV(data);
+    } else {
+      result.rows = mockDataGenerator.toJSON(data);
+    }
+    result.warnings = data.warnings;
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Mock data generation error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to generate mock data'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Render the ER diagram as SVG
+router.get('/:schemaId/diagram.svg', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('viewer'), validate('schemaDiagram', 'query'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+    const { showTypes } = req.query;
+
+    const schema = await getQuery('SELECT * FROM schemas WHERE id = ?', [schemaId]);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Schema not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const content = await loadSchemaContent(schemaId);
+    const svgGenerator = new SVGDiagramGenerator();
+    const svg = svgGenerator.generateDiagram(content.tables, content.relationships, { showTypes });
+
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.setHeader('Content-Disposition', `inline; filename="${exportFilename(schema, 'svg')}"`);
+    res.send(svg);
+
+  } catch (error) {
+    console.error('Diagram rendering error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to render diagram'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Export schema in various formats
+router.post('/:schemaId/export', authenticate, validateUUID('schemaId'), authorizeSchemaAccess('viewer'), validate('schemaExport'), async (req, res) => {
+  try {
+    const { schemaId } = req.params;
+    const { format, dialect, options } = req.body;
+
+    const schema = await getQuery('SELECT * FROM schemas WHERE id = ?', [schemaId]);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Schema not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const content = await loadSchemaContent(schemaId);
+
+    if (format === 'sql') {
+      const sqlOptions = { autoIncrement: options.autoIncrement, identifierLength: options.identifierLength };
+      const sqlGenerator = new SQLGenerator(dialect, sqlOptions);
+      let sql = sqlGenerator.generateSchema(content.tables, content.relationships, {
+        includeComments: options.includeComments,
+        includeIndexes: options.includeIndexes,
+        includeConstraints: options.includeConstraints
+      });
+
+      if (options.includeData) {
+        const mockDataGenerator = new MockDataGenerator({ rowCount: options.rowCount, seed: options.seed });
+        const data = mockDataGenerator.generate(content.tables, content.relationships);
+        // The file has no separate warnings field, so they go in as comments
+        sql += `\n${data.warnings.map(warning => `-- WARNING: ${warning}\n`).join('')}`;
+        sql += mockDataGenerator.toSQL(data, dialect, sqlOptions);
+      }
+
+      res.setHeader('Content-Type', 'application/sql');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(schema, 'sql')}"`);
+      res.send(sql);
+    } else if (format === 'json') {
+      const document = buildExportDocument(schema, content);
+
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(schema, 'json')}"`);
+      res.send(JSON.stringify(document, null, 2));
+    } else if (format === 'prisma') {
+      const prismaGenerator = new PrismaGenerator(dialect);
+      const prismaSchema = prismaGenerator.generateSchema(content.tables, content.relationships, {
+        includeComments: options.includeComments
+      });
+
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(schema, 'prisma')}"`);
+      res.send(prismaSchema);
+    } else if (format === 'typescript') {
+      const typescriptGenerator = new TypeScriptGenerator();
+      const typescript = typescriptGenerator.generateModule(content.tables, {
+        includeComments: options.includeComments,
+        includeZod: options.includeZod
+      });
+
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(schema, 'ts')}"`);
+      res.send(typescript);
+    } else if (format === 'graphql') {
+      const graphqlGenerator = new GraphQLGenerator();
+      const sdl = graphqlGenerator.generateSchema(content.tables, content.relationships, {
+        includeComments: options.includeComments,
+        includeInputTypes: options.includeInputTypes
+      });
+
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(schema, 'graphql')}"`);
+      res.send(sdl);
+    } else if (format === 'dbml') {
+      const dbmlGenerator = new DBMLGenerator();
+      const dbml = dbmlGenerator.generateSchema(content.tables, content.relationships, {
+        includeComments: options.includeComments
+      });
+
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(schema, 'dbml')}"`);
+      res.send(dbml);
+    } else if (format === 'mermaid' || format === 'plantuml') {
+      const diagramGenerator = new ERDiagramGenerator(format);
+      const diagram = diagramGenerator.generateDiagram(content.tables, content.relationships, {
+        includeComments: options.includeComments
+      });
+
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(schema, format === 'mermaid' ? 'mmd' : 'puml')}"`);
+      res.send(diagram);
+    } else if (format === 'markdown' || format === 'html') {
+      const dictionaryGenerator = new DataDictionaryGenerator(format);
+      const document = dictionaryGenerator.generateDocument(schema, content);
+
+      res.setHeader('Content-Type', format === 'html' ? 'text/html' : 'text/markdown');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(schema, format === 'html' ? 'html' : 'md')}"`);
+      res.send(document);
+    } else {
+      res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: 'Unsupported export format'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+  } catch (error) {
+    console.error('Schema export error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to export schema'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Verify that an index name is free in the schema and that its columns belong to the table
+// (each at most once). Returns null when the index is valid, otherwise an error description.
+async function checkIndex(schemaId, tableId, { name, columns }, indexId = null) {
+  if (name !== undefined) {
+    const existingIndex = await getQuery(`
+      SELECT i.id FROM indexes i
+      JOIN tables t ON i.table_id = t.id
+      WHERE t.schema_id = ? AND i.name = ? AND i.id != ?
+    `, [schemaId, name, indexId || '']);
+
+    if (existingIndex) {
+      return {
+        status: 409,
+        code: 'DUPLICATE_RESOURCE',
+        message: 'Index with this name already exists in schema'
+      };
+    }
+  }
+
+  if (columns !== undefined) {
+    const tableColumns = await allQuery('SELECT id FROM columns WHERE table_id = ?', [tableId]);
+    const tableColumnIds = new Set(tableColumns.map(column => column.id));
+    const columnIds = columns.filter(part => part.columnId).map(part => part.columnId);
+
+    const missing = columnIds.find(columnId => !tableColumnIds.has(columnId));
+    if (missing) {
+      return {
+        status: 404,
+        code: 'RESOURCE_NOT_FOUND',
+        message: `Column ${missing} not found in table`
+      };
+    }
+
+    if (new Set(columnIds).size !== columnIds.length) {
+      return {
+        status: 400,
+        code: 'VALIDATION_ERROR',
+        message: 'An index cannot list the same column twice'
+      };
+    }
+  }
+
+  return null;
+}
+
+// Verify that both ends of every column pair of a relationship belong to the schema and can be
+// linked, and that a composite foreign key references a primary or unique key of the target table.
+// Returns null when the relationship is valid, otherwise an error description.
+async function checkRelationshipColumns(schemaId, { sourceTableId, targetTableId, columns, onDelete }) {
+  const findColumn = (columnId, tableId) => getQuery(`
+    SELECT c.* FROM columns c
+    JOIN tables t ON c.table_id = t.id
+    WHERE c.id = ? AND c.table_id = ? AND t.schema_id = ?
+  `, [columnId, tableId, schemaId]);
+
+  const sourceColumnIds = columns.map(pair => pair.sourceColumnId);
+  const targetColumnIds = columns.map(pair => pair.targetColumnId);
+  if (new Set(sourceColumnIds).size < columns.length || new Set(targetColumnIds).size < columns.length) {
+    return {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'A relationship cannot list the same column twice'
+    };
+  }
+
+  const targetColumns = [];
+  for (const { sourceColumnId, targetColumnId } of columns) {
+    const sourceColumn = await findColumn(sourceColumnId, sourceTableId);
+    const targetColumn = await findColumn(targetColumnId, targetTableId);
+
+    if (!sourceColumn || !targetColumn) {
+      return {
+        status: 404,
+        code: 'RESOURCE_NOT_FOUND',
+        message: `${sourceColumn ? 'Target' : 'Source'} column not found in the given table of this schema`
+      };
+    }
+
+    if (sourceColumnId === targetColumnId) {
+      return {
+        status: 400,
+        code: 'VALIDATION_ERROR',
+        message: 'A column cannot reference itself'
+      };
+    }
+
+    if (!areKeyTypesCompatible(sourceColumn.data_type, targetColumn.data_type)) {
+      return {
+        status: 400,
+        code: 'INCOMPATIBLE_COLUMN_TYPES',
+        message: `Column ${sourceColumn.name} (${sourceColumn.data_type}) cannot reference ${targetColumn.name} (${targetColumn.data_type})`
+      };
+    }
+
+    if (onDelete === 'SET NULL' && sourceColumn.is_required) {
+      return {
+        status: 400,
+        code: 'VALIDATION_ERROR',
+        message: `ON DELETE SET NULL requires ${sourceColumn.name} to be nullable`
+      };
+    }
+
+    targetColumns.push(targetColumn);
+  }
+
+  if (columns.length > 1 && !(await isTableKey(targetTableId, targetColumnIds))) {
+    return {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: `Columns ${targetColumns.map(column => column.name).join(', ')} are not the primary key or a unique key of the target table`
+    };
+  }
+
+  return null;
+}
+
+// Find a relationship (other than relationshipId) that links exactly the same column pairs
+async function findLinkedRelationship(columns, relationshipId = null) {
+  const pairs = await allQuery(`
+    SELECT * FROM relationship_columns
+    WHERE relationship_id IN (
+      SELECT relationship_id FROM relationship_columns WHERE position = 0 AND source_column_id = ?
+    )
+    ORDER BY relationship_id, position
+  `, [columns[0].sourceColumnId]);
+
+  const links = {};
+  pairs.forEach(pair => {
+    (links[pair.relationship_id] = links[pair.relationship_id] || []).push(`${pair.source_column_id}:${pair.target_column_id}`);
+  });
+
+  const link = columns.map(pair => `${pair.sourceColumnId}:${pair.targetColumnId}`).join(',');
+  return Object.keys(links).find(id => id !== relationshipId && links[id].join(',') === link) || null;
+}
+
+// Compare two semantic versions (negative when a < b)
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) {
+      return partsA[i] - partsB[i];
+    }
+  }
+  return 0;
+}
+
+// Increment the major, minor or patch part of a semantic version
+function bumpVersion(version, part) {
+  const [major, minor, patch] = version.split('.').map(Number);
+  switch (part) {
+    case 'major':
+      return `${major + 1}.0.0`;
+    case 'minor':
+      return `${major}.${minor + 1}.0`;
+    default:
+      return `${major}.${minor}.${patch + 1}`;
+  }
+}
+
+// Load a version snapshot, or the live schema for 'current'. Returns null if the version does not exist.
+async function loadSchemaState(schemaId, version) {
+  if (version === 'current') {
+    return loadSchemaContent(schemaId);
+  }
+
+  const versionRow = await getQuery(
+    'SELECT schema_data FROM schema_versions WHERE schema_id = ? AND version = ?',
+    [schemaId, version]
+  );
+
+  return versionRow ? JSON.parse(versionRow.schema_data) : null;
+}
+
+// Format a schema_versions row, optionally with the full snapshot
+function formatVersion(row, { includeSnapshot = false } = {}) {
+  const snapshot = JSON.parse(row.schema_data);
+  return {
+    id: row.id,
+    version: row.version,
+    description: row.description,
+    createdAt: row.created_at,
+    tablesCount: snapshot.tables?.length || 0,
+    relationshipsCount: snapshot.relationships?.length || 0,
+    ...(includeSnapshot && { schema: snapshot })
+  };
+}
+
+// Rewrite order_index so it matches the given column order (0..n-1), in one transaction
+async function reorderColumns(columnIds) {
+  await runTransaction(async () => {
+    for (let i = 0; i < columnIds.length; i++) {
+      await runQuery('UPDATE columns SET order_index = ? WHERE id = ?', [i, columnIds[i]]);
+    }
+  });
+}
+
+// Build a download filename from the schema name
+function exportFilename(schema, extension) {
+  return `${schema.name.replace(/\s+/g, '_').toLowerCase()}_schema.${extension}`;
+}
 
 module.exports = router;
\ No newline at end of file
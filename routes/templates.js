@@ -268,11 +268,41 @@ router.post('/', authenticate, validate('template'), async (req, res) => {
       ORDER BY c.table_id, c.order_index, c.name
     `, [schemaId]);
 
+    const indexes = await allQuery(`
+      SELECT i.* FROM indexes i
+      JOIN tables t ON i.table_id = t.id
+      WHERE t.schema_id = ?
+      ORDER BY i.name
+    `, [schemaId]);
+
+    const indexColumns = await allQuery(`
+      SELECT ic.*, c.name as column_name FROM index_columns ic
+      JOIN indexes i ON ic.index_id = i.id
+      JOIN tables t ON i.table_id = t.id
+      LEFT JOIN columns c ON ic.column_id = c.id
+      WHERE t.schema_id = ?
+      ORDER BY ic.index_id, ic.position
+    `, [schemaId]);
+
+    const checkConstraints = await allQuery(`
+      SELECT cc.* FROM check_constraints cc
+      JOIN tables t ON cc.table_id = t.id
+      WHERE t.schema_id = ?
+      ORDER BY cc.table_id, cc.position
+    `, [schemaId]);
+
     const relationships = await allQuery(
       'SELECT * FROM relationships WHERE schema_id = ?',
       [schemaId]
     );
 
+    const relationshipColumns = await allQuery(`
+      SELECT rc.* FROM relationship_columns rc
+      JOIN relationships r ON rc.relationship_id = r.id
+      WHERE r.schema_id = ?
+      ORDER BY rc.relationship_id, rc.position
+    `, [schemaId]);
+
     // Build schema data object
     const tableColumnsMap = {};
     columns.forEach(column => {
@@ -285,9 +315,16 @@ router.post('/', authenticate, validate('template'), async (req, res) => {
     const schemaData = {
       tables: tables.map(table => ({
         ...table,
-        columns: tableColumnsMap[table.id] || []
+        columns: tableColumnsMap[table.id] || [],
+        indexes: indexes
+          .filter(index => index.table_id === table.id)
+          .map(index => ({ ...index, columns: indexColumns.filter(part => part.index_id === index.id) })),
+        checkConstraints: checkConstraints.filter(check => check.table_id === table.id)
       })),
-      relationships
+      relationships: relationships.map(rel => ({
+        ...rel,
+        columns: relationshipColumns.filter(pair => pair.relationship_id === rel.id)
+      }))
     };
 
     // Create template
@@ -0,0 +1,96 @@
+const express = require('express');
+const { promises: fs } = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { importSchema, namedContentToContent } = require('../utils/schemaData');
+const { isSQLiteFile, readSQLiteSchema } = require('../utils/sqliteReader');
+
+const router = express.Router();
+
+// Database files are sent as the raw request body
+const databaseFileBody = express.raw({
+  type: ['application/octet-stream', 'application/vnd.sqlite3', 'application/x-sqlite3'],
+  limit: '50mb'
+});
+
+// SQLite errors caused by a damaged or non-database file
+const INVALID_DATABASE_ERRORS = ['SQLITE_NOTADB', 'SQLITE_CORRUPT'];
+
+// Create schema by reverse-engineering an uploaded SQLite database file
+router.post('/sqlite', authenticate, databaseFileBody, validate('sqliteUpload', 'query'), async (req, res) => {
+  // sqlite3 can only open files, so the upload is written to a temporary file first
+  const filePath = path.join(os.tmpdir(), `schema-upload-${uuidv4()}.db`);
+
+  try {
+    const { name, description, isPublic } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || !isSQLiteFile(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: 'Request body is not a SQLite database file'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await fs.writeFile(filePath, req.body);
+    const { tables, relationships, warnings } = await readSQLiteSchema(filePath);
+
+    if (tables.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: 'The database contains no tables'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await importSchema(
+      req.user.id,
+      { name, description, isPublic },
+      namedContentToContent({ tables, relationships }),
+      warnings
+    );
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Schema imported successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (INVALID_DATABASE_ERRORS.includes(error.code)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: 'The database file is damaged or unreadable'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('SQLite upload error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to import SQLite database'
+      },
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    await fs.rm(filePath, { force: true });
+  }
+});
+
+module.exports = router;
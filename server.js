@@ -12,6 +12,7 @@ import dotenv from 'dotenv';
 import schemaRoutes from './routes/schemas.js';
 import templateRoutes from './routes/templates.js';
 import aiRoutes from './routes/ai.js';
+import uploadRoutes from './routes/upload.js';
 import { initializeDatabase } from './database/init.js';
 import { setupRateLimiting } from './middleware/rateLimiting.js';
 
@@ -113,6 +114,7 @@ if (process.env.NODE_ENV === 'production') {
 app.use('/api/v1/schemas', schemaRoutes);
 app.use('/api/v1/templates', templateRoutes);
 app.use('/api/v1/ai', aiRoutes);
+app.use('/api/v1/upload', uploadRoutes);
 
 // Health check endpoint
 app.get('/api/v1/health', (req, res) => {
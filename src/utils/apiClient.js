@@ -410,7 +410,7 @@ class APIClient {
   validateSQLOptions(options) {
     const validated = {}
     
-    const allowedDialects = ['mysql', 'postgresql', 'sqlite', 'mssql']
+    const allowedDialects = ['mysql', 'postgresql', 'sqlite', 'mssql', 'oracle']
     if (options.dialect && allowedDialects.includes(options.dialect)) {
       validated.dialect = options.dialect
     }
@@ -0,0 +1,264 @@
+// Data dictionary documentation (Markdown or standalone HTML) built from the loaded schema content
+
+class DataDictionaryGenerator {
+  constructor(format = 'markdown') {
+    this.format = format.toLowerCase();
+  }
+
+  // Generate the document for a schema ({ name, description, version }) and its content
+  generateDocument(schema, { tables, relationships = [] }) {
+    const entries = this.buildEntries(tables, relationships);
+    const generatedAt = new Date().toISOString();
+
+    return this.format === 'html'
+      ? this.generateHTML(schema, entries, relationships.length, generatedAt)
+      : this.generateMarkdown(schema, entries, relationships.length, generatedAt);
+  }
+
+  // One entry per table with its column rows and incoming/outgoing relationships
+  buildEntries(tables, relationships) {
+    const foreignKeys = new Set(relationships.flatMap(rel => foreignKeyColumns(rel).map(pair => pair.sourceColumnId)));
+    const anchors = new Set();
+
+    // Names that slugify alike get numbered anchors
+    const uniqueAnchor = (name) => {
+      const base = `table-${slugify(name)}`;
+      let anchor = base;
+      for (let suffix = 2; anchors.has(anchor); suffix++) {
+        anchor = `${base}-${suffix}`;
+      }
+      anchors.add(anchor);
+      return anchor;
+    };
+
+    return tables.map(table => ({
+      table,
+      anchor: uniqueAnchor(table.name),
+      columns: (table.columns || []).map(column => ({
+        name: column.name,
+        type: formatType(column),
+        nullable: column.isRequired || column.isPrimaryKey ? 'No' : 'Yes',
+        defaultValue: column.isAutoIncrement ? 'auto increment' : (column.defaultValue ?? ''),
+        keys: [
+          column.isPrimaryKey && 'PK',
+          (column.isForeignKey || foreignKeys.has(column.id)) && 'FK',
+          column.isUnique && !column.isPrimaryKey && 'UNIQUE'
+        ].filter(Boolean).join(', '),
+        description: column.description || ''
+      })),
+      outgoing: relationships.filter(rel => rel.sourceTableId === table.id),
+      incoming: relationships.filter(rel => rel.targetTableId === table.id)
+    }));
+  }
+
+  // Markdown document with a table of contents linking to one section per table
+  generateMarkdown(schema, entries, relationshipCount, generatedAt) {
+    const anchors = new Map(entries.map(entry => [entry.table.id, entry.anchor]));
+    const link = (tableId, name) => (anchors.has(tableId) ? `[${escapeMarkdown(name)}](#${anchors.get(tableId)})` : escapeMarkdown(name));
+    const row = (cells) => `| ${cells.map(escapeMarkdown).join(' | ')} |\n`;
+    const linkRow = (cells) => `| ${cells.join(' | ')} |\n`;
+
+    let md = `# ${escapeMarkdown(schema.name)} — Data Dictionary\n\n`;
+    if (schema.description) {
+      md += `${escapeMarkdown(schema.description)}\n\n`;
+    }
+    md += `- Version: ${escapeMarkdown(schema.version || '-')}\n`;
+    md += `- Tables: ${entries.length}\n`;
+    md += `- Relationships: ${relationshipCount}\n`;
+    md += `- Generated at: ${generatedAt}\n\n`;
+
+    md += '## Contents\n\n';
+    for (const entry of entries) {
+      md += `- ${link(entry.table.id, entry.table.name)}\n`;
+    }
+
+    for (const entry of entries) {
+      md += `\n<a id="${entry.anchor}"></a>\n\n## Table: ${escapeMarkdown(entry.table.name)}\n\n`;
+      if (entry.table.description) {
+        md += `${escapeMarkdown(entry.table.description)}\n\n`;
+      }
+
+      md += '| Column | Type | Nullable | Default | Keys | Description |\n';
+      md += '| --- | --- | --- | --- | --- | --- |\n';
+      for (const column of entry.columns) {
+        md += row([column.name, column.type, column.nullable, column.defaultValue, column.keys, column.description]);
+      }
+
+      if (entry.outgoing.length > 0) {
+        md += '\n**References (outgoing)**\n\n';
+        md += '| Column | References | Type | On Delete | On Update |\n';
+        md += '| --- | --- | --- | --- | --- |\n';
+        for (const rel of entry.outgoing) {
+          md += linkRow([
+            escapeMarkdown(columnNames(rel, 'source')),
+            `${link(rel.targetTableId, rel.targetTableName)}.${escapeMarkdown(columnNames(rel, 'target'))}`,
+            rel.relationshipType,
+            rel.onDelete,
+            rel.onUpdate
+          ]);
+        }
+      }
+
+      if (entry.incoming.length > 0) {
+        md += '\n**Referenced by (incoming)**\n\n';
+        md += '| Table | Column | Referenced column | Type | On Delete | On Update |\n';
+        md += '| --- | --- | --- | --- | --- | --- |\n';
+        for (const rel of entry.incoming) {
+          md += linkRow([
+            link(rel.sourceTableId, rel.sourceTableName),
+            escapeMarkdown(columnNames(rel, 'source')),
+            escapeMarkdown(columnNames(rel, 'target')),
+            rel.relationshipType,
+            rel.onDelete,
+            rel.onUpdate
+          ]);
+        }
+      }
+    }
+
+    return md;
+  }
+
+  // Standalone HTML document (inline styles, no external assets)
+  generateHTML(schema, entries, relationshipCount, generatedAt) {
+    const anchors = new Map(entries.map(entry => [entry.table.id, entry.anchor]));
+    const link = (tableId, name) => (anchors.has(tableId) ? `<a href="#${anchors.get(tableId)}">${escapeHtml(name)}</a>` : escapeHtml(name));
+    const cells = (values, tag = 'td') => `<tr>${values.map(value => `<${tag}>${value}</${tag}>`).join('')}</tr>\n`;
+
+    let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(schema.name)} — Data Dictionary</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; }
+  h1 { border-bottom: 2px solid #444; padding-bottom: .3rem; }
+  h2 { margin-top: 2.5rem; border-bottom: 1px solid #ccc; padding-bottom: .2rem; }
+  table { border-collapse: collapse; width: 100%; margin: .8rem 0; font-size: .9rem; }
+  th, td { border: 1px solid #ccc; padding: .35rem .5rem; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; }
+  .meta { color: #666; }
+  .keys { white-space: nowrap; font-weight: bold; }
+  code { font-size: .85rem; }
+  @media print { h2 { page-break-before: auto; } a { color: inherit; text-decoration: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(schema.name)} — Data Dictionary</h1>
+`;
+    if (schema.description) {
+      html += `<p>${escapeHtml(schema.description)}</p>\n`;
+    }
+    html += `<p class="meta">Version ${escapeHtml(schema.version || '-')} · ${entries.length} tables · ${relationshipCount} relationships · Generated at ${generatedAt}</p>\n`;
+
+    html += '<h2 id="contents">Contents</h2>\n<ul>\n';
+    for (const entry of entries) {
+      html += `<li>${link(entry.table.id, entry.table.name)}</li>\n`;
+    }
+    html += '</ul>\n';
+
+    for (const entry of entries) {
+      html += `<section>\n<h2 id="${entry.anchor}">${escapeHtml(entry.table.name)}</h2>\n`;
+      if (entry.table.description) {
+        html += `<p>${escapeHtml(entry.table.description)}</p>\n`;
+      }
+
+      html += '<table>\n';
+      html += cells(['Column', 'Type', 'Nullable', 'Default', 'Keys', 'Description'], 'th');
+      for (const column of entry.columns) {
+        html += cells([
+          `<code>${escapeHtml(column.name)}</code>`,
+          escapeHtml(column.type),
+          column.nullable,
+          escapeHtml(column.defaultValue),
+          `<span class="keys">${column.keys}</span>`,
+          escapeHtml(column.description)
+        ]);
+      }
+      html += '</table>\n';
+
+      if (entry.outgoing.length > 0) {
+        html += '<h3>References (outgoing)</h3>\n<table>\n';
+        html += cells(['Column', 'References', 'Type', 'On Delete', 'On Update'], 'th');
+        for (const rel of entry.outgoing) {
+          html += cells([
+            `<code>${escapeHtml(columnNames(rel, 'source'))}</code>`,
+            `${link(rel.targetTableId, rel.targetTableName)}.<code>${escapeHtml(columnNames(rel, 'target'))}</code>`,
+            escapeHtml(rel.relationshipType),
+            escapeHtml(rel.onDelete),
+            escapeHtml(rel.onUpdate)
+          ]);
+        }
+        html += '</table>\n';
+      }
+
+      if (entry.incoming.length > 0) {
+        html += '<h3>Referenced by (incoming)</h3>\n<table>\n';
+        html += cells(['Table', 'Column', 'Referenced column', 'Type', 'On Delete', 'On Update'], 'th');
+        for (const rel of entry.incoming) {
+          html += cells([
+            link(rel.sourceTableId, rel.sourceTableName),
+            `<code>${escapeHtml(columnNames(rel, 'source'))}</code>`,
+            `<code>${escapeHtml(columnNames(rel, 'target'))}</code>`,
+            escapeHtml(rel.relationshipType),
+            escapeHtml(rel.onDelete),
+            escapeHtml(rel.onUpdate)
+          ]);
+        }
+        html += '</table>\n';
+      }
+
+      html += '<p><a href="#contents">Back to contents</a></p>\n</section>\n';
+    }
+
+    html += '</body>\n</html>\n';
+    return html;
+  }
+}
+
+// Type with its length or precision, e.g. VARCHAR(255), DECIMAL(10,2)
+function formatType(column) {
+  if (column.length && ['VARCHAR', 'CHAR'].includes(column.dataType)) {
+    return `${column.dataType}(${column.length})`;
+  }
+  if (column.precision && ['DECIMAL', 'NUMERIC'].includes(column.dataType)) {
+    return `${column.dataType}(${column.precision},${column.scale || 0})`;
+  }
+  return column.dataType;
+}
+
+// Column pairs of a relationship (a single pair unless the foreign key is composite)
+function foreignKeyColumns(rel) {
+  return rel.columns?.length ? rel.columns : [rel];
+}
+
+// Source or target column names of a relationship, comma-separated for composite foreign keys
+function columnNames(rel, side) {
+  return foreignKeyColumns(rel).map(pair => pair[`${side}ColumnName`]).join(', ');
+}
+
+// Anchor-safe version of a table name
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'table';
+}
+
+// Markdown text (headings, paragraphs and table cells): escape HTML and pipes, and turn line breaks into <br>
+function escapeMarkdown(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, '<br>');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = DataDictionaryGenerator;
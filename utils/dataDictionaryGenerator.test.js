@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import DataDictionaryGenerator from './dataDictionaryGenerator';
+
+const schema = { name: 'Shop <&>', description: 'Orders | "refunds"', version: '1.0.0' };
+const content = {
+  tables: [
+    {
+      id: 'users',
+      name: 'users',
+      description: 'People\nand bots',
+      columns: [
+        { id: 'users.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true, isAutoIncrement: true },
+        { id: 'users.email', name: 'email', dataType: 'VARCHAR', length: 255, isUnique: true, isRequired: true, description: 'a|b <i>' }
+      ]
+    },
+    {
+      id: 'posts',
+      name: 'Posts!',
+      columns: [
+        { id: 'posts.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+        { id: 'posts.user_id', name: 'user_id', dataType: 'INTEGER', defaultValue: '0' }
+      ]
+    }
+  ],
+  relationships: [{
+    id: 'r1',
+    relationshipType: 'one-to-many',
+    onDelete: 'CASCADE',
+    onUpdate: 'NO ACTION',
+    sourceTableId: 'posts',
+    sourceColumnId: 'posts.user_id',
+    targetTableId: 'users',
+    targetColumnId: 'users.id',
+    sourceTableName: 'Posts!',
+    sourceColumnName: 'user_id',
+    targetTableName: 'users',
+    targetColumnName: 'id'
+  }]
+};
+
+describe('DataDictionaryGenerator', () => {
+  it('writes Markdown with escaped text, column tables and linked relationships', () => {
+    const md = new DataDictionaryGenerator('markdown').generateDocument(schema, content);
+
+    expect(md.startsWith('# Shop &lt;&amp;&gt; — Data Dictionary\n\nOrders \\| "refunds"\n\n- Version: 1.0.0\n- Tables: 2\n- Relationships: 1\n')).toBe(true);
+    expect(md).toContain('- [users](#table-users)\n- [Posts!](#table-posts)\n');
+    expect(md).toContain('<a id="table-users"></a>\n\n## Table: users\n\nPeople<br>and bots\n');
+    expect(md).toContain('| id | INTEGER | No | auto increment | PK |  |\n');
+    expect(md).toContain('| email | VARCHAR(255) | No |  | UNIQUE | a\\|b &lt;i&gt; |\n');
+    expect(md).toContain('| user_id | INTEGER | Yes | 0 | FK |  |\n');
+    expect(md).toContain('| user_id | [users](#table-users).id | one-to-many | CASCADE | NO ACTION |\n');
+    expect(md).toContain('| [Posts!](#table-posts) | user_id | id | one-to-many | CASCADE | NO ACTION |\n');
+  });
+
+  it('writes a standalone HTML page', () => {
+    const html = new DataDictionaryGenerator('html').generateDocument(schema, content);
+
+    expect(html).toContain('<title>Shop &lt;&amp;&gt; — Data Dictionary</title>');
+    expect(html).toContain('<p>Orders | &quot;refunds&quot;</p>');
+    expect(html).toContain('<h2 id="table-posts">Posts!</h2>');
+    expect(html).toContain('<tr><td><code>email</code></td><td>VARCHAR(255)</td><td>No</td><td></td><td><span class="keys">UNIQUE</span></td><td>a|b &lt;i&gt;</td></tr>');
+    expect(html).toContain('<tr><td><a href="#table-posts">Posts!</a></td><td><code>user_id</code></td><td><code>id</code></td>');
+  });
+});
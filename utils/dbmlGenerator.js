@@ -0,0 +1,199 @@
+// DBML generation: tables with column settings and notes, relationships as Ref lines
+
+// Cardinality operator for each relationship type (source side on the left)
+const REF_OPERATORS = {
+  'one-to-one': '-',
+  'one-to-many': '>',
+  'many-to-many': '<>'
+};
+
+// Tables without a custom color are exported without headercolor
+const DEFAULT_COLOR = '#ffffff';
+
+class DBMLGenerator {
+  // Generate a complete DBML document
+  generateSchema(tables, relationships = [], options = {}) {
+    const { includeComments = true } = options;
+    const blocks = [];
+
+    for (const table of tables) {
+      blocks.push(this.generateTable(table, includeComments));
+    }
+
+    const refs = this.generateRefs(tables, relationships);
+    if (refs) {
+      blocks.push(refs);
+    }
+
+    return (includeComments ? this.generateHeader() : '') + blocks.join('\n');
+  }
+
+  // Generate header comment
+  generateHeader() {
+    const timestamp = new Date().toISOString();
+    return `// DBML generated by Database Schema Designer
+// Generated at: ${timestamp}
+
+`;
+  }
+
+  // Table block; the description becomes the table note when comments are included
+  generateTable(table, includeComments = true) {
+    const settings = [];
+    if (table.color && table.color.toLowerCase() !== DEFAULT_COLOR) {
+      settings.push(`headercolor: ${table.color}`);
+    }
+
+    const primaryKeys = (table.columns || []).filter(column => column.isPrimaryKey);
+    let output = `Table ${quoteName(table.name)}${settings.length > 0 ? ` [${settings.join(', ')}]` : ''} {\n`;
+
+    for (const column of table.columns || []) {
+      const columnSettings = this.generateColumnSettings(column, primaryKeys.length === 1, includeComments);
+      output += `  ${quoteName(column.name)} ${this.formatType(column)}${columnSettings.length > 0 ? ` [${columnSettings.join(', ')}]` : ''}\n`;
+    }
+
+    // Composite primary keys are declared in the Indexes block, before the table indexes
+    const indexes = (table.indexes || []).map(index => this.generateIndex(table, index, includeComments));
+    if (primaryKeys.length > 1) {
+      indexes.unshift(`(${primaryKeys.map(column => quoteName(column.name)).join(', ')}) [pk]`);
+    }
+    if (indexes.length > 0) {
+      output += `\n  Indexes {\n${indexes.map(index => `    ${index}\n`).join('')}  }\n`;
+    }
+
+    if (includeComments && table.description) {
+      output += `\n  Note: ${quoteString(table.description)}\n`;
+    }
+
+    output += '}\n';
+    return output;
+  }
+
+  // Indexes entry: a column, an expression in backticks or a parenthesized list, with its settings.
+  // DBML has no sort orders or partial indexes; an index with a WHERE clause is written as a comment.
+  generateIndex(table, index, includeComments = true) {
+    const parts = index.columns.map(part => (part.expression
+      ? `\`${part.expression}\``
+      : quoteName(table.columns.find(column => column.id === part.columnId)?.name || part.columnName)));
+    const settings = [`name: ${quoteString(index.name)}`];
+    if (index.isUnique) {
+      settings.unshift('unique');
+    }
+    if (index.method === 'btree' || index.method === 'hash') {
+      settings.push(`type: ${index.method}`);
+    }
+    if (includeComments && index.description) {
+      settings.push(`note: ${quoteString(index.description)}`);
+    }
+
+    const entry = `${parts.length === 1 ? parts[0] : `(${parts.join(', ')})`} [${settings.join(', ')}]`;
+    return index.where ? `// ${entry} WHERE ${index.where.replace(/\s+/g, ' ')}` : entry;
+  }
+
+  // Column settings: pk, increment, unique, not null, default and note
+  generateColumnSettings(column, isSinglePrimaryKey, includeComments = true) {
+    const settings = [];
+
+    if (column.isPrimaryKey && isSinglePrimaryKey) {
+      settings.push('pk');
+    }
+    if (column.isAutoIncrement) {
+      settings.push('increment');
+    }
+    if (column.isUnique && !column.isPrimaryKey) {
+      settings.push('unique');
+    }
+    if (column.isRequired && !column.isPrimaryKey) {
+      settings.push('not null');
+    }
+
+    const defaultValue = this.formatDefaultValue(column);
+    if (defaultValue !== null) {
+      settings.push(`default: ${defaultValue}`);
+    }
+
+    if (includeComments && column.description) {
+      settings.push(`note: ${quoteString(column.description)}`);
+    }
+
+    return settings;
+  }
+
+  // Column type with its length or precision, e.g. varchar(255), decimal(10,2)
+  formatType(column) {
+    const type = column.dataType.toLowerCase();
+
+    if (column.length && ['VARCHAR', 'CHAR'].includes(column.dataType)) {
+      return `${type}(${column.length})`;
+    }
+    if (column.precision && ['DECIMAL', 'NUMERIC'].includes(column.dataType)) {
+      return `${type}(${column.precision},${column.scale || 0})`;
+    }
+
+    return type;
+  }
+
+  // Default value: numbers and booleans as-is, expressions in backticks, everything else quoted
+  formatDefaultValue(column) {
+    const value = column.defaultValue;
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    if (/^-?\d+(\.\d+)?$/.test(value) || /^(true|false|null)$/i.test(value)) {
+      return value.toLowerCase();
+    }
+    if (/^current_(timestamp|date|time)$/i.test(value) || /\(.*\)$/.test(value)) {
+      return `\`${value}\``;
+    }
+
+    return quoteString(value);
+  }
+
+  // One Ref line per relationship
+  generateRefs(tables, relationships) {
+    const tablesById = new Map(tables.map(table => [table.id, table]));
+    let output = '';
+
+    for (const rel of relationships) {
+      const source = tablesById.get(rel.sourceTableId);
+      const target = tablesById.get(rel.targetTableId);
+      const pairs = rel.columns?.length ? rel.columns : [rel];
+      const sourceColumns = pairs.map(pair => source?.columns.find(column => column.id === pair.sourceColumnId));
+      const targetColumns = pairs.map(pair => target?.columns.find(column => column.id === pair.targetColumnId));
+      if (sourceColumns.includes(undefined) || targetColumns.includes(undefined)) continue;
+
+      const name = rel.name ? ` ${quoteName(rel.name)}` : '';
+      const operator = REF_OPERATORS[rel.relationshipType] || '>';
+      const settings = [
+        `delete: ${(rel.onDelete || 'NO ACTION').toLowerCase()}`,
+        `update: ${(rel.onUpdate || 'NO ACTION').toLowerCase()}`
+      ];
+
+      output += `Ref${name}: ${quoteName(source.name)}.${columnList(sourceColumns)} ${operator} `
+        + `${quoteName(target.name)}.${columnList(targetColumns)} [${settings.join(', ')}]\n`;
+    }
+
+    return output;
+  }
+}
+
+// Names that are not plain identifiers are double-quoted
+function quoteName(name) {
+  return /^\w+$/.test(name) ? name : `"${name.replace(/"/g, '\\"')}"`;
+}
+
+// Column of a Ref, or a parenthesized list for composite foreign keys
+function columnList(columns) {
+  return columns.length === 1 ? quoteName(columns[0].name) : `(${columns.map(column => quoteName(column.name)).join(', ')})`;
+}
+
+// Single-quoted string; multi-line text uses a triple-quoted string
+function quoteString(text) {
+  if (text.includes('\n')) {
+    return `'''${text.replace(/'''/g, "\\'''")}'''`;
+  }
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+module.exports = DBMLGenerator;
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import DBMLGenerator from './dbmlGenerator';
+import DBMLParser from './dbmlParser';
+
+const tables = [
+  {
+    id: 'users',
+    name: 'users',
+    description: "Owner's accounts",
+    color: '#3498db',
+    columns: [
+      { id: 'users.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true, isAutoIncrement: true },
+      { id: 'users.email', name: 'email', dataType: 'VARCHAR', length: 120, isUnique: true, isRequired: true }
+    ]
+  },
+  {
+    id: 'posts',
+    name: 'posts',
+    columns: [
+      { id: 'posts.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+      { id: 'posts.user_id', name: 'user_id', dataType: 'INTEGER', isRequired: true },
+      { id: 'posts.score', name: 'score', dataType: 'DECIMAL', precision: 8, scale: 2, defaultValue: '0' }
+    ],
+    indexes: [
+      { name: 'idx_posts_user_score', isUnique: false, method: 'hash', columns: [{ columnId: 'posts.user_id' }, { columnId: 'posts.score' }] },
+      { name: 'idx_posts_abs', isUnique: true, columns: [{ expression: 'abs(score)' }] }
+    ]
+  }
+];
+const relationships = [{
+  id: 'r1',
+  relationshipType: 'one-to-many',
+  onDelete: 'CASCADE',
+  onUpdate: 'NO ACTION',
+  sourceTableId: 'posts',
+  sourceColumnId: 'posts.user_id',
+  targetTableId: 'users',
+  targetColumnId: 'users.id'
+}];
+
+describe('DBMLGenerator', () => {
+  const dbml = new DBMLGenerator().generateSchema(tables, relationships);
+
+  it('writes tables with their settings and refs with their actions', () => {
+    expect(dbml).toContain('Table users [headercolor: #3498db] {');
+    expect(dbml).toContain('  id integer [pk, increment]');
+    expect(dbml).toContain('Ref: posts.user_id > users.id [delete: cascade, update: no action]');
+    expect(dbml).toContain("    (user_id, score) [name: 'idx_posts_user_score', type: hash]\n");
+    expect(dbml).toContain("    `abs(score)` [unique, name: 'idx_posts_abs']\n");
+  });
+
+  it('can be read back by the DBML parser', () => {
+    const parsed = new DBMLParser().parse(dbml);
+
+    expect(parsed.warnings).toEqual([]);
+    expect(parsed.tables.find(table => table.name === 'users')).toMatchObject({ description: "Owner's accounts" });
+    expect(parsed.tables.find(table => table.name === 'users').columns[1]).toMatchObject({ dataType: 'VARCHAR', length: 120, isUnique: true, isRequired: true });
+    expect(parsed.tables.find(table => table.name === 'posts').columns[2]).toMatchObject({ dataType: 'DECIMAL', precision: 8, scale: 2, defaultValue: '0' });
+    expect(parsed.tables.find(table => table.name === 'posts').indexes.map(index => index.name)).toEqual(['idx_posts_user_score', 'idx_posts_abs']);
+    expect(parsed.relationships).toEqual([expect.objectContaining({
+      sourceTable: 'posts', sourceColumn: 'user_id', targetTable: 'users', targetColumn: 'id', relationshipType: 'one-to-many', onDelete: 'CASCADE'
+    })]);
+  });
+});
@@ -0,0 +1,593 @@
+// DBML parser: turns Table, Ref and Enum definitions into tables and relationships
+// that reference each other by name (see namedContentToContent in utils/schemaData.js)
+
+const SQLParser = require('./sqlParser');
+
+// Ref operators mapped to relationship types; for '<' the right-hand side holds the foreign key
+const REF_TYPES = {
+  '>': 'one-to-many',
+  '<': 'one-to-many',
+  '-': 'one-to-one',
+  '<>': 'many-to-many'
+};
+
+const REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION'];
+
+class DBMLParser {
+  // Parse DBML text into { tables, relationships, warnings }
+  parse(dbml) {
+    this.typeParser = new SQLParser('postgresql');
+    this.warnings = [];
+    this.tables = [];
+    this.tablesByName = new Map();
+    this.enums = new Map();
+    this.refs = [];
+    this.indexes = [];
+
+    const stream = new TokenStream(tokenize(dbml));
+
+    while (!stream.done()) {
+      const token = stream.next();
+      const keyword = token.type === 'word' ? token.value.toLowerCase() : null;
+
+      if (keyword === 'table') {
+        this.parseTable(stream);
+      } else if (keyword === 'ref') {
+        this.parseRef(stream);
+      } else if (keyword === 'enum') {
+        this.parseEnum(stream);
+      } else if (keyword === 'project' || keyword === 'note') {
+        this.skipBlock(stream);
+      } else if (keyword === 'tablegroup' || keyword === 'tablepartial' || keyword === 'records') {
+        this.warnings.push(`Ignored ${token.value} ${this.skipBlock(stream)}`);
+      } else {
+        this.warnings.push(`Skipped unexpected "${token.value}"`);
+      }
+    }
+
+    this.resolveEnums();
+    const relationships = this.resolveRefs();
+    this.attachIndexes();
+
+    return { tables: this.tables, relationships, warnings: this.warnings };
+  }
+
+  // Table name [as alias] [settings] { columns, Note, Indexes }
+  parseTable(stream) {
+    const name = stream.readQualifiedName();
+    const table = { name, description: '', columns: [], indexes: [] };
+
+    if (stream.acceptWord('as')) {
+      this.tablesByName.set(stream.next().value.toLowerCase(), table);
+    }
+
+    if (stream.isPunct('[')) {
+      const settings = this.readSettings(stream);
+      const color = normalizeColor(settings.headercolor);
+      if (color) table.color = color;
+      if (settings.note) table.description = settings.note;
+    }
+
+    stream.expectPunct('{');
+    while (!stream.acceptPunct('}')) {
+      if (stream.peekWord('note') && (stream.isPunct(':', 1) || stream.isPunct('{', 1))) {
+        stream.next();
+        table.description = this.readNote(stream);
+      } else if (stream.peekWord('indexes') && stream.isPunct('{', 1)) {
+        stream.next();
+        this.parseIndexes(stream, table);
+      } else {
+        this.parseColumn(stream, table);
+      }
+    }
+
+    this.tables.push(table);
+    this.tablesByName.set(name.toLowerCase(), table);
+  }
+
+  // name type [settings]
+  parseColumn(stream, table) {
+    const name = stream.next().value;
+    const typeText = this.readTypeText(stream);
+    const label = `${table.name}.${name}`;
+
+    const { warnings, nativeType, ...type } = this.typeParser.mapColumnType(typeText, label);
+    const column = {
+      name,
+      dataType: 'TEXT',
+      length: null,
+      precision: null,
+      scale: null,
+      ...type,
+      isPrimaryKey: false,
+      isUnique: false,
+      isRequired: false,
+      isAutoIncrement: Boolean(type.isAutoIncrement),
+      defaultValue: null,
+      description: ''
+    };
+
+    // Unknown types may name an enum; they are resolved once all enums are read
+    column.typeName = typeText;
+    column.typeWarnings = warnings;
+
+    if (stream.isPunct('[') && !stream.isPunct(']', 1)) {
+      const settings = this.readSettings(stream, { table, column });
+      column.isPrimaryKey = Boolean(settings.pk);
+      column.isUnique = Boolean(settings.unique) && !column.isPrimaryKey;
+      column.isRequired = Boolean(settings['not null']) || column.isPrimaryKey;
+      column.isAutoIncrement = column.isAutoIncrement || Boolean(settings.increment);
+      if (settings.note) column.description = settings.note;
+      if (settings.default !== undefined) column.defaultValue = settings.default;
+    }
+
+    table.columns.push(column);
+  }
+
+  // Type text such as int, varchar(255), "character varying", decimal(10, 2) or int[]
+  readTypeText(stream) {
+    let typeText = stream.next().value;
+
+    if (stream.isPunct('.') && stream.peek(1)?.type === 'word') {
+      // Schema-qualified enum type
+      stream.next();
+      typeText = stream.next().value;
+    }
+
+    if (stream.isPunct('(')) {
+      typeText += `(${stream.readGroup('(', ')').map(token => token.value).join('')})`;
+    }
+
+    if (stream.isPunct('[') && stream.isPunct(']', 1)) {
+      stream.next();
+      stream.next();
+      typeText += '[]';
+    }
+
+    return typeText;
+  }
+
+  // Indexes { col [settings] | (a, b) [settings] | `expression` }
+  parseIndexes(stream, table) {
+    stream.expectPunct('{');
+
+    while (!stream.acceptPunct('}')) {
+      const tokens = stream.isPunct('(')
+        ? stream.readGroup('(', ')').filter(token => !(token.type === 'punct' && token.value === ','))
+        : [stream.next()];
+      const parts = tokens.map(token => (token.type === 'expression'
+        ? { expression: token.value, order: 'ASC' }
+        : { columnName: token.value, order: 'ASC' }));
+      const columns = parts.map(part => part.columnName ?? null);
+
+      const settings = stream.isPunct('[') ? this.readSettings(stream) : {};
+
+      if (settings.pk) {
+        for (const name of columns) {
+          const column = table.columns.find(col => col.name.toLowerCase() === (name || '').toLowerCase());
+          if (column) {
+            column.isPrimaryKey = true;
+            column.isRequired = true;
+            column.isUnique = false;
+          }
+        }
+      } else if (settings.unique && columns.length === 1 && columns[0] !== null
+        && table.columns.some(col => col.name.toLowerCase() === columns[0].toLowerCase())) {
+        const column = table.columns.find(col => col.name.toLowerCase() === columns[0].toLowerCase());
+        if (!column.isPrimaryKey) column.isUnique = true;
+      } else {
+        this.indexes.push({
+          table,
+          columns,
+          parts,
+          unique: Boolean(settings.unique),
+          name: settings.name || null,
+          method: settings.type ? settings.type.toLowerCase() : null,
+          description: settings.note || ''
+        });
+      }
+    }
+  }
+
+  // Ref [name]: a.x > b.y [settings]  or  Ref [name] { a.x > b.y [settings] ... }
+  parseRef(stream) {
+    let name = null;
+    if (!stream.isPunct(':') && !stream.isPunct('{')) {
+      name = stream.next().value;
+    }
+
+    if (stream.acceptPunct(':')) {
+      this.readRefBody(stream, name);
+      return;
+    }
+
+    stream.expectPunct('{');
+    while (!stream.acceptPunct('}')) {
+      this.readRefBody(stream, name);
+    }
+  }
+
+  // a.x > b.y [settings]
+  readRefBody(stream, name) {
+    const left = this.readEndpoint(stream);
+    const operator = stream.next().value;
+    const right = this.readEndpoint(stream);
+    const settings = stream.isPunct('[') ? this.readSettings(stream) : {};
+
+    this.addRef({ name: name || settings.name || null, left, operator, right, settings });
+  }
+
+  // Inline column reference: [ref: > users.id]
+  readInlineRef(stream, table, column) {
+    const operator = stream.next().value;
+    const right = this.readEndpoint(stream);
+    this.addRef({ name: null, left: { table: table.name, columns: [column.name] }, operator, right, settings: {} });
+  }
+
+  addRef(ref) {
+    if (!REF_TYPES[ref.operator]) {
+      this.warnings.push(`Skipped reference with unknown operator "${ref.operator}"`);
+      return;
+    }
+    this.refs.push(ref);
+  }
+
+  // [schema.]table.column or [schema.]table.(a, b)
+  readEndpoint(stream) {
+    const parts = [stream.next().value];
+    while (stream.acceptPunct('.')) {
+      if (stream.isPunct('(')) {
+        const columns = stream.readGroup('(', ')')
+          .filter(token => !(token.type === 'punct' && token.value === ','))
+          .map(token => token.value);
+        return { table: parts[parts.length - 1], columns };
+      }
+      parts.push(stream.next().value);
+    }
+
+    return { table: parts[parts.length - 2] || '', columns: [parts[parts.length - 1]] };
+  }
+
+  // Enum name { value [note: '...'] ... }
+  parseEnum(stream) {
+    const name = stream.readQualifiedName();
+    const values = [];
+
+    stream.expectPunct('{');
+    while (!stream.acceptPunct('}')) {
+      values.push(stream.next().value);
+      if (stream.isPunct('[')) {
+        this.readSettings(stream);
+      }
+    }
+
+    this.enums.set(name.toLowerCase(), values);
+  }
+
+  // Note: '...'  or  Note { '...' }
+  readNote(stream) {
+    if (stream.acceptPunct(':')) {
+      return stream.next().value;
+    }
+
+    const tokens = stream.readGroup('{', '}');
+    return tokens.map(token => token.value).join(' ');
+  }
+
+  // Skip a block such as Project or TableGroup; returns its name
+  skipBlock(stream) {
+    const nameTokens = [];
+    while (!stream.done() && !stream.isPunct('{')) {
+      nameTokens.push(stream.next().value);
+    }
+    if (!stream.done()) {
+      stream.readGroup('{', '}');
+    }
+    return nameTokens.join('');
+  }
+
+  // [key: value, flag, ...] -> { key: value, flag: true }; inline refs are recorded as they are read
+  readSettings(stream, context = null) {
+    const tokens = stream.readGroup('[', ']');
+    const settings = {};
+
+    for (const part of splitOnCommas(tokens)) {
+      if (part.length === 0) continue;
+
+      const colon = part.findIndex(token => token.type === 'punct' && token.value === ':');
+      if (colon === -1) {
+        settings[part.map(token => token.value.toLowerCase()).join(' ')] = true;
+        continue;
+      }
+
+      const key = part.slice(0, colon).map(token => token.value.toLowerCase()).join(' ');
+      const valueTokens = part.slice(colon + 1);
+
+      if (key === 'ref' && context) {
+        this.readInlineRef(new TokenStream(valueTokens), context.table, context.column);
+      } else if (key === 'default') {
+        settings.default = this.readDefault(valueTokens);
+      } else {
+        settings[key] = valueTokens.map(token => token.value).join(' ');
+      }
+    }
+
+    // "primary key" is an alias of pk
+    if (settings['primary key']) settings.pk = true;
+    return settings;
+  }
+
+  // default: 'text' | 123 | -1.5 | true | null | `expression`
+  readDefault(tokens) {
+    const [first, second] = tokens;
+    if (!first) return null;
+
+    if (first.type === 'string') return first.value;
+    if (first.type === 'expression') return this.typeParser.parseDefaultValue(first.value).defaultValue ?? first.value;
+    if (first.type === 'punct' && first.value === '-' && second) return `-${second.value}`;
+    if (/^null$/i.test(first.value)) return null;
+
+    return first.value;
+  }
+
+  // Columns typed with an enum become VARCHAR wide enough for every value
+  resolveEnums() {
+    for (const table of this.tables) {
+      for (const column of table.columns) {
+        const values = this.enums.get(column.typeName.toLowerCase());
+        if (values) {
+          const longest = Math.max(1, ...values.map(value => value.length));
+          Object.assign(column, { dataType: 'VARCHAR', length: longest, precision: null, scale: null });
+          this.warnings.push(`Enum column ${table.name}.${column.name} (${column.typeName}) was imported as VARCHAR(${longest})`);
+        } else {
+          this.warnings.push(...column.typeWarnings);
+        }
+
+        delete column.typeName;
+        delete column.typeWarnings;
+      }
+    }
+  }
+
+  // Turn collected refs into relationships (the foreign key side is the source)
+  resolveRefs() {
+    const relationships = [];
+
+    for (const { name, left, operator, right, settings } of this.refs) {
+      const [source, target] = operator === '<' ? [right, left] : [left, right];
+      const sourceTable = this.tablesByName.get(source.table.toLowerCase());
+      const targetTable = this.tablesByName.get(target.table.toLowerCase());
+      const label = `${source.table}(${source.columns.join(', ')})`;
+
+      if (source.columns.length !== target.columns.length) {
+        this.warnings.push(`Skipped reference on ${label}: ${source.columns.length} columns reference ${target.columns.length}`);
+        continue;
+      }
+
+      const actions = {};
+      for (const key of ['delete', 'update']) {
+        const action = (settings[key] || 'no action').toUpperCase();
+        actions[key] = REFERENTIAL_ACTIONS.includes(action) ? action : 'NO ACTION';
+        if (actions[key] !== action) {
+          this.warnings.push(`Referential action ${action} on ${label} is not supported; using NO ACTION`);
+        }
+      }
+
+      relationships.push({
+        name,
+        sourceTable: sourceTable?.name || source.table,
+        sourceColumn: source.columns[0],
+        targetTable: targetTable?.name || target.table,
+        targetColumn: target.columns[0],
+        ...(source.columns.length > 1 ? { sourceColumns: source.columns, targetColumns: target.columns } : {}),
+        relationshipType: REF_TYPES[operator],
+        onDelete: actions.delete,
+        onUpdate: actions.update
+      });
+    }
+
+    return relationships;
+  }
+
+  // Add the remaining indexes to their tables
+  attachIndexes() {
+    for (const index of this.indexes) {
+      index.table.indexes.push({
+        name: index.name,
+        isUnique: index.unique,
+        method: index.method,
+        where: null,
+        description: index.description,
+        columns: index.parts
+      });
+    }
+  }
+}
+
+// Sequential access to DBML tokens
+class TokenStream {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    const token = this.tokens[this.position++];
+    if (!token) {
+      throw new DBMLSyntaxError('Unexpected end of input');
+    }
+    return token;
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  peekWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token && token.type === 'word' && token.value.toLowerCase() === word);
+  }
+
+  acceptWord(word) {
+    if (this.peekWord(word)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token && token.type === 'punct' && token.value === value);
+  }
+
+  acceptPunct(value) {
+    if (this.isPunct(value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expectPunct(value) {
+    if (!this.acceptPunct(value)) {
+      const token = this.peek();
+      throw new DBMLSyntaxError(`Expected "${value}" but found ${token ? `"${token.value}"` : 'end of input'}`, token);
+    }
+  }
+
+  // schema.name -> name
+  readQualifiedName() {
+    let name = this.next().value;
+    while (this.acceptPunct('.')) {
+      name = this.next().value;
+    }
+    return name;
+  }
+
+  // Tokens between an opening bracket and its matching closing bracket (both consumed)
+  readGroup(open, close) {
+    this.expectPunct(open);
+    const tokens = [];
+    let depth = 1;
+
+    while (!this.done()) {
+      const token = this.next();
+      if (token.type === 'punct' && token.value === open) depth++;
+      if (token.type === 'punct' && token.value === close && --depth === 0) {
+        return tokens;
+      }
+      tokens.push(token);
+    }
+
+    throw new DBMLSyntaxError(`Missing "${close}"`);
+  }
+}
+
+// Raised for DBML that cannot be parsed; carries the line of the offending token
+class DBMLSyntaxError extends Error {
+  constructor(message, token = null) {
+    super(token ? `${message} on line ${token.line}` : message);
+    this.name = 'DBMLSyntaxError';
+  }
+}
+
+// Split DBML text into tokens, dropping whitespace and comments
+function tokenize(dbml) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  const push = (type, value, length) => {
+    tokens.push({ type, value, line });
+    line += (dbml.slice(i, i + length).match(/\n/g) || []).length;
+    i += length;
+  };
+
+  while (i < dbml.length) {
+    const rest = dbml.slice(i);
+    const char = dbml[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (rest.startsWith('//')) {
+      const end = dbml.indexOf('\n', i);
+      i = end === -1 ? dbml.length : end;
+    } else if (rest.startsWith('/*')) {
+      const end = dbml.indexOf('*/', i + 2);
+      const next = end === -1 ? dbml.length : end + 2;
+      line += (dbml.slice(i, next).match(/\n/g) || []).length;
+      i = next;
+    } else if (rest.startsWith("'''")) {
+      const end = dbml.indexOf("'''", i + 3);
+      const length = (end === -1 ? dbml.length : end + 3) - i;
+      push('string', dedent(dbml.slice(i + 3, i + length - 3).replace(/\\'/g, "'")), length);
+    } else if (char === "'" || char === '"' || char === '`') {
+      const match = new RegExp(`^${char}((?:\\\\.|[^\\\\${char}])*)${char}?`).exec(rest);
+      const type = { "'": 'string', '"': 'ident', '`': 'expression' }[char];
+      push(type, match[1].replace(/\\(.)/g, '$1'), match[0].length);
+    } else if (/^#[0-9a-fA-F]+/.test(rest)) {
+      const match = /^#[0-9a-fA-F]+/.exec(rest);
+      push('color', match[0], match[0].length);
+    } else if (/[0-9]/.test(char)) {
+      const match = /^\d+(\.\d+)?/.exec(rest);
+      push('number', match[0], match[0].length);
+    } else if (/[\w\u0080-\uffff]/.test(char)) {
+      const match = /^[\w\u0080-\uffff]+/.exec(rest);
+      push('word', match[0], match[0].length);
+    } else if (rest.startsWith('<>')) {
+      push('punct', '<>', 2);
+    } else {
+      push('punct', char, 1);
+    }
+  }
+
+  return tokens;
+}
+
+// Split setting tokens on top-level commas
+function splitOnCommas(tokens) {
+  const parts = [[]];
+  let depth = 0;
+
+  for (const token of tokens) {
+    if (token.type === 'punct' && (token.value === '(' || token.value === '[')) depth++;
+    if (token.type === 'punct' && (token.value === ')' || token.value === ']')) depth--;
+
+    if (token.type === 'punct' && token.value === ',' && depth === 0) {
+      parts.push([]);
+    } else {
+      parts[parts.length - 1].push(token);
+    }
+  }
+
+  return parts;
+}
+
+// Remove the common indentation of a multi-line string
+function dedent(text) {
+  const lines = text.replace(/^\n/, '').replace(/\n\s*$/, '').split('\n');
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => /^\s*/.exec(line)[0].length));
+  return lines.map(line => line.slice(Number.isFinite(indent) ? indent : 0)).join('\n');
+}
+
+// #abc and #aabbcc -> #aabbcc; anything else is ignored
+function normalizeColor(value) {
+  if (typeof value !== 'string') return null;
+  if (/^#[0-9a-f]{6}$/i.test(value)) return value.toLowerCase();
+  if (/^#[0-9a-f]{3}$/i.test(value)) {
+    return `#${value.slice(1).split('').map(digit => digit + digit).join('')}`.toLowerCase();
+  }
+  return null;
+}
+
+DBMLParser.DBMLSyntaxError = DBMLSyntaxError;
+
+module.exports = DBMLParser;
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import DBMLParser from './dbmlParser';
+
+describe('DBMLParser', () => {
+  const result = new DBMLParser().parse(`
+    Table users [note: 'People'] {
+      id integer [pk, increment]
+      email varchar(120) [unique, not null]
+    }
+
+    Table orders {
+      region varchar(8)
+      order_no int
+      user_id int [ref: > users.id]
+      total decimal(10,2) [default: 0]
+
+      indexes {
+        (region, order_no) [pk]
+        user_id [name: 'idx_orders_user']
+        (user_id, total) [name: 'idx_orders_user_total', type: hash]
+        \`lower(region)\` [unique, name: 'idx_orders_region_lower']
+      }
+    }
+
+    Table items {
+      id int [pk]
+      region varchar(8)
+      order_no int
+    }
+
+    Ref: items.(region, order_no) > orders.(region, order_no) [delete: cascade]
+  `);
+  const findTable = name => result.tables.find(table => table.name === name);
+
+  it('reads tables, column settings and notes', () => {
+    expect(findTable('users').description).toBe('People');
+    expect(findTable('users').columns[0]).toMatchObject({ name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isAutoIncrement: true });
+    expect(findTable('users').columns[1]).toMatchObject({ dataType: 'VARCHAR', length: 120, isUnique: true, isRequired: true });
+    expect(findTable('orders').columns.find(column => column.name === 'total')).toMatchObject({ precision: 10, scale: 2, defaultValue: '0' });
+    expect(findTable('orders').columns.filter(column => column.isPrimaryKey).map(column => column.name)).toEqual(['region', 'order_no']);
+  });
+
+  it('imports inline and composite refs', () => {
+    expect(result.relationships).toEqual([
+      expect.objectContaining({ sourceTable: 'orders', sourceColumn: 'user_id', targetTable: 'users', targetColumn: 'id' }),
+      expect.objectContaining({
+        sourceTable: 'items',
+        sourceColumns: ['region', 'order_no'],
+        targetTable: 'orders',
+        targetColumns: ['region', 'order_no'],
+        onDelete: 'CASCADE'
+      })
+    ]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('imports indexes with their name, type and expressions, also on foreign key columns', () => {
+    expect(findTable('orders').indexes).toEqual([
+      expect.objectContaining({ name: 'idx_orders_user', isUnique: false, columns: [{ columnName: 'user_id', order: 'ASC' }] }),
+      expect.objectContaining({ name: 'idx_orders_user_total', method: 'hash', columns: [{ columnName: 'user_id', order: 'ASC' }, { columnName: 'total', order: 'ASC' }] }),
+      expect.objectContaining({ name: 'idx_orders_region_lower', isUnique: true, columns: [{ expression: 'lower(region)', order: 'ASC' }] })
+    ]);
+  });
+
+  it('throws DBMLSyntaxError with the line of the error', () => {
+    expect(() => new DBMLParser().parse('Table users {\n  id int [pk\n  name text\n}')).toThrow(DBMLParser.DBMLSyntaxError);
+    expect(() => new DBMLParser().parse('Table users\n  id int [pk]\n}')).toThrow('Expected "{" but found "id" on line 2');
+  });
+});
@@ -0,0 +1,161 @@
+// SQL dialect registry. SQLGenerator and the `dialect` validators look dialects up here,
+// so a dialect added with registerDialect() is accepted everywhere the built-in ones are.
+//
+// A dialect is a plain object; everything except `name` and `types` has a default:
+//   name              registry key (lowercase), e.g. 'mysql'
+//   displayName       name used in warnings, e.g. 'MySQL'
+//   types             generic data type -> native type; '(n)' is replaced by the length and
+//                     '(p,s)' by precision and scale
+//   downgradedTypes   generic types without a native equivalent (reported as warnings)
+//   identifierLength  longest identifier, or null; longer names are shortened
+//   booleanLiterals   { true, false } literals for defaults and generated data
+//   currentTimestamp  expression used for CURRENT_TIMESTAMP / NOW() defaults
+//   tableOptions      appended after the closing parenthesis of CREATE TABLE
+//   addColumnKeyword  ALTER TABLE clause adding a column in migrations ('ADD COLUMN' or 'ADD')
+//   capabilities      flags, see DEFAULT_CAPABILITIES
+// and hooks, called with the SQLGenerator as the last argument:
+//   quoteIdentifier(identifier)               quote a (possibly shortened) identifier
+//   formatBinary(hex)                         binary literal
+//   getAutoIncrementType(dataType, generator) native type replacing an auto increment column's type, or null
+//   getAutoIncrementSyntax(generator)         clause after the type (or after PRIMARY KEY, see capabilities)
+//   generateTableExtras(table, generator)     statements following CREATE TABLE (sequences, triggers)
+//   generateDropTable(table, generator)       DROP TABLE statement(s)
+//   generateDropForeignKey(table, constraint) statement dropping a foreign key (both arguments quoted)
+//   generateDropForeignKeyIfExists(foreignKey, generator)  the same, doing nothing when the table or
+//                                             constraint does not exist; foreignKey has table and
+//                                             constraint (quoted) and tableName and constraintName
+//   formatIndexExpression(expression)         expression entry of an index column list
+//   generateCreateIndex(index)                CREATE INDEX statement; index has name, table, columns
+//                                             (quoted, with sort order), unique, method and where
+// Migration hooks (MigrationGenerator); like the ones above they return statements ending in ';\n':
+//   generateAddPrimaryKey(table, constraint, columns)  add a primary key (all arguments quoted)
+//   generateDropPrimaryKey(key, warnings, generator)   drop a primary key; key has table (quoted),
+//                                             tableName, previousTableName and columnCount
+//   generateAlterColumn(change, warnings, generator)   change a column's type, nullability, default
+//                                             and auto increment; change has table and name (quoted),
+//                                             label ('table.column'), column, previous, type (native)
+//                                             and the typeChanged, nullabilityChanged, defaultChanged
+//                                             and autoIncrementChanged flags. What cannot be changed
+//                                             is reported in warnings
+//   generateDropCheck(table, constraint)      drop a CHECK constraint (both arguments quoted)
+//   generateRenameTable(from, to, generator)  rename a table (names unquoted)
+//   generateRenameColumn(table, from, to, generator) rename a column (names unquoted)
+//   generateDropIndex(index, table)           drop an index (both arguments quoted)
+
+const mysql = require('./mysql');
+const postgresql = require('./postgresql');
+const sqlite = require('./sqlite');
+const mssql = require('./mssql');
+const oracle = require('./oracle');
+
+const DEFAULT_CAPABILITIES = {
+  autoIncrement: false,               // integer columns can auto increment
+  autoIncrementAfterPrimaryKey: false, // auto increment clause follows PRIMARY KEY (single-column keys only)
+  autoIncrementRequiresKey: false,    // auto increment columns must be a primary key or unique
+  columnComments: false,              // inline COMMENT '...' on columns
+  commentStatements: false,           // COMMENT ON TABLE / COLUMN statements
+  defaultBeforeConstraints: false,    // DEFAULT must precede PRIMARY KEY / NOT NULL / UNIQUE
+  alterForeignKeys: true,             // ALTER TABLE ADD CONSTRAINT adds foreign keys (closing dependency cycles)
+  deleteActions: null,                // ON DELETE actions accepted (null: all); others are left out
+  updateActions: null,                // ON UPDATE actions accepted (null: all); others are left out
+  indexKeyColumns: true,              // columns already indexed by a key constraint can be indexed again
+  configurableIdentifierLength: false, // the identifierLength option overrides the dialect's limit
+  indexMethods: [],                   // index methods accepted (USING ...); others get the default method
+  partialIndexes: false,              // CREATE INDEX ... WHERE
+  expressionIndexes: true             // expressions in index column lists
+};
+
+const BASE_DIALECT = {
+  downgradedTypes: [],
+  identifierLength: null,
+  booleanLiterals: { true: 'TRUE', false: 'FALSE' },
+  currentTimestamp: 'CURRENT_TIMESTAMP',
+  tableOptions: '',
+  addColumnKeyword: 'ADD COLUMN',
+  quoteIdentifier: identifier => `"${identifier}"`,
+  formatBinary: hex => `X'${hex}'`,
+  getAutoIncrementType: () => null,
+  getAutoIncrementSyntax: () => '',
+  generateTableExtras: () => '',
+  generateDropTable: (table, generator) => `DROP TABLE IF EXISTS ${generator.quoteIdentifier(table.name)};\n`,
+  generateDropForeignKey: (table, constraint) => `ALTER TABLE ${table} DROP CONSTRAINT ${constraint};\n`,
+  generateDropForeignKeyIfExists: ({ table, constraint }) => `ALTER TABLE IF EXISTS ${table} DROP CONSTRAINT IF EXISTS ${constraint};\n`,
+  formatIndexExpression: expression => `(${expression})`,
+  generateCreateIndex: ({ name, table, columns, unique, method, where }) =>
+    `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${name} ON ${table}${method ? ` USING ${method}` : ''} (${columns.join(', ')})${where ? ` WHERE ${where}` : ''};\n`,
+  generateAddPrimaryKey: (table, constraint, columns) => `ALTER TABLE ${table} ADD CONSTRAINT ${constraint} PRIMARY KEY (${columns});\n`,
+  generateDropPrimaryKey({ table, tableName, previousTableName, columnCount }, warnings, generator) {
+    if (columnCount === 1) {
+      warnings.push(`The primary key of ${tableName} has a server-generated name; verify the DROP CONSTRAINT statement`);
+    }
+    return `ALTER TABLE ${table} DROP CONSTRAINT ${generator.quoteIdentifier(`pk_${previousTableName}`)};\n`;
+  },
+  // Dialects without ALTER COLUMN support
+  generateAlterColumn({ label }, warnings, generator) {
+    warnings.push(`Changes to ${label} must be applied manually in ${generator.dialectDefinition.displayName}`);
+    return '';
+  },
+  generateDropCheck: (table, constraint) => `ALTER TABLE ${table} DROP CONSTRAINT ${constraint};\n`,
+  generateRenameTable: (from, to, generator) =>
+    `ALTER TABLE ${generator.quoteIdentifier(from)} RENAME TO ${generator.quoteIdentifier(to)};\n`,
+  generateRenameColumn: (table, from, to, generator) =>
+    `ALTER TABLE ${generator.quoteIdentifier(table)} RENAME COLUMN ${generator.quoteIdentifier(from)} TO ${generator.quoteIdentifier(to)};\n`,
+  generateDropIndex: index => `DROP INDEX ${index};\n`
+};
+
+const dialects = new Map();
+
+// Add a dialect; names are unique and case-insensitive
+function registerDialect(definition) {
+  if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+    throw new Error('A dialect needs a name');
+  }
+  if (!definition.types || typeof definition.types !== 'object') {
+    throw new Error(`Dialect ${definition.name} needs a types mapping`);
+  }
+
+  const name = definition.name.trim().toLowerCase();
+  if (dialects.has(name)) {
+    throw new Error(`Dialect ${name} is already registered`);
+  }
+
+  const dialect = {
+    ...BASE_DIALECT,
+    displayName: definition.name,
+    ...definition,
+    name,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...definition.capabilities }
+  };
+
+  dialects.set(name, dialect);
+  return dialect;
+}
+
+// Look up a dialect by name
+function getDialect(name) {
+  const dialect = dialects.get(String(name).toLowerCase());
+  if (!dialect) {
+    throw new Error(`Unsupported SQL dialect: ${name}`);
+  }
+  return dialect;
+}
+
+function hasDialect(name) {
+  return typeof name === 'string' && dialects.has(name.toLowerCase());
+}
+
+// Names of the registered dialects, in registration order
+function listDialects() {
+  return [...dialects.keys()];
+}
+
+for (const dialect of [mysql, postgresql, sqlite, mssql, oracle]) {
+  registerDialect(dialect);
+}
+
+module.exports = {
+  registerDialect,
+  getDialect,
+  hasDialect,
+  listDialects
+};
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+// Loaded through Node's require, like SQLGenerator loads the registry, so that both share it
+const require = createRequire(import.meta.url);
+const { registerDialect, getDialect, hasDialect, listDialects } = require('./index.js');
+const SQLGenerator = require('../sqlGenerator.js');
+
+describe('dialect registry', () => {
+  it('generates SQL for a registered dialect with the base defaults', () => {
+    registerDialect({
+      name: 'Warehouse',
+      types: { INTEGER: 'INT64', VARCHAR: 'STRING' },
+      quoteIdentifier: identifier => `\`${identifier}\``
+    });
+    const sql = new SQLGenerator('warehouse').generateCreateTable({
+      name: 'events',
+      columns: [
+        { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isAutoIncrement: true },
+        { name: 'kind', dataType: 'VARCHAR', length: 20 }
+      ]
+    }, false);
+
+    expect(hasDialect('WAREHOUSE')).toBe(true);
+    expect(listDialects()).toEqual(['mysql', 'postgresql', 'sqlite', 'mssql', 'oracle', 'warehouse']);
+    expect(getDialect('warehouse')).toMatchObject({ displayName: 'Warehouse', identifierLength: null });
+    // No auto increment capability, so the column is a plain key
+    expect(sql).toContain('`id` INT64 PRIMARY KEY');
+    expect(sql).toContain('`kind` STRING');
+  });
+
+  it('rejects incomplete, duplicate and unknown dialects', () => {
+    expect(() => registerDialect({ name: 'noTypes' })).toThrow('Dialect noTypes needs a types mapping');
+    expect(() => registerDialect({ name: 'MySQL', types: {} })).toThrow('Dialect mysql is already registered');
+    expect(() => getDialect('db2')).toThrow('Unsupported SQL dialect: db2');
+  });
+});
@@ -0,0 +1,85 @@
+// Microsoft SQL Server
+
+module.exports = {
+  name: 'mssql',
+  displayName: 'SQL Server',
+  types: {
+    'INTEGER': 'INT',
+    'BIGINT': 'BIGINT',
+    'SMALLINT': 'SMALLINT',
+    'TINYINT': 'TINYINT',
+    'VARCHAR': 'VARCHAR(n)',
+    'CHAR': 'CHAR(n)',
+    'TEXT': 'NVARCHAR(MAX)',
+    'LONGTEXT': 'NVARCHAR(MAX)',
+    'DECIMAL': 'DECIMAL(p,s)',
+    'NUMERIC': 'NUMERIC(p,s)',
+    'FLOAT': 'FLOAT',
+    'DOUBLE': 'FLOAT',
+    'REAL': 'REAL',
+    'DATE': 'DATE',
+    'TIME': 'TIME',
+    'DATETIME': 'DATETIME2',
+    'TIMESTAMP': 'DATETIME2',
+    'BOOLEAN': 'BIT',
+    'BIT': 'BIT',
+    'JSON': 'NVARCHAR(MAX)',
+    'JSONB': 'NVARCHAR(MAX)',
+    'BLOB': 'VARBINARY(MAX)',
+    'UUID': 'UNIQUEIDENTIFIER'
+  },
+  downgradedTypes: ['JSON', 'JSONB'],
+  identifierLength: 128,
+  booleanLiterals: { true: '1', false: '0' },
+  currentTimestamp: 'GETDATE()',
+  addColumnKeyword: 'ADD',
+  capabilities: {
+    autoIncrement: true,
+    // No RESTRICT; NO ACTION, the default, behaves the same
+    deleteActions: ['CASCADE', 'SET NULL', 'NO ACTION'],
+    updateActions: ['CASCADE', 'SET NULL', 'NO ACTION'],
+    // Filtered indexes; expressions need a computed column instead
+    partialIndexes: true,
+    expressionIndexes: false
+  },
+
+  quoteIdentifier: identifier => `[${identifier}]`,
+
+  formatBinary: hex => `0x${hex}`,
+
+  getAutoIncrementSyntax: () => ' IDENTITY(1,1)',
+
+  // ALTER TABLE has no IF EXISTS; OBJECT_ID is null when the constraint does not exist
+  generateDropForeignKeyIfExists: ({ table, constraint }, generator) =>
+    `IF OBJECT_ID(${generator.quoteString(constraint)}, 'F') IS NOT NULL ALTER TABLE ${table} DROP CONSTRAINT ${constraint};\n`,
+
+  generateAlterColumn(change, warnings, generator) {
+    const { table, name, label, column, previous, type } = change;
+    let sql = '';
+
+    if (change.typeChanged || change.nullabilityChanged) {
+      sql += `ALTER TABLE ${table} ALTER COLUMN ${name} ${type} ${column.isRequired ? 'NOT NULL' : 'NULL'};\n`;
+    }
+    if (change.defaultChanged) {
+      if (previous.defaultValue) {
+        warnings.push(`Drop the existing default constraint on ${label} before applying this script; SQL Server names it automatically`);
+      }
+      if (column.defaultValue) {
+        sql += `ALTER TABLE ${table} ADD DEFAULT ${generator.formatDefaultValue(column.defaultValue, column.dataType)} FOR ${name};\n`;
+      }
+    }
+    if (change.autoIncrementChanged) {
+      warnings.push(`IDENTITY on ${label} cannot be altered in SQL Server; recreate the column instead`);
+    }
+    return sql;
+  },
+
+  // sp_rename takes the current name as a string
+  generateRenameTable: (from, to, generator) =>
+    `EXEC sp_rename ${generator.quoteString(from)}, ${generator.quoteString(to)};\n`,
+
+  generateRenameColumn: (table, from, to, generator) =>
+    `EXEC sp_rename ${generator.quoteString(`${table}.${from}`)}, ${generator.quoteString(to)}, 'COLUMN';\n`,
+
+  generateDropIndex: (index, table) => `DROP INDEX ${index} ON ${table};\n`
+};
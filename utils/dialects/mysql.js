@@ -0,0 +1,78 @@
+// MySQL / MariaDB
+
+module.exports = {
+  name: 'mysql',
+  displayName: 'MySQL',
+  types: {
+    'INTEGER': 'INT',
+    'BIGINT': 'BIGINT',
+    'SMALLINT': 'SMALLINT',
+    'TINYINT': 'TINYINT',
+    'VARCHAR': 'VARCHAR(n)',
+    'CHAR': 'CHAR(n)',
+    'TEXT': 'TEXT',
+    'LONGTEXT': 'LONGTEXT',
+    'DECIMAL': 'DECIMAL(p,s)',
+    'NUMERIC': 'DECIMAL(p,s)',
+    'FLOAT': 'FLOAT',
+    'DOUBLE': 'DOUBLE',
+    'REAL': 'DOUBLE',
+    'DATE': 'DATE',
+    'TIME': 'TIME',
+    'DATETIME': 'DATETIME',
+    'TIMESTAMP': 'TIMESTAMP',
+    'BOOLEAN': 'BOOLEAN',
+    'BIT': 'BIT',
+    'JSON': 'JSON',
+    'JSONB': 'JSON',
+    'BLOB': 'BLOB',
+    'UUID': 'CHAR(36)'
+  },
+  downgradedTypes: ['JSONB', 'UUID'],
+  tableOptions: ' ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci',
+  capabilities: {
+    autoIncrement: true,
+    autoIncrementRequiresKey: true,
+    columnComments: true,
+    indexMethods: ['btree', 'hash']
+  },
+
+  quoteIdentifier: identifier => `\`${identifier}\``,
+
+  getAutoIncrementSyntax: () => ' AUTO_INCREMENT',
+
+  generateDropForeignKey: (table, constraint) => `ALTER TABLE ${table} DROP FOREIGN KEY ${constraint};\n`,
+
+  // No IF EXISTS for foreign keys: the statement is chosen from information_schema and prepared
+  generateDropForeignKeyIfExists({ table, constraint, tableName, constraintName }, generator) {
+    const statement = `ALTER TABLE ${table} DROP FOREIGN KEY ${constraint}`;
+    return `SET @drop_fk = (SELECT IF(COUNT(*) > 0, ${generator.quoteString(statement)}, 'DO 0') FROM information_schema.TABLE_CONSTRAINTS WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = ${generator.quoteString(tableName)} AND CONSTRAINT_NAME = ${generator.quoteString(constraintName)} AND CONSTRAINT_TYPE = 'FOREIGN KEY');
+PREPARE drop_fk FROM @drop_fk;
+EXECUTE drop_fk;
+DEALLOCATE PREPARE drop_fk;
+`;
+  },
+
+  // The index type follows the index name
+  generateCreateIndex: ({ name, table, columns, unique, method }) =>
+    `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${name}${method ? ` USING ${method.toUpperCase()}` : ''} ON ${table} (${columns.join(', ')});\n`,
+
+  generateAddPrimaryKey: (table, constraint, columns) => `ALTER TABLE ${table} ADD PRIMARY KEY (${columns});\n`,
+
+  generateDropPrimaryKey: ({ table }) => `ALTER TABLE ${table} DROP PRIMARY KEY;\n`,
+
+  // MODIFY restates the whole column; keys are managed separately
+  generateAlterColumn({ table, column }, warnings, generator) {
+    const definition = generator.generateColumnDefinition({
+      ...column,
+      isPrimaryKey: false,
+      isUnique: false,
+      checkConstraint: null
+    }).trim();
+    return `ALTER TABLE ${table} MODIFY COLUMN ${definition};\n`;
+  },
+
+  generateDropCheck: (table, constraint) => `ALTER TABLE ${table} DROP CHECK ${constraint};\n`,
+
+  generateDropIndex: (index, table) => `DROP INDEX ${index} ON ${table};\n`
+};
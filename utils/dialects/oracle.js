@@ -0,0 +1,134 @@
+// Oracle Database (12c and later; identifierLength 30 for releases before 12.2)
+
+// PL/SQL block running a DROP statement and ignoring the given "does not exist" errors
+function generateOracleDrop(statement, ...errorCodes) {
+  return `BEGIN
+  EXECUTE IMMEDIATE '${statement.replace(/'/g, "''")}';
+EXCEPTION
+  WHEN OTHERS THEN
+    IF ${errorCodes.length === 1 ? `SQLCODE != ${errorCodes[0]}` : `SQLCODE NOT IN (${errorCodes.join(', ')})`} THEN
+      RAISE;
+    END IF;
+END;
+/
+`;
+}
+
+// Auto increment columns backed by a sequence and trigger
+function sequenceColumns(table, generator) {
+  if (generator.autoIncrement !== 'sequence') {
+    return [];
+  }
+  return (table.columns || []).filter(column => column.isAutoIncrement && generator.canAutoIncrement(column));
+}
+
+module.exports = {
+  name: 'oracle',
+  displayName: 'Oracle',
+  types: {
+    'INTEGER': 'NUMBER(10)',
+    'BIGINT': 'NUMBER(19)',
+    'SMALLINT': 'NUMBER(5)',
+    'TINYINT': 'NUMBER(3)',
+    'VARCHAR': 'VARCHAR2(n)',
+    'CHAR': 'CHAR(n)',
+    'TEXT': 'CLOB',
+    'LONGTEXT': 'CLOB',
+    'DECIMAL': 'NUMBER(p,s)',
+    'NUMERIC': 'NUMBER(p,s)',
+    'FLOAT': 'BINARY_FLOAT',
+    'DOUBLE': 'BINARY_DOUBLE',
+    'REAL': 'BINARY_FLOAT',
+    'DATE': 'DATE',
+    'TIME': 'INTERVAL DAY(0) TO SECOND(0)',
+    'DATETIME': 'TIMESTAMP',
+    'TIMESTAMP': 'TIMESTAMP',
+    'BOOLEAN': 'NUMBER(1)',
+    'BIT': 'NUMBER(1)',
+    'JSON': 'CLOB',
+    'JSONB': 'CLOB',
+    'BLOB': 'BLOB',
+    'UUID': 'RAW(16)'
+  },
+  downgradedTypes: ['TIME', 'BOOLEAN', 'BIT', 'JSON', 'JSONB', 'UUID'],
+  identifierLength: 128,
+  booleanLiterals: { true: '1', false: '0' },
+  addColumnKeyword: 'ADD',
+  capabilities: {
+    autoIncrement: true,
+    commentStatements: true,
+    defaultBeforeConstraints: true,
+    // No ON UPDATE, and RESTRICT / NO ACTION are the implied default
+    deleteActions: ['CASCADE', 'SET NULL'],
+    updateActions: [],
+    // A second index on a key column fails with ORA-01408
+    indexKeyColumns: false,
+    // 30 before 12.2
+    configurableIdentifierLength: true
+  },
+
+  // Oracle folds unquoted names to upper case, so quoted names are upper-cased too;
+  // SQL written with plain names then resolves to the same tables and columns
+  quoteIdentifier: identifier => `"${identifier.toUpperCase()}"`,
+
+  // Function-based index entries are not parenthesized
+  formatIndexExpression: expression => expression,
+
+  formatBinary: hex => `HEXTORAW('${hex}')`,
+
+  // The 'sequence' strategy adds a sequence and trigger after the table instead
+  getAutoIncrementSyntax: generator => (generator.autoIncrement === 'sequence' ? '' : ' GENERATED BY DEFAULT ON NULL AS IDENTITY'),
+
+  // Sequence plus a trigger filling the column when no value is given
+  generateTableExtras(table, generator) {
+    const quote = identifier => generator.quoteIdentifier(identifier);
+
+    return sequenceColumns(table, generator).map(column => {
+      const sequenceName = quote(generator.getSequenceName(table.name, column.name));
+      return `CREATE SEQUENCE ${sequenceName} START WITH 1 INCREMENT BY 1;
+CREATE OR REPLACE TRIGGER ${quote(`${table.name}_${column.name}_trg`)}
+BEFORE INSERT ON ${quote(table.name)}
+FOR EACH ROW
+WHEN (NEW.${quote(column.name)} IS NULL)
+BEGIN
+  :NEW.${quote(column.name)} := ${sequenceName}.NEXTVAL;
+END;
+/
+`;
+    }).join('');
+  },
+
+  // Ignore a missing table (ORA-00942) or constraint (ORA-02443)
+  generateDropForeignKeyIfExists: ({ table, constraint }) =>
+    generateOracleDrop(`ALTER TABLE ${table} DROP CONSTRAINT ${constraint}`, -942, -2443),
+
+  // No IF EXISTS before 23c: ignore "table or view does not exist" (ORA-00942)
+  // and "sequence does not exist" (ORA-02289)
+  generateDropTable(table, generator) {
+    let sql = generateOracleDrop(`DROP TABLE ${generator.quoteIdentifier(table.name)} CASCADE CONSTRAINTS`, -942);
+    for (const column of sequenceColumns(table, generator)) {
+      sql += generateOracleDrop(`DROP SEQUENCE ${generator.quoteIdentifier(generator.getSequenceName(table.name, column.name))}`, -2289);
+    }
+    return sql;
+  },
+
+  // MODIFY fails when restating the current nullability, so each change is separate
+  generateAlterColumn(change, warnings, generator) {
+    const { table, name, label, column, type } = change;
+    let sql = '';
+
+    if (change.typeChanged) {
+      sql += `ALTER TABLE ${table} MODIFY (${name} ${type});\n`;
+    }
+    if (change.defaultChanged) {
+      sql += `ALTER TABLE ${table} MODIFY (${name} DEFAULT ${column.defaultValue ? generator.formatDefaultValue(column.defaultValue, column.dataType) : 'NULL'});\n`;
+    }
+    if (change.nullabilityChanged) {
+      sql += `ALTER TABLE ${table} MODIFY (${name} ${column.isRequired ? 'NOT NULL' : 'NULL'});\n`;
+    }
+    if (change.autoIncrementChanged) {
+      warnings.push(`Auto increment on ${label} must be changed manually in Oracle (identity column or sequence and trigger)`);
+    }
+    return sql;
+  }
+};
@@ -0,0 +1,78 @@
+// PostgreSQL
+
+// Serial types used for auto increment columns with the 'sequence' strategy
+const SERIAL_TYPES = {
+  INTEGER: 'SERIAL',
+  BIGINT: 'BIGSERIAL',
+  SMALLINT: 'SMALLSERIAL',
+  TINYINT: 'SMALLSERIAL'
+};
+
+module.exports = {
+  name: 'postgresql',
+  displayName: 'PostgreSQL',
+  types: {
+    'INTEGER': 'INTEGER',
+    'BIGINT': 'BIGINT',
+    'SMALLINT': 'SMALLINT',
+    'TINYINT': 'SMALLINT',
+    'VARCHAR': 'VARCHAR(n)',
+    'CHAR': 'CHAR(n)',
+    'TEXT': 'TEXT',
+    'LONGTEXT': 'TEXT',
+    'DECIMAL': 'DECIMAL(p,s)',
+    'NUMERIC': 'NUMERIC(p,s)',
+    'FLOAT': 'REAL',
+    'DOUBLE': 'DOUBLE PRECISION',
+    'REAL': 'REAL',
+    'DATE': 'DATE',
+    'TIME': 'TIME',
+    'DATETIME': 'TIMESTAMP',
+    'TIMESTAMP': 'TIMESTAMP',
+    'BOOLEAN': 'BOOLEAN',
+    'BIT': 'BIT',
+    'JSON': 'JSON',
+    'JSONB': 'JSONB',
+    'BLOB': 'BYTEA',
+    'UUID': 'UUID'
+  },
+  // Longer names would be truncated silently, and two of them could become the same
+  identifierLength: 63,
+  capabilities: {
+    autoIncrement: true,
+    indexMethods: ['btree', 'hash', 'gin', 'gist', 'brin', 'spgist'],
+    partialIndexes: true
+  },
+
+  formatBinary: hex => `'\\x${hex}'`,
+
+  // Serial types carry their own sequence
+  getAutoIncrementType: (dataType, generator) => (generator.autoIncrement === 'sequence' ? SERIAL_TYPES[dataType] : null),
+
+  getAutoIncrementSyntax: generator => (generator.autoIncrement === 'sequence' ? '' : ' GENERATED BY DEFAULT AS IDENTITY'),
+
+  // Composite keys are named by SQLGenerator, single-column keys by PostgreSQL
+  generateDropPrimaryKey: ({ table, previousTableName, columnCount }, warnings, generator) =>
+    `ALTER TABLE ${table} DROP CONSTRAINT ${generator.quoteIdentifier(columnCount > 1 ? `pk_${previousTableName}` : `${previousTableName}_pkey`)};\n`,
+
+  generateAlterColumn(change, warnings, generator) {
+    const { table, name, label, column, type } = change;
+    let sql = '';
+
+    if (change.typeChanged) {
+      sql += `ALTER TABLE ${table} ALTER COLUMN ${name} TYPE ${type} USING ${name}::${type};\n`;
+    }
+    if (change.nullabilityChanged) {
+      sql += `ALTER TABLE ${table} ALTER COLUMN ${name} ${column.isRequired ? 'SET' : 'DROP'} NOT NULL;\n`;
+    }
+    if (change.defaultChanged) {
+      sql += column.defaultValue
+        ? `ALTER TABLE ${table} ALTER COLUMN ${name} SET DEFAULT ${generator.formatDefaultValue(column.defaultValue, column.dataType)};\n`
+        : `ALTER TABLE ${table} ALTER COLUMN ${name} DROP DEFAULT;\n`;
+    }
+    if (change.autoIncrementChanged) {
+      warnings.push(`Auto increment on ${label} must be changed manually in PostgreSQL (identity/sequence)`);
+    }
+    return sql;
+  }
+};
@@ -0,0 +1,46 @@
+// SQLite (type affinities: INTEGER, REAL, TEXT, BLOB)
+
+module.exports = {
+  name: 'sqlite',
+  displayName: 'SQLite',
+  types: {
+    'INTEGER': 'INTEGER',
+    'BIGINT': 'INTEGER',
+    'SMALLINT': 'INTEGER',
+    'TINYINT': 'INTEGER',
+    'VARCHAR': 'TEXT',
+    'CHAR': 'TEXT',
+    'TEXT': 'TEXT',
+    'LONGTEXT': 'TEXT',
+    'DECIMAL': 'REAL',
+    'NUMERIC': 'REAL',
+    'FLOAT': 'REAL',
+    'DOUBLE': 'REAL',
+    'REAL': 'REAL',
+    'DATE': 'TEXT',
+    'TIME': 'TEXT',
+    'DATETIME': 'TEXT',
+    'TIMESTAMP': 'TEXT',
+    'BOOLEAN': 'INTEGER',
+    'BIT': 'INTEGER',
+    'JSON': 'TEXT',
+    'JSONB': 'TEXT',
+    'BLOB': 'BLOB',
+    'UUID': 'TEXT'
+  },
+  downgradedTypes: ['VARCHAR', 'CHAR', 'DECIMAL', 'NUMERIC', 'DATE', 'TIME', 'DATETIME', 'TIMESTAMP', 'BOOLEAN', 'BIT', 'JSON', 'JSONB', 'UUID'],
+  booleanLiterals: { true: '1', false: '0' },
+  capabilities: {
+    autoIncrement: true,
+    // AUTOINCREMENT is only valid right after INTEGER PRIMARY KEY
+    autoIncrementAfterPrimaryKey: true,
+    // Constraints cannot be added to an existing table; references are only resolved when
+    // rows are written, so every foreign key is declared inside CREATE TABLE
+    alterForeignKeys: false,
+    partialIndexes: true
+  },
+
+  getAutoIncrementSyntax: () => ' AUTOINCREMENT',
+
+  generateDropForeignKey: () => '-- SQLite does not support dropping foreign key constraints\n'
+};
@@ -0,0 +1,191 @@
+// Text-based ER diagrams (Mermaid erDiagram and PlantUML) with crow's-foot cardinality
+
+// Crow's-foot markers on the referenced (left) and referencing (right) side of a relationship.
+// Both notations use the same markers: | exactly one, o zero, { / } many.
+const CARDINALITY_MARKERS = {
+  'one-to-one': { target: '||', optionalTarget: '|o', source: 'o|' },
+  'one-to-many': { target: '||', optionalTarget: '|o', source: 'o{' },
+  'many-to-many': { target: '}o', optionalTarget: '}o', source: 'o{' }
+};
+
+// Tables without a custom color are drawn with the default style
+const DEFAULT_COLOR = '#ffffff';
+
+class ERDiagramGenerator {
+  constructor(notation = 'mermaid') {
+    this.notation = notation.toLowerCase();
+  }
+
+  // Generate the complete diagram source
+  generateDiagram(tables, relationships = [], options = {}) {
+    const { includeComments = true } = options;
+    const names = this.buildEntityNames(tables);
+    const foreignKeys = new Set(relationships.flatMap(rel => (rel.columns?.length ? rel.columns : [rel]).map(pair => pair.sourceColumnId)));
+
+    const entities = tables.map(table => (this.notation === 'plantuml'
+      ? this.generatePlantUMLEntity(table, names.get(table.id), foreignKeys)
+      : this.generateMermaidEntity(table, names.get(table.id), foreignKeys, includeComments)));
+
+    const links = this.generateRelationships(tables, relationships, names);
+
+    if (this.notation === 'plantuml') {
+      return [
+        '@startuml',
+        includeComments ? this.generateHeader("'") : null,
+        'hide circle',
+        'skinparam linetype ortho',
+        '',
+        entities.join('\n'),
+        links,
+        '@enduml',
+        ''
+      ].filter(line => line !== null).join('\n');
+    }
+
+    return [
+      'erDiagram',
+      includeComments ? this.generateHeader('    %%') : null,
+      entities.join(''),
+      links
+    ].filter(line => line !== null).join('\n');
+  }
+
+  // Generate header comment
+  generateHeader(prefix) {
+    const timestamp = new Date().toISOString();
+    return `${prefix} ER diagram generated by Database Schema Designer
+${prefix} Generated at: ${timestamp}`;
+  }
+
+  // Mermaid entity block: type name keys "description"
+  generateMermaidEntity(table, name, foreignKeys, includeComments = true) {
+    let output = `    ${name} {\n`;
+
+    for (const column of table.columns || []) {
+      const keys = [];
+      if (column.isPrimaryKey) keys.push('PK');
+      if (foreignKeys.has(column.id)) keys.push('FK');
+      if (column.isUnique && !column.isPrimaryKey) keys.push('UK');
+
+      let line = `        ${this.formatMermaidType(column)} ${sanitizeName(column.name)}`;
+      if (keys.length > 0) {
+        line += ` ${keys.join(', ')}`;
+      }
+      if (includeComments && column.description) {
+        line += ` "${column.description.replace(/"/g, "'").replace(/\s*\n\s*/g, ' ')}"`;
+      }
+      output += `${line}\n`;
+    }
+
+    output += '    }\n';
+    return output;
+  }
+
+  // Mermaid types allow letters, digits, hyphens, underscores and parentheses (no commas)
+  formatMermaidType(column) {
+    const type = column.dataType.toLowerCase();
+    if (column.length && ['VARCHAR', 'CHAR'].includes(column.dataType)) {
+      return `${type}(${column.length})`;
+    }
+    return type;
+  }
+
+  // PlantUML entity: primary key columns above the separator, required columns marked with *
+  generatePlantUMLEntity(table, name, foreignKeys) {
+    const color = table.color && table.color.toLowerCase() !== DEFAULT_COLOR ? ` ${table.color}` : '';
+    const columnLine = (column) => {
+      const stereotypes = [];
+      if (column.isPrimaryKey) stereotypes.push('<<PK>>');
+      if (foreignKeys.has(column.id)) stereotypes.push('<<FK>>');
+      if (column.isUnique && !column.isPrimaryKey) stereotypes.push('<<unique>>');
+
+      const marker = column.isRequired || column.isPrimaryKey ? '*' : '';
+      const suffix = stereotypes.length > 0 ? ` ${stereotypes.join(' ')}` : '';
+      return `  ${marker}${column.name} : ${this.formatPlantUMLType(column)}${suffix}\n`;
+    };
+
+    const columns = table.columns || [];
+    let output = `entity "${table.name.replace(/"/g, "'")}" as ${name}${color} {\n`;
+    output += columns.filter(column => column.isPrimaryKey).map(columnLine).join('');
+    output += '  --\n';
+    output += columns.filter(column => !column.isPrimaryKey).map(columnLine).join('');
+    output += '}\n';
+    return output;
+  }
+
+  // Type with its length or precision, e.g. varchar(255), decimal(10,2)
+  formatPlantUMLType(column) {
+    const type = column.dataType.toLowerCase();
+    if (column.length && ['VARCHAR', 'CHAR'].includes(column.dataType)) {
+      return `${type}(${column.length})`;
+    }
+    if (column.precision && ['DECIMAL', 'NUMERIC'].includes(column.dataType)) {
+      return `${type}(${column.precision},${column.scale || 0})`;
+    }
+    return type;
+  }
+
+  // One line per relationship, referenced table first: users ||--o{ orders : user_id.
+  // Solid lines are identifying relationships (the foreign key is part of the primary key).
+  generateRelationships(tables, relationships, names) {
+    const tablesById = new Map(tables.map(table => [table.id, table]));
+    const indent = this.notation === 'plantuml' ? '' : '    ';
+    let output = '';
+
+    for (const rel of relationships) {
+      const source = tablesById.get(rel.sourceTableId);
+      const target = tablesById.get(rel.targetTableId);
+      const sourceColumn = source?.columns.find(column => column.id === rel.sourceColumnId);
+      if (!sourceColumn || !target) continue;
+
+      const markers = CARDINALITY_MARKERS[rel.relationshipType] || CARDINALITY_MARKERS['one-to-many'];
+      const targetMarker = sourceColumn.isRequired || sourceColumn.isPrimaryKey ? markers.target : markers.optionalTarget;
+      const line = sourceColumn.isPrimaryKey ? '--' : '..';
+      const label = this.relationshipLabel(rel, source, target, sourceColumn);
+
+      output += `${indent}${names.get(target.id)} ${targetMarker}${line}${markers.source} ${names.get(source.id)} : `;
+      output += this.notation === 'plantuml' ? `${label}\n` : `"${label.replace(/"/g, "'")}"\n`;
+    }
+
+    return output;
+  }
+
+  // Constraint name or source column; composite keys list every column pair: region -> region, order_no -> order_no
+  relationshipLabel(rel, source, target, sourceColumn) {
+    if (!(rel.columns?.length > 1)) {
+      return rel.name || sourceColumn.name;
+    }
+
+    const columnName = (table, columnId, fallback) => table.columns.find(column => column.id === columnId)?.name || fallback || '';
+    const pairs = rel.columns
+      .map(pair => `${columnName(source, pair.sourceColumnId, pair.sourceColumnName)} -> ${columnName(target, pair.targetColumnId, pair.targetColumnName)}`)
+      .join(', ');
+    return rel.name ? `${rel.name}: ${pairs}` : pairs;
+  }
+
+  // Diagram identifiers, keyed by table ID and unique across the diagram
+  buildEntityNames(tables) {
+    const names = new Map();
+    const taken = new Set();
+
+    for (const table of tables) {
+      const base = sanitizeName(table.name);
+      let name = base;
+      for (let suffix = 2; taken.has(name); suffix++) {
+        name = `${base}_${suffix}`;
+      }
+      taken.add(name);
+      names.set(table.id, name);
+    }
+
+    return names;
+  }
+}
+
+// Identifiers allow letters, digits and underscores only
+function sanitizeName(name) {
+  const sanitized = name.replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z_]/.test(sanitized) ? sanitized : `_${sanitized}`;
+}
+
+module.exports = ERDiagramGenerator;
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import ERDiagramGenerator from './erDiagramGenerator';
+
+const tables = [
+  {
+    id: 'users',
+    name: 'users',
+    color: '#dbeafe',
+    columns: [
+      { id: 'users.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+      { id: 'users.email', name: 'email', dataType: 'VARCHAR', length: 255, isUnique: true, isRequired: true, description: 'Login "name"' }
+    ]
+  },
+  {
+    id: 'posts',
+    name: 'blog posts',
+    color: '#ffffff',
+    columns: [
+      { id: 'posts.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+      { id: 'posts.user_id', name: 'user_id', dataType: 'INTEGER', isRequired: false },
+      { id: 'posts.score', name: 'score', dataType: 'DECIMAL', precision: 8, scale: 2, isRequired: true }
+    ]
+  }
+];
+const relationships = [{
+  id: 'r1',
+  name: null,
+  relationshipType: 'one-to-many',
+  sourceTableId: 'posts',
+  sourceColumnId: 'posts.user_id',
+  targetTableId: 'users',
+  targetColumnId: 'users.id'
+}];
+
+describe('ERDiagramGenerator', () => {
+  it('generates a Mermaid erDiagram with keys, comments and cardinality', () => {
+    const commented = new ERDiagramGenerator('mermaid').generateDiagram(tables, relationships);
+    expect(commented).toMatch(/^erDiagram\n    %% ER diagram generated/);
+    expect(commented).toContain(`varchar(255) email UK "Login 'name'"`);
+    expect(new ERDiagramGenerator('mermaid').generateDiagram(tables, relationships, { includeComments: false })).toBe(`erDiagram
+    users {
+        integer id PK
+        varchar(255) email UK
+    }
+    blog_posts {
+        integer id PK
+        integer user_id FK
+        decimal score
+    }
+
+    users |o..o{ blog_posts : "user_id"
+`);
+  });
+
+  it('generates PlantUML entities with colors, required markers and stereotypes', () => {
+    const diagram = new ERDiagramGenerator('plantuml').generateDiagram(tables, [{ ...relationships[0], name: 'fk_posts_users' }], { includeComments: false });
+
+    expect(diagram).toBe(`@startuml
+hide circle
+skinparam linetype ortho
+
+entity "users" as users #dbeafe {
+  *id : integer <<PK>>
+  --
+  *email : varchar(255) <<unique>>
+}
+
+entity "blog posts" as blog_posts {
+  *id : integer <<PK>>
+  --
+  user_id : integer <<FK>>
+  *score : decimal(8,2)
+}
+
+users |o..o{ blog_posts : fk_posts_users
+
+@enduml
+`);
+  });
+
+  it('labels composite relationships with every column pair', () => {
+    const orders = {
+      id: 'orders',
+      name: 'orders',
+      columns: [
+        { id: 'orders.region', name: 'region', dataType: 'VARCHAR', length: 8, isPrimaryKey: true, isRequired: true },
+        { id: 'orders.order_no', name: 'order_no', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true }
+      ]
+    };
+    const items = {
+      id: 'items',
+      name: 'items',
+      columns: [
+        { id: 'items.region', name: 'region', dataType: 'VARCHAR', length: 8, isRequired: true },
+        { id: 'items.order_no', name: 'order_no', dataType: 'INTEGER', isRequired: true }
+      ]
+    };
+    const itemsOrders = {
+      id: 'r2',
+      name: null,
+      relationshipType: 'one-to-many',
+      sourceTableId: 'items',
+      sourceColumnId: 'items.region',
+      targetTableId: 'orders',
+      targetColumnId: 'orders.region',
+      columns: [
+        { sourceColumnId: 'items.region', targetColumnId: 'orders.region' },
+        { sourceColumnId: 'items.order_no', targetColumnId: 'orders.order_no' }
+      ]
+    };
+
+    expect(new ERDiagramGenerator('mermaid').generateDiagram([orders, items], [itemsOrders]))
+      .toContain('    orders ||..o{ items : "region -> region, order_no -> order_no"\n');
+    expect(new ERDiagramGenerator('plantuml').generateDiagram([orders, items], [{ ...itemsOrders, name: 'fk_items_orders' }]))
+      .toContain('orders ||..o{ items : fk_items_orders: region -> region, order_no -> order_no\n');
+  });
+});
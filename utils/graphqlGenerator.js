@@ -0,0 +1,274 @@
+// GraphQL SDL generation: tables become object types, relationships become object and list fields
+
+// Generic data types mapped to GraphQL scalars; custom scalars are declared when used
+const SCALAR_TYPES = {
+  INTEGER: 'Int',
+  SMALLINT: 'Int',
+  TINYINT: 'Int',
+  // 64-bit and exact numerics do not fit Int/Float
+  BIGINT: 'BigInt',
+  DECIMAL: 'Decimal',
+  NUMERIC: 'Decimal',
+  FLOAT: 'Float',
+  DOUBLE: 'Float',
+  REAL: 'Float',
+  VARCHAR: 'String',
+  CHAR: 'String',
+  TEXT: 'String',
+  LONGTEXT: 'String',
+  UUID: 'String',
+  DATE: 'Date',
+  TIME: 'Time',
+  DATETIME: 'DateTime',
+  TIMESTAMP: 'DateTime',
+  BOOLEAN: 'Boolean',
+  BIT: 'Boolean',
+  JSON: 'JSON',
+  JSONB: 'JSON',
+  BLOB: 'String'
+};
+
+const BUILT_IN_SCALARS = ['Int', 'Float', 'String', 'Boolean', 'ID'];
+
+class GraphQLGenerator {
+  // Generate a complete GraphQL schema document
+  generateSchema(tables, relationships = [], options = {}) {
+    const { includeComments = true, includeInputTypes = false } = options;
+    const typeNames = this.buildTypeNames(tables);
+    const relationFields = this.buildRelationFields(tables, relationships, typeNames);
+    let blocks = [];
+
+    const customScalars = new Set();
+    for (const table of tables) {
+      for (const column of table.columns || []) {
+        const scalar = this.mapScalarType(column, hasSinglePrimaryKey(table));
+        if (!BUILT_IN_SCALARS.includes(scalar)) {
+          customScalars.add(scalar);
+        }
+      }
+    }
+    if (customScalars.size > 0) {
+      blocks.push([...customScalars].sort().map(scalar => `scalar ${scalar}\n`).join(''));
+    }
+
+    for (const table of tables) {
+      blocks.push(this.generateObjectType(table, typeNames.get(table.id), relationFields.get(table.id), includeComments));
+    }
+
+    if (includeInputTypes) {
+      // Input types without fields are not valid GraphQL
+      for (const table of tables) {
+        blocks.push(this.generateCreateInput(table, typeNames.get(table.id)));
+        blocks.push(this.generateUpdateInput(table, typeNames.get(table.id)));
+      }
+      blocks = blocks.filter(Boolean);
+    }
+
+    return (includeComments ? this.generateHeader() : '') + blocks.join('\n');
+  }
+
+  // Generate header comment
+  generateHeader() {
+    const timestamp = new Date().toISOString();
+    return `# GraphQL schema generated by Database Schema Designer
+# Generated at: ${timestamp}
+
+`;
+  }
+
+  // Object type with column fields followed by relation fields
+  generateObjectType(table, typeName, relationFields, includeComments = true) {
+    let output = '';
+
+    if (includeComments && table.description) {
+      output += `${describe(table.description, '')}\n`;
+    }
+    output += `type ${typeName} {\n`;
+
+    for (const column of table.columns || []) {
+      if (includeComments && column.description) {
+        output += `${describe(column.description, '  ')}\n`;
+      }
+      const type = this.mapScalarType(column, hasSinglePrimaryKey(table));
+      output += `  ${fieldName(column.name)}: ${column.isRequired || column.isPrimaryKey ? `${type}!` : type}\n`;
+    }
+
+    for (const field of relationFields) {
+      output += `  ${field.name}: ${field.type}\n`;
+    }
+
+    output += '}\n';
+    return output;
+  }
+
+  // Input for creating a row: auto-increment columns are left out, columns with a default are optional.
+  // Returns null when no column is left.
+  generateCreateInput(table, typeName) {
+    const fields = (table.columns || [])
+      .filter(column => !column.isAutoIncrement)
+      .map(column => {
+        const type = this.mapScalarType(column, hasSinglePrimaryKey(table));
+        const isRequired = (column.isRequired || column.isPrimaryKey) && !hasDefault(column);
+        return `  ${fieldName(column.name)}: ${isRequired ? `${type}!` : type}\n`;
+      });
+
+    return fields.length > 0 ? `input Create${typeName}Input {\n${fields.join('')}}\n` : null;
+  }
+
+  // Input for updating a row: primary key columns identify the row, every other field is optional
+  generateUpdateInput(table, typeName) {
+    const fields = (table.columns || [])
+      .filter(column => !column.isPrimaryKey)
+      .map(column => `  ${fieldName(column.name)}: ${this.mapScalarType(column)}\n`);
+
+    return fields.length > 0 ? `input Update${typeName}Input {\n${fields.join('')}}\n` : null;
+  }
+
+  // GraphQL scalar of a column; single-column primary keys are IDs
+  mapScalarType(column, isSinglePrimaryKey = false) {
+    if (column.isPrimaryKey && isSinglePrimaryKey) {
+      return 'ID';
+    }
+    return SCALAR_TYPES[column.dataType] || 'String';
+  }
+
+  // PascalCase type names, keyed by table ID and unique across the document
+  buildTypeNames(tables) {
+    const names = new Map();
+    const taken = new Set();
+
+    for (const table of tables) {
+      const base = toPascalCase(table.name);
+      let name = base;
+      for (let suffix = 2; taken.has(name); suffix++) {
+        name = `${base}${suffix}`;
+      }
+      taken.add(name);
+      names.set(table.id, name);
+    }
+
+    return names;
+  }
+
+  // Build the relation fields of every type, keyed by table ID.
+  // The table holding the foreign key gets a field for the referenced row, the referenced table
+  // gets the reverse field; lists are used according to the relationship type.
+  buildRelationFields(tables, relationships, typeNames) {
+    const tablesById = new Map(tables.map(table => [table.id, table]));
+    const fields = new Map(tables.map(table => [table.id, []]));
+    const usedNames = new Map(tables.map(table => [table.id, new Set((table.columns || []).map(column => fieldName(column.name)))]));
+
+    // Reserve a field name on a type, suffixing it if it is already taken
+    const reserveName = (tableId, name) => {
+      const names = usedNames.get(tableId);
+      let candidate = name;
+      for (let suffix = 2; names.has(candidate); suffix++) {
+        candidate = `${name}${suffix}`;
+      }
+      names.add(candidate);
+      return candidate;
+    };
+
+    for (const rel of relationships) {
+      const source = tablesById.get(rel.sourceTableId);
+      const target = tablesById.get(rel.targetTableId);
+      const sourceColumn = source?.columns.find(column => column.id === rel.sourceColumnId);
+      if (!sourceColumn || !target) continue;
+
+      const sourceType = typeNames.get(source.id);
+      const targetType = typeNames.get(target.id);
+      const list = (typeName) => `[${typeName}!]!`;
+
+      switch (rel.relationshipType) {
+        case 'one-to-one':
+          fields.get(source.id).push({
+            name: reserveName(source.id, relationFieldName(sourceColumn.name, targetType)),
+            type: sourceColumn.isRequired ? `${targetType}!` : targetType
+          });
+          fields.get(target.id).push({
+            name: reserveName(target.id, lowerFirst(sourceType)),
+            type: sourceType
+          });
+          break;
+        case 'many-to-many':
+          fields.get(source.id).push({
+            name: reserveName(source.id, pluralize(lowerFirst(targetType))),
+            type: list(targetType)
+          });
+          fields.get(target.id).push({
+            name: reserveName(target.id, pluralize(lowerFirst(sourceType))),
+            type: list(sourceType)
+          });
+          break;
+        default:
+          fields.get(source.id).push({
+            name: reserveName(source.id, relationFieldName(sourceColumn.name, targetType)),
+            type: sourceColumn.isRequired ? `${targetType}!` : targetType
+          });
+          fields.get(target.id).push({
+            name: reserveName(target.id, pluralize(lowerFirst(sourceType))),
+            type: list(sourceType)
+          });
+          break;
+      }
+    }
+
+    return fields;
+  }
+}
+
+function hasSinglePrimaryKey(table) {
+  return (table.columns || []).filter(column => column.isPrimaryKey).length === 1;
+}
+
+function hasDefault(column) {
+  return column.defaultValue !== null && column.defaultValue !== undefined && column.defaultValue !== '';
+}
+
+// Description string placed before a definition. A block string cannot end with a quote or a
+// backslash (they would merge into the closing """), so such text is written as a regular string.
+function describe(text, indent) {
+  const line = text.replace(/\s*\n\s*/g, ' ');
+  if (/["\\]$/.test(line)) {
+    return `${indent}${JSON.stringify(line)}`;
+  }
+  return `${indent}"""${line.replace(/"""/g, '\\"""')}"""`;
+}
+
+// order_items -> OrderItems; names starting with a digit get a leading underscore
+function toPascalCase(name) {
+  const pascal = name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+
+  if (!pascal) return 'Table';
+  return /^\d/.test(pascal) ? `_${pascal}` : pascal;
+}
+
+// GraphQL names allow letters, digits and underscores only
+function fieldName(name) {
+  const sanitized = name.replace(/[^A-Za-z0-9_]/g, '_');
+  return /^\d/.test(sanitized) ? `_${sanitized}` : sanitized;
+}
+
+// Name of the field for a foreign key column: user_id -> user, authorId -> author
+function relationFieldName(columnName, targetType) {
+  const stripped = fieldName(columnName).replace(/(_id|Id|_ID)$/, '');
+  return stripped && stripped !== fieldName(columnName) ? stripped : lowerFirst(targetType);
+}
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+// Naive English plural for list fields (table names are often plural already)
+function pluralize(name) {
+  if (/[^s]s$/i.test(name)) return name;
+  if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/i.test(name)) return `${name}es`;
+  return `${name}s`;
+}
+
+module.exports = GraphQLGenerator;
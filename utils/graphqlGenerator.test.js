@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import GraphQLGenerator from './graphqlGenerator';
+
+const tables = [
+  {
+    id: 'users',
+    name: 'users',
+    description: 'Accounts',
+    columns: [
+      { id: 'users.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true, isAutoIncrement: true },
+      { id: 'users.email', name: 'email', dataType: 'VARCHAR', length: 255, isRequired: true, description: 'Says "hi"' },
+      { id: 'users.balance', name: 'balance', dataType: 'DECIMAL', isRequired: true, defaultValue: '0' }
+    ]
+  },
+  {
+    id: 'posts',
+    name: 'blog_posts',
+    columns: [
+      { id: 'posts.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+      { id: 'posts.author_id', name: 'author_id', dataType: 'INTEGER', isRequired: true },
+      { id: 'posts.published_at', name: 'published-at', dataType: 'TIMESTAMP' }
+    ]
+  }
+];
+const relationships = [{
+  id: 'r1',
+  relationshipType: 'one-to-many',
+  sourceTableId: 'posts',
+  sourceColumnId: 'posts.author_id',
+  targetTableId: 'users',
+  targetColumnId: 'users.id'
+}];
+
+describe('GraphQLGenerator', () => {
+  const generator = new GraphQLGenerator();
+
+  it('generates object types with scalars, descriptions and relation fields', () => {
+    expect(generator.generateSchema(tables, relationships, { includeComments: false })).toBe(`scalar DateTime
+scalar Decimal
+
+type Users {
+  id: ID!
+  email: String!
+  balance: Decimal!
+  blogPosts: [BlogPosts!]!
+}
+
+type BlogPosts {
+  id: ID!
+  author_id: Int!
+  published_at: DateTime
+  author: Users!
+}
+`);
+
+    const described = generator.generateSchema(tables, relationships);
+    expect(described).toContain('"""Accounts"""\ntype Users {');
+    expect(described).toContain('  "Says \\"hi\\""\n  email: String!');
+  });
+
+  it('generates create and update inputs', () => {
+    const output = generator.generateSchema(tables, relationships, { includeComments: false, includeInputTypes: true });
+
+    expect(output).toContain('input CreateUsersInput {\n  email: String!\n  balance: Decimal\n}\n');
+    expect(output).toContain('input UpdateUsersInput {\n  email: String\n  balance: Decimal\n}\n');
+    expect(output).toContain('input CreateBlogPostsInput {\n  id: ID!\n  author_id: Int!\n  published_at: DateTime\n}\n');
+  });
+
+  it('uses lists on both sides of many-to-many relationships', () => {
+    const output = generator.generateSchema(tables, [{ ...relationships[0], relationshipType: 'many-to-many' }], { includeComments: false });
+
+    expect(output).toContain('  users: [Users!]!\n}');
+    expect(output).toContain('  blogPosts: [BlogPosts!]!\n}');
+  });
+});
@@ -0,0 +1,632 @@
+// Migration script generation (ALTER statements) between two schema states
+
+const SQLGenerator = require('./sqlGenerator');
+const { diffSchemas } = require('./schemaDiff');
+
+// Column properties that change the column's DDL (description is documentation only)
+const DDL_COLUMN_PROPERTIES = [
+  'dataType',
+  'length',
+  'precision',
+  'scale',
+  'isRequired',
+  'defaultValue',
+  'isPrimaryKey',
+  'isUnique',
+  'isAutoIncrement'
+];
+
+class MigrationGenerator {
+  constructor(dialect = 'mysql') {
+    this.dialect = dialect.toLowerCase();
+    this.sqlGenerator = new SQLGenerator(this.dialect);
+    // Dialect-specific ALTER syntax comes from the dialect registry (./dialects)
+    this.dialectDefinition = this.sqlGenerator.dialectDefinition;
+  }
+
+  // Generate up (fromState -> toState) and down (toState -> fromState) scripts.
+  // States have the GET /schemas/:schemaId shape ({ tables, relationships }).
+  generateMigration(fromState, toState, options = {}) {
+    const up = this.generateScript(fromState, toState, options);
+    const down = this.generateScript(toState, fromState, options);
+
+    return {
+      up: up.sql,
+      down: down.sql,
+      warnings: up.warnings,
+      downWarnings: down.warnings
+    };
+  }
+
+  // Generate the ordered statements migrating one state to another
+  generateScript(fromState, toState, { includeComments = true } = {}) {
+    const diff = diffSchemas(fromState, toState);
+    const before = this.indexState(fromState);
+    const after = this.indexState(toState);
+    const warnings = [];
+    const steps = [];
+    const step = (comment, statements) => {
+      if (statements.length > 0) {
+        steps.push({ comment, statements });
+      }
+    };
+
+    const removedTableIds = new Set(diff.tables.removed.map(table => table.id));
+    const modifiedTables = new Map(diff.tables.modified.map(table => [table.id, table]));
+
+    // Columns whose DDL changes; foreign keys touching them are dropped and re-created
+    const alteredColumnIds = new Set();
+    for (const table of diff.tables.modified) {
+      for (const column of table.columns.modified) {
+        if (column.changes.some(change => DDL_COLUMN_PROPERTIES.includes(change.field))) {
+          alteredColumnIds.add(column.id);
+        }
+      }
+    }
+
+    // SQLite cannot alter columns or constraints in place: those tables are rebuilt
+    const rebuiltTableIds = this.dialect === 'sqlite'
+      ? this.findSqliteRebuilds(diff, before, after, alteredColumnIds)
+      : new Set();
+
+    const touchesAlteredColumn = rel => rel.columns.some(pair =>
+      alteredColumnIds.has(pair.sourceColumnId) || alteredColumnIds.has(pair.targetColumnId));
+
+    // Renaming a table or column renames what is named after it: unnamed foreign keys
+    // (fk_<source table>_<target table>) and the indexes backing foreign keys
+    // (idx_<table>_<columns>). Those foreign keys are dropped and added again.
+    const renamesForeignKey = rel => {
+      const previous = before.relationships.get(rel.id);
+      const next = after.relationships.get(rel.id);
+      return Boolean(previous && next) && (this.foreignKeyIndexChanges(previous, after) || (!next.name && (
+        previous.sourceTableName !== next.sourceTableName || previous.targetTableName !== next.targetTableName)));
+    };
+
+    const removedRelationshipIds = new Set(diff.relationships.removed.map(rel => rel.id));
+    const modifiedRelationshipIds = new Set(diff.relationships.modified.map(rel => rel.id));
+
+    // Foreign keys to drop before the structure changes
+    const droppedForeignKeys = [...before.relationships.values()].filter(rel =>
+      removedRelationshipIds.has(rel.id) ||
+      modifiedRelationshipIds.has(rel.id) ||
+      touchesAlteredColumn(rel) ||
+      renamesForeignKey(rel)
+    );
+
+    // Foreign keys to add once the structure is in place
+    const addedForeignKeys = [...after.relationships.values()].filter(rel =>
+      !before.relationships.has(rel.id) ||
+      modifiedRelationshipIds.has(rel.id) ||
+      touchesAlteredColumn(rel) ||
+      renamesForeignKey(rel)
+    );
+
+    // Declared indexes that were removed or changed (changed ones are re-created)
+    const droppedIndexes = diff.tables.modified.flatMap(tableDiff => this.tableIndexes(
+      before.tables.get(tableDiff.id),
+      [...tableDiff.indexes.removed, ...tableDiff.indexes.modified].map(({ id }) => id)
+    ));
+
+    // 1. Drop foreign keys, the indexes that back them and changed declared indexes (rebuilt
+    // SQLite tables lose their indexes with the old table)
+    if (this.dialect !== 'sqlite') {
+      step('Drop foreign key constraints', droppedForeignKeys
+        .filter(rel => !removedTableIds.has(rel.sourceTableId))
+        .map(rel => this.sqlGenerator.generateDropForeignKey(rel).trim()));
+    }
+
+    step('Drop indexes', [
+      ...droppedForeignKeys
+        .filter(rel => !removedTableIds.has(rel.sourceTableId) && !rebuiltTableIds.has(rel.sourceTableId)
+          && this.foreignKeyIndexChanges(rel, after))
+        .map(rel => this.dropIndex(this.sqlGenerator.getForeignKeyIndexName(rel), rel.sourceTableName)),
+      ...this.uniqueIndexChanges(before, after, false, rebuiltTableIds),
+      ...droppedIndexes
+        .filter(({ table, index }) => !this.sqlGenerator.getIndexSupport(table, index).skipReason)
+        .map(({ table, index }) => this.dropIndex(index.name, table.name))
+    ]);
+
+    // 2. Drop removed tables
+    step('Drop tables', diff.tables.removed.map(table => {
+      warnings.push(`Dropping table ${table.name} deletes all of its data`);
+      return this.sqlGenerator.generateDropTable(table).trim();
+    }));
+
+    // 3. Rename tables
+    step('Rename tables', diff.tables.renamed.map(rename => this.renameTable(rename.from, rename.to)));
+
+    // 4. Create added tables (SQLite declares their foreign keys inline)
+    step('Create tables', diff.tables.added.map(({ id }) => {
+      const table = after.tables.get(id);
+      const inlineForeignKeys = this.dialect === 'sqlite' ? this.outgoingForeignKeys(id, after) : [];
+      return this.sqlGenerator.generateCreateTable(table, includeComments, inlineForeignKeys).trim();
+    }));
+
+    // 5. Alter or rebuild modified tables
+    for (const [tableId, tableDiff] of modifiedTables) {
+      if (rebuiltTableIds.has(tableId)) {
+        step(`Rebuild table ${tableDiff.name}`, this.rebuildSqliteTable(tableId, before, after, warnings));
+      } else {
+        step(`Alter table ${tableDiff.name}`, this.alterTable(tableId, tableDiff, before, after, warnings));
+      }
+    }
+
+    // SQLite tables whose foreign keys changed are rebuilt even if their columns did not
+    for (const tableId of rebuiltTableIds) {
+      if (!modifiedTables.has(tableId)) {
+        step(`Rebuild table ${after.tables.get(tableId).name}`, this.rebuildSqliteTable(tableId, before, after, warnings));
+      }
+    }
+
+    // Column CHECK constraints are named after their table and column (chk_<table>_<column>);
+    // renaming either one re-creates the constraint under its new name
+    if (this.dialect !== 'sqlite') {
+      step('Rename check constraints', this.renamedColumnChecks(before, after));
+    }
+
+    // 6. Add foreign keys and the indexes that back them; foreign keys referencing a
+    // declared unique index are added after the indexes are created
+    const afterTables = [...after.tables.values()];
+    const indexedForeignKeys = addedForeignKeys.filter(rel => this.sqlGenerator.referencesUniqueIndex(afterTables, rel));
+    if (this.dialect !== 'sqlite') {
+      step('Add foreign key constraints', addedForeignKeys
+        .filter(rel => !indexedForeignKeys.includes(rel))
+        .map(rel => this.sqlGenerator.generateForeignKeyConstraint(rel).trim()));
+    }
+
+    // Declared indexes of added tables, and added or changed ones (rebuilt tables re-create theirs)
+    const createdIndexes = [
+      ...diff.tables.added.flatMap(({ id }) => this.tableIndexes(after.tables.get(id))),
+      ...diff.tables.modified
+        .filter(tableDiff => !rebuiltTableIds.has(tableDiff.id))
+        .flatMap(tableDiff => this.tableIndexes(after.tables.get(tableDiff.id),
+          [...tableDiff.indexes.added, ...tableDiff.indexes.modified].map(({ id }) => id)))
+    ];
+
+    step('Create indexes', [
+      ...addedForeignKeys
+        .filter(rel => !rebuiltTableIds.has(rel.sourceTableId) && this.foreignKeyIndexChanges(rel, before))
+        .map(rel => this.createForeignKeyIndex(rel)),
+      ...this.uniqueIndexChanges(before, after, true, rebuiltTableIds),
+      ...this.createIndexes(createdIndexes, warnings)
+    ]);
+
+    if (this.dialect !== 'sqlite') {
+      step('Add foreign key constraints referencing unique indexes', indexedForeignKeys
+        .map(rel => this.sqlGenerator.generateForeignKeyConstraint(rel).trim()));
+    }
+
+    // Type changes can truncate or fail on existing data
+    for (const tableDiff of diff.tables.modified) {
+      for (const column of tableDiff.columns.modified) {
+        const typeChange = column.changes.find(change => ['dataType', 'length', 'precision', 'scale'].includes(change.field));
+        if (typeChange) {
+          warnings.push(`Changing ${typeChange.field} of ${tableDiff.name}.${column.name} from ${typeChange.from} to ${typeChange.to} may fail or lose data`);
+        }
+      }
+    }
+
+    return {
+      sql: this.renderScript(steps, { includeComments, rebuiltTableIds, removedTableIds, warnings }),
+      warnings
+    };
+  }
+
+  // Render steps into a script with a header and the SQLite foreign key guard
+  renderScript(steps, { includeComments, rebuiltTableIds, removedTableIds, warnings }) {
+    let sql = '';
+
+    if (includeComments) {
+      sql += `-- Migration generated by Database Schema Designer
+-- Generated at: ${new Date().toISOString()}
+-- Database: ${this.dialect.toUpperCase()}
+`;
+      for (const warning of warnings) {
+        sql += `-- WARNING: ${warning}\n`;
+      }
+      sql += '\n';
+    }
+
+    if (steps.length === 0) {
+      return sql + (includeComments ? '-- No changes\n' : '');
+    }
+
+    // SQLite checks foreign keys while tables are dropped and re-created
+    const guardForeignKeys = this.dialect === 'sqlite' && (rebuiltTableIds.size > 0 || removedTableIds.size > 0);
+    if (guardForeignKeys) {
+      sql += 'PRAGMA foreign_keys = OFF;\n\n';
+    }
+
+    for (const { comment, statements } of steps) {
+      if (includeComments) {
+        sql += `-- ${comment}\n`;
+      }
+      sql += statements.join('\n') + '\n\n';
+    }
+
+    if (guardForeignKeys) {
+      sql += 'PRAGMA foreign_keys = ON;\n';
+    }
+
+    return sql;
+  }
+
+  // Index tables, columns and relationships of a state by ID, resolving relationship names
+  // (including those of every foreign key column pair)
+  indexState(state) {
+    const tables = new Map();
+    const columns = new Map();
+    for (const table of state.tables || []) {
+      tables.set(table.id, table);
+      for (const column of table.columns || []) {
+        columns.set(column.id, { column, table });
+      }
+    }
+
+    const relationships = new Map();
+    for (const rel of state.relationships || []) {
+      const pairs = this.sqlGenerator.getForeignKeyColumns(rel).map(pair => ({
+        ...pair,
+        source: columns.get(pair.sourceColumnId),
+        target: columns.get(pair.targetColumnId)
+      }));
+      if (pairs.some(({ source, target }) => !source || !target)) {
+        continue;
+      }
+      const [{ source, target }] = pairs;
+      relationships.set(rel.id, {
+        ...rel,
+        sourceTableName: source.table.name,
+        sourceColumnName: source.column.name,
+        targetTableName: target.table.name,
+        targetColumnName: target.column.name,
+        columns: pairs.map(pair => ({
+          sourceColumnId: pair.sourceColumnId,
+          sourceColumnName: pair.source.column.name,
+          targetColumnId: pair.targetColumnId,
+          targetColumnName: pair.target.column.name
+        }))
+      });
+    }
+
+    return { tables, columns, relationships };
+  }
+
+  // Relationships whose source column belongs to the given table
+  outgoingForeignKeys(tableId, state) {
+    return [...state.relationships.values()].filter(rel => rel.sourceTableId === tableId);
+  }
+
+  // Whether the index backing a foreign key differs from the other state
+  // (unchanged source columns keep their index)
+  foreignKeyIndexChanges(rel, otherState) {
+    const sourceColumns = relationship => relationship.columns
+      .map(pair => `${pair.sourceColumnId}:${pair.sourceColumnName}`).join(',');
+    const other = [...otherState.relationships.values()].find(candidate =>
+      sourceColumns(candidate) === sourceColumns(rel) &&
+      candidate.sourceTableName === rel.sourceTableName
+    );
+    return !other;
+  }
+
+  // CREATE INDEX statement for the index backing a foreign key
+  createForeignKeyIndex(rel) {
+    const columns = rel.columns.map(pair => this.quote(pair.sourceColumnName)).join(', ');
+    return `CREATE INDEX ${this.quote(this.sqlGenerator.getForeignKeyIndexName(rel))} ON ${this.quote(rel.sourceTableName)} (${columns});`;
+  }
+
+  // Name of the unique index of a unique column (see SQLGenerator.generateIndexes), or null
+  // when there is none, also when a declared unique index on the column replaces it
+  uniqueIndexName(table, column) {
+    const declared = (table.indexes || []).some(index =>
+      index.isUnique && !index.where && index.columns.length === 1 && index.columns[0].columnId === column.id);
+    return column.isUnique && !column.isPrimaryKey && !declared ? `idx_${table.name}_${column.name}_unique` : null;
+  }
+
+  // CREATE (creating = true) or DROP the unique indexes of columns kept in both states whose
+  // uniqueness or index name changed. Rebuilt SQLite tables re-create theirs.
+  uniqueIndexChanges(before, after, creating, rebuiltTableIds) {
+    const [state, otherState] = creating ? [after, before] : [before, after];
+    const statements = [];
+    for (const [columnId, { column, table }] of state.columns) {
+      const other = otherState.columns.get(columnId);
+      const indexName = this.uniqueIndexName(table, column);
+      if (!other || !indexName || rebuiltTableIds.has(table.id) || indexName === this.uniqueIndexName(other.table, other.column)) {
+        continue;
+      }
+      statements.push(creating
+        ? this.createUniqueIndex(table, column)
+        : this.dropIndex(indexName, table.name));
+    }
+    return statements;
+  }
+
+  // CREATE UNIQUE INDEX statement for a unique column
+  createUniqueIndex(table, column) {
+    return `CREATE UNIQUE INDEX ${this.quote(this.uniqueIndexName(table, column))} ON ${this.quote(table.name)} (${this.quote(column.name)});`;
+  }
+
+  // Declared indexes of a table (all, or those with the given IDs) paired with the table
+  tableIndexes(table, indexIds = null) {
+    return (table.indexes || [])
+      .filter(index => !indexIds || indexIds.includes(index.id))
+      .map(index => ({ table, index }));
+  }
+
+  // CREATE statements for declared indexes, reporting the ones the dialect cannot express
+  createIndexes(indexes, warnings) {
+    return indexes.flatMap(({ table, index }) => {
+      const { skipReason } = this.sqlGenerator.getIndexSupport(table, index);
+      if (skipReason) {
+        warnings.push(`Index ${table.name}.${index.name} is skipped: ${skipReason}`);
+        return [];
+      }
+      return [this.sqlGenerator.generateTableIndex(table, index).trim()];
+    });
+  }
+
+  // Decide which SQLite tables need the create-copy-drop-rename strategy
+  findSqliteRebuilds(diff, before, after, alteredColumnIds) {
+    const rebuilds = new Set();
+
+    for (const tableDiff of diff.tables.modified) {
+      const { columns } = tableDiff;
+      const hasAlteredColumns = columns.modified.some(column => alteredColumnIds.has(column.id));
+      const hasUnsupportedAdds = columns.added.some(({ id }) => {
+        const { column } = after.columns.get(id);
+        const hasDefault = column.defaultValue !== null && column.defaultValue !== undefined && column.defaultValue !== '';
+        return column.isPrimaryKey || column.isUnique || (column.isRequired && !hasDefault);
+      });
+
+      // Check constraints can only be changed by recreating the table
+      const hasCheckChanges = Object.values(tableDiff.checkConstraints).some(list => list.length > 0) ||
+        columns.modified.some(column => column.changes.some(change => change.field === 'checkConstraint'));
+
+      if (columns.removed.length > 0 || hasAlteredColumns || hasUnsupportedAdds || hasCheckChanges) {
+        rebuilds.add(tableDiff.id);
+      }
+    }
+
+    // Any change to a table's outgoing foreign keys
+    const changedRelationships = [
+      ...diff.relationships.added.map(rel => after.relationships.get(rel.id)),
+      ...diff.relationships.modified.map(rel => after.relationships.get(rel.id)),
+      ...diff.relationships.modified.map(rel => before.relationships.get(rel.id)),
+      ...diff.relationships.removed.map(rel => before.relationships.get(rel.id))
+    ].filter(Boolean);
+
+    for (const rel of changedRelationships) {
+      if (before.tables.has(rel.sourceTableId) && after.tables.has(rel.sourceTableId)) {
+        rebuilds.add(rel.sourceTableId);
+      }
+    }
+
+    return rebuilds;
+  }
+
+  // Rebuild a SQLite table: create the new shape, copy the data, swap the tables
+  rebuildSqliteTable(tableId, before, after, warnings) {
+    const table = after.tables.get(tableId);
+    const previousTable = before.tables.get(tableId);
+    const temporaryName = `_new_${table.name}`;
+
+    // Copy columns that exist in both states, mapping old names to new names
+    const previousColumns = new Map((previousTable.columns || []).map(column => [column.id, column]));
+    const copiedColumns = (table.columns || []).filter(column => previousColumns.has(column.id));
+
+    for (const column of previousTable.columns || []) {
+      if (!table.columns.some(next => next.id === column.id)) {
+        warnings.push(`Dropping column ${table.name}.${column.name} deletes its data`);
+      }
+    }
+
+    const statements = [
+      this.sqlGenerator.generateCreateTable(
+        table,
+        false,
+        this.outgoingForeignKeys(tableId, after),
+        temporaryName
+      ).trim()
+    ];
+
+    if (copiedColumns.length > 0) {
+      statements.push(
+        `INSERT INTO ${this.quote(temporaryName)} (${copiedColumns.map(column => this.quote(column.name)).join(', ')})` +
+        ` SELECT ${copiedColumns.map(column => this.quote(previousColumns.get(column.id).name)).join(', ')} FROM ${this.quote(table.name)};`
+      );
+    }
+
+    statements.push(
+      `DROP TABLE ${this.quote(table.name)};`,
+      this.renameTable(temporaryName, table.name)
+    );
+
+    // Indexes are dropped with the old table
+    for (const rel of this.outgoingForeignKeys(tableId, after)) {
+      statements.push(this.createForeignKeyIndex(rel));
+    }
+    for (const column of table.columns || []) {
+      if (this.uniqueIndexName(table, column)) {
+        statements.push(this.createUniqueIndex(table, column));
+      }
+    }
+    statements.push(...this.createIndexes(this.tableIndexes(table), warnings));
+
+    return statements;
+  }
+
+  // ALTER statements for a table that exists in both states
+  alterTable(tableId, tableDiff, before, after, warnings) {
+    const table = after.tables.get(tableId);
+    const previousTable = before.tables.get(tableId);
+    const statements = [];
+
+    const primaryKey = (t) => (t.columns || []).filter(column => column.isPrimaryKey);
+    const previousPrimaryKey = primaryKey(previousTable);
+    const nextPrimaryKey = primaryKey(table);
+    const primaryKeyChanged =
+      previousPrimaryKey.map(column => column.id).join() !== nextPrimaryKey.map(column => column.id).join();
+
+    // Drop the old primary key before touching its columns
+    if (primaryKeyChanged && previousPrimaryKey.length > 0) {
+      statements.push(this.dropPrimaryKey(table.name, previousTable.name, previousPrimaryKey.length, warnings));
+    }
+
+    // Drop changed check constraints, and those of removed columns (SQL Server keeps them otherwise)
+    const checkChanged = columnDiff => columnDiff.changes.some(change => change.field === 'checkConstraint');
+    const droppedColumnChecks = [
+      ...tableDiff.columns.removed.map(({ id }) => before.columns.get(id).column),
+      ...tableDiff.columns.modified.filter(checkChanged).map(({ id }) => before.columns.get(id).column)
+    ].filter(column => column.checkConstraint);
+
+    for (const column of droppedColumnChecks) {
+      statements.push(this.dropCheckConstraint(table.name, this.sqlGenerator.getCheckConstraintName(previousTable.name, column.name)));
+    }
+    for (const { name } of [...tableDiff.checkConstraints.removed, ...tableDiff.checkConstraints.modified]) {
+      statements.push(this.dropCheckConstraint(table.name, name));
+    }
+
+    for (const rename of tableDiff.columns.renamed) {
+      statements.push(this.renameColumn(table.name, rename.from, rename.to));
+    }
+
+    for (const { name } of tableDiff.columns.removed) {
+      warnings.push(`Dropping column ${table.name}.${name} deletes its data`);
+      statements.push(`ALTER TABLE ${this.quote(table.name)} DROP COLUMN ${this.quote(name)};`);
+    }
+
+    for (const { id } of tableDiff.columns.added) {
+      const { column } = after.columns.get(id);
+      const hasDefault = column.defaultValue !== null && column.defaultValue !== undefined && column.defaultValue !== '';
+      if (column.isRequired && !hasDefault) {
+        warnings.push(`Adding NOT NULL column ${table.name}.${column.name} without a default fails if the table has rows`);
+      }
+      const definition = this.sqlGenerator.generateColumnDefinition({
+        ...column,
+        isPrimaryKey: false
+      }, { tableName: table.name }).trim();
+      statements.push(`ALTER TABLE ${this.quote(table.name)} ${this.dialectDefinition.addColumnKeyword} ${definition};`);
+    }
+
+    for (const columnDiff of tableDiff.columns.modified) {
+      const { column } = after.columns.get(columnDiff.id);
+      const { column: previousColumn } = before.columns.get(columnDiff.id);
+      statements.push(...this.alterColumn(table.name, previousColumn, column, warnings));
+    }
+
+    if (primaryKeyChanged && nextPrimaryKey.length > 0) {
+      const columns = nextPrimaryKey.map(column => this.quote(column.name)).join(', ');
+      statements.push(this.dialectDefinition.generateAddPrimaryKey(this.quote(table.name), this.quote(`pk_${table.name}`), columns).trim());
+    }
+
+    // Add the changed check constraints once the columns are in place
+    const addedChecks = [
+      ...tableDiff.columns.modified.filter(checkChanged)
+        .map(({ id }) => after.columns.get(id).column)
+        .filter(column => column.checkConstraint)
+        .map(column => ({
+          name: this.sqlGenerator.getCheckConstraintName(table.name, column.name),
+          expression: column.checkConstraint
+        })),
+      ...tableDiff.checkConstraints.added,
+      ...tableDiff.checkConstraints.modified.map(({ name, to }) => ({ name, expression: to }))
+    ];
+
+    for (const { name, expression } of addedChecks) {
+      warnings.push(`Adding check constraint ${name} on ${table.name} fails if existing rows violate it`);
+      statements.push(`ALTER TABLE ${this.quote(table.name)} ADD ${this.sqlGenerator.generateCheckConstraint(name, expression)};`);
+    }
+
+    return statements;
+  }
+
+  // Statements changing a column's type, nullability, default or auto increment
+  alterColumn(tableName, previous, column, warnings) {
+    const table = this.quote(tableName);
+    const name = this.quote(column.name);
+    const type = this.sqlGenerator.mapDataType(column.dataType, column.length, column.precision, column.scale);
+    const previousType = this.sqlGenerator.mapDataType(previous.dataType, previous.length, previous.precision, previous.scale);
+
+    const typeChanged = type !== previousType;
+    const nullabilityChanged = Boolean(column.isRequired) !== Boolean(previous.isRequired);
+    const defaultChanged = (column.defaultValue || null) !== (previous.defaultValue || null);
+    const autoIncrementChanged = Boolean(column.isAutoIncrement) !== Boolean(previous.isAutoIncrement);
+
+    if (!typeChanged && !nullabilityChanged && !defaultChanged && !autoIncrementChanged) {
+      return [];
+    }
+
+    const sql = this.dialectDefinition.generateAlterColumn({
+      table,
+      name,
+      label: `${tableName}.${column.name}`,
+      column,
+      previous,
+      type,
+      typeChanged,
+      nullabilityChanged,
+      defaultChanged,
+      autoIncrementChanged
+    }, warnings, this.sqlGenerator).trim();
+
+    return sql ? [sql] : [];
+  }
+
+  // Drop a table's primary key constraint
+  dropPrimaryKey(tableName, previousTableName, columnCount, warnings) {
+    return this.dialectDefinition.generateDropPrimaryKey({
+      table: this.quote(tableName),
+      tableName,
+      previousTableName,
+      columnCount
+    }, warnings, this.sqlGenerator).trim();
+  }
+
+  // DROP and ADD statements for unchanged column CHECK constraints whose derived name changed
+  // (changed ones are dropped and added by alterTable)
+  renamedColumnChecks(before, after) {
+    const statements = [];
+    for (const [columnId, { column, table }] of after.columns) {
+      const previous = before.columns.get(columnId);
+      if (!previous || !column.checkConstraint || previous.column.checkConstraint !== column.checkConstraint) {
+        continue;
+      }
+      const previousName = this.sqlGenerator.getCheckConstraintName(previous.table.name, previous.column.name);
+      const name = this.sqlGenerator.getCheckConstraintName(table.name, column.name);
+      if (name !== previousName) {
+        statements.push(
+          this.dropCheckConstraint(table.name, previousName),
+          `ALTER TABLE ${this.quote(table.name)} ADD ${this.sqlGenerator.generateCheckConstraint(name, column.checkConstraint)};`
+        );
+      }
+    }
+    return statements;
+  }
+
+  // Drop a check constraint
+  dropCheckConstraint(tableName, constraintName) {
+    return this.dialectDefinition.generateDropCheck(this.quote(tableName), this.quote(constraintName)).trim();
+  }
+
+  // Rename a table
+  renameTable(from, to) {
+    return this.dialectDefinition.generateRenameTable(from, to, this.sqlGenerator).trim();
+  }
+
+  // Rename a column
+  renameColumn(tableName, from, to) {
+    return this.dialectDefinition.generateRenameColumn(tableName, from, to, this.sqlGenerator).trim();
+  }
+
+  // Drop an index
+  dropIndex(indexName, tableName) {
+    return this.dialectDefinition.generateDropIndex(this.quote(indexName), this.quote(tableName)).trim();
+  }
+
+  // Quote an identifier for the target dialect
+  quote(identifier) {
+    return this.sqlGenerator.quoteIdentifier(identifier);
+  }
+}
+
+module.exports = MigrationGenerator;
@@ -0,0 +1,262 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import MigrationGenerator from './migrationGenerator';
+import SQLGenerator from './sqlGenerator';
+
+const column = (table, name, dataType, extra = {}) => ({
+  id: `${table}.${name}`,
+  name,
+  dataType,
+  isPrimaryKey: false,
+  isUnique: false,
+  isRequired: false,
+  isAutoIncrement: false,
+  ...extra
+});
+
+const users = {
+  id: 'users',
+  name: 'users',
+  columns: [
+    column('users', 'id', 'INTEGER', { isPrimaryKey: true, isRequired: true }),
+    column('users', 'email', 'VARCHAR', { length: 255, isRequired: true, isUnique: true }),
+    column('users', 'age', 'INTEGER')
+  ]
+};
+const posts = {
+  id: 'posts',
+  name: 'posts',
+  columns: [
+    column('posts', 'id', 'INTEGER', { isPrimaryKey: true, isRequired: true }),
+    column('posts', 'user_id', 'INTEGER', { isRequired: true }),
+    column('posts', 'title', 'VARCHAR', { length: 200, checkConstraint: "title <> ''" })
+  ]
+};
+// Unnamed, so the constraint is named after both tables
+const postsUsers = {
+  id: 'r1',
+  name: null,
+  relationshipType: 'one-to-many',
+  onDelete: 'CASCADE',
+  onUpdate: 'NO ACTION',
+  sourceTableId: 'posts',
+  sourceColumnId: 'posts.user_id',
+  targetTableId: 'users',
+  targetColumnId: 'users.id',
+  sourceTableName: 'posts',
+  sourceColumnName: 'user_id',
+  targetTableName: 'users',
+  targetColumnName: 'id'
+};
+
+const v1 = { tables: [users, posts], relationships: [postsUsers] };
+
+// Rename a column and a table, change a column, add a column, a CHECK, an index and a table
+const v2 = {
+  tables: [
+    {
+      ...users,
+      columns: [
+        users.columns[0],
+        { ...users.columns[1], name: 'email_address' },
+        { ...users.columns[2], isRequired: true, defaultValue: '0', checkConstraint: 'age >= 0' },
+        column('users', 'active', 'BOOLEAN', { isRequired: true, defaultValue: 'true' })
+      ],
+      indexes: [{
+        id: 'i1',
+        name: 'idx_users_email_age',
+        isUnique: false,
+        columns: [{ columnId: 'users.email', order: 'ASC' }, { columnId: 'users.age', order: 'DESC' }]
+      }]
+    },
+    { ...posts, name: 'articles' },
+    {
+      id: 'tags',
+      name: 'tags',
+      columns: [
+        column('tags', 'id', 'INTEGER', { isPrimaryKey: true, isRequired: true }),
+        column('tags', 'label', 'VARCHAR', { length: 50, isRequired: true })
+      ]
+    }
+  ],
+  relationships: [{ ...postsUsers, sourceTableName: 'articles' }]
+};
+
+const exec = (db, sql) => new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+const all = (db, sql) => new Promise((resolve, reject) => db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows))));
+
+// SQLite declares foreign keys inside CREATE TABLE
+const createSqliteSchema = ({ tables, relationships }) => {
+  const generator = new SQLGenerator('sqlite');
+  return tables
+    .map(table => generator.generateCreateTable(table, false, relationships.filter(rel => rel.sourceTableId === table.id)))
+    .join('') + generator.generateIndexes(tables, relationships, false);
+};
+
+// Tables with their columns, and the named indexes of the database
+const describeSchema = async (db) => {
+  const tables = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+  const describedTables = [];
+  for (const { name } of tables) {
+    const columns = await all(db, `PRAGMA table_info("${name}")`);
+    describedTables.push(`${name}(${columns.map(col => col.name).join(', ')})`);
+  }
+  const indexes = await all(db, "SELECT tbl_name, name FROM sqlite_master WHERE type = 'index' AND sql IS NOT NULL ORDER BY name");
+  return { tables: describedTables, indexes: indexes.map(index => `${index.tbl_name}.${index.name}`) };
+};
+
+describe('MigrationGenerator', () => {
+  describe('sqlite', () => {
+    const filePath = path.join(os.tmpdir(), `migration-${process.pid}-${Date.now()}.sqlite`);
+    const migration = new MigrationGenerator('sqlite').generateMigration(v1, v2);
+    let db;
+
+    beforeAll(async () => {
+      db = new sqlite3.Database(filePath);
+      await exec(db, createSqliteSchema(v1));
+      await exec(db, `
+        INSERT INTO users (id, email, age) VALUES (1, 'ada@example.com', 36), (2, 'alan@example.com', 41);
+        INSERT INTO posts (id, user_id, title) VALUES (10, 1, 'Notes'), (11, 2, 'Computing');
+      `);
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => db.close(() => resolve()));
+      fs.rmSync(filePath, { force: true });
+    });
+
+    it('migrates up, renaming indexes, rebuilding tables and keeping their data', async () => {
+      await exec(db, migration.up);
+
+      expect(await describeSchema(db)).toEqual({
+        tables: ['articles(id, user_id, title)', 'tags(id, label)', 'users(id, email_address, age, active)'],
+        indexes: ['articles.idx_articles_user_id', 'users.idx_users_email_address_unique', 'users.idx_users_email_age']
+      });
+      expect(await all(db, 'SELECT id, email_address, age, active FROM users ORDER BY id')).toEqual([
+        { id: 1, email_address: 'ada@example.com', age: 36, active: 1 },
+        { id: 2, email_address: 'alan@example.com', age: 41, active: 1 }
+      ]);
+      expect(await all(db, 'SELECT id, user_id, title FROM articles ORDER BY id')).toEqual([
+        { id: 10, user_id: 1, title: 'Notes' },
+        { id: 11, user_id: 2, title: 'Computing' }
+      ]);
+      await expect(exec(db, "INSERT INTO users (id, email_address) VALUES (3, 'ada@example.com')"))
+        .rejects.toThrow(/UNIQUE constraint failed/);
+      await expect(exec(db, 'UPDATE users SET age = -1 WHERE id = 1')).rejects.toThrow(/CHECK constraint failed: chk_users_age/);
+      await expect(exec(db, "UPDATE articles SET title = '' WHERE id = 10")).rejects.toThrow(/CHECK constraint failed/);
+      expect(await all(db, 'PRAGMA foreign_key_check')).toEqual([]);
+    });
+
+    it('migrates down to the original schema and data', async () => {
+      await exec(db, migration.down);
+
+      expect(await describeSchema(db)).toEqual({
+        tables: ['posts(id, user_id, title)', 'users(id, email, age)'],
+        indexes: ['posts.idx_posts_user_id', 'users.idx_users_email_unique']
+      });
+      expect(await all(db, 'SELECT id, email, age FROM users ORDER BY id')).toEqual([
+        { id: 1, email: 'ada@example.com', age: 36 },
+        { id: 2, email: 'alan@example.com', age: 41 }
+      ]);
+      expect(migration.downWarnings).toEqual([
+        'Dropping table tags deletes all of its data',
+        'Dropping column users.active deletes its data'
+      ]);
+    });
+  });
+
+  describe('postgresql', () => {
+    const { up } = new MigrationGenerator('postgresql').generateMigration(v1, v2, { includeComments: false });
+
+    it('renames the foreign keys, indexes and CHECK constraints named after a renamed table or column', () => {
+      const statements = up.split('\n').filter(Boolean);
+      const position = statement => {
+        const index = statements.findIndex(line => line.startsWith(statement));
+        expect(index, statement).toBeGreaterThanOrEqual(0);
+        return index;
+      };
+
+      const dropForeignKey = position('ALTER TABLE "posts" DROP CONSTRAINT "fk_posts_users";');
+      const dropIndexes = [position('DROP INDEX "idx_posts_user_id";'), position('DROP INDEX "idx_users_email_unique";')];
+      const renames = [
+        position('ALTER TABLE "posts" RENAME TO "articles";'),
+        position('ALTER TABLE "users" RENAME COLUMN "email" TO "email_address";')
+      ];
+      const renamedCheck = [
+        position('ALTER TABLE "articles" DROP CONSTRAINT "chk_posts_title";'),
+        position('ALTER TABLE "articles" ADD CONSTRAINT "chk_articles_title" CHECK (title <> \'\');')
+      ];
+      const addForeignKey = position('  ADD CONSTRAINT "fk_articles_users"');
+      const createIndexes = [
+        position('CREATE INDEX "idx_articles_user_id" ON "articles" ("user_id");'),
+        position('CREATE UNIQUE INDEX "idx_users_email_address_unique" ON "users" ("email_address");'),
+        position('CREATE INDEX "idx_users_email_age" ON "users" ("email_address", "age" DESC);')
+      ];
+
+      expect(Math.max(dropForeignKey, ...dropIndexes)).toBeLessThan(Math.min(...renames));
+      expect(Math.max(...renames)).toBeLessThan(Math.min(addForeignKey, ...createIndexes, ...renamedCheck));
+      expect(renamedCheck[0]).toBeLessThan(renamedCheck[1]);
+      expect(up).toContain('ALTER TABLE "users" ADD CONSTRAINT "chk_users_age" CHECK (age >= 0);');
+    });
+
+    it('leaves named foreign keys of a renamed target table alone', () => {
+      const named = rel => ({ ...rel, name: 'fk_posts_author' });
+      const renamedUsers = {
+        tables: [{ ...users, name: 'accounts' }, posts],
+        relationships: [{ ...named(postsUsers), targetTableName: 'accounts' }]
+      };
+      const script = new MigrationGenerator('postgresql')
+        .generateMigration({ ...v1, relationships: [named(postsUsers)] }, renamedUsers, { includeComments: false }).up;
+
+      expect(script).not.toContain('fk_posts_author');
+      expect(script).not.toContain('idx_posts_user_id');
+      expect(script).toContain('DROP INDEX "idx_users_email_unique";');
+      expect(script).toContain('CREATE UNIQUE INDEX "idx_accounts_email_unique" ON "accounts" ("email");');
+    });
+
+    it('re-creates composite foreign keys with every column when a column is renamed', () => {
+      const orders = {
+        id: 'orders',
+        name: 'orders',
+        columns: [
+          column('orders', 'region', 'VARCHAR', { length: 8, isPrimaryKey: true, isRequired: true }),
+          column('orders', 'order_no', 'INTEGER', { isPrimaryKey: true, isRequired: true })
+        ]
+      };
+      const items = {
+        id: 'items',
+        name: 'items',
+        columns: [column('items', 'region', 'VARCHAR', { length: 8, isRequired: true }), column('items', 'order_no', 'INTEGER', { isRequired: true })]
+      };
+      const itemsOrders = (sourceColumn) => ({
+        ...postsUsers,
+        sourceTableId: 'items',
+        sourceColumnId: 'items.region',
+        targetTableId: 'orders',
+        targetColumnId: 'orders.region',
+        sourceTableName: 'items',
+        sourceColumnName: 'region',
+        targetTableName: 'orders',
+        targetColumnName: 'region',
+        columns: [
+          { sourceColumnId: 'items.region', sourceColumnName: 'region', targetColumnId: 'orders.region', targetColumnName: 'region' },
+          { sourceColumnId: 'items.order_no', sourceColumnName: sourceColumn, targetColumnId: 'orders.order_no', targetColumnName: 'order_no' }
+        ]
+      });
+      const renamed = { ...items, columns: [items.columns[0], { ...items.columns[1], name: 'order_number' }] };
+      const script = new MigrationGenerator('postgresql').generateMigration(
+        { tables: [orders, items], relationships: [itemsOrders('order_no')] },
+        { tables: [orders, renamed], relationships: [itemsOrders('order_number')] },
+        { includeComments: false }
+      ).up;
+
+      expect(script).toContain('DROP INDEX "idx_items_region_order_no";');
+      expect(script).toContain('ALTER TABLE "items" RENAME COLUMN "order_no" TO "order_number";');
+      expect(script).toContain('CREATE INDEX "idx_items_region_order_number" ON "items" ("region", "order_number");');
+      expect(script).toMatch(/ADD CONSTRAINT "fk_items_orders"\s+FOREIGN KEY \("region", "order_number"\)\s+REFERENCES "orders"\("region", "order_no"\)/);
+    });
+  });
+});
@@ -0,0 +1,598 @@
+// Mock data generation: seed rows for every table that honor types, lengths, uniqueness,
+// NOT NULL and foreign keys, emitted as INSERT statements, CSV or JSON
+
+const SQLGenerator = require('./sqlGenerator');
+
+const FIRST_NAMES = ['Alice', 'Bob', 'Carol', 'David', 'Emma', 'Frank', 'Grace', 'Henry', 'Isla', 'Jack', 'Karen', 'Liam', 'Maya', 'Noah', 'Olivia', 'Paul', 'Quinn', 'Rosa', 'Sam', 'Tara'];
+const LAST_NAMES = ['Anderson', 'Brown', 'Clark', 'Davis', 'Evans', 'Garcia', 'Harris', 'Johnson', 'King', 'Lopez', 'Miller', 'Nguyen', 'Owens', 'Patel', 'Roberts', 'Smith', 'Taylor', 'Walker', 'Young', 'Zhang'];
+const CITIES = ['Amsterdam', 'Berlin', 'Chicago', 'Dublin', 'Lisbon', 'London', 'Madrid', 'Oslo', 'Paris', 'Seattle', 'Sydney', 'Tokyo', 'Toronto', 'Vienna'];
+const COUNTRIES = ['Australia', 'Canada', 'France', 'Germany', 'Ireland', 'Japan', 'Netherlands', 'Norway', 'Portugal', 'Spain', 'United Kingdom', 'United States'];
+const STREETS = ['Oak', 'Maple', 'Cedar', 'Pine', 'Elm', 'Lake', 'Hill', 'Park', 'Main', 'Church'];
+const COMPANIES = ['Acme', 'Globex', 'Initech', 'Umbrella', 'Stark', 'Wayne', 'Hooli', 'Vandelay', 'Soylent', 'Tyrell'];
+const WORDS = ['alpha', 'bright', 'cloud', 'delta', 'ember', 'forest', 'garden', 'harbor', 'island', 'jungle', 'kernel', 'lumen', 'meadow', 'nova', 'orbit', 'prairie', 'quartz', 'river', 'summit', 'tundra'];
+const STATUSES = ['active', 'pending', 'inactive', 'archived'];
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD'];
+
+// Tables whose "name" column holds a person's name
+const PERSON_TABLES = /user|person|people|customer|employee|author|member|contact|staff|student|client/i;
+
+// Generated timestamps fall between these dates, so that output only depends on the seed
+const DATE_RANGE = { start: Date.UTC(2020, 0, 1), end: Date.UTC(2025, 11, 31) };
+
+const INTEGER_RANGES = {
+  TINYINT: 127,
+  SMALLINT: 32767,
+  INTEGER: 1000000,
+  BIGINT: 1000000000
+};
+
+const STRING_TYPES = ['VARCHAR', 'CHAR', 'TEXT', 'LONGTEXT'];
+const NUMERIC_TYPES = ['INTEGER', 'SMALLINT', 'TINYINT', 'BIGINT', 'DECIMAL', 'NUMERIC', 'FLOAT', 'DOUBLE', 'REAL'];
+
+// Rows per multi-row INSERT statement
+const INSERT_BATCH_SIZE = 100;
+
+// Column pairs of a foreign key in key order (a single pair unless the key is composite)
+function foreignKeyColumns(rel) {
+  return rel.columns?.length ? rel.columns : [rel];
+}
+
+class MockDataGenerator {
+  constructor(options = {}) {
+    const { rowCount = 10, seed = Math.floor(Math.random() * 2 ** 31) } = options;
+    this.rowCount = rowCount;
+    this.seed = seed;
+    this.random = mulberry32(seed);
+  }
+
+  // Generate rows for every table. Returns { tables: [{ table, rows }], warnings } with
+  // tables ordered parents first (the order in which the rows can be inserted).
+  generate(tables, relationships = []) {
+    this.warnings = [];
+    const tablesById = new Map(tables.map(table => [table.id, table]));
+    const order = this.orderTables(tables, relationships);
+    const rowsByTable = new Map();
+    const foreignKeys = new Map();
+
+    for (const rel of relationships) {
+      if (!tablesById.has(rel.sourceTableId) || !tablesById.has(rel.targetTableId)) continue;
+      if (!foreignKeys.has(rel.sourceTableId)) foreignKeys.set(rel.sourceTableId, []);
+      foreignKeys.get(rel.sourceTableId).push(rel);
+    }
+
+    // Pass 1: every column that is not a foreign key, so that all referenced values exist
+    for (const table of tables) {
+      const fkColumns = new Set((foreignKeys.get(table.id) || [])
+        .flatMap(rel => foreignKeyColumns(rel).map(pair => pair.sourceColumnId)));
+      const rows = Array.from({ length: this.rowCount }, () => ({}));
+
+      for (const column of table.columns || []) {
+        if (fkColumns.has(column.id)) continue;
+
+        const used = new Set();
+        for (let index = 0; index < rows.length; index++) {
+          const value = this.generateColumnValue(column, table, index, used);
+          if (value === undefined) {
+            // Stop the table here: later rows could only repeat values
+            this.warnings.push(`Generated ${index} of ${this.rowCount} rows for ${table.name}: ${column.name} has no more distinct values`);
+            rows.length = index;
+            break;
+          }
+          rows[index][column.name] = value;
+        }
+      }
+
+      rowsByTable.set(table.id, rows);
+    }
+
+    // Pass 2: foreign keys, parents first, picking values from the referenced rows
+    for (const table of order) {
+      const rels = foreignKeys.get(table.id) || [];
+      if (rels.length > 0) {
+        rowsByTable.set(table.id, this.fillForeignKeys(table, rowsByTable.get(table.id), rels, tablesById, rowsByTable));
+      }
+    }
+
+    return {
+      tables: order.map(table => ({ table, rows: rowsByTable.get(table.id) })),
+      warnings: this.warnings
+    };
+  }
+
+  // Parents before children (Kahn's algorithm); self references do not count.
+  // A cycle is broken by placing its first table before its parents.
+  orderTables(tables, relationships) {
+    const dependencies = new Map(tables.map(table => [table.id, new Set()]));
+    for (const rel of relationships) {
+      if (rel.sourceTableId !== rel.targetTableId && dependencies.has(rel.sourceTableId) && dependencies.has(rel.targetTableId)) {
+        dependencies.get(rel.sourceTableId).add(rel.targetTableId);
+      }
+    }
+
+    const ordered = [];
+    const placed = new Set();
+    const cyclic = [];
+
+    while (ordered.length < tables.length) {
+      const ready = tables.filter(table => !placed.has(table.id) && [...dependencies.get(table.id)].every(id => placed.has(id)));
+      if (ready.length === 0) {
+        const table = tables.find(candidate => !placed.has(candidate.id));
+        cyclic.push(table.name);
+        ready.push(table);
+      }
+
+      for (const table of ready) {
+        ordered.push(table);
+        placed.add(table.id);
+      }
+    }
+
+    if (cyclic.length > 0) {
+      this.warnings.push(`Foreign keys form a cycle through ${cyclic.join(', ')}; disable or defer constraint checks while inserting`);
+    }
+
+    return ordered;
+  }
+
+  // Fill the foreign key columns of a table's rows. Rows that cannot satisfy NOT NULL,
+  // unique or composite primary key constraints are dropped.
+  fillForeignKeys(table, rows, rels, tablesById, rowsByTable) {
+    const columns = new Map((table.columns || []).map(column => [column.id, column]));
+    const primaryKeys = (table.columns || []).filter(column => column.isPrimaryKey);
+    const usedKeys = new Set();
+    const usedUnique = new Map(rels.map(rel => [rel.id, new Set()]));
+    const kept = [];
+    let dropped = 0;
+
+    for (const row of rows) {
+      let keep = false;
+
+      // A few attempts to find a combination that keeps composite primary keys unique
+      for (let attempt = 0; attempt < 20 && !keep; attempt++) {
+        keep = true;
+        const picked = new Map();
+
+        for (const rel of rels) {
+          const target = tablesById.get(rel.targetTableId);
+          const pairs = foreignKeyColumns(rel).map(pair => ({
+            column: columns.get(pair.sourceColumnId),
+            targetColumn: (target.columns || []).find(col => col.id === pair.targetColumnId)
+          }));
+          if (pairs.some(({ column, targetColumn }) => !column || !targetColumn)) continue;
+
+          // Self references point at earlier rows so that rows can be inserted in order
+          const parentRows = rel.targetTableId === table.id ? kept : rowsByTable.get(rel.targetTableId);
+          const isRequired = pairs.some(({ column }) => column.isRequired || column.isPrimaryKey);
+          const isUnique = rel.relationshipType === 'one-to-one' || (pairs.length === 1
+            ? pairs[0].column.isUnique || (pairs[0].column.isPrimaryKey && primaryKeys.length === 1)
+            : pairs.length === primaryKeys.length && pairs.every(({ column }) => column.isPrimaryKey));
+
+          // All values of a composite key come from the same parent row
+          const parentKey = parent => pairs.map(({ targetColumn }) => parent[targetColumn.name]);
+          let candidates = parentRows.map(parentKey)
+            .filter(values => values.every(value => value !== null && value !== undefined));
+          if (isUnique) {
+            candidates = candidates.filter(values => !usedUnique.get(rel.id).has(JSON.stringify(values)));
+          }
+
+          let values = null;
+          if (candidates.length > 0 && (isRequired || this.random() >= 0.1)) {
+            values = candidates[Math.floor(this.random() * candidates.length)];
+          } else if (candidates.length === 0 && rel.targetTableId === table.id && isRequired) {
+            // The first row of a required self reference points at itself
+            values = parentKey(row);
+          }
+
+          if ((!values || values.some(value => value === null)) && isRequired) {
+            keep = false;
+            break;
+          }
+          pairs.forEach(({ column }, index) => picked.set(column.name, values ? values[index] : null));
+        }
+
+        if (keep && primaryKeys.length > 1) {
+          const key = JSON.stringify(primaryKeys.map(column => (picked.has(column.name) ? picked.get(column.name) : row[column.name])));
+          if (usedKeys.has(key)) {
+            keep = false;
+            continue;
+          }
+          usedKeys.add(key);
+        }
+
+        if (keep) {
+          for (const [name, value] of picked) {
+            row[name] = value;
+          }
+          for (const rel of rels) {
+            const names = foreignKeyColumns(rel).map(pair => columns.get(pair.sourceColumnId)?.name);
+            if (names.every(name => name && row[name] !== null)) {
+              usedUnique.get(rel.id).add(JSON.stringify(names.map(name => row[name])));
+            }
+          }
+        }
+      }
+
+      if (keep) {
+        kept.push(row);
+      } else {
+        dropped++;
+      }
+    }
+
+    if (dropped > 0) {
+      this.warnings.push(`Generated ${kept.length} of ${rows.length} rows for ${table.name}: not enough distinct parent rows for its foreign keys`);
+    }
+
+    return kept;
+  }
+
+  // Value for one cell; `used` collects values of unique columns. Undefined when a
+  // unique column has run out of distinct values.
+  generateColumnValue(column, table, index, used) {
+    const isUnique = column.isUnique || column.isPrimaryKey;
+
+    if (column.isAutoIncrement || (column.isPrimaryKey && INTEGER_RANGES[column.dataType])) {
+      return index < this.uniqueCapacity(column) - 1 ? index + 1 : undefined;
+    }
+
+    if (!column.isRequired && !column.isPrimaryKey && !column.isUnique && this.random() < 0.1) {
+      return null;
+    }
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const value = this.fitLength(column, this.generateHeuristicValue(column, table, index) ?? this.generateTypeValue(column, index));
+      if (!isUnique || !used.has(valueKey(value))) {
+        if (isUnique) used.add(valueKey(value));
+        return value;
+      }
+    }
+
+    // Fall back to values derived from the row number
+    const value = this.uniqueFallback(column, index, used);
+    if (value !== undefined) used.add(valueKey(value));
+    return value;
+  }
+
+  // Value suggested by the column name (email, first_name, price, ...), or null
+  generateHeuristicValue(column, table, index) {
+    const name = column.name.toLowerCase();
+    const isString = STRING_TYPES.includes(column.dataType);
+    const isNumeric = NUMERIC_TYPES.includes(column.dataType);
+    const first = this.pick(FIRST_NAMES);
+    const last = this.pick(LAST_NAMES);
+
+    if (isString) {
+      if (/e_?mail/.test(name)) return `${first}.${last}${index + 1}@example.com`.toLowerCase();
+      if (/^(first_?name|given_?name|forename)$/.test(name)) return first;
+      if (/^(last_?name|surname|family_?name)$/.test(name)) return last;
+      if (/user_?name|login|handle|nickname/.test(name)) return `${first}${last}${index + 1}`.toLowerCase();
+      if (/^(full_?name|display_?name|contact_?name)$/.test(name) || (name === 'name' && PERSON_TABLES.test(table.name))) return `${first} ${last}`;
+      if (name === 'name') return `${singularTitle(table.name)} ${index + 1}`;
+      if (/phone|mobile|fax/.test(name)) return `+1-555-${String(this.integer(0, 9999)).padStart(4, '0')}`;
+      if (/city|town/.test(name)) return this.pick(CITIES);
+      if (/country/.test(name)) return this.pick(COUNTRIES);
+      if (/address|street/.test(name)) return `${this.integer(1, 999)} ${this.pick(STREETS)} Street`;
+      if (/zip|postal|postcode/.test(name)) return String(this.integer(10000, 99999));
+      if (/url|website|homepage|link/.test(name)) return `https://example.com/${this.pick(WORDS)}/${index + 1}`;
+      if (/slug/.test(name)) return `${this.pick(WORDS)}-${this.pick(WORDS)}-${index + 1}`;
+      if (/company|organi[sz]ation|employer/.test(name)) return `${this.pick(COMPANIES)} ${this.pick(['Inc', 'Ltd', 'LLC', 'Group'])}`;
+      if (/password|hash|token|secret/.test(name)) return this.hex(32);
+      if (/(^|_)ip(_address)?$/.test(name)) return `192.168.${this.integer(0, 255)}.${this.integer(1, 254)}`;
+      if (/status|state$/.test(name) && !/^state$/.test(name)) return this.pick(STATUSES);
+      if (/colou?r/.test(name)) return `#${this.hex(3)}`;
+      if (/currency/.test(name)) return this.pick(CURRENCIES);
+      if (/(^|_)(code|sku)$/.test(name)) return `${this.hex(2).toUpperCase()}-${String(index + 1).padStart(4, '0')}`;
+      if (/title|subject|headline/.test(name)) return capitalize(this.words(3));
+      if (/description|bio|summary|notes?$|comment|body|content|message|text/.test(name)) return `${capitalize(this.words(8))}.`;
+    }
+
+    if (isNumeric) {
+      if (/price|amount|cost|total|balance|salary|fee|revenue/.test(name)) return this.decimal(column, 1, 1000);
+      if (/quantity|qty|count|stock/.test(name)) return this.integer(1, 100);
+      if (/(^|_)age$/.test(name)) return this.integer(18, 90);
+      if (/rating|score|stars/.test(name)) return this.integer(1, 5);
+      if (/(^|_)lat(itude)?$/.test(name)) return this.decimal(column, -90, 90);
+      if (/(^|_)(lng|lon|long|longitude)$/.test(name)) return this.decimal(column, -180, 180);
+    }
+
+    return null;
+  }
+
+  // Value based on the column type alone
+  generateTypeValue(column, index) {
+    switch (column.dataType) {
+      case 'INTEGER':
+      case 'SMALLINT':
+      case 'TINYINT':
+      case 'BIGINT':
+        return this.integer(0, INTEGER_RANGES[column.dataType]);
+      case 'DECIMAL':
+      case 'NUMERIC':
+        return this.decimal(column, 0, 10000);
+      case 'FLOAT':
+      case 'DOUBLE':
+      case 'REAL':
+        return Math.round(this.random() * 1000000) / 100;
+      case 'BOOLEAN':
+      case 'BIT':
+        return this.random() < 0.5;
+      case 'DATE':
+        return this.timestamp().slice(0, 10);
+      case 'TIME':
+        return this.timestamp().slice(11, 19);
+      case 'DATETIME':
+      case 'TIMESTAMP':
+        return this.timestamp().slice(0, 19).replace('T', ' ');
+      case 'UUID':
+        return this.uuid();
+      case 'JSON':
+      case 'JSONB':
+        return { key: this.pick(WORDS), value: this.integer(1, 100) };
+      case 'BLOB':
+        return Buffer.from(this.hex(16), 'hex');
+      case 'CHAR':
+        return this.hex(column.length || 1).toUpperCase();
+      case 'TEXT':
+      case 'LONGTEXT':
+        return `${capitalize(this.words(10))}.`;
+      default:
+        return `${this.pick(WORDS)}_${index + 1}`;
+    }
+  }
+
+  // Row-number based value for unique columns whose random values kept colliding,
+  // or undefined once the column has no distinct values left
+  uniqueFallback(column, index, used) {
+    const capacity = this.uniqueCapacity(column);
+    const attempts = Math.min(capacity, used.size + this.rowCount + 1);
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const offset = (index + 1 + attempt) % capacity;
+      let value;
+      if (INTEGER_RANGES[column.dataType]) {
+        value = offset;
+      } else if (['DECIMAL', 'NUMERIC'].includes(column.dataType) && column.precision) {
+        const scale = column.scale ?? 2;
+        value = (offset / 10 ** scale).toFixed(scale);
+      } else if (['DECIMAL', 'NUMERIC', 'FLOAT', 'DOUBLE', 'REAL'].includes(column.dataType)) {
+        value = offset;
+      } else if (['DATE', 'DATETIME', 'TIMESTAMP'].includes(column.dataType)) {
+        const date = new Date(DATE_RANGE.start + offset * 86400000).toISOString();
+        value = column.dataType === 'DATE' ? date.slice(0, 10) : date.slice(0, 19).replace('T', ' ');
+      } else if (column.dataType === 'TIME') {
+        value = new Date(offset * 1000).toISOString().slice(11, 19);
+      } else if (column.dataType === 'UUID') {
+        value = this.uuid();
+      } else if (column.dataType === 'BOOLEAN' || column.dataType === 'BIT') {
+        value = offset === 1;
+      } else {
+        value = `${this.pick(WORDS)}${offset}`;
+        // Short columns count through every base-36 value of their length instead
+        if (column.length && value.length > column.length) {
+          value = offset.toString(36).padStart(column.length, '0');
+        }
+      }
+
+      if (!used.has(valueKey(value))) return value;
+    }
+
+    return undefined;
+  }
+
+  // Number of distinct values a unique column can hold (Infinity when rows cannot run out)
+  uniqueCapacity(column) {
+    if (INTEGER_RANGES[column.dataType]) return INTEGER_RANGES[column.dataType] + 1;
+    if (['DECIMAL', 'NUMERIC'].includes(column.dataType) && column.precision) return 10 ** column.precision;
+    if (column.dataType === 'BOOLEAN' || column.dataType === 'BIT') return 2;
+    if (column.dataType === 'TIME') return 86400;
+    if (['VARCHAR', 'CHAR'].includes(column.dataType) && column.length) return 36 ** column.length;
+    return Infinity;
+  }
+
+  // Truncate strings to the column length
+  fitLength(column, value) {
+    if (typeof value === 'string' && column.length && ['VARCHAR', 'CHAR'].includes(column.dataType)) {
+      return value.slice(0, column.length);
+    }
+    return value;
+  }
+
+  // INSERT statements for the generated rows, in insertion order
+  // (sqlOptions are the SQLGenerator options used for the DDL)
+  toSQL(data, dialect = 'mysql', sqlOptions = {}) {
+    const sqlGenerator = new SQLGenerator(dialect, sqlOptions);
+    dialect = sqlGenerator.dialect;
+    const quote = (name) => sqlGenerator.quoteIdentifier(name);
+    let sql = '';
+
+    for (const { table, rows } of data.tables) {
+      if (rows.length === 0) continue;
+
+      const columns = table.columns || [];
+      const columnList = columns.map(column => quote(column.name)).join(', ');
+      const primaryKeyCount = columns.filter(column => column.isPrimaryKey).length;
+      const identityColumns = columns.filter(column => column.isAutoIncrement && sqlGenerator.canAutoIncrement(column, primaryKeyCount === 1));
+      const hasIdentity = identityColumns.length > 0;
+
+      sql += `-- ${table.name}: ${rows.length} ${rows.length === 1 ? 'row' : 'rows'}\n`;
+      if (dialect === 'mssql' && hasIdentity) {
+        sql += `SET IDENTITY_INSERT ${quote(table.name)} ON;\n`;
+      }
+
+      // Oracle before 23c has no multi-row VALUES
+      const batchSize = dialect === 'oracle' ? 1 : INSERT_BATCH_SIZE;
+      for (let start = 0; start < rows.length; start += batchSize) {
+        const values = rows.slice(start, start + batchSize)
+          .map(row => `  (${columns.map(column => this.formatSQLValue(row[column.name], column, sqlGenerator)).join(', ')})`);
+        sql += `INSERT INTO ${quote(table.name)} (${columnList}) VALUES\n${values.join(',\n')};\n`;
+      }
+
+      if (dialect === 'mssql' && hasIdentity) {
+        sql += `SET IDENTITY_INSERT ${quote(table.name)} OFF;\n`;
+      }
+
+      // Move sequences past the explicit values
+      if (dialect === 'postgresql') {
+        for (const column of identityColumns) {
+          // The column is passed by name, so it needs the same shortening as the quoted identifiers
+          const columnName = sqlGenerator.shortenIdentifier(column.name);
+          sql += `SELECT setval(pg_get_serial_sequence('${quote(table.name).replace(/'/g, "''")}', '${columnName.replace(/'/g, "''")}'), (SELECT MAX(${quote(column.name)}) FROM ${quote(table.name)}));\n`;
+        }
+      }
+
+      if (dialect === 'oracle') {
+        for (const column of identityColumns) {
+          if (sqlGenerator.autoIncrement === 'sequence') {
+            const sequence = quote(sqlGenerator.getSequenceName(table.name, column.name));
+            const next = Math.max(0, ...rows.map(row => Number(row[column.name]) || 0)) + 1;
+            sql += `DROP SEQUENCE ${sequence};\nCREATE SEQUENCE ${sequence} START WITH ${next} INCREMENT BY 1;\n`;
+          } else {
+            sql += `ALTER TABLE ${quote(table.name)} MODIFY ${quote(column.name)} GENERATED BY DEFAULT ON NULL AS IDENTITY (START WITH LIMIT VALUE);\n`;
+          }
+        }
+      }
+
+      sql += '\n';
+    }
+
+    return sql;
+  }
+
+  // SQL literal for a generated value, in the SQLGenerator's dialect
+  formatSQLValue(value, column, sqlGenerator) {
+    const { dialect } = sqlGenerator;
+
+    if (value === null || value === undefined) {
+      return 'NULL';
+    }
+
+    if (typeof value === 'boolean') {
+      return sqlGenerator.formatBoolean(value);
+    }
+
+    if (Buffer.isBuffer(value)) {
+      return sqlGenerator.formatBinary(value.toString('hex'));
+    }
+
+    // Oracle needs typed literals for dates, times and RAW(16) UUIDs
+    if (dialect === 'oracle') {
+      switch (column.dataType) {
+        case 'DATE':
+          return `DATE '${value}'`;
+        case 'DATETIME':
+        case 'TIMESTAMP':
+          return `TIMESTAMP '${value}'`;
+        case 'TIME':
+          return `INTERVAL '0 ${value}' DAY(0) TO SECOND(0)`;
+        case 'UUID':
+          return `HEXTORAW('${String(value).replace(/-/g, '')}')`;
+        default:
+          break;
+      }
+    }
+
+    if (NUMERIC_TYPES.includes(column.dataType) && /^-?\d+(\.\d+)?$/.test(String(value))) {
+      return String(value);
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const escaped = dialect === 'mysql' ? text.replace(/\\/g, '\\\\') : text;
+    const literal = `'${escaped.replace(/'/g, "''")}'`;
+    return dialect === 'mssql' ? `N${literal}` : literal;
+  }
+
+  // { tableName: [row, ...] } in insertion order; binary values are hex encoded
+  toJSON(data) {
+    const document = {};
+    for (const { table, rows } of data.tables) {
+      const columns = (table.columns || []).map(column => column.name);
+      document[table.name] = rows.map(row => Object.fromEntries(
+        columns.map(name => [name, Buffer.isBuffer(row[name]) ? row[name].toString('hex') : row[name]])
+      ));
+    }
+    return document;
+  }
+
+  // One CSV document (header row plus data rows) per table, in insertion order
+  toCSV(data) {
+    return data.tables.map(({ table, rows }) => {
+      const columns = (table.columns || []).map(column => column.name);
+      const lines = [columns.map(csvField).join(',')];
+      for (const row of rows) {
+        lines.push(columns.map(name => csvField(row[name])).join(','));
+      }
+      return { table: table.name, filename: `${table.name}.csv`, csv: `${lines.join('\r\n')}\r\n` };
+    });
+  }
+
+  pick(list) {
+    return list[Math.floor(this.random() * list.length)];
+  }
+
+  integer(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  // Decimal within range that fits the column precision and scale
+  decimal(column, min, max) {
+    const scale = column.scale ?? 2;
+    const limit = column.precision ? 10 ** (column.precision - scale) - 10 ** -scale : max;
+    const upper = Math.min(max, limit);
+    const lower = Math.max(min, -limit);
+    const value = lower + this.random() * (upper - lower);
+    return INTEGER_RANGES[column.dataType] ? Math.round(value) : value.toFixed(scale);
+  }
+
+  words(count) {
+    return Array.from({ length: count }, () => this.pick(WORDS)).join(' ');
+  }
+
+  hex(bytes) {
+    return Array.from({ length: bytes }, () => this.integer(0, 255).toString(16).padStart(2, '0')).join('');
+  }
+
+  uuid() {
+    const hex = this.hex(16);
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+  }
+
+  timestamp() {
+    const time = DATE_RANGE.start + Math.floor(this.random() * (DATE_RANGE.end - DATE_RANGE.start));
+    return new Date(Math.floor(time / 1000) * 1000).toISOString();
+  }
+}
+
+// Small seeded PRNG so that the same seed always produces the same data
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function valueKey(value) {
+  return typeof value === 'string' ? value.toLowerCase() : JSON.stringify(value);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// order_items -> Order item
+function singularTitle(tableName) {
+  const words = tableName.replace(/[_-]+/g, ' ').trim();
+  return capitalize(words.replace(/ies$/i, 'y').replace(/([^s])s$/i, '$1'));
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = Buffer.isBuffer(value) ? value.toString('hex') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = MockDataGenerator;
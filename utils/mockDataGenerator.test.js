@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import sqlite3 from 'sqlite3';
+import MockDataGenerator from './mockDataGenerator';
+import SQLGenerator from './sqlGenerator';
+
+const users = {
+  id: 'users',
+  name: 'users',
+  columns: [
+    { id: 'users.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+    { id: 'users.email', name: 'email', dataType: 'VARCHAR', length: 40, isUnique: true, isRequired: true },
+    { id: 'users.code', name: 'code', dataType: 'CHAR', length: 2, isUnique: true, isRequired: true },
+    { id: 'users.bio', name: 'bio', dataType: 'TEXT' }
+  ]
+};
+const posts = {
+  id: 'posts',
+  name: 'posts',
+  columns: [
+    { id: 'posts.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+    { id: 'posts.user_id', name: 'user_id', dataType: 'INTEGER', isRequired: true },
+    { id: 'posts.price', name: 'price', dataType: 'DECIMAL', precision: 6, scale: 2, isRequired: true }
+  ]
+};
+const postsUsers = {
+  id: 'r1',
+  name: 'fk_posts_users',
+  relationshipType: 'one-to-many',
+  onDelete: 'CASCADE',
+  onUpdate: 'NO ACTION',
+  sourceTableId: 'posts',
+  sourceColumnId: 'posts.user_id',
+  targetTableId: 'users',
+  targetColumnId: 'users.id',
+  sourceTableName: 'posts',
+  sourceColumnName: 'user_id',
+  targetTableName: 'users',
+  targetColumnName: 'id'
+};
+
+describe('MockDataGenerator', () => {
+  // Children first, to check that rows come out parents first
+  const data = new MockDataGenerator({ rowCount: 30, seed: 42 }).generate([posts, users], [postsUsers]);
+  const rowsOf = name => data.tables.find(entry => entry.table.name === name).rows;
+
+  it('orders tables parents first and is repeatable for a seed', () => {
+    expect(data.tables.map(entry => entry.table.name)).toEqual(['users', 'posts']);
+    expect(new MockDataGenerator({ rowCount: 30, seed: 42 }).generate([posts, users], [postsUsers])).toEqual(data);
+    expect(data.warnings).toEqual([]);
+  });
+
+  it('honors lengths, uniqueness and foreign keys', () => {
+    const userRows = rowsOf('users');
+    expect(userRows).toHaveLength(30);
+    expect(new Set(userRows.map(row => row.email)).size).toBe(30);
+    expect(new Set(userRows.map(row => row.code)).size).toBe(30);
+    expect(userRows.every(row => row.email.length <= 40 && row.code.length <= 2)).toBe(true);
+
+    const userIds = new Set(userRows.map(row => row.id));
+    expect(rowsOf('posts').every(row => userIds.has(row.user_id))).toBe(true);
+    expect(rowsOf('posts').every(row => /^\d{1,4}\.\d{2}$/.test(String(row.price)))).toBe(true);
+  });
+
+  it('stops a table when a unique column runs out of values', () => {
+    const flags = {
+      id: 'flags',
+      name: 'flags',
+      columns: [{ id: 'flags.on', name: 'enabled', dataType: 'BOOLEAN', isUnique: true, isRequired: true }]
+    };
+    const result = new MockDataGenerator({ rowCount: 5, seed: 1 }).generate([flags]);
+
+    expect(result.tables[0].rows).toHaveLength(2);
+    expect(result.warnings).toEqual(['Generated 2 of 5 rows for flags: enabled has no more distinct values']);
+  });
+
+  it('writes INSERT statements that a database accepts', async () => {
+    // SQLite declares foreign keys inside CREATE TABLE
+    const generator = new SQLGenerator('sqlite');
+    const ddl = generator.generateCreateTable(users, false) + generator.generateCreateTable(posts, false, [postsUsers]);
+    const inserts = new MockDataGenerator({ rowCount: 30, seed: 42 }).toSQL(data, 'sqlite');
+    const db = new sqlite3.Database(':memory:');
+    const exec = sql => new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+    const all = sql => new Promise((resolve, reject) => db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows))));
+
+    try {
+      await exec(`PRAGMA foreign_keys = ON;\n${ddl}\n${inserts}`);
+      expect(await all('SELECT COUNT(*) AS count FROM posts')).toEqual([{ count: 30 }]);
+    } finally {
+      await new Promise(resolve => db.close(() => resolve()));
+    }
+  });
+
+  it('quotes CSV fields that need it', () => {
+    const notes = { id: 'notes', name: 'notes', columns: [{ id: 'notes.body', name: 'body', dataType: 'TEXT' }] };
+    const [file] = new MockDataGenerator().toCSV({ tables: [{ table: notes, rows: [{ body: 'a, "b"' }, { body: null }] }] });
+
+    expect(file).toEqual({ table: 'notes', filename: 'notes.csv', csv: 'body\r\n"a, ""b"""\r\n\r\n' });
+  });
+});
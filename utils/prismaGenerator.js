@@ -0,0 +1,410 @@
+// Prisma schema generation: tables become models, relationships become @relation fields
+
+// Prisma datasource providers for each SQL dialect
+const PROVIDERS = {
+  mysql: 'mysql',
+  postgresql: 'postgresql',
+  sqlite: 'sqlite',
+  mssql: 'sqlserver'
+};
+
+// Generic data types mapped to Prisma scalar types
+const SCALAR_TYPES = {
+  INTEGER: 'Int',
+  SMALLINT: 'Int',
+  TINYINT: 'Int',
+  BIGINT: 'BigInt',
+  VARCHAR: 'String',
+  CHAR: 'String',
+  TEXT: 'String',
+  LONGTEXT: 'String',
+  UUID: 'String',
+  DECIMAL: 'Decimal',
+  NUMERIC: 'Decimal',
+  FLOAT: 'Float',
+  DOUBLE: 'Float',
+  REAL: 'Float',
+  DATE: 'DateTime',
+  TIME: 'DateTime',
+  DATETIME: 'DateTime',
+  TIMESTAMP: 'DateTime',
+  BOOLEAN: 'Boolean',
+  BIT: 'Boolean',
+  JSON: 'Json',
+  JSONB: 'Json',
+  BLOB: 'Bytes'
+};
+
+// Index methods as Prisma spells them (@@index(type: ...), PostgreSQL only)
+const INDEX_TYPES = {
+  btree: 'BTree',
+  hash: 'Hash',
+  gist: 'Gist',
+  gin: 'Gin',
+  spgist: 'SpGist',
+  brin: 'Brin'
+};
+
+// Referential actions as Prisma spells them
+const REFERENTIAL_ACTIONS = {
+  CASCADE: 'Cascade',
+  'SET NULL': 'SetNull',
+  RESTRICT: 'Restrict',
+  'NO ACTION': 'NoAction'
+};
+
+class PrismaGenerator {
+  constructor(dialect = 'postgresql') {
+    this.dialect = dialect.toLowerCase();
+    this.provider = PROVIDERS[this.dialect];
+    // Writing another provider's schema would silently target the wrong database
+    if (!this.provider) {
+      throw new Error(`Prisma does not support the ${dialect} dialect`);
+    }
+    this.nativeTypeMapping = this.getNativeTypeMapping();
+  }
+
+  // Generate a complete schema.prisma file
+  generateSchema(tables, relationships = [], options = {}) {
+    const { includeComments = true } = options;
+    let output = '';
+
+    if (includeComments) {
+      output += this.generateHeader();
+    }
+
+    output += `datasource db {
+  provider = "${this.provider}"
+  url      = env("DATABASE_URL")
+}
+
+generator client {
+  provider = "prisma-client-js"
+}
+`;
+
+    const relationFields = this.buildRelationFields(tables, relationships);
+
+    for (const table of tables) {
+      output += '\n' + this.generateModel(table, relationFields.get(table.id) || [], includeComments);
+    }
+
+    return output;
+  }
+
+  // Generate header comment
+  generateHeader() {
+    const timestamp = new Date().toISOString();
+    return `// Prisma schema generated by Database Schema Designer
+// Generated at: ${timestamp}
+
+`;
+  }
+
+  // Generate a model block with aligned field definitions
+  generateModel(table, relationFields, includeComments = true) {
+    const columns = table.columns || [];
+    const primaryKeys = columns.filter(column => column.isPrimaryKey);
+    const rows = [];
+
+    for (const column of columns) {
+      rows.push({
+        comment: includeComments ? column.description : null,
+        parts: [column.name, this.mapFieldType(column), this.generateFieldAttributes(column, primaryKeys.length === 1)]
+      });
+    }
+
+    for (const field of relationFields) {
+      rows.push({ comment: null, parts: [field.name, field.type, field.attributes] });
+    }
+
+    const nameWidth = Math.max(...rows.map(row => row.parts[0].length));
+    const typeWidth = Math.max(...rows.map(row => row.parts[1].length));
+
+    let model = '';
+    if (includeComments && table.description) {
+      model += `/// ${table.description}\n`;
+    }
+    model += `model ${table.name} {\n`;
+
+    for (const row of rows) {
+      if (row.comment) {
+        model += `  /// ${row.comment}\n`;
+      }
+      const [name, type, attributes] = row.parts;
+      model += `  ${name.padEnd(nameWidth)} ${attributes ? `${type.padEnd(typeWidth)} ${attributes}` : type}\n`;
+    }
+
+    const blockAttributes = (table.indexes || []).map(index => this.generateIndexAttribute(table, index));
+    if (primaryKeys.length > 1) {
+      blockAttributes.unshift(`@@id([${primaryKeys.map(column => column.name).join(', ')}])`);
+    }
+    if (blockAttributes.length > 0) {
+      model += `\n${blockAttributes.map(attribute => `  ${attribute}\n`).join('')}`;
+    }
+
+    model += '}\n';
+    return model;
+  }
+
+  // @@unique / @@index attribute for a table index. Prisma has no expression or partial
+  // indexes, so those are written as a comment instead.
+  generateIndexAttribute(table, index) {
+    const fields = index.columns.map(part => {
+      const name = part.expression || table.columns.find(column => column.id === part.columnId)?.name || part.columnName;
+      return part.order === 'DESC' ? `${name}(sort: Desc)` : name;
+    });
+    const args = [`[${fields.join(', ')}]`, `map: "${index.name}"`];
+    if (index.method && INDEX_TYPES[index.method] && this.provider === 'postgresql' && !index.isUnique) {
+      args.push(`type: ${INDEX_TYPES[index.method]}`);
+    }
+
+    const attribute = `${index.isUnique ? '@@unique' : '@@index'}(${args.join(', ')})`;
+    if (index.columns.some(part => part.expression) || index.where) {
+      return `// ${attribute}${index.where ? ` WHERE ${index.where.replace(/\s+/g, ' ')}` : ''}`;
+    }
+    return attribute;
+  }
+
+  // Prisma type of a column field, including the optional marker
+  mapFieldType(column) {
+    let type = SCALAR_TYPES[column.dataType] || 'String';
+
+    // SQL Server has no JSON type in Prisma
+    if (type === 'Json' && this.provider === 'sqlserver') {
+      type = 'String';
+    }
+
+    return column.isRequired || column.isPrimaryKey ? type : `${type}?`;
+  }
+
+  // Field attributes: @id, @unique, @default(...) and the native @db type
+  generateFieldAttributes(column, isSinglePrimaryKey) {
+    const attributes = [];
+
+    if (column.isPrimaryKey && isSinglePrimaryKey) {
+      attributes.push('@id');
+    }
+
+    if (column.isUnique && !column.isPrimaryKey) {
+      attributes.push('@unique');
+    }
+
+    const defaultValue = this.formatDefaultValue(column);
+    if (defaultValue) {
+      attributes.push(`@default(${defaultValue})`);
+    }
+
+    const nativeType = this.mapNativeType(column);
+    if (nativeType) {
+      attributes.push(nativeType);
+    }
+
+    return attributes.join(' ');
+  }
+
+  // Prisma @default argument for a column (null when there is none)
+  formatDefaultValue(column) {
+    if (column.isAutoIncrement) {
+      return 'autoincrement()';
+    }
+
+    const value = column.defaultValue;
+    if (value === null || value === undefined || value === '' || value.toUpperCase() === 'NULL') {
+      return null;
+    }
+
+    const upperValue = value.toUpperCase();
+    if (upperValue === 'CURRENT_TIMESTAMP' || upperValue === 'NOW()') {
+      return 'now()';
+    }
+
+    const type = SCALAR_TYPES[column.dataType] || 'String';
+    switch (type) {
+      case 'String':
+        return JSON.stringify(value);
+      case 'Boolean':
+        if (['TRUE', '1'].includes(upperValue)) return 'true';
+        if (['FALSE', '0'].includes(upperValue)) return 'false';
+        break;
+      case 'Int':
+      case 'BigInt':
+      case 'Float':
+      case 'Decimal':
+        if (/^-?\d+(\.\d+)?$/.test(value)) return value;
+        break;
+      default:
+        break;
+    }
+
+    // Anything else is left to the database
+    return `dbgenerated(${JSON.stringify(value)})`;
+  }
+
+  // Native database type attribute (@db.*) preserving lengths and precision
+  mapNativeType(column) {
+    const mapping = this.nativeTypeMapping[column.dataType];
+    if (!mapping) {
+      return null;
+    }
+
+    if (mapping.includes('(n)')) {
+      return column.length ? mapping.replace('(n)', `(${column.length})`) : mapping.replace('(n)', '');
+    }
+
+    if (mapping.includes('(p,s)')) {
+      return column.precision ? mapping.replace('(p,s)', `(${column.precision}, ${column.scale || 0})`) : mapping.replace('(p,s)', '');
+    }
+
+    return mapping;
+  }
+
+  // Native type attributes per provider (SQLite has none)
+  getNativeTypeMapping() {
+    const mappings = {
+      mysql: {
+        SMALLINT: '@db.SmallInt',
+        TINYINT: '@db.TinyInt',
+        VARCHAR: '@db.VarChar(n)',
+        CHAR: '@db.Char(n)',
+        TEXT: '@db.Text',
+        LONGTEXT: '@db.LongText',
+        UUID: '@db.Char(36)',
+        DECIMAL: '@db.Decimal(p,s)',
+        NUMERIC: '@db.Decimal(p,s)',
+        FLOAT: '@db.Float',
+        DATE: '@db.Date',
+        TIME: '@db.Time',
+        DATETIME: '@db.DateTime',
+        TIMESTAMP: '@db.Timestamp',
+        BIT: '@db.Bit(1)'
+      },
+      postgresql: {
+        SMALLINT: '@db.SmallInt',
+        TINYINT: '@db.SmallInt',
+        VARCHAR: '@db.VarChar(n)',
+        CHAR: '@db.Char(n)',
+        TEXT: '@db.Text',
+        LONGTEXT: '@db.Text',
+        UUID: '@db.Uuid',
+        DECIMAL: '@db.Decimal(p,s)',
+        NUMERIC: '@db.Decimal(p,s)',
+        REAL: '@db.Real',
+        FLOAT: '@db.Real',
+        DATE: '@db.Date',
+        TIME: '@db.Time',
+        JSONB: '@db.JsonB'
+      },
+      sqlite: {},
+      mssql: {
+        SMALLINT: '@db.SmallInt',
+        TINYINT: '@db.TinyInt',
+        VARCHAR: '@db.VarChar(n)',
+        CHAR: '@db.Char(n)',
+        TEXT: '@db.Text',
+        LONGTEXT: '@db.Text',
+        UUID: '@db.UniqueIdentifier',
+        DECIMAL: '@db.Decimal(p,s)',
+        NUMERIC: '@db.Decimal(p,s)',
+        REAL: '@db.Real',
+        DATE: '@db.Date',
+        TIME: '@db.Time',
+        DATETIME: '@db.DateTime2'
+      }
+    };
+
+    return mappings[this.dialect] || mappings.postgresql;
+  }
+
+  // Build the relation fields of every model, keyed by table ID.
+  // The table holding the foreign key gets a @relation field; the referenced table gets the back-relation.
+  buildRelationFields(tables, relationships) {
+    const tablesById = new Map(tables.map(table => [table.id, table]));
+    const fields = new Map(tables.map(table => [table.id, []]));
+    const usedNames = new Map(tables.map(table => [table.id, new Set((table.columns || []).map(column => column.name))]));
+
+    // Reserve a field name on a model, suffixing it if it is already taken
+    const reserveName = (tableId, name) => {
+      const names = usedNames.get(tableId);
+      let candidate = name;
+      for (let suffix = 2; names.has(candidate); suffix++) {
+        candidate = `${name}${suffix}`;
+      }
+      names.add(candidate);
+      return candidate;
+    };
+
+    // Relations between the same pair of models (or a model and itself) need a name
+    const pairCounts = new Map();
+    const pairKey = (rel) => [rel.sourceTableId, rel.targetTableId].sort().join(':');
+    for (const rel of relationships) {
+      pairCounts.set(pairKey(rel), (pairCounts.get(pairKey(rel)) || 0) + 1);
+    }
+
+    for (const rel of relationships) {
+      const source = tablesById.get(rel.sourceTableId);
+      const target = tablesById.get(rel.targetTableId);
+      const pairs = rel.columns?.length ? rel.columns : [rel];
+      const sourceColumns = pairs.map(pair => source?.columns.find(column => column.id === pair.sourceColumnId));
+      const targetColumns = pairs.map(pair => target?.columns.find(column => column.id === pair.targetColumnId));
+      if (sourceColumns.includes(undefined) || targetColumns.includes(undefined)) continue;
+      const [sourceColumn] = sourceColumns;
+
+      const needsName = pairCounts.get(pairKey(rel)) > 1 || source.id === target.id;
+      const relationName = needsName ? JSON.stringify(rel.name || `${source.name}_${sourceColumn.name}`) : null;
+
+      // Forward field, e.g. user_id -> user (composite foreign keys are named after the target)
+      const forwardName = reserveName(source.id, sourceColumns.length === 1
+        ? relationFieldName(sourceColumn.name, target.name)
+        : lowerFirst(target.name));
+      const relationArguments = [
+        relationName,
+        `fields: [${sourceColumns.map(column => column.name).join(', ')}]`,
+        `references: [${targetColumns.map(column => column.name).join(', ')}]`,
+        `onDelete: ${REFERENTIAL_ACTIONS[rel.onDelete] || 'NoAction'}`,
+        `onUpdate: ${REFERENTIAL_ACTIONS[rel.onUpdate] || 'NoAction'}`
+      ].filter(Boolean);
+
+      fields.get(source.id).push({
+        name: forwardName,
+        type: sourceColumns.some(column => column.isRequired || column.isPrimaryKey) ? target.name : `${target.name}?`,
+        attributes: `@relation(${relationArguments.join(', ')})`
+      });
+
+      // Back-relation: a single optional field only when the foreign key columns are themselves unique
+      const sourcePrimaryKeys = source.columns.filter(column => column.isPrimaryKey);
+      const isSingular = rel.relationshipType === 'one-to-one' && (sourceColumns.length === 1
+        ? sourceColumn.isUnique || (sourceColumn.isPrimaryKey && sourcePrimaryKeys.length === 1)
+        : sourceColumns.every(column => column.isPrimaryKey) && sourcePrimaryKeys.length === sourceColumns.length);
+      const backName = reserveName(target.id, isSingular ? lowerFirst(source.name) : pluralize(lowerFirst(source.name)));
+
+      fields.get(target.id).push({
+        name: backName,
+        type: isSingular ? `${source.name}?` : `${source.name}[]`,
+        attributes: relationName ? `@relation(${relationName})` : ''
+      });
+    }
+
+    return fields;
+  }
+}
+
+// Name of the relation field for a foreign key column: user_id -> user, authorId -> author
+function relationFieldName(columnName, targetName) {
+  const stripped = columnName.replace(/(_id|Id|_ID)$/, '');
+  return stripped && stripped !== columnName ? stripped : lowerFirst(targetName);
+}
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+// Naive English plural for back-relation list fields (table names are often plural already)
+function pluralize(name) {
+  if (/[^s]s$/i.test(name)) return name;
+  if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/i.test(name)) return `${name}es`;
+  return `${name}s`;
+}
+
+module.exports = PrismaGenerator;
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import PrismaGenerator from './prismaGenerator';
+
+const users = {
+  id: 'users',
+  name: 'users',
+  columns: [
+    { id: 'users.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true, isAutoIncrement: true },
+    { id: 'users.email', name: 'email', dataType: 'VARCHAR', length: 120, isUnique: true, isRequired: true }
+  ]
+};
+
+describe('PrismaGenerator', () => {
+  it('uses the provider of the dialect', () => {
+    const schema = new PrismaGenerator('mssql').generateSchema([users], [], { includeComments: false });
+
+    expect(schema).toContain('provider = "sqlserver"');
+    expect(schema).toContain('email String @unique @db.VarChar(120)');
+  });
+
+  it('writes indexes as @@index, commenting out the ones Prisma cannot express', () => {
+    const posts = {
+      id: 'posts',
+      name: 'posts',
+      columns: [
+        { id: 'posts.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+        { id: 'posts.user_id', name: 'user_id', dataType: 'INTEGER', isRequired: true },
+        { id: 'posts.score', name: 'score', dataType: 'INTEGER' }
+      ],
+      indexes: [
+        { name: 'idx_posts_user_score', isUnique: false, method: 'hash', columns: [{ columnId: 'posts.user_id' }, { columnId: 'posts.score', order: 'DESC' }] },
+        { name: 'idx_posts_abs', isUnique: false, columns: [{ expression: 'abs(score)' }] }
+      ]
+    };
+    const schema = new PrismaGenerator('postgresql').generateSchema([posts], [], { includeComments: false });
+
+    expect(schema).toContain('  @@index([user_id, score(sort: Desc)], map: "idx_posts_user_score", type: Hash)\n');
+    expect(schema).toContain('  // @@index([abs(score)], map: "idx_posts_abs")\n');
+  });
+
+  it('rejects dialects Prisma has no provider for', () => {
+    expect(() => new PrismaGenerator('oracle')).toThrow('Prisma does not support the oracle dialect');
+  });
+});
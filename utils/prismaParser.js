@@ -0,0 +1,568 @@
+// Prisma schema parser: turns schema.prisma models into tables and relationships
+// that reference each other by name (see namedContentToContent in utils/schemaData.js)
+
+// Prisma scalar types mapped to generic data types; @db.* native types refine them
+const SCALAR_TYPES = {
+  String: 'VARCHAR',
+  Int: 'INTEGER',
+  BigInt: 'BIGINT',
+  Float: 'DOUBLE',
+  Decimal: 'DECIMAL',
+  DateTime: 'TIMESTAMP',
+  Boolean: 'BOOLEAN',
+  Json: 'JSON',
+  Bytes: 'BLOB'
+};
+
+// Native type attributes (@db.*) mapped to generic data types
+const NATIVE_TYPES = {
+  VarChar: 'VARCHAR',
+  NVarChar: 'VARCHAR',
+  Char: 'CHAR',
+  NChar: 'CHAR',
+  Text: 'TEXT',
+  NText: 'TEXT',
+  TinyText: 'TEXT',
+  MediumText: 'TEXT',
+  LongText: 'LONGTEXT',
+  Uuid: 'UUID',
+  UniqueIdentifier: 'UUID',
+  SmallInt: 'SMALLINT',
+  TinyInt: 'TINYINT',
+  Real: 'REAL',
+  Float: 'FLOAT',
+  DoublePrecision: 'DOUBLE',
+  Decimal: 'DECIMAL',
+  Money: 'DECIMAL',
+  Date: 'DATE',
+  Time: 'TIME',
+  DateTime: 'DATETIME',
+  DateTime2: 'DATETIME',
+  Timestamp: 'TIMESTAMP',
+  Timestamptz: 'TIMESTAMP',
+  JsonB: 'JSONB'
+};
+
+// String length used when a String field has no @db.VarChar(n)
+const DEFAULT_STRING_LENGTH = 255;
+
+// Default functions whose value is generated by Prisma Client rather than the database
+const CLIENT_DEFAULTS = ['uuid', 'cuid', 'nanoid', 'ulid'];
+
+// Prisma index types (@@index(type: ...)) mapped to index methods
+const INDEX_METHODS = {
+  BTree: 'btree',
+  Hash: 'hash',
+  Gist: 'gist',
+  Gin: 'gin',
+  SpGist: 'spgist',
+  Brin: 'brin'
+};
+
+// Prisma referential actions mapped back to SQL
+const REFERENTIAL_ACTIONS = {
+  Cascade: 'CASCADE',
+  SetNull: 'SET NULL',
+  Restrict: 'RESTRICT',
+  NoAction: 'NO ACTION'
+};
+
+class PrismaParser {
+  // Parse a schema.prisma file into { tables, relationships, warnings }.
+  // Tables carry their columns; relationships reference tables and columns by name.
+  parse(text) {
+    this.warnings = [];
+    const { models, enums } = this.readBlocks(text);
+    this.models = models;
+    this.enums = enums;
+
+    const tables = [];
+    for (const model of models.values()) {
+      tables.push(this.buildTable(model));
+    }
+
+    const relationships = this.buildRelationships(tables);
+
+    return { tables, relationships, warnings: this.warnings };
+  }
+
+  // Split the file into model and enum blocks; other blocks (datasource, generator, ...) are skipped
+  readBlocks(text) {
+    const models = new Map();
+    const enums = new Map();
+    let block = null;
+    let docComment = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      let line = stripComment(rawLine).trim();
+      const doc = /^\s*\/\/\/\s?(.*)$/.exec(rawLine);
+
+      if (doc) {
+        docComment.push(doc[1].trim());
+        continue;
+      }
+
+      if (!line) {
+        continue;
+      }
+
+      if (!block) {
+        const header = /^(model|enum|view|type|datasource|generator)\s+(\w+)\s*\{(.*)$/.exec(line);
+        if (!header) {
+          docComment = [];
+          continue;
+        }
+
+        const [, kind, name, rest] = header;
+        block = { kind, name, description: docComment.join(' '), lines: [] };
+        docComment = [];
+
+        // The body may start on the header line, e.g. model Tag { id Int @id }
+        line = rest.trim();
+        if (!line) {
+          continue;
+        }
+      }
+
+      // The closing brace may follow the last field on the same line
+      const closes = line.endsWith('}');
+      const body = closes ? line.slice(0, -1).trim() : line;
+
+      if (body) {
+        block.lines.push({ text: body, description: docComment.join(' ') });
+        docComment = [];
+      }
+
+      if (closes) {
+        if (block.kind === 'model') {
+          models.set(block.name, block);
+        } else if (block.kind === 'enum') {
+          // Values are separated by whitespace; their attributes (@map, @@map) are not values
+          enums.set(block.name, block.lines.flatMap(entry =>
+            entry.text.replace(/@@?[\w.]+(\([^)]*\))?/g, ' ').split(/\s+/).filter(Boolean)));
+        } else if (block.kind === 'view' || block.kind === 'type') {
+          this.warnings.push(`Skipped ${block.kind} ${block.name}`);
+        }
+        block = null;
+      }
+    }
+
+    if (block) {
+      this.warnings.push(`Skipped ${block.kind} ${block.name}: missing closing brace`);
+    }
+
+    return { models, enums };
+  }
+
+  // Build a table (with its columns) from a model block
+  buildTable(model) {
+    const table = { name: model.name, description: model.description, columns: [], fields: [], indexes: [] };
+    const blockAttributes = [];
+
+    for (const line of model.lines) {
+      if (line.text.startsWith('@@')) {
+        blockAttributes.push(...parseAttributes(line.text));
+        continue;
+      }
+
+      const match = /^(\w+)\s+(\w+(?:\([^)]*\))?)(\[\]|\?)?\s*(.*)$/.exec(line.text);
+      if (!match) {
+        this.warnings.push(`Skipped unrecognized line in model ${model.name}: ${line.text}`);
+        continue;
+      }
+
+      const [, name, type, modifier, rest] = match;
+      const field = {
+        name,
+        type,
+        isList: modifier === '[]',
+        isOptional: modifier === '?',
+        attributes: parseAttributes(rest),
+        description: line.description
+      };
+      table.fields.push(field);
+
+      if (!this.models.has(type)) {
+        this.addColumn(table, field);
+      }
+    }
+
+    for (const attribute of blockAttributes) {
+      const fields = attribute.args.fields || attribute.args[0];
+      const keyFields = Array.isArray(fields) ? fields.map(parseKeyField) : [];
+      const columns = keyFields.map(field => this.columnName(table, field.name));
+
+      switch (attribute.name) {
+        case '@@map':
+          table.name = attribute.args[0];
+          break;
+        case '@@id':
+          columns.forEach(name => {
+            const column = table.columns.find(col => col.name === name);
+            if (column) {
+              column.isPrimaryKey = true;
+              column.isRequired = true;
+            }
+          });
+          break;
+        case '@@unique':
+        case '@@index':
+          if (attribute.name === '@@unique' && columns.length === 1) {
+            const column = table.columns.find(col => col.name === columns[0]);
+            if (column && !column.isPrimaryKey) column.isUnique = true;
+          } else {
+            table.indexes.push({
+              name: attribute.args.map || attribute.args.name || null,
+              isUnique: attribute.name === '@@unique',
+              method: INDEX_METHODS[attribute.args.type] || null,
+              where: null,
+              columns: columns.map((columnName, position) => ({ columnName, order: keyFields[position].order }))
+            });
+          }
+          break;
+        case '@@ignore':
+          this.warnings.push(`Model ${model.name} is marked @@ignore but was imported`);
+          break;
+        default:
+          break;
+      }
+    }
+
+    return table;
+  }
+
+  // Add a scalar (or enum) field as a column
+  addColumn(table, field) {
+    const attribute = (name) => field.attributes.find(attr => attr.name === name);
+    const label = `${table.name}.${field.name}`;
+
+    const column = {
+      name: attribute('@map')?.args[0] || field.name,
+      ...this.mapType(field, label),
+      isPrimaryKey: Boolean(attribute('@id')),
+      isUnique: Boolean(attribute('@unique')),
+      isRequired: !field.isOptional,
+      isAutoIncrement: false,
+      defaultValue: null,
+      description: field.description
+    };
+
+    const defaultAttribute = attribute('@default');
+    if (defaultAttribute) {
+      Object.assign(column, this.mapDefault(defaultAttribute.args[0], column));
+    }
+
+    if (column.isPrimaryKey) {
+      column.isRequired = true;
+      column.isUnique = false;
+    }
+
+    field.column = column.name;
+    table.columns.push(column);
+  }
+
+  // Map a field type (and its @db.* attribute) to a generic data type
+  mapType(field, label) {
+    if (field.isList) {
+      this.warnings.push(`List field ${label} (${field.type}[]) was imported as JSON`);
+      return { dataType: 'JSON', length: null, precision: null, scale: null };
+    }
+
+    if (this.enums.has(field.type)) {
+      const longest = Math.max(1, ...this.enums.get(field.type).map(value => value.length));
+      this.warnings.push(`Enum field ${label} (${field.type}) was imported as VARCHAR(${longest})`);
+      return { dataType: 'VARCHAR', length: longest, precision: null, scale: null };
+    }
+
+    const type = { dataType: SCALAR_TYPES[field.type], length: null, precision: null, scale: null };
+    if (!type.dataType) {
+      this.warnings.push(`Unsupported type ${field.type} on ${label} was imported as TEXT`);
+      return { ...type, dataType: 'TEXT' };
+    }
+
+    const nativeAttribute = field.attributes.find(attr => attr.name.startsWith('@db.'));
+    const nativeType = nativeAttribute && NATIVE_TYPES[nativeAttribute.name.slice(4)];
+    if (nativeType) {
+      type.dataType = nativeType;
+      const { 0: first, 1: second } = nativeAttribute.args;
+      if (nativeType === 'VARCHAR' || nativeType === 'CHAR') {
+        type.length = Number.parseInt(first, 10) || null;
+      } else if (nativeType === 'DECIMAL' && first !== undefined) {
+        type.precision = Number.parseInt(first, 10) || null;
+        type.scale = Number.parseInt(second, 10) || 0;
+      }
+    } else if (type.dataType === 'VARCHAR') {
+      const defaultCall = field.attributes.find(attr => attr.name === '@default')?.args[0];
+      if (defaultCall === 'uuid()') {
+        type.dataType = 'UUID';
+      } else {
+        type.length = DEFAULT_STRING_LENGTH;
+      }
+    }
+
+    return type;
+  }
+
+  // Map a @default(...) argument to defaultValue / isAutoIncrement
+  mapDefault(value, column) {
+    const call = /^(\w+)\((.*)\)$/.exec(value || '');
+
+    if (call) {
+      const [, name, args] = call;
+      if (name === 'autoincrement' || name === 'sequence') return { isAutoIncrement: true };
+      if (name === 'now') return { defaultValue: 'CURRENT_TIMESTAMP' };
+      if (name === 'dbgenerated') return { defaultValue: unquoteString(args) || null };
+      if (CLIENT_DEFAULTS.includes(name)) return {};
+
+      this.warnings.push(`Default ${value} on ${column.name} was not imported`);
+      return {};
+    }
+
+    if (value.startsWith('"')) {
+      return { defaultValue: unquoteString(value) };
+    }
+
+    // Numbers, booleans and enum values
+    return { defaultValue: value };
+  }
+
+  // Database column name of a model field (honouring @map)
+  columnName(table, fieldName) {
+    return table.fields.find(field => field.name === fieldName)?.column || fieldName;
+  }
+
+  // Turn @relation fields into relationships; implicit many-to-many relations get a join table
+  buildRelationships(tables) {
+    const tablesByModel = new Map([...this.models.keys()].map((name, index) => [name, tables[index]]));
+    const relationships = [];
+    const joinTables = [];
+
+    for (const [modelName, table] of tablesByModel) {
+      for (const field of table.fields.filter(candidate => this.models.has(candidate.type))) {
+        const relation = field.attributes.find(attr => attr.name === '@relation');
+        const relationName = relationNameOf(field);
+        const target = tablesByModel.get(field.type);
+
+        // The opposite field: same relation name, pointing back at this model
+        const opposite = target.fields.find(candidate =>
+          candidate !== field && candidate.type === modelName && relationNameOf(candidate) === relationName);
+
+        if (relation?.args.fields) {
+          const columns = relation.args.fields.map(item => this.columnName(table, parseKeyField(item).name));
+          const targetColumns = (relation.args.references || []).map(item => this.columnName(target, parseKeyField(item).name));
+
+          if (columns.length === 0 || columns.length !== targetColumns.length) {
+            this.warnings.push(`Skipped relation ${modelName}.${field.name}: ${columns.length} fields reference ${targetColumns.length}`);
+            continue;
+          }
+
+          const isRequired = columns.some(name => table.columns.find(col => col.name === name)?.isRequired);
+          relationships.push({
+            name: relationName,
+            sourceTable: table.name,
+            sourceColumn: columns[0],
+            targetTable: target.name,
+            targetColumn: targetColumns[0],
+            ...(columns.length > 1 ? { sourceColumns: columns, targetColumns } : {}),
+            relationshipType: opposite && !opposite.isList ? 'one-to-one' : 'one-to-many',
+            // Prisma defaults: Restrict (SetNull for optional relations) on delete, Cascade on update
+            onDelete: this.mapAction(relation.args.onDelete, isRequired ? 'RESTRICT' : 'SET NULL', modelName),
+            onUpdate: this.mapAction(relation.args.onUpdate, 'CASCADE', modelName)
+          });
+        } else if (field.isList && opposite?.isList) {
+          // Both sides see the relation; keep one join table per pair
+          const models = [modelName, field.type].sort();
+          if (!joinTables.some(join => join.relationName === relationName && join.models.join() === models.join())) {
+            joinTables.push({ relationName, models });
+          }
+        }
+      }
+    }
+
+    for (const { relationName, models } of joinTables) {
+      this.addJoinTable(tables, relationships, tablesByModel, relationName, models);
+    }
+
+    for (const table of tables) {
+      delete table.fields;
+    }
+
+    return relationships;
+  }
+
+  // Create the join table Prisma uses for an implicit many-to-many relation (_AToB with columns A and B)
+  addJoinTable(tables, relationships, tablesByModel, relationName, [modelA, modelB]) {
+    const name = `_${relationName || `${modelA}To${modelB}`}`;
+    const ends = [['A', tablesByModel.get(modelA)], ['B', tablesByModel.get(modelB)]];
+    const columns = [];
+
+    for (const [columnName, table] of ends) {
+      const primaryKeys = table.columns.filter(column => column.isPrimaryKey);
+      if (primaryKeys.length !== 1) {
+        this.warnings.push(`Skipped many-to-many relation ${name}: ${table.name} needs a single-column @id`);
+        return;
+      }
+
+      const { dataType, length, precision, scale } = primaryKeys[0];
+      columns.push({
+        name: columnName,
+        dataType,
+        length,
+        precision,
+        scale,
+        isPrimaryKey: true,
+        isUnique: false,
+        isRequired: true,
+        isAutoIncrement: false,
+        defaultValue: null,
+        description: ''
+      });
+    }
+
+    tables.push({ name, description: `Join table for ${modelA} and ${modelB}`, columns, fields: [], indexes: [] });
+
+    ends.forEach(([columnName, table]) => {
+      relationships.push({
+        name: null,
+        sourceTable: name,
+        sourceColumn: columnName,
+        targetTable: table.name,
+        targetColumn: table.columns.find(column => column.isPrimaryKey).name,
+        relationshipType: 'many-to-many',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    });
+  }
+
+  // Map a Prisma referential action to SQL
+  mapAction(action, fallback, modelName) {
+    if (!action) {
+      return fallback;
+    }
+    if (REFERENTIAL_ACTIONS[action]) {
+      return REFERENTIAL_ACTIONS[action];
+    }
+
+    this.warnings.push(`Referential action ${action} on ${modelName} is not supported; using NO ACTION`);
+    return 'NO ACTION';
+  }
+}
+
+// Name given in @relation("name") or @relation(name: "name"), if any
+function relationNameOf(field) {
+  const relation = field.attributes.find(attr => attr.name === '@relation');
+  return relation?.args.name || relation?.args[0] || null;
+}
+
+// Remove a // comment (but not ///, or // inside a string) from a line
+function stripComment(line) {
+  let inString = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"' && line[i - 1] !== '\\') inString = !inString;
+    if (!inString && line[i] === '/' && line[i + 1] === '/') {
+      return line[i + 2] === '/' ? '' : line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function unquoteString(value) {
+  return /^".*"$/.test(value) ? JSON.parse(value) : value;
+}
+
+// Split text on top-level commas (outside brackets, parentheses and strings)
+function splitArguments(text) {
+  const parts = [];
+  let depth = 0;
+  let inString = false;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' && text[i - 1] !== '\\') inString = !inString;
+    if (!inString && (char === '(' || char === '[')) depth++;
+    if (!inString && (char === ')' || char === ']')) depth--;
+
+    if (!inString && depth === 0 && char === ',') {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// Parse an argument value: [a, b] -> ['a', 'b'], everything else stays text
+function parseValue(value) {
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitArguments(value.slice(1, -1));
+  }
+  return value;
+}
+
+// Field of a key or index list, e.g. email or email(sort: Desc, length: 10) -> { name, order }
+function parseKeyField(item) {
+  const match = /^(\w+)\s*(?:\((.*)\))?$/.exec(item);
+  return {
+    name: match ? match[1] : item,
+    order: /\bsort\s*:\s*Desc\b/.test(match?.[2] || '') ? 'DESC' : 'ASC'
+  };
+}
+
+// Parse attributes such as @id @default(now()) @relation(fields: [a], references: [b]).
+// Positional arguments are stored by index, named ones by name.
+function parseAttributes(text) {
+  const attributes = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const match = /^@@?[\w.]+/.exec(text.slice(i));
+    if (!match) {
+      i++;
+      continue;
+    }
+
+    const attribute = { name: match[0], args: {} };
+    i += match[0].length;
+
+    if (text[i] === '(') {
+      let depth = 0;
+      let inString = false;
+      let end = i;
+      for (; end < text.length; end++) {
+        if (text[end] === '"' && text[end - 1] !== '\\') inString = !inString;
+        if (inString) continue;
+        if (text[end] === '(') depth++;
+        if (text[end] === ')') depth--;
+        if (depth === 0) break;
+      }
+
+      splitArguments(text.slice(i + 1, end)).forEach((argument, index) => {
+        const named = /^(\w+)\s*:\s*([\s\S]*)$/.exec(argument);
+        if (named) {
+          attribute.args[named[1]] = parseValue(named[2]);
+        } else {
+          attribute.args[index] = parseValue(argument);
+        }
+      });
+      i = end + 1;
+    }
+
+    // Strings are unquoted for @map/@@map/@relation names
+    for (const key of Object.keys(attribute.args)) {
+      if (typeof attribute.args[key] === 'string' && attribute.name !== '@default' && /^".*"$/.test(attribute.args[key])) {
+        attribute.args[key] = unquoteString(attribute.args[key]);
+      }
+    }
+
+    attributes.push(attribute);
+  }
+
+  return attributes;
+}
+
+module.exports = PrismaParser;
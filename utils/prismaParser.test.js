@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import PrismaParser from './prismaParser';
+
+describe('PrismaParser', () => {
+  const result = new PrismaParser().parse(`
+    enum Role {
+      USER
+      ADMIN
+    }
+
+    /// People
+    model User {
+      id    Int    @id @default(autoincrement())
+      email String @unique @db.VarChar(120)
+      role  Role   @default(USER)
+      posts Post[]
+
+      @@map("users")
+    }
+
+    model Post {
+      regionCode String  @map("region_code") @db.VarChar(8)
+      orderNo    Int     @map("order_no")
+      authorId   Int?    @map("author_id")
+      score      Decimal @db.Decimal(8, 2)
+      author     User?   @relation(fields: [authorId], references: [id], onDelete: SetNull)
+      items      Item[]
+
+      @@id([regionCode, orderNo])
+      @@index([authorId(sort: Desc)], map: "idx_posts_author")
+      @@map("posts")
+    }
+
+    model Item {
+      id         Int    @id
+      regionCode String @map("region_code") @db.VarChar(8)
+      orderNo    Int    @map("order_no")
+      post       Post   @relation(fields: [regionCode, orderNo], references: [regionCode, orderNo], onDelete: Cascade)
+
+      @@map("items")
+    }
+
+    model Tag { id Int @id }
+  `);
+  const findTable = name => result.tables.find(table => table.name === name);
+
+  it('maps models, @map names, native types and model comments', () => {
+    expect(result.tables.map(table => table.name)).toEqual(['users', 'posts', 'items', 'Tag']);
+    expect(findTable('users').description).toBe('People');
+    expect(findTable('users').columns.map(column => column.name)).toEqual(['id', 'email', 'role']);
+    expect(findTable('users').columns[0]).toMatchObject({ isPrimaryKey: true, isAutoIncrement: true });
+    expect(findTable('users').columns[1]).toMatchObject({ dataType: 'VARCHAR', length: 120, isUnique: true });
+    expect(findTable('posts').columns.find(column => column.name === 'score')).toMatchObject({ dataType: 'DECIMAL', precision: 8, scale: 2 });
+    expect(findTable('posts').columns.filter(column => column.isPrimaryKey).map(column => column.name)).toEqual(['region_code', 'order_no']);
+  });
+
+  it('reads models written on a single line', () => {
+    expect(findTable('Tag').columns).toEqual([expect.objectContaining({ name: 'id', dataType: 'INTEGER', isPrimaryKey: true })]);
+  });
+
+  it('imports single and composite relations with their actions', () => {
+    expect(result.relationships).toEqual([
+      expect.objectContaining({ sourceTable: 'posts', sourceColumn: 'author_id', targetTable: 'users', targetColumn: 'id', onDelete: 'SET NULL' }),
+      expect.objectContaining({
+        sourceTable: 'items',
+        sourceColumns: ['region_code', 'order_no'],
+        targetTable: 'posts',
+        targetColumns: ['region_code', 'order_no'],
+        onDelete: 'CASCADE'
+      })
+    ]);
+  });
+
+  it('reports enums, which become VARCHAR columns', () => {
+    expect(findTable('users').columns[2]).toMatchObject({ dataType: 'VARCHAR', length: 5, defaultValue: 'USER' });
+    expect(result.warnings).toEqual(['Enum field User.role (Role) was imported as VARCHAR(5)']);
+  });
+
+  it('imports @@index with its name and sort order, also on foreign key fields', () => {
+    expect(findTable('posts').indexes).toEqual([{
+      name: 'idx_posts_author',
+      isUnique: false,
+      method: null,
+      where: null,
+      columns: [{ columnName: 'author_id', order: 'DESC' }]
+    }]);
+  });
+});
@@ -0,0 +1,769 @@
+// Loading and persisting the tables, columns, CHECK constraints, indexes and relationships of a schema
+
+const { v4: uuidv4 } = require('uuid');
+const { runQuery, getQuery, allQuery, runTransaction } = require('../database/init');
+
+// Version of the JSON export document; bump when its structure changes incompatibly
+const EXPORT_FORMAT_VERSION = 1;
+
+// Grid used to lay out imported tables (canvas units)
+const TABLE_GRID = {
+  margin: 50,
+  columnWidth: 320,
+  headerHeight: 60,
+  rowHeight: 28,
+  gap: 60
+};
+
+// Data types that can reference each other through a foreign key.
+// TEXT, JSON and BLOB columns cannot take part in a foreign key.
+const KEY_TYPE_FAMILIES = {
+  INTEGER: 'integer',
+  BIGINT: 'integer',
+  SMALLINT: 'integer',
+  TINYINT: 'integer',
+  DECIMAL: 'decimal',
+  NUMERIC: 'decimal',
+  FLOAT: 'float',
+  DOUBLE: 'float',
+  REAL: 'float',
+  VARCHAR: 'string',
+  CHAR: 'string',
+  UUID: 'string',
+  DATE: 'date',
+  TIME: 'time',
+  DATETIME: 'datetime',
+  TIMESTAMP: 'datetime',
+  BOOLEAN: 'boolean',
+  BIT: 'boolean'
+};
+
+// Check whether a column of one type may reference a column of another
+function areKeyTypesCompatible(sourceType, targetType) {
+  const sourceFamily = KEY_TYPE_FAMILIES[sourceType];
+  return Boolean(sourceFamily) && sourceFamily === KEY_TYPE_FAMILIES[targetType];
+}
+
+// Format a column row for API responses
+function formatColumn(column) {
+  return {
+    id: column.id,
+    name: column.name,
+    dataType: column.data_type,
+    length: column.length,
+    precision: column.precision_val,
+    scale: column.scale_val,
+    isPrimaryKey: Boolean(column.is_primary_key),
+    isForeignKey: Boolean(column.is_foreign_key),
+    isUnique: Boolean(column.is_unique),
+    isRequired: Boolean(column.is_required),
+    isAutoIncrement: Boolean(column.is_auto_increment),
+    defaultValue: column.default_value,
+    checkConstraint: column.check_constraint || null,
+    description: column.description,
+    orderIndex: column.order_index
+  };
+}
+
+// Format a table row (and its already formatted columns, CHECK constraints and indexes) for API responses
+function formatTable(table, columns = [], indexes = [], checkConstraints = []) {
+  return {
+    id: table.id,
+    name: table.name,
+    description: table.description,
+    position: {
+      x: table.position_x,
+      y: table.position_y
+    },
+    color: table.color,
+    columns,
+    checkConstraints,
+    indexes
+  };
+}
+
+// Format a table-level CHECK constraint row for API responses
+function formatCheckConstraint(check) {
+  return {
+    name: check.name,
+    expression: check.expression
+  };
+}
+
+// Format an index row and its index_columns rows (joined with column names) for API responses
+function formatIndex(index, parts = []) {
+  return {
+    id: index.id,
+    name: index.name,
+    isUnique: Boolean(index.is_unique),
+    method: index.method,
+    where: index.where_clause,
+    description: index.description,
+    columns: parts.map(part => (part.column_id
+      ? { columnId: part.column_id, columnName: part.column_name, order: part.sort_order }
+      : { expression: part.expression, order: part.sort_order }))
+  };
+}
+
+// Format a relationship row (joined with table/column names) and its relationship_columns rows
+// for API responses; rows without column pairs (e.g. template data) have the single pair of the row
+function formatRelationship(rel, pairs = []) {
+  return {
+    id: rel.id,
+    sourceTableId: rel.source_table_id,
+    sourceColumnId: rel.source_column_id,
+    targetTableId: rel.target_table_id,
+    targetColumnId: rel.target_column_id,
+    relationshipType: rel.relationship_type,
+    onDelete: rel.on_delete,
+    onUpdate: rel.on_update,
+    name: rel.name,
+    description: rel.description,
+    sourceTableName: rel.source_table_name,
+    sourceColumnName: rel.source_column_name,
+    targetTableName: rel.target_table_name,
+    targetColumnName: rel.target_column_name,
+    columns: (pairs.length ? pairs : [rel]).map(pair => ({
+      sourceColumnId: pair.source_column_id,
+      sourceColumnName: pair.source_column_name,
+      targetColumnId: pair.target_column_id,
+      targetColumnName: pair.target_column_name
+    }))
+  };
+}
+
+// Load relationships with their column pairs, formatted for API responses
+async function loadRelationships(where, params) {
+  const relationships = await allQuery(`
+    SELECT r.*,
+      st.name as source_table_name,
+      sc.name as source_column_name,
+      tt.name as target_table_name,
+      tc.name as target_column_name
+    FROM relationships r
+    JOIN tables st ON r.source_table_id = st.id
+    JOIN columns sc ON r.source_column_id = sc.id
+    JOIN tables tt ON r.target_table_id = tt.id
+    JOIN columns tc ON r.target_column_id = tc.id
+    WHERE ${where}
+  `, params);
+
+  const pairs = await allQuery(`
+    SELECT rc.*,
+      sc.name as source_column_name,
+      tc.name as target_column_name
+    FROM relationship_columns rc
+    JOIN relationships r ON rc.relationship_id = r.id
+    JOIN columns sc ON rc.source_column_id = sc.id
+    JOIN columns tc ON rc.target_column_id = tc.id
+    WHERE ${where}
+    ORDER BY rc.relationship_id, rc.position
+  `, params);
+
+  const pairsByRelationship = {};
+  pairs.forEach(pair => {
+    (pairsByRelationship[pair.relationship_id] = pairsByRelationship[pair.relationship_id] || []).push(pair);
+  });
+
+  return relationships.map(rel => formatRelationship(rel, pairsByRelationship[rel.id]));
+}
+
+// Replace the column pairs ({ sourceColumnId, targetColumnId }) of a relationship
+async function saveRelationshipColumns(relationshipId, pairs) {
+  await runQuery('DELETE FROM relationship_columns WHERE relationship_id = ?', [relationshipId]);
+
+  for (let i = 0; i < pairs.length; i++) {
+    await runQuery(`
+      INSERT INTO relationship_columns (relationship_id, position, source_column_id, target_column_id)
+      VALUES (?, ?, ?, ?)
+    `, [relationshipId, i, pairs[i].sourceColumnId, pairs[i].targetColumnId]);
+  }
+}
+
+// Whether the columns (IDs, in any order) are the primary key or a unique, non-partial index of
+// a table, i.e. a key that a composite foreign key may reference
+async function isTableKey(tableId, columnIds) {
+  const wanted = [...columnIds].sort().join(',');
+
+  const primaryKey = await allQuery(
+    'SELECT id FROM columns WHERE table_id = ? AND is_primary_key = 1',
+    [tableId]
+  );
+  if (primaryKey.map(column => column.id).sort().join(',') === wanted) {
+    return true;
+  }
+
+  const parts = await allQuery(`
+    SELECT ic.index_id, ic.column_id FROM index_columns ic
+    JOIN indexes i ON ic.index_id = i.id
+    WHERE i.table_id = ? AND i.is_unique = 1 AND (i.where_clause IS NULL OR i.where_clause = '')
+  `, [tableId]);
+
+  const indexColumns = {};
+  parts.forEach(part => {
+    (indexColumns[part.index_id] = indexColumns[part.index_id] || []).push(part.column_id);
+  });
+
+  return Object.values(indexColumns).some(ids => ids.every(Boolean) && ids.sort().join(',') === wanted);
+}
+
+// Load the indexes of the given tables, formatted and grouped by table ID
+async function loadTableIndexes(where, params) {
+  const indexes = await allQuery(`
+    SELECT i.* FROM indexes i
+    JOIN tables t ON i.table_id = t.id
+    WHERE ${where}
+    ORDER BY i.name
+  `, params);
+
+  const parts = await allQuery(`
+    SELECT ic.*, c.name as column_name FROM index_columns ic
+    JOIN indexes i ON ic.index_id = i.id
+    JOIN tables t ON i.table_id = t.id
+    LEFT JOIN columns c ON ic.column_id = c.id
+    WHERE ${where}
+    ORDER BY ic.index_id, ic.position
+  `, params);
+
+  const partsByIndex = {};
+  parts.forEach(part => {
+    (partsByIndex[part.index_id] = partsByIndex[part.index_id] || []).push(part);
+  });
+
+  const tableIndexesMap = {};
+  indexes.forEach(index => {
+    (tableIndexesMap[index.table_id] = tableIndexesMap[index.table_id] || []).push(formatIndex(index, partsByIndex[index.id]));
+  });
+
+  return tableIndexesMap;
+}
+
+// Load the table-level CHECK constraints of the given tables, formatted and grouped by table ID
+async function loadTableCheckConstraints(where, params) {
+  const checks = await allQuery(`
+    SELECT cc.* FROM check_constraints cc
+    JOIN tables t ON cc.table_id = t.id
+    WHERE ${where}
+    ORDER BY cc.table_id, cc.position
+  `, params);
+
+  const tableChecksMap = {};
+  checks.forEach(check => {
+    (tableChecksMap[check.table_id] = tableChecksMap[check.table_id] || []).push(formatCheckConstraint(check));
+  });
+
+  return tableChecksMap;
+}
+
+// Get the table-level CHECK constraints of a table, formatted for API responses
+async function getTableCheckConstraints(tableId) {
+  const checks = await loadTableCheckConstraints('t.id = ?', [tableId]);
+  return checks[tableId] || [];
+}
+
+// Replace the table-level CHECK constraints ({ name, expression }) of a table
+async function saveCheckConstraints(tableId, checks) {
+  await runQuery('DELETE FROM check_constraints WHERE table_id = ?', [tableId]);
+
+  for (let i = 0; i < checks.length; i++) {
+    await runQuery(`
+      INSERT INTO check_constraints (id, table_id, name, expression, position)
+      VALUES (?, ?, ?, ?, ?)
+    `, [uuidv4(), tableId, checks[i].name, checks[i].expression, i]);
+  }
+}
+
+// Get a single index with its columns, formatted for API responses
+async function getIndex(indexId) {
+  const indexes = await loadTableIndexes('i.id = ?', [indexId]);
+  return Object.values(indexes)[0]?.[0] || null;
+}
+
+// Replace the key parts of an index ({ columnId } or { expression }, with an order)
+async function saveIndexColumns(indexId, columns) {
+  await runQuery('DELETE FROM index_columns WHERE index_id = ?', [indexId]);
+
+  for (let i = 0; i < columns.length; i++) {
+    const { columnId, expression, order } = columns[i];
+    await runQuery(`
+      INSERT INTO index_columns (index_id, position, column_id, expression, sort_order)
+      VALUES (?, ?, ?, ?, ?)
+    `, [indexId, i, columnId || null, columnId ? null : expression, order === 'DESC' ? 'DESC' : 'ASC']);
+  }
+}
+
+// Load the tables (with columns, CHECK constraints and indexes) and relationships of a schema,
+// in the shape returned by GET /schemas/:schemaId
+async function loadSchemaContent(schemaId) {
+  const tables = await allQuery(`
+    SELECT * FROM tables
+    WHERE schema_id = ?
+    ORDER BY name
+  `, [schemaId]);
+
+  const columns = await allQuery(`
+    SELECT c.* FROM columns c
+    JOIN tables t ON c.table_id = t.id
+    WHERE t.schema_id = ?
+    ORDER BY c.table_id, c.order_index, c.name
+  `, [schemaId]);
+
+  const relationships = await loadRelationships('r.schema_id = ?', [schemaId]);
+
+  // Group columns by table
+  const tableColumnsMap = {};
+  columns.forEach(column => {
+    if (!tableColumnsMap[column.table_id]) {
+      tableColumnsMap[column.table_id] = [];
+    }
+    tableColumnsMap[column.table_id].push(formatColumn(column));
+  });
+
+  const tableIndexesMap = await loadTableIndexes('t.schema_id = ?', [schemaId]);
+  const tableChecksMap = await loadTableCheckConstraints('t.schema_id = ?', [schemaId]);
+
+  return {
+    tables: tables.map(table => formatTable(
+      table,
+      tableColumnsMap[table.id] || [],
+      tableIndexesMap[table.id] || [],
+      tableChecksMap[table.id] || []
+    )),
+    relationships
+  };
+}
+
+// Table, column and index names accepted by the API (see the table, column and index schemas
+// in middleware/validation.js)
+const NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const MAX_NAME_LENGTH = 100;
+
+// Turn an imported name into one matching NAME_PATTERN: other characters become underscores,
+// names that do not start with a letter get the prefix (t_, c_ or i_), and the result is cut to
+// MAX_NAME_LENGTH characters
+function toValidName(name, prefix) {
+  if (NAME_PATTERN.test(name) && name.length <= MAX_NAME_LENGTH) {
+    return name;
+  }
+  const valid = String(name).replace(/[^a-zA-Z0-9_]/g, '_');
+  return (/^[a-zA-Z]/.test(valid) ? valid : `${prefix}${valid}`).slice(0, MAX_NAME_LENGTH);
+}
+
+// Return name, or name_2, name_3, ... if it is already taken (and mark the result as taken).
+// Suffixed names are shortened to stay within MAX_NAME_LENGTH.
+function uniqueName(name, takenNames) {
+  let candidate = name;
+  for (let suffix = 2; takenNames.has(candidate); suffix++) {
+    candidate = `${name.slice(0, MAX_NAME_LENGTH - `_${suffix}`.length)}_${suffix}`;
+  }
+  takenNames.add(candidate);
+  return candidate;
+}
+
+// Insert tables, columns, CHECK constraints, indexes and relationships (in the GET /schemas/:schemaId shape) into
+// a schema. Every entity gets a fresh UUID unless preserveIds is set (used when restoring a
+// snapshot of the same schema); index columns and relationship endpoints are remapped to the new IDs.
+// Invalid table/column/index names are fixed (see toValidName) and conflicting ones
+// suffixed; both are reported in `renamed`. Indexes and relationships that cannot be created are
+// reported in `skipped`.
+// Callers are expected to wrap this in runTransaction().
+async function insertSchemaContent(schemaId, { tables = [], relationships = [] }, { preserveIds = false } = {}) {
+  const newId = (id) => (preserveIds && id ? id : uuidv4());
+  const tableIds = new Map();
+  const columnIds = new Map();
+  const columnTypes = new Map();
+  const names = new Map(); // original table/column ID -> inserted name, for the report
+  const renamed = [];
+  const skipped = [];
+
+  const existingTables = await allQuery('SELECT name FROM tables WHERE schema_id = ?', [schemaId]);
+  const tableNames = new Set(existingTables.map(table => table.name));
+
+  // Index names are unique within the schema (as in most databases)
+  const existingIndexes = await allQuery(`
+    SELECT i.name FROM indexes i
+    JOIN tables t ON i.table_id = t.id
+    WHERE t.schema_id = ?
+  `, [schemaId]);
+  const indexNames = new Set(existingIndexes.map(index => index.name));
+
+  for (const table of tables) {
+    const tableId = newId(table.id);
+    tableIds.set(table.id, tableId);
+
+    const tableName = uniqueName(toValidName(table.name, 't_'), tableNames);
+    names.set(table.id, tableName);
+    if (tableName !== table.name) {
+      renamed.push({ type: 'table', from: table.name, to: tableName });
+    }
+
+    await runQuery(`
+      INSERT INTO tables (id, schema_id, name, description, position_x, position_y, color)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      tableId,
+      schemaId,
+      tableName,
+      table.description || '',
+      Math.round(table.position?.x || 0),
+      Math.round(table.position?.y || 0),
+      table.color || '#ffffff'
+    ]);
+
+    const columns = [...(table.columns || [])]
+      .sort((a, b) => (a.orderIndex ?? 0) - (b.orderIndex ?? 0));
+
+    const columnNames = new Set();
+    for (let i = 0; i < columns.length; i++) {
+      const column = columns[i];
+      const columnId = newId(column.id);
+      columnIds.set(column.id, columnId);
+      columnTypes.set(columnId, column.dataType);
+
+      const columnName = uniqueName(toValidName(column.name, 'c_'), columnNames);
+      names.set(column.id, columnName);
+      if (columnName !== column.name) {
+        renamed.push({ type: 'column', table: tableName, from: column.name, to: columnName });
+      }
+
+      await runQuery(`
+        INSERT INTO columns (
+          id, table_id, name, data_type, length, precision_val, scale_val,
+          is_primary_key, is_unique, is_required, is_auto_increment,
+          default_value, check_constraint, description, order_index
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        columnId,
+        tableId,
+        columnName,
+        column.dataType,
+        column.length ?? null,
+        column.precision ?? null,
+        column.scale ?? null,
+        column.isPrimaryKey ? 1 : 0,
+        column.isUnique ? 1 : 0,
+        column.isRequired || column.isPrimaryKey ? 1 : 0,
+        column.isAutoIncrement ? 1 : 0,
+        column.defaultValue ?? null,
+        column.checkConstraint || null,
+        column.description || '',
+        i
+      ]);
+    }
+
+    await saveCheckConstraints(tableId, table.checkConstraints || []);
+
+    const ownColumnIds = new Set(columns.map(column => column.id));
+    for (const index of table.indexes || []) {
+      const unknownColumn = (index.columns || []).find(part => part.columnId && !ownColumnIds.has(part.columnId));
+      if (unknownColumn || (index.columns || []).length === 0) {
+        skipped.push({
+          type: 'index',
+          name: index.name,
+          reason: unknownColumn ? 'References a column that is not in its table' : 'Has no columns'
+        });
+        continue;
+      }
+
+      const indexName = uniqueName(toValidName(index.name, 'i_'), indexNames);
+      if (indexName !== index.name) {
+        renamed.push({ type: 'index', table: tableName, from: index.name, to: indexName });
+      }
+
+      const indexId = newId(index.id);
+      await runQuery(`
+        INSERT INTO indexes (id, table_id, name, is_unique, method, where_clause, description)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        indexId,
+        tableId,
+        indexName,
+        index.isUnique ? 1 : 0,
+        index.method || null,
+        index.where || null,
+        index.description || ''
+      ]);
+
+      await saveIndexColumns(indexId, index.columns.map(part => ({
+        ...part,
+        columnId: part.columnId ? columnIds.get(part.columnId) : null
+      })));
+    }
+  }
+
+  const relationshipIds = new Map();
+  const linkedColumns = new Set();
+  for (const rel of relationships) {
+    const sourceTableId = tableIds.get(rel.sourceTableId);
+    const targetTableId = tableIds.get(rel.targetTableId);
+    const pairs = (rel.columns?.length ? rel.columns : [rel]).map(pair => ({
+      sourceColumnId: columnIds.get(pair.sourceColumnId),
+      targetColumnId: columnIds.get(pair.targetColumnId)
+    }));
+    const skip = (reason) => skipped.push({
+      type: 'relationship',
+      name: rel.name || `${names.get(rel.sourceTableId) || rel.sourceTableId}.${names.get(rel.sourceColumnId) || rel.sourceColumnId}`,
+      reason
+    });
+
+    if (!sourceTableId || !targetTableId || pairs.some(pair => !pair.sourceColumnId || !pair.targetColumnId)) {
+      skip('References a table or column that does not exist');
+      continue;
+    }
+
+    const incompatible = pairs.find(pair =>
+      !areKeyTypesCompatible(columnTypes.get(pair.sourceColumnId), columnTypes.get(pair.targetColumnId))
+    );
+    if (incompatible) {
+      skip(`Column type ${columnTypes.get(incompatible.sourceColumnId)} cannot reference ${columnTypes.get(incompatible.targetColumnId)}`);
+      continue;
+    }
+
+    if (pairs.length > 1 && !(await isTableKey(targetTableId, pairs.map(pair => pair.targetColumnId)))) {
+      skip('Referenced columns are not the primary key or a unique key of the target table');
+      continue;
+    }
+
+    const link = pairs.map(pair => `${pair.sourceColumnId}:${pair.targetColumnId}`).join(',');
+    if (linkedColumns.has(link)) {
+      skip('Duplicates another relationship between the same columns');
+      continue;
+    }
+    linkedColumns.add(link);
+
+    const relationshipId = newId(rel.id);
+    relationshipIds.set(rel.id, relationshipId);
+
+    await runQuery(`
+      INSERT INTO relationships (
+        id, schema_id, source_table_id, source_column_id, target_table_id, target_column_id,
+        relationship_type, on_delete, on_update, name, description
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      relationshipId,
+      schemaId,
+      sourceTableId,
+      pairs[0].sourceColumnId,
+      targetTableId,
+      pairs[0].targetColumnId,
+      rel.relationshipType || 'one-to-many',
+      rel.onDelete || 'RESTRICT',
+      rel.onUpdate || 'CASCADE',
+      rel.name || null,
+      rel.description || ''
+    ]);
+
+    await saveRelationshipColumns(relationshipId, pairs);
+  }
+
+  await syncForeignKeyFlags(schemaId);
+
+  return { tableIds, columnIds, relationshipIds, renamed, skipped };
+}
+
+// Create a schema owned by userId and fill it with imported content in a single transaction.
+// Returns the new schema ID with the renamed/skipped report from insertSchemaContent.
+async function createSchemaWithContent(userId, { name, description, isPublic, version = '1.0.0' }, content) {
+  const schemaId = uuidv4();
+
+  const { renamed, skipped } = await runTransaction(async () => {
+    await runQuery(`
+      INSERT INTO schemas (id, user_id, name, description, is_public, version)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [schemaId, userId, name, description || '', isPublic, version]);
+
+    return insertSchemaContent(schemaId, content);
+  });
+
+  return { schemaId, renamed, skipped };
+}
+
+// Create a schema from imported content (see createSchemaWithContent) and load it back.
+// Returns the data of an import response: { schema, report }, where the report adds the
+// warnings raised while reading the source, when given, to the renamed/skipped items.
+async function importSchema(userId, details, content, warnings) {
+  const { schemaId, renamed, skipped } = await createSchemaWithContent(userId, details, content);
+  const schema = await getQuery('SELECT * FROM schemas WHERE id = ?', [schemaId]);
+
+  return {
+    schema: {
+      id: schema.id,
+      name: schema.name,
+      description: schema.description,
+      isPublic: Boolean(schema.is_public),
+      version: schema.version,
+      createdAt: schema.created_at,
+      updatedAt: schema.updated_at,
+      ...await loadSchemaContent(schemaId)
+    },
+    report: warnings ? { renamed, skipped, warnings } : { renamed, skipped }
+  };
+}
+
+// Recompute columns.is_foreign_key from the relationships that remain in the schema
+function syncForeignKeyFlags(schemaId) {
+  return runQuery(`
+    UPDATE columns
+    SET is_foreign_key = CASE
+      WHEN id IN (
+        SELECT rc.source_column_id FROM relationship_columns rc
+        JOIN relationships r ON rc.relationship_id = r.id
+        WHERE r.schema_id = ?
+      ) THEN 1
+      ELSE 0
+    END
+    WHERE table_id IN (SELECT id FROM tables WHERE schema_id = ?)
+  `, [schemaId, schemaId]);
+}
+
+// Get a single relationship with its table and column names, formatted for API responses
+async function getRelationship(relationshipId) {
+  const relationships = await loadRelationships('r.id = ?', [relationshipId]);
+  return relationships[0] || null;
+}
+
+// Convert template schema_data (raw database rows, see POST /templates) into the API shape
+function templateDataToContent(templateData) {
+  const tables = (templateData.tables || []).map(table => formatTable(
+    table,
+    (table.columns || []).map(formatColumn),
+    (table.indexes || []).map(index => formatIndex(index, index.columns)),
+    (table.checkConstraints || []).map(formatCheckConstraint)
+  ));
+
+  return {
+    tables,
+    relationships: (templateData.relationships || []).map(rel => formatRelationship(rel, rel.columns))
+  };
+}
+
+// Lay tables out left to right on a square-ish grid; each grid row is as tall as its longest table
+function layoutTablesOnGrid(tables) {
+  const perRow = Math.max(1, Math.ceil(Math.sqrt(tables.length)));
+  let y = TABLE_GRID.margin;
+
+  for (let start = 0; start < tables.length; start += perRow) {
+    const row = tables.slice(start, start + perRow);
+    row.forEach((table, index) => {
+      table.position = { x: TABLE_GRID.margin + index * TABLE_GRID.columnWidth, y };
+    });
+
+    const longest = Math.max(...row.map(table => (table.columns || []).length));
+    y += TABLE_GRID.headerHeight + longest * TABLE_GRID.rowHeight + TABLE_GRID.gap;
+  }
+
+  return tables;
+}
+
+// Convert imported tables and relationships that reference each other by name
+// ({ sourceTable, sourceColumn, targetTable, targetColumn }, plus sourceColumns and
+// targetColumns for composite keys) into the ID-based shape expected by
+// insertSchemaContent, with the tables laid out on a grid. Table indexes name their
+// key columns too ({ columnName, order }); unnamed indexes are named idx_<table>_<columns>.
+// Names are matched case-insensitively; unresolved references are left for
+// insertSchemaContent to report as skipped.
+function namedContentToContent({ tables = [], relationships = [] }) {
+  const tableKeys = new Map();
+  const columnKeys = new Map();
+
+  const contentTables = tables.map((table, tableIndex) => {
+    const tableId = `table-${tableIndex}`;
+    if (!tableKeys.has(table.name.toLowerCase())) {
+      tableKeys.set(table.name.toLowerCase(), tableId);
+    }
+
+    const columns = (table.columns || []).map((column, columnIndex) => {
+      const columnId = `${tableId}-column-${columnIndex}`;
+      const columnKey = `${table.name}.${column.name}`.toLowerCase();
+      if (!columnKeys.has(columnKey)) {
+        columnKeys.set(columnKey, columnId);
+      }
+      return { ...column, id: columnId, orderIndex: columnIndex };
+    });
+
+    const indexes = (table.indexes || []).map(index => ({
+      ...index,
+      name: index.name || `idx_${table.name}_${index.columns.map(part => part.columnName || 'expr').join('_')}`,
+      columns: index.columns.map(({ columnName, ...part }) => (columnName === undefined
+        ? part
+        : { ...part, columnId: columnKeys.get(`${table.name}.${columnName}`.toLowerCase()) || columnName }))
+    }));
+
+    return { ...table, id: tableId, columns, indexes };
+  });
+
+  const columnId = (tableName, columnName) => columnKeys.get(`${tableName}.${columnName}`.toLowerCase()) || columnName;
+
+  const contentRelationships = relationships.map((rel, index) => {
+    const targetColumns = rel.targetColumns || [rel.targetColumn];
+    const columns = (rel.sourceColumns || [rel.sourceColumn]).map((sourceColumn, position) => ({
+      sourceColumnId: columnId(rel.sourceTable, sourceColumn),
+      targetColumnId: columnId(rel.targetTable, targetColumns[position])
+    }));
+
+    return {
+      id: `relationship-${index}`,
+      sourceTableId: tableKeys.get(rel.sourceTable.toLowerCase()) || rel.sourceTable,
+      sourceColumnId: columns[0].sourceColumnId,
+      targetTableId: tableKeys.get(rel.targetTable.toLowerCase()) || rel.targetTable,
+      targetColumnId: columns[0].targetColumnId,
+      ...(columns.length > 1 ? { columns } : {}),
+      relationshipType: rel.relationshipType,
+      onDelete: rel.onDelete,
+      onUpdate: rel.onUpdate,
+      name: rel.name || null,
+      description: rel.description || ''
+    };
+  });
+
+  return {
+    tables: layoutTablesOnGrid(contentTables),
+    relationships: contentRelationships
+  };
+}
+
+// Build the JSON export document for a schema row and its loaded content
+function buildExportDocument(schema, { tables, relationships }) {
+  return {
+    format: 'schema-designer',
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    schema: {
+      id: schema.id,
+      name: schema.name,
+      description: schema.description,
+      version: schema.version,
+      createdAt: schema.created_at,
+      updatedAt: schema.updated_at,
+      tables,
+      relationships
+    }
+  };
+}
+
+module.exports = {
+  EXPORT_FORMAT_VERSION,
+  areKeyTypesCompatible,
+  formatColumn,
+  formatTable,
+  formatIndex,
+  formatRelationship,
+  loadSchemaContent,
+  getTableCheckConstraints,
+  saveCheckConstraints,
+  getIndex,
+  saveIndexColumns,
+  insertSchemaContent,
+  createSchemaWithContent,
+  importSchema,
+  syncForeignKeyFlags,
+  getRelationship,
+  saveRelationshipColumns,
+  isTableKey,
+  templateDataToContent,
+  layoutTablesOnGrid,
+  namedContentToContent,
+  buildExportDocument
+};
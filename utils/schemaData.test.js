@@ -0,0 +1,296 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createRequire } from 'module';
+
+// Loaded through Node's require, like the routes do, so that the tests and
+// schemaData share the same database connection
+const require = createRequire(import.meta.url);
+process.env.DB_PATH = ':memory:';
+const { initializeDatabase, closeDatabase, runQuery, runTransaction } = require('../database/init.js');
+const {
+  EXPORT_FORMAT_VERSION,
+  insertSchemaContent,
+  loadSchemaContent,
+  templateDataToContent,
+  buildExportDocument
+} = require('./schemaData.js');
+
+// Template schema_data as stored by POST /templates: raw database rows
+const templateData = {
+  tables: [
+    {
+      id: 'users', name: 'users', description: 'Accounts', position_x: 40, position_y: 60, color: '#dbeafe',
+      columns: [
+        { id: 'users.id', name: 'id', data_type: 'INTEGER', is_primary_key: 1, is_required: 1, is_auto_increment: 1, order_index: 0 },
+        { id: 'users.email', name: 'email', data_type: 'VARCHAR', length: 255, is_unique: 1, is_required: 1, order_index: 1 }
+      ]
+    },
+    {
+      id: 'posts', name: 'posts', description: '', position_x: 400, position_y: 60, color: '#ffffff',
+      columns: [
+        { id: 'posts.id', name: 'id', data_type: 'INTEGER', is_primary_key: 1, is_required: 1, order_index: 0 },
+        { id: 'posts.user_id', name: 'user_id', data_type: 'INTEGER', is_required: 1, order_index: 1 }
+      ]
+    }
+  ],
+  relationships: [
+    {
+      id: 'posts_user', source_table_id: 'posts', source_column_id: 'posts.user_id',
+      target_table_id: 'users', target_column_id: 'users.id',
+      relationship_type: 'one-to-many', on_delete: 'CASCADE', on_update: 'CASCADE', name: 'fk_posts_user'
+    }
+  ]
+};
+
+let schemaCount = 0;
+async function createSchema() {
+  const schemaId = `schema-${++schemaCount}`;
+  await runQuery('INSERT INTO schemas (id, name) VALUES (?, ?)', [schemaId, schemaId]);
+  return schemaId;
+}
+
+beforeAll(async () => {
+  await initializeDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('insertSchemaContent', () => {
+  it('copies a template with fresh IDs, positions, colors and foreign key flags', async () => {
+    const schemaId = await createSchema();
+    const { skipped } = await runTransaction(() => insertSchemaContent(schemaId, templateDataToContent(templateData)));
+    const { tables, relationships } = await loadSchemaContent(schemaId);
+
+    expect(skipped).toEqual([]);
+    expect(tables.map(table => table.name)).toEqual(['posts', 'users']);
+
+    const users = tables.find(table => table.name === 'users');
+    expect(users.id).not.toBe('users');
+    expect(users).toMatchObject({ description: 'Accounts', position: { x: 40, y: 60 }, color: '#dbeafe' });
+    expect(users.columns.map(column => [column.name, column.dataType, column.isPrimaryKey, column.isUnique]))
+      .toEqual([['id', 'INTEGER', true, false], ['email', 'VARCHAR', false, true]]);
+
+    const posts = tables.find(table => table.name === 'posts');
+    expect(posts.columns.find(column => column.name === 'user_id').isForeignKey).toBe(true);
+    expect(relationships).toHaveLength(1);
+    expect(relationships[0]).toMatchObject({
+      sourceTableId: posts.id,
+      targetTableId: users.id,
+      sourceColumnName: 'user_id',
+      targetColumnName: 'id',
+      onDelete: 'CASCADE',
+      name: 'fk_posts_user'
+    });
+  });
+
+  it('skips relationships whose columns are missing', async () => {
+    const schemaId = await createSchema();
+    const content = templateDataToContent({
+      ...templateData,
+      relationships: [{ ...templateData.relationships[0], source_column_id: 'posts.author_id' }]
+    });
+    const { skipped } = await runTransaction(() => insertSchemaContent(schemaId, content));
+
+    expect(skipped).toEqual([{
+      type: 'relationship',
+      name: 'fk_posts_user',
+      reason: 'References a table or column that does not exist'
+    }]);
+    expect((await loadSchemaContent(schemaId)).relationships).toEqual([]);
+  });
+
+  it('leaves nothing behind when the transaction fails', async () => {
+    const schemaId = await createSchema();
+    const failure = runTransaction(async () => {
+      await insertSchemaContent(schemaId, templateDataToContent(templateData));
+      throw new Error('Template usage could not be recorded');
+    });
+
+    await expect(failure).rejects.toThrow('Template usage could not be recorded');
+    expect((await loadSchemaContent(schemaId)).tables).toEqual([]);
+  });
+
+  it('suffixes conflicting names and skips relationships that cannot be created', async () => {
+    const schemaId = await createSchema();
+    await runQuery("INSERT INTO tables (id, schema_id, name) VALUES ('existing-users', ?, 'users')", [schemaId]);
+
+    const content = {
+      tables: [
+        {
+          id: 'users',
+          name: 'users',
+          columns: [
+            { id: 'users.id', name: 'id', dataType: 'INTEGER', isPrimaryKey: true },
+            { id: 'users.id2', name: 'id', dataType: 'VARCHAR', length: 20 }
+          ]
+        },
+        { id: 'posts', name: 'posts', columns: [{ id: 'posts.user_id', name: 'user_id', dataType: 'INTEGER' }, { id: 'posts.body', name: 'body', dataType: 'TEXT' }] }
+      ],
+      relationships: [
+        { id: 'r1', sourceTableId: 'posts', sourceColumnId: 'posts.user_id', targetTableId: 'users', targetColumnId: 'users.id' },
+        { id: 'r2', sourceTableId: 'posts', sourceColumnId: 'posts.user_id', targetTableId: 'users', targetColumnId: 'users.id' },
+        { id: 'r3', name: 'fk_body', sourceTableId: 'posts', sourceColumnId: 'posts.body', targetTableId: 'users', targetColumnId: 'users.id2' }
+      ]
+    };
+    const { renamed, skipped } = await runTransaction(() => insertSchemaContent(schemaId, content));
+
+    expect(renamed).toEqual([
+      { type: 'table', from: 'users', to: 'users_2' },
+      { type: 'column', table: 'users_2', from: 'id', to: 'id_2' }
+    ]);
+    expect(skipped).toEqual([
+      { type: 'relationship', name: 'posts.user_id', reason: 'Duplicates another relationship between the same columns' },
+      { type: 'relationship', name: 'fk_body', reason: 'Column type TEXT cannot reference VARCHAR' }
+    ]);
+    expect((await loadSchemaContent(schemaId)).relationships.map(rel => `${rel.sourceTableName}.${rel.sourceColumnName} -> ${rel.targetTableName}.${rel.targetColumnName}`))
+      .toEqual(['posts.user_id -> users_2.id']);
+  });
+
+  it('fixes names that are not valid identifiers and keeps them unique', async () => {
+    const schemaId = await createSchema();
+    const longName = `a${'b'.repeat(119)}`;
+    const content = {
+      tables: [
+        {
+          id: 'orders',
+          name: '1st orders',
+          columns: [
+            { id: 'orders.date', name: 'order-date', dataType: 'DATE' },
+            { id: 'orders.date2', name: 'order date', dataType: 'DATE' },
+            { id: 'orders.long', name: longName, dataType: 'TEXT' }
+          ]
+        },
+        { id: 'orders2', name: 't_1st_orders', columns: [{ id: 'orders2.id', name: '_id', dataType: 'INTEGER' }] }
+      ],
+      relationships: []
+    };
+    const { renamed } = await runTransaction(() => insertSchemaContent(schemaId, content));
+
+    expect(renamed).toEqual([
+      { type: 'table', from: '1st orders', to: 't_1st_orders' },
+      { type: 'column', table: 't_1st_orders', from: 'order-date', to: 'order_date' },
+      { type: 'column', table: 't_1st_orders', from: 'order date', to: 'order_date_2' },
+      { type: 'column', table: 't_1st_orders', from: longName, to: longName.slice(0, 100) },
+      { type: 'table', from: 't_1st_orders', to: 't_1st_orders_2' },
+      { type: 'column', table: 't_1st_orders_2', from: '_id', to: 'c__id' }
+    ]);
+    const { tables } = await loadSchemaContent(schemaId);
+    expect(tables.flatMap(table => table.columns.map(column => `${table.name}.${column.name}`)))
+      .toEqual(['t_1st_orders.order_date', 't_1st_orders.order_date_2', `t_1st_orders.${longName.slice(0, 100)}`, 't_1st_orders_2.c__id']);
+  });
+
+  it('copies indexes with their columns, fixing, suffixing or skipping them as needed', async () => {
+    const schemaId = await createSchema();
+    const content = {
+      tables: [{
+        id: 'users',
+        name: 'users',
+        columns: [{ id: 'users.email', name: 'email', dataType: 'VARCHAR', length: 120 }, { id: 'users.age', name: 'age', dataType: 'INTEGER' }],
+        indexes: [
+          { id: 'i1', name: 'idx-users-email', isUnique: true, columns: [{ columnId: 'users.email' }, { columnId: 'users.age', order: 'DESC' }] },
+          { id: 'i2', name: 'idx_users_email', isUnique: false, method: 'hash', where: 'age > 0', columns: [{ expression: 'lower(email)' }] },
+          { id: 'i3', name: 'idx_users_other', columns: [{ columnId: 'posts.user_id' }] }
+        ]
+      }],
+      relationships: []
+    };
+    const { renamed, skipped } = await runTransaction(() => insertSchemaContent(schemaId, content));
+
+    expect(renamed).toEqual([
+      { type: 'index', table: 'users', from: 'idx-users-email', to: 'idx_users_email' },
+      { type: 'index', table: 'users', from: 'idx_users_email', to: 'idx_users_email_2' }
+    ]);
+    expect(skipped).toEqual([{ type: 'index', name: 'idx_users_other', reason: 'References a column that is not in its table' }]);
+
+    const [users] = (await loadSchemaContent(schemaId)).tables;
+    const [email, age] = users.columns;
+    expect(users.indexes.map(({ id, ...index }) => index)).toEqual([
+      {
+        name: 'idx_users_email',
+        isUnique: true,
+        method: null,
+        where: null,
+        description: '',
+        columns: [{ columnId: email.id, columnName: 'email', order: 'ASC' }, { columnId: age.id, columnName: 'age', order: 'DESC' }]
+      },
+      {
+        name: 'idx_users_email_2',
+        isUnique: false,
+        method: 'hash',
+        where: 'age > 0',
+        description: '',
+        columns: [{ expression: 'lower(email)', order: 'ASC' }]
+      }
+    ]);
+  });
+
+  it('copies composite relationships that reference a key of the target table', async () => {
+    const schemaId = await createSchema();
+    const column = (table, name, extra = {}) => ({ id: `${table}.${name}`, name, dataType: 'INTEGER', ...extra });
+    const pair = (source, target) => ({ sourceColumnId: `items.${source}`, targetColumnId: `orders.${target}` });
+    const content = {
+      tables: [
+        { id: 'orders', name: 'orders', columns: [column('orders', 'region', { isPrimaryKey: true }), column('orders', 'order_no', { isPrimaryKey: true }), column('orders', 'total')] },
+        { id: 'items', name: 'items', columns: [column('items', 'region'), column('items', 'order_no'), column('items', 'qty')] }
+      ],
+      relationships: [
+        { id: 'r1', name: 'fk_items_orders', sourceTableId: 'items', targetTableId: 'orders', onDelete: 'CASCADE', columns: [pair('region', 'region'), pair('order_no', 'order_no')] },
+        { id: 'r2', name: 'fk_items_totals', sourceTableId: 'items', targetTableId: 'orders', columns: [pair('region', 'region'), pair('qty', 'total')] }
+      ]
+    };
+    const { skipped } = await runTransaction(() => insertSchemaContent(schemaId, content));
+
+    expect(skipped).toEqual([{
+      type: 'relationship',
+      name: 'fk_items_totals',
+      reason: 'Referenced columns are not the primary key or a unique key of the target table'
+    }]);
+
+    const { tables, relationships } = await loadSchemaContent(schemaId);
+    const items = tables.find(table => table.name === 'items');
+    expect(items.columns.map(col => [col.name, col.isForeignKey])).toEqual([['region', true], ['order_no', true], ['qty', false]]);
+    expect(relationships).toHaveLength(1);
+    expect(relationships[0]).toMatchObject({ name: 'fk_items_orders', sourceColumnName: 'region', targetColumnName: 'region', onDelete: 'CASCADE' });
+    expect(relationships[0].columns.map(({ sourceColumnName, targetColumnName }) => `${sourceColumnName} -> ${targetColumnName}`))
+      .toEqual(['region -> region', 'order_no -> order_no']);
+  });
+
+  it('restores a snapshot of the same schema with its original IDs', async () => {
+    const schemaId = await createSchema();
+    await runTransaction(() => insertSchemaContent(schemaId, templateDataToContent(templateData)));
+    const snapshot = await loadSchemaContent(schemaId);
+
+    await runTransaction(async () => {
+      await runQuery('DELETE FROM tables WHERE schema_id = ?', [schemaId]);
+      await insertSchemaContent(schemaId, snapshot, { preserveIds: true });
+    });
+
+    expect(await loadSchemaContent(schemaId)).toEqual(snapshot);
+  });
+});
+
+describe('buildExportDocument', () => {
+  it('wraps the schema and its content in a versioned document', async () => {
+    const schemaId = await createSchema();
+    await runTransaction(() => insertSchemaContent(schemaId, templateDataToContent(templateData)));
+    const content = await loadSchemaContent(schemaId);
+    const schema = { id: schemaId, name: 'Shop', description: 'Orders', version: '1.2.0', created_at: '2024-01-01', updated_at: '2024-02-01' };
+
+    expect(buildExportDocument(schema, content)).toEqual({
+      format: 'schema-designer',
+      formatVersion: EXPORT_FORMAT_VERSION,
+      exportedAt: expect.any(String),
+      schema: {
+        id: schemaId,
+        name: 'Shop',
+        description: 'Orders',
+        version: '1.2.0',
+        createdAt: '2024-01-01',
+        updatedAt: '2024-02-01',
+        tables: content.tables,
+        relationships: content.relationships
+      }
+    });
+  });
+});
@@ -0,0 +1,301 @@
+// Structural diff between two schema states (snapshots or the live schema).
+// Tables, columns, indexes and relationships are matched by ID so renames are detected.
+
+// Column properties compared between states
+const COLUMN_PROPERTIES = [
+  'dataType',
+  'length',
+  'precision',
+  'scale',
+  'isRequired',
+  'defaultValue',
+  'checkConstraint',
+  'isPrimaryKey',
+  'isUnique',
+  'isAutoIncrement',
+  'description'
+];
+
+// Table properties compared between states (position is layout only and ignored)
+const TABLE_PROPERTIES = ['description', 'color'];
+
+// Index properties compared between states (columns are compared separately)
+const INDEX_PROPERTIES = ['name', 'isUnique', 'method', 'where', 'description'];
+
+// Relationship properties compared between states
+const RELATIONSHIP_PROPERTIES = [
+  'sourceTableId',
+  'sourceColumnId',
+  'targetTableId',
+  'targetColumnId',
+  'relationshipType',
+  'onDelete',
+  'onUpdate',
+  'name',
+  'description'
+];
+
+// Treat missing values, null and empty strings alike
+function normalize(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+// List the properties whose values differ between two objects
+function diffProperties(before, after, properties) {
+  return properties
+    .filter(property => normalize(before[property]) !== normalize(after[property]))
+    .map(property => ({
+      field: property,
+      from: normalize(before[property]),
+      to: normalize(after[property])
+    }));
+}
+
+// Index a list of entities by ID
+function byId(items = []) {
+  return new Map(items.map(item => [item.id, item]));
+}
+
+// Diff the columns of a table that exists in both states
+function diffColumns(beforeColumns, afterColumns) {
+  const before = byId(beforeColumns);
+  const after = byId(afterColumns);
+
+  const columns = { added: [], removed: [], renamed: [], modified: [] };
+
+  for (const [id, column] of after) {
+    if (!before.has(id)) {
+      columns.added.push({ id, name: column.name, dataType: column.dataType });
+    }
+  }
+
+  for (const [id, column] of before) {
+    const next = after.get(id);
+    if (!next) {
+      columns.removed.push({ id, name: column.name, dataType: column.dataType });
+      continue;
+    }
+
+    if (column.name !== next.name) {
+      columns.renamed.push({ id, from: column.name, to: next.name });
+    }
+
+    const changes = diffProperties(column, next, COLUMN_PROPERTIES);
+    if (changes.length > 0) {
+      columns.modified.push({ id, name: next.name, changes });
+    }
+  }
+
+  return columns;
+}
+
+// Diff the table-level CHECK constraints of a table, matched by name
+function diffCheckConstraints(beforeChecks = [], afterChecks = []) {
+  const before = new Map(beforeChecks.map(check => [check.name, check]));
+  const after = new Map(afterChecks.map(check => [check.name, check]));
+
+  const checkConstraints = { added: [], removed: [], modified: [] };
+
+  for (const [name, check] of after) {
+    if (!before.has(name)) {
+      checkConstraints.added.push({ name, expression: check.expression });
+    }
+  }
+
+  for (const [name, check] of before) {
+    const next = after.get(name);
+    if (!next) {
+      checkConstraints.removed.push({ name, expression: check.expression });
+    } else if (check.expression !== next.expression) {
+      checkConstraints.modified.push({ name, from: check.expression, to: next.expression });
+    }
+  }
+
+  return checkConstraints;
+}
+
+// Label an index's column list for humans, e.g. "email, created_at DESC"
+function describeIndexColumns(index, columns) {
+  return (index.columns || []).map(part => {
+    const entry = part.expression ? `(${part.expression})` : (columns.get(part.columnId)?.name || part.columnName);
+    return part.order === 'DESC' ? `${entry} DESC` : entry;
+  }).join(', ');
+}
+
+// Diff the indexes of a table that exists in both states
+function diffIndexes(beforeTable, afterTable) {
+  const before = byId(beforeTable.indexes);
+  const after = byId(afterTable.indexes);
+  const beforeColumns = byId(beforeTable.columns);
+  const afterColumns = byId(afterTable.columns);
+  // Columns are identified by ID so that renaming a column does not modify its indexes
+  const signature = index => JSON.stringify((index.columns || []).map(part => [part.columnId || null, part.expression || null, part.order]));
+
+  const indexes = { added: [], removed: [], modified: [] };
+
+  for (const [id, index] of after) {
+    if (!before.has(id)) {
+      indexes.added.push({ id, name: index.name, columns: describeIndexColumns(index, afterColumns) });
+    }
+  }
+
+  for (const [id, index] of before) {
+    const next = after.get(id);
+    if (!next) {
+      indexes.removed.push({ id, name: index.name, columns: describeIndexColumns(index, beforeColumns) });
+      continue;
+    }
+
+    const changes = diffProperties(index, next, INDEX_PROPERTIES);
+    if (signature(index) !== signature(next)) {
+      changes.push({
+        field: 'columns',
+        from: describeIndexColumns(index, beforeColumns),
+        to: describeIndexColumns(next, afterColumns)
+      });
+    }
+    if (changes.length > 0) {
+      indexes.modified.push({ id, name: next.name, changes });
+    }
+  }
+
+  return indexes;
+}
+
+// Column pairs of a relationship in key order (snapshots taken before composite
+// foreign keys have only the single pair of the relationship)
+function relationshipColumns(rel) {
+  return rel.columns?.length ? rel.columns : [rel];
+}
+
+// Label the source or target columns of a relationship, e.g. user_id or (order_id, line_no)
+function describeRelationshipColumns(rel, side, columns) {
+  const names = relationshipColumns(rel).map(pair =>
+    columns.get(pair[`${side}ColumnId`])?.name || pair[`${side}ColumnName`] || pair[`${side}ColumnId`]);
+  return names.length === 1 ? names[0] : `(${names.join(', ')})`;
+}
+
+// Label a relationship for humans, e.g. orders.user_id -> users.id
+function describeRelationship(rel, tables, columns) {
+  const tableName = (id, fallback) => tables.get(id)?.name || fallback || id;
+  return `${tableName(rel.sourceTableId, rel.sourceTableName)}.${describeRelationshipColumns(rel, 'source', columns)}`
+    + ` -> ${tableName(rel.targetTableId, rel.targetTableName)}.${describeRelationshipColumns(rel, 'target', columns)}`;
+}
+
+// Compute the structural differences between two schema states.
+// Each state has the GET /schemas/:schemaId shape ({ tables, relationships }).
+function diffSchemas(fromState, toState) {
+  const beforeTables = byId(fromState.tables);
+  const afterTables = byId(toState.tables);
+
+  const tables = { added: [], removed: [], renamed: [], modified: [] };
+
+  for (const [id, table] of afterTables) {
+    if (!beforeTables.has(id)) {
+      tables.added.push({
+        id,
+        name: table.name,
+        columns: (table.columns || []).map(column => ({ id: column.id, name: column.name, dataType: column.dataType }))
+      });
+    }
+  }
+
+  for (const [id, table] of beforeTables) {
+    const next = afterTables.get(id);
+    if (!next) {
+      tables.removed.push({ id, name: table.name });
+      continue;
+    }
+
+    if (table.name !== next.name) {
+      tables.renamed.push({ id, from: table.name, to: next.name });
+    }
+
+    const changes = diffProperties(table, next, TABLE_PROPERTIES);
+    const columns = diffColumns(table.columns, next.columns);
+    const columnsChanged = Object.values(columns).some(list => list.length > 0);
+    const checkConstraints = diffCheckConstraints(table.checkConstraints, next.checkConstraints);
+    const checksChanged = Object.values(checkConstraints).some(list => list.length > 0);
+    const indexes = diffIndexes(table, next);
+    const indexesChanged = Object.values(indexes).some(list => list.length > 0);
+
+    if (changes.length > 0 || columnsChanged || checksChanged || indexesChanged) {
+      tables.modified.push({ id, name: next.name, changes, columns, checkConstraints, indexes });
+    }
+  }
+
+  // Column lookups for labelling relationships in either state
+  const allColumns = (state) => new Map(
+    (state.tables || []).flatMap(table => (table.columns || []).map(column => [column.id, column]))
+  );
+  const beforeColumns = allColumns(fromState);
+  const afterColumns = allColumns(toState);
+
+  const beforeRelationships = byId(fromState.relationships);
+  const afterRelationships = byId(toState.relationships);
+  const relationships = { added: [], removed: [], modified: [] };
+
+  for (const [id, rel] of afterRelationships) {
+    if (!beforeRelationships.has(id)) {
+      relationships.added.push({
+        id,
+        name: rel.name,
+        relationshipType: rel.relationshipType,
+        description: describeRelationship(rel, afterTables, afterColumns)
+      });
+    }
+  }
+
+  for (const [id, rel] of beforeRelationships) {
+    const next = afterRelationships.get(id);
+    if (!next) {
+      relationships.removed.push({
+        id,
+        name: rel.name,
+        relationshipType: rel.relationshipType,
+        description: describeRelationship(rel, beforeTables, beforeColumns)
+      });
+      continue;
+    }
+
+    const changes = diffProperties(rel, next, RELATIONSHIP_PROPERTIES);
+
+    // The first pair is covered by sourceColumnId/targetColumnId; composite keys also list the rest
+    const signature = (relationship) => relationshipColumns(relationship)
+      .map(pair => `${pair.sourceColumnId}:${pair.targetColumnId}`).join(',');
+    const composite = relationshipColumns(rel).length > 1 || relationshipColumns(next).length > 1;
+    if (composite && signature(rel) !== signature(next)) {
+      changes.push({
+        field: 'columns',
+        from: `${describeRelationshipColumns(rel, 'source', beforeColumns)} -> ${describeRelationshipColumns(rel, 'target', beforeColumns)}`,
+        to: `${describeRelationshipColumns(next, 'source', afterColumns)} -> ${describeRelationshipColumns(next, 'target', afterColumns)}`
+      });
+    }
+
+    if (changes.length > 0) {
+      relationships.modified.push({
+        id,
+        name: next.name,
+        description: describeRelationship(next, afterTables, afterColumns),
+        changes
+      });
+    }
+  }
+
+  const summary = {
+    tablesAdded: tables.added.length,
+    tablesRemoved: tables.removed.length,
+    tablesRenamed: tables.renamed.length,
+    tablesModified: tables.modified.length,
+    relationshipsAdded: relationships.added.length,
+    relationshipsRemoved: relationships.removed.length,
+    relationshipsModified: relationships.modified.length
+  };
+  summary.hasChanges = Object.values(summary).some(count => count > 0);
+
+  return { summary, tables, relationships };
+}
+
+module.exports = {
+  diffSchemas
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { diffSchemas } from './schemaDiff';
+
+const column = (id, name, dataType, extra = {}) => ({ id, name, dataType, isRequired: false, ...extra });
+
+const before = {
+  tables: [
+    {
+      id: 't-users',
+      name: 'users',
+      description: '',
+      color: '#ffffff',
+      position: { x: 0, y: 0 },
+      columns: [
+        column('c-users-id', 'id', 'INTEGER', { isPrimaryKey: true, isRequired: true }),
+        column('c-users-mail', 'mail', 'VARCHAR', { length: 100 }),
+        column('c-users-age', 'age', 'INTEGER')
+      ]
+    },
+    {
+      id: 't-posts',
+      name: 'posts',
+      columns: [
+        column('c-posts-id', 'id', 'INTEGER', { isPrimaryKey: true, isRequired: true }),
+        column('c-posts-user', 'user_id', 'INTEGER')
+      ]
+    },
+    { id: 't-logs', name: 'logs', columns: [column('c-logs-id', 'id', 'INTEGER')] }
+  ],
+  relationships: [
+    {
+      id: 'r-posts-user',
+      sourceTableId: 't-posts',
+      sourceColumnId: 'c-posts-user',
+      targetTableId: 't-users',
+      targetColumnId: 'c-users-id',
+      relationshipType: 'one-to-many',
+      onDelete: 'RESTRICT',
+      onUpdate: 'CASCADE',
+      name: null,
+      description: ''
+    }
+  ]
+};
+
+// Renames users.mail, widens it, drops users.age, moves users (layout only),
+// renames posts to articles, drops logs, adds tags and cascades post deletes
+const after = {
+  tables: [
+    {
+      ...before.tables[0],
+      position: { x: 300, y: 120 },
+      columns: [
+        before.tables[0].columns[0],
+        { ...before.tables[0].columns[1], name: 'email', length: 255, isRequired: true },
+        column('c-users-created', 'created_at', 'DATETIME')
+      ]
+    },
+    { ...before.tables[1], name: 'articles' },
+    { id: 't-tags', name: 'tags', columns: [column('c-tags-id', 'id', 'INTEGER')] }
+  ],
+  relationships: [{ ...before.relationships[0], onDelete: 'CASCADE', description: null }]
+};
+
+describe('diffSchemas', () => {
+  const diff = diffSchemas(before, after);
+
+  it('matches tables by ID, so renames are not reported as drop and create', () => {
+    expect(diff.tables.added).toEqual([
+      { id: 't-tags', name: 'tags', columns: [{ id: 'c-tags-id', name: 'id', dataType: 'INTEGER' }] }
+    ]);
+    expect(diff.tables.removed).toEqual([{ id: 't-logs', name: 'logs' }]);
+    expect(diff.tables.renamed).toEqual([{ id: 't-posts', from: 'posts', to: 'articles' }]);
+  });
+
+  it('lists added, removed, renamed and modified columns, ignoring the layout', () => {
+    expect(diff.tables.modified.map(table => table.name)).toEqual(['users']);
+
+    const [users] = diff.tables.modified;
+    expect(users.changes).toEqual([]);
+    expect(users.columns.added).toEqual([{ id: 'c-users-created', name: 'created_at', dataType: 'DATETIME' }]);
+    expect(users.columns.removed).toEqual([{ id: 'c-users-age', name: 'age', dataType: 'INTEGER' }]);
+    expect(users.columns.renamed).toEqual([{ id: 'c-users-mail', from: 'mail', to: 'email' }]);
+    expect(users.columns.modified).toEqual([{
+      id: 'c-users-mail',
+      name: 'email',
+      changes: [
+        { field: 'length', from: 100, to: 255 },
+        { field: 'isRequired', from: false, to: true }
+      ]
+    }]);
+  });
+
+  it('labels relationship changes with the new names and treats empty values alike', () => {
+    expect(diff.relationships.modified).toEqual([{
+      id: 'r-posts-user',
+      name: null,
+      description: 'articles.user_id -> users.id',
+      changes: [{ field: 'onDelete', from: 'RESTRICT', to: 'CASCADE' }]
+    }]);
+  });
+
+  it('summarizes the changes', () => {
+    expect(diff.summary).toEqual({
+      tablesAdded: 1,
+      tablesRemoved: 1,
+      tablesRenamed: 1,
+      tablesModified: 1,
+      relationshipsAdded: 0,
+      relationshipsRemoved: 0,
+      relationshipsModified: 1,
+      hasChanges: true
+    });
+    expect(diffSchemas(before, before).summary.hasChanges).toBe(false);
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, it, expect } from 'vitest';
+import SQLGenerator from './sqlGenerator';
+import SQLParser from './sqlParser';
+import DBMLGenerator from './dbmlGenerator';
+import DBMLParser from './dbmlParser';
+import PrismaGenerator from './prismaGenerator';
+import PrismaParser from './prismaParser';
+import { buildExportDocument } from './schemaData';
+
+const column = (table, name, dataType, extra = {}) => ({
+  id: `${table}.${name}`,
+  name,
+  dataType,
+  isPrimaryKey: false,
+  isUnique: false,
+  isRequired: false,
+  isAutoIncrement: false,
+  ...extra
+});
+
+const tables = [
+  {
+    id: 'regions',
+    name: 'regions',
+    columns: [
+      column('regions', 'code', 'VARCHAR', { length: 8, isPrimaryKey: true, isRequired: true }),
+      column('regions', 'name', 'VARCHAR', { length: 100, isRequired: true })
+    ]
+  },
+  {
+    id: 'users',
+    name: 'users',
+    columns: [
+      column('users', 'id', 'INTEGER', { isPrimaryKey: true, isRequired: true, isAutoIncrement: true }),
+      column('users', 'email', 'VARCHAR', { length: 255, isRequired: true, isUnique: true }),
+      column('users', 'region_code', 'VARCHAR', { length: 8 }),
+      column('users', 'age', 'INTEGER', { checkConstraint: 'age >= 0' })
+    ],
+    checkConstraints: [{ name: 'chk_users_email', expression: "email LIKE '%@%'" }],
+    indexes: [
+      { name: 'idx_users_email_lower', isUnique: true, columns: [{ expression: 'lower(email)', order: 'ASC' }] },
+      {
+        name: 'idx_users_region_age',
+        columns: [
+          { columnId: 'users.region_code', columnName: 'region_code', order: 'ASC' },
+          { columnId: 'users.age', columnName: 'age', order: 'DESC' }
+        ]
+      }
+    ]
+  },
+  {
+    id: 'orders',
+    name: 'orders',
+    columns: [
+      column('orders', 'region_code', 'VARCHAR', { length: 8, isPrimaryKey: true, isRequired: true }),
+      column('orders', 'order_no', 'INTEGER', { isPrimaryKey: true, isRequired: true }),
+      column('orders', 'user_id', 'INTEGER', { isRequired: true }),
+      column('orders', 'total', 'DECIMAL', { precision: 10, scale: 2 })
+    ],
+    indexes: [
+      { name: 'idx_orders_large', where: 'total > 100', columns: [{ columnId: 'orders.total', columnName: 'total', order: 'ASC' }] }
+    ]
+  },
+  {
+    id: 'order_items',
+    name: 'order_items',
+    columns: [
+      column('order_items', 'id', 'INTEGER', { isPrimaryKey: true, isRequired: true }),
+      column('order_items', 'region_code', 'VARCHAR', { length: 8, isRequired: true }),
+      column('order_items', 'order_no', 'INTEGER', { isRequired: true })
+    ]
+  }
+];
+
+const relationship = (name, source, target, sourceColumns, targetColumns, onDelete) => ({
+  name,
+  relationshipType: 'one-to-many',
+  onDelete,
+  onUpdate: 'NO ACTION',
+  sourceTableId: source,
+  sourceColumnId: `${source}.${sourceColumns[0]}`,
+  targetTableId: target,
+  targetColumnId: `${target}.${targetColumns[0]}`,
+  sourceTableName: source,
+  sourceColumnName: sourceColumns[0],
+  targetTableName: target,
+  targetColumnName: targetColumns[0],
+  columns: sourceColumns.map((sourceColumn, position) => ({
+    sourceColumnId: `${source}.${sourceColumn}`,
+    sourceColumnName: sourceColumn,
+    targetColumnId: `${target}.${targetColumns[position]}`,
+    targetColumnName: targetColumns[position]
+  }))
+});
+
+const relationships = [
+  relationship('fk_users_regions', 'users', 'regions', ['region_code'], ['code'], 'SET NULL'),
+  relationship('fk_orders_users', 'orders', 'users', ['user_id'], ['id'], 'CASCADE'),
+  relationship('fk_order_items_orders', 'order_items', 'orders', ['region_code', 'order_no'], ['region_code', 'order_no'], 'CASCADE')
+];
+
+// Imported content in a form that is easy to compare across formats
+const summarize = ({ tables: importedTables, relationships: importedRelationships, warnings }) => ({
+  tables: importedTables.map(table => `${table.name}(${table.columns.map(col => col.name + (col.isPrimaryKey ? '*' : '')).join(', ')})`),
+  relationships: importedRelationships.map(rel => {
+    const sourceColumns = rel.sourceColumns || [rel.sourceColumn];
+    const targetColumns = rel.targetColumns || [rel.targetColumn];
+    return `${rel.sourceTable}(${sourceColumns.join(', ')}) -> ${rel.targetTable}(${targetColumns.join(', ')}) ${rel.onDelete}`;
+  }),
+  indexes: importedTables.flatMap(table => table.indexes.map(index => {
+    const parts = index.columns.map(part => (part.columnName || `(${part.expression})`) + (part.order === 'DESC' ? ' DESC' : ''));
+    return `${table.name}.${index.name}${index.isUnique ? ' UNIQUE' : ''} (${parts.join(', ')})${index.where ? ` WHERE ${index.where}` : ''}`;
+  })),
+  checks: importedTables.flatMap(table => [
+    ...(table.checkConstraints || []).map(check => `${table.name}.${check.name}: ${check.expression}`),
+    ...table.columns.filter(col => col.checkConstraint).map(col => `${table.name}.${col.name}: ${col.checkConstraint}`)
+  ]),
+  warnings
+});
+
+const TABLES = ['regions(code*, name)', 'users(id*, email, region_code, age)', 'orders(region_code*, order_no*, user_id, total)', 'order_items(id*, region_code, order_no)'];
+const RELATIONSHIPS = [
+  'users(region_code) -> regions(code) SET NULL',
+  'orders(user_id) -> users(id) CASCADE',
+  'order_items(region_code, order_no) -> orders(region_code, order_no) CASCADE'
+];
+const CHECKS = ["users.chk_users_email: email LIKE '%@%'", 'users.age: age >= 0'];
+const EMAIL_INDEX = 'users.idx_users_email_lower UNIQUE ((lower(email)))';
+const REGION_AGE_INDEX = 'users.idx_users_region_age (region_code, age DESC)';
+const LARGE_ORDERS_INDEX = 'orders.idx_orders_large (total) WHERE total > 100';
+// The generator indexes foreign keys no declared index starts with, and these come back as declared indexes
+const ORDERS_USER_INDEX = 'orders.idx_orders_user_id (user_id)';
+const ORDER_ITEMS_ORDER_INDEX = 'order_items.idx_order_items_region_code_order_no (region_code, order_no)';
+
+describe('export and import round-trips', () => {
+  describe('SQL', () => {
+    const roundTrip = dialect => {
+      const sql = new SQLGenerator(dialect).generateSchema(tables, relationships, { includeIndexes: true, includeConstraints: true });
+      return summarize(new SQLParser(dialect).parse(sql));
+    };
+
+    it.each(['postgresql', 'sqlite'])('keeps composite keys, indexes and checks in %s', dialect => {
+      expect(roundTrip(dialect)).toEqual({
+        tables: TABLES,
+        relationships: RELATIONSHIPS,
+        indexes: [EMAIL_INDEX, REGION_AGE_INDEX, ORDERS_USER_INDEX, LARGE_ORDERS_INDEX, ORDER_ITEMS_ORDER_INDEX],
+        checks: CHECKS,
+        warnings: []
+      });
+    });
+
+    it('drops the partial index condition in mysql', () => {
+      expect(roundTrip('mysql')).toMatchObject({
+        tables: TABLES,
+        relationships: RELATIONSHIPS,
+        indexes: [EMAIL_INDEX, REGION_AGE_INDEX, ORDERS_USER_INDEX, 'orders.idx_orders_large (total)', ORDER_ITEMS_ORDER_INDEX],
+        checks: CHECKS
+      });
+    });
+
+    it('leaves out expression indexes in mssql', () => {
+      expect(roundTrip('mssql')).toMatchObject({
+        tables: TABLES,
+        relationships: RELATIONSHIPS,
+        indexes: [REGION_AGE_INDEX, ORDERS_USER_INDEX, LARGE_ORDERS_INDEX, ORDER_ITEMS_ORDER_INDEX],
+        checks: CHECKS
+      });
+    });
+  });
+
+  it('keeps composite references and plain indexes through DBML', () => {
+    const dbml = new DBMLGenerator().generateSchema(tables, relationships);
+
+    expect(summarize(new DBMLParser().parse(dbml))).toEqual({
+      tables: TABLES,
+      relationships: RELATIONSHIPS,
+      indexes: [EMAIL_INDEX, 'users.idx_users_region_age (region_code, age)'],
+      checks: [],
+      warnings: []
+    });
+  });
+
+  it('keeps composite relations and column indexes through Prisma', () => {
+    const prisma = new PrismaGenerator('postgresql').generateSchema(tables, relationships);
+
+    expect(summarize(new PrismaParser().parse(prisma))).toEqual({
+      tables: TABLES,
+      relationships: RELATIONSHIPS,
+      indexes: [REGION_AGE_INDEX],
+      checks: [],
+      warnings: []
+    });
+  });
+
+  it('keeps the whole schema through the JSON export document', () => {
+    const document = buildExportDocument(
+      { id: 's1', name: 'Shop', description: '', version: '1.0.0', created_at: null, updated_at: null },
+      { tables, relationships }
+    );
+    const imported = JSON.parse(JSON.stringify(document)).schema;
+    const generate = content => new SQLGenerator('postgresql')
+      .generateSchema(content.tables, content.relationships, { includeIndexes: true, includeConstraints: true });
+
+    expect(imported).toMatchObject({ name: 'Shop', version: '1.0.0' });
+    expect(imported.tables).toEqual(tables);
+    expect(imported.relationships).toEqual(relationships);
+    expect(generate(imported)).toBe(generate({ tables, relationships }));
+  });
+});
@@ -1,9 +1,36 @@
 // SQL Generation utility for different database dialects
 
+const { getDialect } = require('./dialects');
+
+// Types that can auto increment
+const INTEGER_TYPES = ['INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT'];
+
+// Referential actions that behave like having no clause at all
+const IMPLIED_ACTIONS = ['RESTRICT', 'NO ACTION'];
+
+// Boolean default values read as false (compared lower-cased)
+const FALSE_STRINGS = ['', 'false', '0', 'f'];
+
+// Lengths used when a column has none (most dialects require one)
+const DEFAULT_LENGTHS = {
+  VARCHAR: 255,
+  CHAR: 1
+};
+
 class SQLGenerator {
-  constructor(dialect = 'mysql') {
-    this.dialect = dialect.toLowerCase();
-    this.dataTypeMapping = this.getDataTypeMapping();
+  // Dialect-specific syntax comes from the dialect registry (./dialects).
+  // Options: autoIncrement ('identity' or 'sequence': SERIAL types in PostgreSQL, a sequence
+  // and trigger in Oracle) and identifierLength (only for dialects whose limit is configurable,
+  // such as Oracle: 30 before 12.2, 128 otherwise)
+  constructor(dialect = 'mysql', options = {}) {
+    this.dialectDefinition = getDialect(dialect);
+    this.dialect = this.dialectDefinition.name;
+    this.capabilities = this.dialectDefinition.capabilities;
+    this.autoIncrement = options.autoIncrement || 'identity';
+    this.identifierLength = (this.capabilities.configurableIdentifierLength && options.identifierLength) ||
+      this.dialectDefinition.identifierLength || null;
+    this.dataTypeMapping = this.dialectDefinition.types;
+    this.warnings = [];
   }
 
   // Generate CREATE TABLE statements for all tables
@@ -16,6 +43,16 @@ class SQLGenerator {
     } = options;
 
     let sql = '';
+    this.warnings = this.collectWarnings(tables, includeConstraints ? relationships : []);
+
+    // Referenced tables first; foreign keys closing a cycle are added once all tables exist
+    const { tables: orderedTables, deferred } = this.orderTables(tables, relationships);
+    const deferredForeignKeys = this.capabilities.alterForeignKeys ? deferred : [];
+
+    // Foreign keys referencing a declared unique index are added once the index exists
+    const indexedForeignKeys = this.capabilities.alterForeignKeys && includeIndexes
+      ? relationships.filter(rel => !deferredForeignKeys.includes(rel) && this.referencesUniqueIndex(tables, rel))
+      : [];
 
     // Add header comment
     if (includeComments) {
@@ -24,17 +61,21 @@ class SQLGenerator {
 
     // Add DROP statements if requested
     if (includeDropStatements) {
-      sql += this.generateDropStatements(tables, relationships);
+      sql += this.generateDropStatements(orderedTables, deferredForeignKeys);
     }
 
-    // Generate CREATE TABLE statements
-    for (const table of tables) {
-      sql += this.generateCreateTable(table, includeComments);
+    // Generate CREATE TABLE statements with their foreign keys
+    for (const table of orderedTables) {
+      const foreignKeys = includeConstraints
+        ? relationships.filter(rel => rel.sourceTableName === table.name &&
+          !deferredForeignKeys.includes(rel) && !indexedForeignKeys.includes(rel))
+        : [];
+      sql += this.generateCreateTable(table, includeComments, foreignKeys);
     }
 
-    // Generate foreign key constraints
-    if (includeConstraints && relationships.length > 0) {
-      sql += this.generateForeignKeyConstraints(relationships, includeComments);
+    // Generate the deferred foreign key constraints
+    if (includeConstraints && deferredForeignKeys.length > 0) {
+      sql += this.generateForeignKeyConstraints(deferredForeignKeys, includeComments);
     }
 
     // Generate indexes
@@ -42,6 +83,10 @@ class SQLGenerator {
       sql += this.generateIndexes(tables, relationships, includeComments);
     }
 
+    if (includeConstraints && indexedForeignKeys.length > 0) {
+      sql += this.generateForeignKeyConstraints(indexedForeignKeys, includeComments);
+    }
+
     return sql;
   }
 
@@ -51,24 +96,170 @@ class SQLGenerator {
     return `-- Schema generated by Database Schema Designer
 -- Generated at: ${timestamp}
 -- Database: ${this.dialect.toUpperCase()}
-
+${this.warnings.map(warning => `-- WARNING: ${warning}\n`).join('')}
 `;
   }
 
-  // Generate DROP statements
+  // Type downgrades, and auto increment columns, indexes and referential actions the dialect cannot express
+  collectWarnings(tables, relationships = []) {
+    const warnings = [];
+    const downgraded = new Map();
+    const { displayName } = this.dialectDefinition;
+
+    for (const table of tables) {
+      const primaryKeyCount = (table.columns || []).filter(column => column.isPrimaryKey).length;
+
+      for (const column of table.columns || []) {
+        const qualifiedName = `${table.name}.${column.name}`;
+        const dataType = column.dataType.toUpperCase();
+
+        if (this.dialectDefinition.downgradedTypes.includes(dataType)) {
+          if (!downgraded.has(dataType)) downgraded.set(dataType, []);
+          downgraded.get(dataType).push(qualifiedName);
+        }
+
+        if (column.isAutoIncrement && this.supportsAutoIncrement()) {
+          if (!INTEGER_TYPES.includes(dataType)) {
+            warnings.push(`Auto increment on ${qualifiedName} is ignored: only integer columns can auto increment`);
+          } else if (this.capabilities.autoIncrementAfterPrimaryKey && !(column.isPrimaryKey && primaryKeyCount === 1)) {
+            warnings.push(`Auto increment on ${qualifiedName} is ignored: ${displayName} only supports it on a single-column integer primary key`);
+          } else if (this.capabilities.autoIncrementRequiresKey && !column.isPrimaryKey && !column.isUnique) {
+            warnings.push(`Auto increment column ${qualifiedName} must be a key in ${displayName}; mark it as primary key or unique`);
+          }
+        }
+      }
+
+      for (const index of table.indexes || []) {
+        const qualifiedName = `${table.name}.${index.name}`;
+        const { method, where, skipReason } = this.getIndexSupport(table, index);
+
+        if (skipReason) {
+          warnings.push(`Index ${qualifiedName} is skipped: ${skipReason}`);
+          continue;
+        }
+        if (index.method && index.method !== 'btree' && !method) {
+          warnings.push(`Index ${qualifiedName} uses the default method: ${displayName} does not support ${index.method.toUpperCase()} indexes`);
+        }
+        if (index.where && !where) {
+          warnings.push(`Index ${qualifiedName} covers every row: ${displayName} does not support partial indexes`);
+        }
+      }
+    }
+
+    for (const [dataType, columns] of downgraded) {
+      const mapped = (this.dataTypeMapping[dataType] || dataType).replace(/\((n|p,s)\)$/, '');
+      warnings.push(`${dataType} has no native ${displayName} type; stored as ${mapped}: ${columns.join(', ')}`);
+    }
+
+    // Left out by getReferentialActions; RESTRICT and NO ACTION are the behavior without a clause
+    const { deleteActions, updateActions } = this.capabilities;
+    for (const rel of relationships) {
+      const { onDelete = 'RESTRICT', onUpdate = 'CASCADE' } = rel;
+      const label = `${rel.sourceTableName}.${rel.sourceColumnName} -> ${rel.targetTableName}.${rel.targetColumnName}`;
+
+      for (const [clause, action, accepted] of [['ON DELETE', onDelete, deleteActions], ['ON UPDATE', onUpdate, updateActions]]) {
+        if (accepted && !accepted.includes(action) && !IMPLIED_ACTIONS.includes(action)) {
+          warnings.push(`${clause} ${action} on ${label} is not supported by ${displayName} and was left out`);
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  // Order tables so that referenced tables come first (Kahn's algorithm; self references
+  // do not count). A dependency cycle is broken at its first table: the relationships that
+  // point to a table created later are returned as deferred, to be added with ALTER TABLE.
+  orderTables(tables, relationships) {
+    const dependencies = new Map(tables.map(table => [table.name, new Set()]));
+    const edges = relationships.filter(rel => rel.sourceTableName !== rel.targetTableName
+      && dependencies.has(rel.sourceTableName) && dependencies.has(rel.targetTableName));
+    for (const rel of edges) {
+      dependencies.get(rel.sourceTableName).add(rel.targetTableName);
+    }
+
+    const cycles = this.findDependencyCycles(dependencies);
+    const ordered = [];
+    const placed = new Set();
+
+    while (ordered.length < tables.length) {
+      let ready = tables.filter(table => !placed.has(table.name)
+        && [...dependencies.get(table.name)].every(name => placed.has(name)));
+
+      // Only cycles remain: start one whose tables depend on nothing else that is missing
+      if (ready.length === 0) {
+        ready = [tables.find(table => !placed.has(table.name)
+          && [...dependencies.get(table.name)].every(name => placed.has(name) || cycles.get(name) === cycles.get(table.name)))];
+      }
+
+      for (const table of ready) {
+        ordered.push(table);
+        placed.add(table.name);
+      }
+    }
+
+    const position = new Map(ordered.map((table, index) => [table.name, index]));
+    const deferred = edges.filter(rel => position.get(rel.targetTableName) > position.get(rel.sourceTableName));
+
+    return { tables: ordered, deferred };
+  }
+
+  // Strongly connected components of the dependency graph (Tarjan's algorithm): maps each
+  // table to its component, so tables sharing one reference each other through a cycle
+  findDependencyCycles(dependencies) {
+    const components = new Map();
+    const visitIndex = new Map();
+    const lowLink = new Map();
+    const stack = [];
+
+    const visit = (name) => {
+      visitIndex.set(name, visitIndex.size);
+      lowLink.set(name, visitIndex.get(name));
+      stack.push(name);
+
+      for (const dependency of dependencies.get(name)) {
+        if (!visitIndex.has(dependency)) {
+          visit(dependency);
+          lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(dependency)));
+        } else if (!components.has(dependency)) {
+          // Still on the stack: part of the component being built
+          lowLink.set(name, Math.min(lowLink.get(name), visitIndex.get(dependency)));
+        }
+      }
+
+      if (lowLink.get(name) === visitIndex.get(name)) {
+        let member;
+        do {
+          member = stack.pop();
+          components.set(member, name);
+        } while (member !== name);
+      }
+    };
+
+    for (const name of dependencies.keys()) {
+      if (!visitIndex.has(name)) {
+        visit(name);
+      }
+    }
+
+    return components;
+  }
+
+  // Generate DROP statements (tables in dependency order, relationships closing a cycle)
   generateDropStatements(tables, relationships) {
     let sql = '';
     
     if (relationships.length > 0) {
       sql += '-- Drop foreign key constraints\n';
+      // The tables may not exist yet, so each drop is guarded
       for (const rel of relationships) {
-        sql += this.generateDropForeignKey(rel);
+        sql += this.generateDropForeignKeyIfExists(rel);
       }
       sql += '\n';
     }
 
     sql += '-- Drop tables\n';
-    // Drop in reverse order to handle dependencies
+    // Drop in reverse dependency order: referencing tables before the tables they reference
     for (let i = tables.length - 1; i >= 0; i--) {
       sql += this.generateDropTable(tables[i]);
     }
@@ -77,8 +268,9 @@ class SQLGenerator {
     return sql;
   }
 
-  // Generate CREATE TABLE statement
-  generateCreateTable(table, includeComments = true) {
+  // Generate CREATE TABLE statement (foreignKeys are relationships to declare inline).
+  // createName creates the table under another name; its constraints keep the table's name.
+  generateCreateTable(table, includeComments = true, foreignKeys = [], createName = table.name) {
     const { name, description, columns = [] } = table;
     let sql = '';
 
@@ -86,29 +278,69 @@ class SQLGenerator {
       sql += `-- ${description}\n`;
     }
 
-    sql += `CREATE TABLE ${this.quoteIdentifier(name)} (\n`;
+    sql += `CREATE TABLE ${this.quoteIdentifier(createName)} (\n`;
 
-    // Generate column definitions
-    const columnDefs = columns.map(column => this.generateColumnDefinition(column));
+    // Generate column definitions (composite primary keys are declared as a table constraint)
+    const primaryKeys = columns.filter(col => col.isPrimaryKey).map(col => col.name);
+    const columnDefs = columns.map(column => this.generateColumnDefinition(column, { inlinePrimaryKey: primaryKeys.length === 1, tableName: name }));
     
     // Add primary key constraint if multiple columns
-    const primaryKeys = columns.filter(col => col.isPrimaryKey).map(col => col.name);
     if (primaryKeys.length > 1) {
       columnDefs.push(`  CONSTRAINT ${this.quoteIdentifier(`pk_${name}`)} PRIMARY KEY (${primaryKeys.map(pk => this.quoteIdentifier(pk)).join(', ')})`);
     }
 
+    // Add inline foreign key constraints
+    for (const rel of foreignKeys) {
+      columnDefs.push(this.generateInlineForeignKey(rel));
+    }
+
+    // Add table-level check constraints
+    for (const check of table.checkConstraints || []) {
+      columnDefs.push(`  ${this.generateCheckConstraint(check.name, check.expression)}`);
+    }
+
     sql += columnDefs.join(',\n');
     sql += '\n)';
 
     // Add table-specific options
     sql += this.getTableOptions();
-    sql += ';\n\n';
+    sql += ';\n';
+
+    // Dialect statements following the table (sequences, triggers)
+    sql += this.dialectDefinition.generateTableExtras(table, this);
+
+    // Descriptions as COMMENT ON statements
+    if (this.supportsCommentStatements()) {
+      if (description) {
+        sql += `COMMENT ON TABLE ${this.quoteIdentifier(name)} IS ${this.quoteString(description)};\n`;
+      }
+      for (const column of columns.filter(col => col.description)) {
+        sql += `COMMENT ON COLUMN ${this.quoteIdentifier(name)}.${this.quoteIdentifier(column.name)} IS ${this.quoteString(column.description)};\n`;
+      }
+    }
+
+    sql += '\n';
 
     return sql;
   }
 
-  // Generate column definition
-  generateColumnDefinition(column) {
+  // Name of the constraint holding a column's check expression
+  getCheckConstraintName(tableName, columnName) {
+    return `chk_${tableName}_${columnName}`;
+  }
+
+  // CONSTRAINT ... CHECK clause (unnamed when no name is given)
+  generateCheckConstraint(name, expression) {
+    return `${name ? `CONSTRAINT ${this.quoteIdentifier(name)} ` : ''}CHECK (${expression})`;
+  }
+
+  // Name of the sequence backing an auto increment column
+  getSequenceName(tableName, columnName) {
+    return `${tableName}_${columnName}_seq`;
+  }
+
+  // Generate column definition (the check constraint is named after tableName when it is given)
+  generateColumnDefinition(column, { inlinePrimaryKey = true, tableName = null } = {}) {
     const {
       name,
       dataType,
@@ -120,22 +352,34 @@ class SQLGenerator {
       isRequired,
       isAutoIncrement,
       defaultValue,
+      checkConstraint,
       description
     } = column;
 
     let def = `  ${this.quoteIdentifier(name)} `;
+    const hasDefault = defaultValue !== null && defaultValue !== undefined && defaultValue !== '';
+    const autoIncrement = isAutoIncrement && this.canAutoIncrement(column, inlinePrimaryKey);
     
-    // Data type
-    def += this.mapDataType(dataType, length, precision, scale);
+    // Data type (auto increment types such as PostgreSQL SERIAL replace it)
+    def += (autoIncrement && this.dialectDefinition.getAutoIncrementType(dataType.toUpperCase(), this))
+      || this.mapDataType(dataType, length, precision, scale);
 
-    // Auto increment
-    if (isAutoIncrement && this.supportsAutoIncrement()) {
+    // Auto increment (some dialects put it after PRIMARY KEY)
+    if (autoIncrement && !this.capabilities.autoIncrementAfterPrimaryKey) {
       def += this.getAutoIncrementSyntax();
     }
 
+    // Some dialects require the default before any constraint
+    if (hasDefault && this.capabilities.defaultBeforeConstraints) {
+      def += ` DEFAULT ${this.formatDefaultValue(defaultValue, dataType)}`;
+    }
+
     // Primary key (for single column)
-    if (isPrimaryKey && this.supportsSingleColumnPrimaryKey()) {
+    if (isPrimaryKey && inlinePrimaryKey && this.supportsSingleColumnPrimaryKey()) {
       def += ' PRIMARY KEY';
+      if (autoIncrement && this.capabilities.autoIncrementAfterPrimaryKey) {
+        def += this.getAutoIncrementSyntax();
+      }
     }
 
     // Not null
@@ -149,7 +393,7 @@ class SQLGenerator {
     }
 
     // Default value
-    if (defaultValue !== null && defaultValue !== undefined && defaultValue !== '') {
+    if (hasDefault && !this.capabilities.defaultBeforeConstraints) {
       def += ` DEFAULT ${this.formatDefaultValue(defaultValue, dataType)}`;
     }
 
@@ -158,6 +402,11 @@ class SQLGenerator {
       def += ` COMMENT ${this.quoteString(description)}`;
     }
 
+    // Check constraint
+    if (checkConstraint) {
+      def += ` ${this.generateCheckConstraint(tableName && this.getCheckConstraintName(tableName, name), checkConstraint)}`;
+    }
+
     return def;
   }
 
@@ -182,21 +431,77 @@ class SQLGenerator {
     const {
       name,
       sourceTableName,
-      sourceColumnName,
       targetTableName,
-      targetColumnName,
       onDelete = 'RESTRICT',
       onUpdate = 'CASCADE'
     } = relationship;
 
     const constraintName = name || `fk_${sourceTableName}_${targetTableName}`;
-    
+    const { sourceColumns, targetColumns } = this.getForeignKeyColumnLists(relationship);
+
     return `ALTER TABLE ${this.quoteIdentifier(sourceTableName)} 
   ADD CONSTRAINT ${this.quoteIdentifier(constraintName)} 
-  FOREIGN KEY (${this.quoteIdentifier(sourceColumnName)}) 
-  REFERENCES ${this.quoteIdentifier(targetTableName)}(${this.quoteIdentifier(targetColumnName)})
-  ON DELETE ${onDelete}
-  ON UPDATE ${onUpdate};\n`;
+  FOREIGN KEY (${sourceColumns}) 
+  REFERENCES ${this.quoteIdentifier(targetTableName)}(${targetColumns})${this.getReferentialActions(onDelete, onUpdate, '\n  ')};\n`;
+  }
+
+  // Generate foreign key clause for use inside CREATE TABLE
+  generateInlineForeignKey(relationship) {
+    const {
+      name,
+      sourceTableName,
+      targetTableName,
+      onDelete = 'RESTRICT',
+      onUpdate = 'CASCADE'
+    } = relationship;
+
+    const constraintName = name || `fk_${sourceTableName}_${targetTableName}`;
+    const { sourceColumns, targetColumns } = this.getForeignKeyColumnLists(relationship);
+
+    return `  CONSTRAINT ${this.quoteIdentifier(constraintName)} FOREIGN KEY (${sourceColumns}) REFERENCES ${this.quoteIdentifier(targetTableName)}(${targetColumns})${this.getReferentialActions(onDelete, onUpdate, ' ')}`;
+  }
+
+  // Column pairs ({ sourceColumnName, targetColumnName }) of a foreign key, in key order;
+  // relationships without a column list (e.g. in older version snapshots) have a single pair
+  getForeignKeyColumns(relationship) {
+    return relationship.columns?.length ? relationship.columns : [relationship];
+  }
+
+  // Quoted, comma-separated source and target column lists of a foreign key
+  getForeignKeyColumnLists(relationship) {
+    const pairs = this.getForeignKeyColumns(relationship);
+    return {
+      sourceColumns: pairs.map(pair => this.quoteIdentifier(pair.sourceColumnName)).join(', '),
+      targetColumns: pairs.map(pair => this.quoteIdentifier(pair.targetColumnName)).join(', ')
+    };
+  }
+
+  // Name of the index generated for the source columns of a foreign key
+  getForeignKeyIndexName(relationship) {
+    const columnNames = this.getForeignKeyColumns(relationship).map(pair => pair.sourceColumnName);
+    return `idx_${relationship.sourceTableName}_${columnNames.join('_')}`;
+  }
+
+  // CREATE INDEX statement for the source columns of a foreign key
+  generateForeignKeyIndex(relationship) {
+    const columns = this.getForeignKeyColumns(relationship).map(pair => this.quoteIdentifier(pair.sourceColumnName));
+    return this.generateIndex(this.getForeignKeyIndexName(relationship), relationship.sourceTableName, columns);
+  }
+
+  // ON DELETE / ON UPDATE clauses, leaving out actions the dialect does not accept
+  // (those are its default behavior, e.g. RESTRICT in Oracle and SQL Server)
+  getReferentialActions(onDelete, onUpdate, separator) {
+    const { deleteActions, updateActions } = this.capabilities;
+    let actions = '';
+
+    if (!deleteActions || deleteActions.includes(onDelete)) {
+      actions += `${separator}ON DELETE ${onDelete}`;
+    }
+    if (!updateActions || updateActions.includes(onUpdate)) {
+      actions += `${separator}ON UPDATE ${onUpdate}`;
+    }
+
+    return actions;
   }
 
   // Generate indexes
@@ -207,22 +512,53 @@ class SQLGenerator {
       sql += '-- Indexes for better performance\n';
     }
 
+    // Indexes declared on the tables replace the generated ones they cover
+    const declared = tables.flatMap(table => (table.indexes || [])
+      .filter(index => !this.getIndexSupport(table, index).skipReason)
+      .map(index => ({ table, index })));
+    const declaredNames = new Set(declared.map(({ index }) => index.name));
+    // A declared index also serves foreign keys on its leading columns (in any order)
+    const coversForeignKey = (rel, columnNames) => declared.some(({ table, index }) =>
+      table.name === rel.sourceTableName &&
+      columnNames.every(columnName => index.columns.slice(0, columnNames.length)
+        .some(part => part.columnId && this.getIndexColumnName(table, part) === columnName)));
+    const uniqueColumnIds = new Set(declared
+      .filter(({ index }) => index.isUnique && !index.where && index.columns.length === 1)
+      .map(({ index }) => index.columns[0].columnId));
+
     // Foreign key indexes
     for (const rel of relationships) {
-      const indexName = `idx_${rel.sourceTableName}_${rel.sourceColumnName}`;
-      sql += `CREATE INDEX ${this.quoteIdentifier(indexName)} ON ${this.quoteIdentifier(rel.sourceTableName)} (${this.quoteIdentifier(rel.sourceColumnName)});\n`;
+      const columnNames = this.getForeignKeyColumns(rel).map(pair => pair.sourceColumnName);
+
+      // Some dialects reject a second index on columns already indexed by a key constraint
+      if (!this.capabilities.indexKeyColumns && this.isIndexedByConstraint(tables, rel.sourceTableName, columnNames)) {
+        continue;
+      }
+
+      if (coversForeignKey(rel, columnNames) || declaredNames.has(this.getForeignKeyIndexName(rel))) {
+        continue;
+      }
+      sql += this.generateForeignKeyIndex(rel);
     }
 
     // Unique column indexes
     for (const table of tables) {
       for (const column of table.columns || []) {
-        if (column.isUnique && !column.isPrimaryKey) {
+        if (column.isUnique && !column.isPrimaryKey && this.capabilities.indexKeyColumns) {
           const indexName = `idx_${table.name}_${column.name}_unique`;
-          sql += `CREATE UNIQUE INDEX ${this.quoteIdentifier(indexName)} ON ${this.quoteIdentifier(table.name)} (${this.quoteIdentifier(column.name)});\n`;
+          if (uniqueColumnIds.has(column.id) || declaredNames.has(indexName)) {
+            continue;
+          }
+          sql += this.generateIndex(indexName, table.name, [this.quoteIdentifier(column.name)], { unique: true });
         }
       }
     }
 
+    // Declared indexes
+    for (const { table, index } of declared) {
+      sql += this.generateTableIndex(table, index);
+    }
+
     if (sql !== '-- Indexes for better performance\n') {
       sql += '\n';
     } else {
@@ -232,27 +568,119 @@ class SQLGenerator {
     return sql;
   }
 
+  // CREATE INDEX statement for a declared index, or '' when the dialect cannot express it
+  generateTableIndex(table, index) {
+    const { method, where, skipReason } = this.getIndexSupport(table, index);
+    if (skipReason) {
+      return '';
+    }
+
+    const columns = index.columns.map(part => {
+      const entry = part.expression
+        ? this.dialectDefinition.formatIndexExpression(part.expression)
+        : this.quoteIdentifier(this.getIndexColumnName(table, part));
+      return part.order === 'DESC' ? `${entry} DESC` : entry;
+    });
+
+    return this.generateIndex(index.name, table.name, columns, { unique: index.isUnique, method, where });
+  }
+
+  // CREATE INDEX statement from quoted column entries
+  generateIndex(name, tableName, columns, { unique = false, method = null, where = null } = {}) {
+    return this.dialectDefinition.generateCreateIndex({
+      name: this.quoteIdentifier(name),
+      table: this.quoteIdentifier(tableName),
+      columns,
+      unique: Boolean(unique),
+      method,
+      where
+    });
+  }
+
+  // Which parts of a declared index the dialect supports: the method and WHERE clause
+  // to emit (null when unsupported) and why the whole index is left out, if it is
+  getIndexSupport(table, index) {
+    const { displayName } = this.dialectDefinition;
+    const method = this.capabilities.indexMethods.includes(index.method) ? index.method : null;
+    const where = index.where && this.capabilities.partialIndexes ? index.where : null;
+    const [firstPart] = index.columns;
+    let skipReason = null;
+
+    if (index.columns.some(part => part.expression) && !this.capabilities.expressionIndexes) {
+      skipReason = `${displayName} does not support expression indexes`;
+    } else if (index.isUnique && index.where && !where) {
+      // Enforcing uniqueness on every row would reject valid data
+      skipReason = `${displayName} does not support partial unique indexes`;
+    } else if (!this.capabilities.indexKeyColumns && index.columns.length === 1 && firstPart.columnId &&
+      this.isIndexedByConstraint([table], table.name, [this.getIndexColumnName(table, firstPart)])) {
+      skipReason = `${displayName} already indexes the column through its key constraint`;
+    }
+
+    return { method, where, skipReason };
+  }
+
+  // Current name of an indexed column (columns may have been renamed since the index was loaded)
+  getIndexColumnName(table, part) {
+    const column = (table.columns || []).find(candidate => candidate.id === part.columnId);
+    return column ? column.name : part.columnName;
+  }
+
+  // Whether a foreign key references the columns of a declared unique index rather than the
+  // primary key or a unique column; the index has to be created before the constraint
+  referencesUniqueIndex(tables, relationship) {
+    const table = tables.find(candidate => candidate.name === relationship.targetTableName);
+    const columnNames = this.getForeignKeyColumns(relationship).map(pair => pair.targetColumnName);
+    if (!table || this.isIndexedByConstraint(tables, table.name, columnNames)) {
+      return false;
+    }
+
+    const key = [...columnNames].sort().join(',');
+    return (table.indexes || []).some(index => index.isUnique && !index.where &&
+      index.columns.every(part => part.columnId) &&
+      index.columns.map(part => this.getIndexColumnName(table, part)).sort().join(',') === key);
+  }
+
+  // Check whether the columns are exactly the primary key, or a single unique column
+  // (and therefore indexed)
+  isIndexedByConstraint(tables, tableName, columnNames) {
+    const table = tables.find(candidate => candidate.name === tableName);
+    const columns = table?.columns || [];
+    const keyColumns = columnNames.map(columnName => columns.find(candidate => candidate.name === columnName));
+    if (keyColumns.some(column => !column)) {
+      return false;
+    }
+    if (keyColumns.length === 1 && keyColumns[0].isUnique) {
+      return true;
+    }
+    return keyColumns.every(column => column.isPrimaryKey) &&
+      columns.filter(column => column.isPrimaryKey).length === keyColumns.length;
+  }
+
   // Generate DROP TABLE statement
   generateDropTable(table) {
-    return `DROP TABLE IF EXISTS ${this.quoteIdentifier(table.name)};\n`;
+    return this.dialectDefinition.generateDropTable(table, this);
   }
 
   // Generate DROP FOREIGN KEY statement
   generateDropForeignKey(relationship) {
     const constraintName = relationship.name || `fk_${relationship.sourceTableName}_${relationship.targetTableName}`;
-    
-    switch (this.dialect) {
-      case 'mysql':
-        return `ALTER TABLE ${this.quoteIdentifier(relationship.sourceTableName)} DROP FOREIGN KEY ${this.quoteIdentifier(constraintName)};\n`;
-      case 'postgresql':
-        return `ALTER TABLE ${this.quoteIdentifier(relationship.sourceTableName)} DROP CONSTRAINT ${this.quoteIdentifier(constraintName)};\n`;
-      case 'sqlite':
-        return `-- SQLite does not support dropping foreign key constraints\n`;
-      case 'mssql':
-        return `ALTER TABLE ${this.quoteIdentifier(relationship.sourceTableName)} DROP CONSTRAINT ${this.quoteIdentifier(constraintName)};\n`;
-      default:
-        return `ALTER TABLE ${this.quoteIdentifier(relationship.sourceTableName)} DROP CONSTRAINT ${this.quoteIdentifier(constraintName)};\n`;
-    }
+    return this.dialectDefinition.generateDropForeignKey(
+      this.quoteIdentifier(relationship.sourceTableName),
+      this.quoteIdentifier(constraintName)
+    );
+  }
+
+  // Drop a foreign key constraint unless it (or its table) does not exist
+  generateDropForeignKeyIfExists(relationship) {
+    const tableName = relationship.sourceTableName;
+    const constraintName = relationship.name || `fk_${relationship.sourceTableName}_${relationship.targetTableName}`;
+    const stored = name => (this.identifierLength ? this.shortenIdentifier(name) : name);
+    return this.dialectDefinition.generateDropForeignKeyIfExists({
+      table: this.quoteIdentifier(tableName),
+      constraint: this.quoteIdentifier(constraintName),
+      tableName: stored(tableName),
+      constraintName: stored(constraintName)
+    }, this);
   }
 
   // Map generic data types to dialect-specific types
@@ -266,138 +694,42 @@ class SQLGenerator {
     let result = mapping;
 
     // Handle length parameter
-    if (length && result.includes('(n)')) {
-      result = result.replace('(n)', `(${length})`);
+    if (result.includes('(n)')) {
+      result = result.replace('(n)', `(${length || DEFAULT_LENGTHS[dataType.toUpperCase()] || 255})`);
     }
 
-    // Handle precision and scale
-    if (precision && result.includes('(p,s)')) {
+    // Handle precision and scale (the dialect default applies without a precision)
+    if (result.includes('(p,s)')) {
       const scaleValue = scale || 0;
-      result = result.replace('(p,s)', `(${precision},${scaleValue})`);
+      result = result.replace('(p,s)', precision ? `(${precision},${scaleValue})` : '');
     }
 
     return result;
   }
 
-  // Get data type mapping for current dialect
-  getDataTypeMapping() {
-    const mappings = {
-      mysql: {
-        'INTEGER': 'INT',
-        'BIGINT': 'BIGINT',
-        'SMALLINT': 'SMALLINT',
-        'TINYINT': 'TINYINT',
-        'VARCHAR': 'VARCHAR(n)',
-        'CHAR': 'CHAR(n)',
-        'TEXT': 'TEXT',
-        'LONGTEXT': 'LONGTEXT',
-        'DECIMAL': 'DECIMAL(p,s)',
-        'NUMERIC': 'DECIMAL(p,s)',
-        'FLOAT': 'FLOAT',
-        'DOUBLE': 'DOUBLE',
-        'REAL': 'DOUBLE',
-        'DATE': 'DATE',
-        'TIME': 'TIME',
-        'DATETIME': 'DATETIME',
-        'TIMESTAMP': 'TIMESTAMP',
-        'BOOLEAN': 'BOOLEAN',
-        'BIT': 'BIT',
-        'JSON': 'JSON',
-        'BLOB': 'BLOB',
-        'UUID': 'VARCHAR(36)'
-      },
-      postgresql: {
-        'INTEGER': 'INTEGER',
-        'BIGINT': 'BIGINT',
-        'SMALLINT': 'SMALLINT',
-        'TINYINT': 'SMALLINT',
-        'VARCHAR': 'VARCHAR(n)',
-        'CHAR': 'CHAR(n)',
-        'TEXT': 'TEXT',
-        'LONGTEXT': 'TEXT',
-        'DECIMAL': 'DECIMAL(p,s)',
-        'NUMERIC': 'NUMERIC(p,s)',
-        'FLOAT': 'REAL',
-        'DOUBLE': 'DOUBLE PRECISION',
-        'REAL': 'REAL',
-        'DATE': 'DATE',
-        'TIME': 'TIME',
-        'DATETIME': 'TIMESTAMP',
-        'TIMESTAMP': 'TIMESTAMP',
-        'BOOLEAN': 'BOOLEAN',
-        'BIT': 'BIT',
-        'JSON': 'JSON',
-        'JSONB': 'JSONB',
-        'BLOB': 'BYTEA',
-        'UUID': 'UUID'
-      },
-      sqlite: {
-        'INTEGER': 'INTEGER',
-        'BIGINT': 'INTEGER',
-        'SMALLINT': 'INTEGER',
-        'TINYINT': 'INTEGER',
-        'VARCHAR': 'TEXT',
-        'CHAR': 'TEXT',
-        'TEXT': 'TEXT',
-        'LONGTEXT': 'TEXT',
-        'DECIMAL': 'REAL',
-        'NUMERIC': 'REAL',
-        'FLOAT': 'REAL',
-        'DOUBLE': 'REAL',
-        'REAL': 'REAL',
-        'DATE': 'TEXT',
-        'TIME': 'TEXT',
-        'DATETIME': 'TEXT',
-        'TIMESTAMP': 'TEXT',
-        'BOOLEAN': 'INTEGER',
-        'BIT': 'INTEGER',
-        'JSON': 'TEXT',
-        'BLOB': 'BLOB',
-        'UUID': 'TEXT'
-      },
-      mssql: {
-        'INTEGER': 'INT',
-        'BIGINT': 'BIGINT',
-        'SMALLINT': 'SMALLINT',
-        'TINYINT': 'TINYINT',
-        'VARCHAR': 'VARCHAR(n)',
-        'CHAR': 'CHAR(n)',
-        'TEXT': 'NVARCHAR(MAX)',
-        'LONGTEXT': 'NVARCHAR(MAX)',
-        'DECIMAL': 'DECIMAL(p,s)',
-        'NUMERIC': 'NUMERIC(p,s)',
-        'FLOAT': 'FLOAT',
-        'DOUBLE': 'FLOAT',
-        'REAL': 'REAL',
-        'DATE': 'DATE',
-        'TIME': 'TIME',
-        'DATETIME': 'DATETIME2',
-        'TIMESTAMP': 'DATETIME2',
-        'BOOLEAN': 'BIT',
-        'BIT': 'BIT',
-        'JSON': 'NVARCHAR(MAX)',
-        'BLOB': 'VARBINARY(MAX)',
-        'UUID': 'UNIQUEIDENTIFIER'
-      }
-    };
+  // Quote identifier (table/column names)
+  quoteIdentifier(identifier) {
+    if (this.identifierLength) {
+      identifier = this.shortenIdentifier(identifier);
+    }
 
-    return mappings[this.dialect] || mappings.mysql;
+    return this.dialectDefinition.quoteIdentifier(identifier);
   }
 
-  // Quote identifier (table/column names)
-  quoteIdentifier(identifier) {
-    switch (this.dialect) {
-      case 'mysql':
-        return `\`${identifier}\``;
-      case 'postgresql':
-        return `"${identifier}"`;
-      case 'sqlite':
-        return `"${identifier}"`;
-      case 'mssql':
-        return `[${identifier}]`;
-      default:
-        return `"${identifier}"`;
+  // Shorten identifiers over the dialect limit, keeping a hash of the full name so that
+  // shortened names stay distinct and the same name always maps to the same identifier
+  shortenIdentifier(identifier) {
+    if (identifier.length <= this.identifierLength) {
+      return identifier;
+    }
+
+    // FNV-1a hash of the full name
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < identifier.length; i++) {
+      hash = Math.imul(hash ^ identifier.charCodeAt(i), 0x01000193) >>> 0;
     }
+
+    return `${identifier.slice(0, this.identifierLength - 9)}_${hash.toString(16).padStart(8, '0')}`;
   }
 
   // Quote string values
@@ -421,67 +753,50 @@ class SQLGenerator {
 
     // Boolean types
     if (upperDataType === 'BOOLEAN' || upperDataType === 'BIT') {
-      if (this.dialect === 'sqlite') {
-        return value ? '1' : '0';
-      }
-      return value ? 'TRUE' : 'FALSE';
+      return this.formatBoolean(value);
     }
 
     // Functions and keywords
     if (value.toUpperCase() === 'CURRENT_TIMESTAMP' || value.toUpperCase() === 'NOW()') {
-      switch (this.dialect) {
-        case 'mysql':
-          return 'CURRENT_TIMESTAMP';
-        case 'postgresql':
-          return 'CURRENT_TIMESTAMP';
-        case 'sqlite':
-          return 'CURRENT_TIMESTAMP';
-        case 'mssql':
-          return 'GETDATE()';
-        default:
-          return 'CURRENT_TIMESTAMP';
-      }
+      return this.dialectDefinition.currentTimestamp;
     }
 
     // Numeric types - return as-is
     return value;
   }
 
+  // Boolean literal; default values arrive as text, so 'false', '0' and 'f' are false
+  formatBoolean(value) {
+    const isTrue = typeof value === 'string' ? !FALSE_STRINGS.includes(value.trim().toLowerCase()) : Boolean(value);
+    return isTrue ? this.dialectDefinition.booleanLiterals.true : this.dialectDefinition.booleanLiterals.false;
+  }
+
+  // Binary literal from a hex string
+  formatBinary(hex) {
+    return this.dialectDefinition.formatBinary(hex);
+  }
+
   // Get auto increment syntax
   getAutoIncrementSyntax() {
-    switch (this.dialect) {
-      case 'mysql':
-        return ' AUTO_INCREMENT';
-      case 'postgresql':
-        return ''; // PostgreSQL uses SERIAL type instead
-      case 'sqlite':
-        return ' AUTOINCREMENT';
-      case 'mssql':
-        return ' IDENTITY(1,1)';
-      default:
-        return ' AUTO_INCREMENT';
-    }
+    return this.dialectDefinition.getAutoIncrementSyntax(this);
   }
 
   // Get table-specific options
   getTableOptions() {
-    switch (this.dialect) {
-      case 'mysql':
-        return ' ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
-      case 'postgresql':
-        return '';
-      case 'sqlite':
-        return '';
-      case 'mssql':
-        return '';
-      default:
-        return '';
-    }
+    return this.dialectDefinition.tableOptions;
   }
 
   // Check if dialect supports auto increment
   supportsAutoIncrement() {
-    return ['mysql', 'sqlite', 'mssql'].includes(this.dialect);
+    return this.capabilities.autoIncrement;
+  }
+
+  // Check if a column can auto increment (see collectWarnings for the reported cases)
+  canAutoIncrement(column, inlinePrimaryKey = true) {
+    if (!this.supportsAutoIncrement() || !INTEGER_TYPES.includes(column.dataType.toUpperCase())) {
+      return false;
+    }
+    return !this.capabilities.autoIncrementAfterPrimaryKey || Boolean(column.isPrimaryKey && inlinePrimaryKey);
   }
 
   // Check if dialect supports single column primary key syntax
@@ -491,7 +806,12 @@ class SQLGenerator {
 
   // Check if dialect supports column comments
   supportsColumnComments() {
-    return ['mysql'].includes(this.dialect);
+    return this.capabilities.columnComments;
+  }
+
+  // Check if dialect documents tables and columns with COMMENT ON statements
+  supportsCommentStatements() {
+    return this.capabilities.commentStatements;
   }
 }
 
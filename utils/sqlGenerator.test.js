@@ -0,0 +1,283 @@
+import { describe, it, expect } from 'vitest';
+import SQLGenerator from './sqlGenerator';
+
+const users = {
+  id: 't1',
+  name: 'users',
+  description: "People's accounts",
+  columns: [
+    { id: 'c1', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isAutoIncrement: true, isRequired: true },
+    { id: 'c2', name: 'email', dataType: 'VARCHAR', length: 120, isRequired: true, isUnique: true },
+    { id: 'c3', name: 'active', dataType: 'BOOLEAN', isRequired: true, defaultValue: 'true' }
+  ]
+};
+const posts = {
+  id: 't2',
+  name: 'posts',
+  columns: [
+    { id: 'c4', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+    { id: 'c5', name: 'user_id', dataType: 'INTEGER', isRequired: true }
+  ]
+};
+const postsUsers = {
+  name: null,
+  sourceTableName: 'posts',
+  sourceColumnName: 'user_id',
+  targetTableName: 'users',
+  targetColumnName: 'id',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE'
+};
+
+describe('SQLGenerator', () => {
+  describe('oracle', () => {
+    it('quotes identifiers in upper case and maps types', () => {
+      const sql = new SQLGenerator('oracle').generateSchema([users, posts], [postsUsers], { includeComments: false });
+
+      expect(sql).toContain('CREATE TABLE "USERS" (');
+      expect(sql).toContain('"ID" NUMBER(10) GENERATED BY DEFAULT ON NULL AS IDENTITY PRIMARY KEY NOT NULL');
+      expect(sql).toContain('"EMAIL" VARCHAR2(120) NOT NULL UNIQUE');
+      // Oracle wants the default before the constraints
+      expect(sql).toContain('"ACTIVE" NUMBER(1) DEFAULT 1 NOT NULL');
+      expect(sql).not.toMatch(/"[a-z_]+"/);
+    });
+
+    it('leaves out referential actions Oracle does not accept', () => {
+      const generator = new SQLGenerator('oracle');
+
+      expect(generator.generateForeignKeyConstraint(postsUsers)).not.toMatch(/ON (DELETE|UPDATE)/);
+      expect(generator.generateForeignKeyConstraint({ ...postsUsers, onDelete: 'CASCADE' })).toMatch(/ON DELETE CASCADE;\n$/);
+    });
+
+    it('reports the referential actions it leaves out', () => {
+      const generator = new SQLGenerator('oracle');
+      generator.generateSchema([users, posts], [postsUsers, { ...postsUsers, onDelete: 'SET DEFAULT', onUpdate: 'NO ACTION' }]);
+
+      expect(generator.warnings.slice(1)).toEqual([
+        'ON UPDATE CASCADE on posts.user_id -> users.id is not supported by Oracle and was left out',
+        'ON DELETE SET DEFAULT on posts.user_id -> users.id is not supported by Oracle and was left out'
+      ]);
+    });
+
+    it('backs auto increment columns with a sequence and trigger when asked', () => {
+      const sql = new SQLGenerator('oracle', { autoIncrement: 'sequence' }).generateSchema([users], [], { includeComments: false });
+
+      expect(sql).toContain('"ID" NUMBER(10) PRIMARY KEY NOT NULL');
+      expect(sql).toContain('CREATE SEQUENCE "USERS_ID_SEQ"');
+      expect(sql).toContain('CREATE OR REPLACE TRIGGER "USERS_ID_TRG"');
+    });
+
+    it('shortens identifiers over the length limit to stable, distinct names', () => {
+      const generator = new SQLGenerator('oracle', { identifierLength: 30 });
+      const first = generator.quoteIdentifier('customer_order_line_item_adjustments');
+      const second = generator.quoteIdentifier('customer_order_line_item_adjustment_notes');
+
+      expect(first).toMatch(/^"CUSTOMER_ORDER_LINE_I_[0-9A-F]{8}"$/);
+      expect(first.length - 2).toBe(30);
+      expect(second).not.toBe(first);
+      expect(generator.quoteIdentifier('customer_order_line_item_adjustments')).toBe(first);
+      expect(generator.quoteIdentifier('users')).toBe('"USERS"');
+    });
+
+    it('names column CHECK constraints after the table and keeps raw expressions resolving', () => {
+      const checked = {
+        ...posts,
+        columns: [...posts.columns, { id: 'c6', name: 'score', dataType: 'INTEGER', checkConstraint: 'score >= 0' }],
+        checkConstraints: [{ name: 'chk_posts_user', expression: 'user_id > 0' }]
+      };
+      const sql = new SQLGenerator('oracle').generateCreateTable(checked, false);
+
+      expect(sql).toContain('"SCORE" NUMBER(10) CONSTRAINT "CHK_POSTS_SCORE" CHECK (score >= 0)');
+      expect(sql).toContain('  CONSTRAINT "CHK_POSTS_USER" CHECK (user_id > 0)\n');
+    });
+
+    it('drops tables in PL/SQL blocks that ignore missing tables', () => {
+      const sql = new SQLGenerator('oracle').generateDropTable(users);
+
+      expect(sql).toContain('EXECUTE IMMEDIATE \'DROP TABLE "USERS" CASCADE CONSTRAINTS\';');
+      expect(sql).toContain('IF SQLCODE != -942 THEN');
+    });
+  });
+
+  describe('postgresql', () => {
+    it('uses identity columns, or SERIAL types when asked', () => {
+      const identity = new SQLGenerator('postgresql').generateCreateTable(users, false);
+      const serial = new SQLGenerator('postgresql', { autoIncrement: 'sequence' }).generateCreateTable(users, false);
+
+      expect(identity).toContain('"id" INTEGER GENERATED BY DEFAULT AS IDENTITY');
+      expect(serial).toMatch(/"id" SERIAL PRIMARY KEY/);
+    });
+
+    it('shortens identifiers over 63 characters to stable, distinct names', () => {
+      const generator = new SQLGenerator('postgresql', { identifierLength: 30 });
+      const name = `idx_${'customer_order_line_item_'.repeat(3)}adjustments`;
+      const first = generator.quoteIdentifier(name);
+      const second = generator.quoteIdentifier(`${name}_notes`);
+
+      // identifierLength only applies to Oracle
+      expect(first).toMatch(new RegExp(`^"${name.slice(0, 54)}_[0-9a-f]{8}"$`));
+      expect(first.length - 2).toBe(63);
+      expect(second).not.toBe(first);
+      expect(generator.quoteIdentifier(name)).toBe(first);
+      expect(generator.quoteIdentifier('users')).toBe('"users"');
+    });
+  });
+
+  describe('warnings', () => {
+    const events = {
+      id: 't3',
+      name: 'events',
+      columns: [
+        { id: 'c6', name: 'id', dataType: 'UUID', isPrimaryKey: true, isAutoIncrement: true },
+        { id: 'c7', name: 'payload', dataType: 'JSONB' },
+        { id: 'c8', name: 'happened_at', dataType: 'DATETIME' },
+        { id: 'c9', name: 'seq', dataType: 'INTEGER', isAutoIncrement: true }
+      ]
+    };
+
+    it('reports type downgrades and auto increment columns the dialect cannot express', () => {
+      const generator = new SQLGenerator('mysql');
+      const sql = generator.generateSchema([events], []);
+
+      expect(generator.warnings).toEqual([
+        'Auto increment on events.id is ignored: only integer columns can auto increment',
+        'Auto increment column events.seq must be a key in MySQL; mark it as primary key or unique',
+        'UUID has no native MySQL type; stored as CHAR(36): events.id',
+        'JSONB has no native MySQL type; stored as JSON: events.payload'
+      ]);
+      expect(sql).toContain('-- WARNING: JSONB has no native MySQL type; stored as JSON: events.payload\n');
+    });
+
+    it('lists every column of a downgraded type once', () => {
+      const generator = new SQLGenerator('sqlite');
+      generator.generateSchema([users, events], []);
+
+      expect(generator.warnings).toContain('DATETIME has no native SQLite type; stored as TEXT: events.happened_at');
+      expect(generator.warnings).toContain('VARCHAR has no native SQLite type; stored as TEXT: users.email');
+      expect(generator.warnings).toContain('Auto increment on events.seq is ignored: SQLite only supports it on a single-column integer primary key');
+    });
+  });
+
+  describe('table order', () => {
+    const table = (name, other) => ({
+      id: name,
+      name,
+      columns: [
+        { id: `${name}1`, name: 'id', dataType: 'INTEGER', isPrimaryKey: true },
+        { id: `${name}2`, name: `${other}_id`, dataType: 'INTEGER' }
+      ]
+    });
+    const reference = (source, target) => ({
+      name: `fk_${source}_${target}`,
+      sourceTableName: source,
+      sourceColumnName: `${target}_id`,
+      targetTableName: target,
+      targetColumnName: 'id'
+    });
+
+    it('creates referenced tables first and declares their foreign keys inline', () => {
+      const sql = new SQLGenerator('postgresql').generateSchema([posts, users], [postsUsers], { includeComments: false });
+
+      expect(sql.indexOf('CREATE TABLE "users"')).toBeLessThan(sql.indexOf('CREATE TABLE "posts"'));
+      expect(sql).toContain('  CONSTRAINT "fk_posts_users" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE\n');
+      expect(sql).not.toContain('ALTER TABLE');
+    });
+
+    it('defers only the foreign key closing a cycle, and guards its drop', () => {
+      const drops = dialect => new SQLGenerator(dialect)
+        .generateSchema([table('b', 'a'), table('a', 'b')], [reference('a', 'b'), reference('b', 'a')], { includeDropStatements: true })
+        .split('-- Drop tables')[0];
+      const sql = new SQLGenerator('postgresql')
+        .generateSchema([table('b', 'a'), table('a', 'b')], [reference('a', 'b'), reference('b', 'a')], { includeComments: false });
+
+      expect(sql).toContain('REFERENCES "b"("id") ON DELETE RESTRICT ON UPDATE CASCADE\n);');
+      expect(sql.match(/ADD CONSTRAINT "(\w+)"/g)).toEqual(['ADD CONSTRAINT "fk_b_a"']);
+
+      expect(drops('postgresql')).toContain('ALTER TABLE IF EXISTS "b" DROP CONSTRAINT IF EXISTS "fk_b_a";');
+      expect(drops('mysql')).toContain("CONSTRAINT_NAME = 'fk_b_a'");
+      expect(drops('mysql')).toContain('EXECUTE drop_fk;');
+      expect(drops('mssql')).toContain("IF OBJECT_ID('[fk_b_a]', 'F') IS NOT NULL ALTER TABLE [b] DROP CONSTRAINT [fk_b_a];");
+      expect(drops('oracle')).toContain('EXECUTE IMMEDIATE \'ALTER TABLE "B" DROP CONSTRAINT "FK_B_A"\';');
+      expect(drops('oracle')).toContain('IF SQLCODE NOT IN (-942, -2443) THEN');
+    });
+  });
+
+  describe('indexes', () => {
+    const scored = {
+      ...posts,
+      columns: [...posts.columns, { id: 'c6', name: 'score', dataType: 'INTEGER' }],
+      indexes: [
+        { name: 'idx_posts_user_score', method: 'hash', columns: [{ columnId: 'c5' }, { columnId: 'c6', order: 'DESC' }], where: 'score > 0' },
+        { name: 'idx_posts_score_abs', isUnique: true, columns: [{ expression: 'ABS(score)' }] }
+      ]
+    };
+
+    it('creates composite, partial and expression indexes in place of the foreign key index they cover', () => {
+      const generator = new SQLGenerator('postgresql');
+      const sql = generator.generateIndexes([users, scored], [postsUsers], false);
+
+      expect(sql).toContain('CREATE INDEX "idx_posts_user_score" ON "posts" USING hash ("user_id", "score" DESC) WHERE score > 0;');
+      expect(sql).toContain('CREATE UNIQUE INDEX "idx_posts_score_abs" ON "posts" ((ABS(score)));');
+      expect(sql).not.toContain('idx_posts_user_id');
+      expect(generator.collectWarnings([scored])).toEqual([]);
+    });
+
+    it('reports what the dialect cannot express', () => {
+      const generator = new SQLGenerator('mssql');
+      const sql = generator.generateIndexes([users, scored], [postsUsers], false);
+
+      expect(sql).toContain('CREATE INDEX [idx_posts_user_score] ON [posts] ([user_id], [score] DESC) WHERE score > 0;');
+      expect(sql).not.toContain('idx_posts_score_abs');
+      expect(generator.collectWarnings([scored])).toEqual([
+        'Index posts.idx_posts_user_score uses the default method: SQL Server does not support HASH indexes',
+        'Index posts.idx_posts_score_abs is skipped: SQL Server does not support expression indexes'
+      ]);
+      expect(new SQLGenerator('mysql').collectWarnings([scored]))
+        .toEqual(['Index posts.idx_posts_user_score covers every row: MySQL does not support partial indexes']);
+    });
+  });
+
+  describe('composite foreign keys', () => {
+    const orders = {
+      id: 'orders',
+      name: 'orders',
+      columns: [
+        { id: 'o1', name: 'region', dataType: 'VARCHAR', length: 8, isPrimaryKey: true, isRequired: true },
+        { id: 'o2', name: 'order_no', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true }
+      ]
+    };
+    const items = {
+      id: 'items',
+      name: 'items',
+      columns: [
+        { id: 'i1', name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+        { id: 'i2', name: 'region', dataType: 'VARCHAR', length: 8, isRequired: true },
+        { id: 'i3', name: 'order_no', dataType: 'INTEGER', isRequired: true }
+      ]
+    };
+    const itemsOrders = {
+      name: null,
+      sourceTableId: 'items',
+      targetTableId: 'orders',
+      sourceTableName: 'items',
+      sourceColumnName: 'region',
+      targetTableName: 'orders',
+      targetColumnName: 'region',
+      onDelete: 'CASCADE',
+      onUpdate: 'NO ACTION',
+      columns: [
+        { sourceColumnId: 'i2', sourceColumnName: 'region', targetColumnId: 'o1', targetColumnName: 'region' },
+        { sourceColumnId: 'i3', sourceColumnName: 'order_no', targetColumnId: 'o2', targetColumnName: 'order_no' }
+      ]
+    };
+
+    it('references every column pair and indexes the foreign key columns together', () => {
+      const sql = new SQLGenerator('postgresql')
+        .generateSchema([items, orders], [itemsOrders], { includeComments: false, includeIndexes: true });
+
+      expect(sql.indexOf('CREATE TABLE "orders"')).toBeLessThan(sql.indexOf('CREATE TABLE "items"'));
+      expect(sql).toContain('  CONSTRAINT "fk_items_orders" FOREIGN KEY ("region", "order_no") REFERENCES "orders"("region", "order_no") ON DELETE CASCADE ON UPDATE NO ACTION\n');
+      expect(sql).toContain('CREATE INDEX "idx_items_region_order_no" ON "items" ("region", "order_no");');
+    });
+  });
+});
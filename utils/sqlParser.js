@@ -0,0 +1,1173 @@
+// SQL DDL parser: turns CREATE TABLE / ALTER TABLE / CREATE INDEX statements
+// into tables and relationships that reference each other by name
+
+// Native type names mapped to the generic data types (see DATA_TYPES in middleware/validation.js)
+const NATIVE_TYPES = {
+  INT: 'INTEGER',
+  INTEGER: 'INTEGER',
+  INT4: 'INTEGER',
+  MEDIUMINT: 'INTEGER',
+  BIGINT: 'BIGINT',
+  INT8: 'BIGINT',
+  SMALLINT: 'SMALLINT',
+  INT2: 'SMALLINT',
+  TINYINT: 'TINYINT',
+  VARCHAR: 'VARCHAR',
+  'CHARACTER VARYING': 'VARCHAR',
+  'CHAR VARYING': 'VARCHAR',
+  NVARCHAR: 'VARCHAR',
+  'NATIONAL CHARACTER VARYING': 'VARCHAR',
+  VARCHAR2: 'VARCHAR',
+  NVARCHAR2: 'VARCHAR',
+  CHAR: 'CHAR',
+  CHARACTER: 'CHAR',
+  NCHAR: 'CHAR',
+  'NATIONAL CHARACTER': 'CHAR',
+  BPCHAR: 'CHAR',
+  TEXT: 'TEXT',
+  NTEXT: 'TEXT',
+  TINYTEXT: 'TEXT',
+  MEDIUMTEXT: 'TEXT',
+  CLOB: 'TEXT',
+  CITEXT: 'TEXT',
+  XML: 'TEXT',
+  LONGTEXT: 'LONGTEXT',
+  DECIMAL: 'DECIMAL',
+  DEC: 'DECIMAL',
+  MONEY: 'DECIMAL',
+  SMALLMONEY: 'DECIMAL',
+  NUMERIC: 'NUMERIC',
+  NUMBER: 'NUMERIC',
+  FLOAT: 'FLOAT',
+  FLOAT4: 'REAL',
+  FLOAT8: 'DOUBLE',
+  DOUBLE: 'DOUBLE',
+  'DOUBLE PRECISION': 'DOUBLE',
+  REAL: 'REAL',
+  DATE: 'DATE',
+  TIME: 'TIME',
+  TIMETZ: 'TIME',
+  DATETIME: 'DATETIME',
+  DATETIME2: 'DATETIME',
+  SMALLDATETIME: 'DATETIME',
+  TIMESTAMP: 'TIMESTAMP',
+  TIMESTAMPTZ: 'TIMESTAMP',
+  DATETIMEOFFSET: 'TIMESTAMP',
+  BOOLEAN: 'BOOLEAN',
+  BOOL: 'BOOLEAN',
+  BIT: 'BIT',
+  JSON: 'JSON',
+  JSONB: 'JSONB',
+  BLOB: 'BLOB',
+  TINYBLOB: 'BLOB',
+  MEDIUMBLOB: 'BLOB',
+  LONGBLOB: 'BLOB',
+  BYTEA: 'BLOB',
+  BINARY: 'BLOB',
+  VARBINARY: 'BLOB',
+  IMAGE: 'BLOB',
+  UUID: 'UUID',
+  UNIQUEIDENTIFIER: 'UUID'
+};
+
+// Auto-incrementing PostgreSQL pseudo-types
+const SERIAL_TYPES = {
+  SERIAL: 'INTEGER',
+  SERIAL4: 'INTEGER',
+  BIGSERIAL: 'BIGINT',
+  SERIAL8: 'BIGINT',
+  SMALLSERIAL: 'SMALLINT',
+  SERIAL2: 'SMALLINT'
+};
+
+// Multi-word type names: first word -> possible continuations
+const MULTI_WORD_TYPES = {
+  DOUBLE: [['PRECISION']],
+  CHARACTER: [['VARYING']],
+  CHAR: [['VARYING']],
+  NATIONAL: [['CHARACTER', 'VARYING'], ['CHARACTER']]
+};
+
+// Keywords that start a column constraint (SQLite columns may omit the type)
+const CONSTRAINT_KEYWORDS = new Set([
+  'NOT', 'NULL', 'PRIMARY', 'UNIQUE', 'DEFAULT', 'AUTOINCREMENT', 'GENERATED',
+  'REFERENCES', 'CHECK', 'CONSTRAINT', 'COLLATE', 'AS'
+]);
+
+// ALTER TABLE actions that carry no structural information (ownership, constraint checking, triggers)
+const IGNORED_ALTER_ACTIONS = [['OWNER', 'TO'], ['CHECK', 'CONSTRAINT'], ['NOCHECK', 'CONSTRAINT'], ['ENABLE'], ['DISABLE']];
+
+// Default value functions that mean "now"
+const NOW_FUNCTIONS = new Set([
+  'CURRENT_TIMESTAMP', 'CURRENT_TIMESTAMP()', 'NOW()', 'GETDATE()', 'SYSDATETIME()',
+  'GETUTCDATE()', 'LOCALTIMESTAMP', "DATETIME('NOW')"
+]);
+
+const REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION'];
+
+// Dialects whose DDL can be parsed (the sqlImport validator accepts these)
+const DIALECTS = ['mysql', 'postgresql', 'sqlite', 'mssql'];
+
+// Largest sizes accepted by the column validator
+const MAX_LENGTH = 65535;
+const MAX_PRECISION = 65;
+const MAX_SCALE = 30;
+
+class SQLParser {
+  constructor(dialect = 'mysql') {
+    this.dialect = dialect.toLowerCase();
+  }
+
+  // Parse a DDL script into { tables, relationships, warnings }.
+  // Tables carry their columns; relationships reference tables and columns by name.
+  parse(sql) {
+    this.reset(sql);
+
+    const ignored = new Map();
+    for (const tokens of this.splitStatements(this.tokenize(sql))) {
+      const statement = new TokenStream(tokens);
+
+      if (statement.acceptWords('CREATE')) {
+        statement.acceptWords('OR', 'REPLACE');
+        statement.acceptWords('GLOBAL') || statement.acceptWords('LOCAL');
+        statement.acceptWords('TEMPORARY') || statement.acceptWords('TEMP') || statement.acceptWords('UNLOGGED');
+
+        if (statement.acceptWords('TABLE')) {
+          this.parseCreateTable(statement);
+          continue;
+        }
+
+        const unique = statement.acceptWords('UNIQUE');
+        statement.acceptWords('CLUSTERED') || statement.acceptWords('NONCLUSTERED');
+        if (statement.acceptWords('INDEX')) {
+          this.parseCreateIndex(statement, unique);
+          continue;
+        }
+      } else if (statement.acceptWords('ALTER', 'TABLE')) {
+        this.parseAlterTable(statement);
+        continue;
+      } else if (statement.acceptWords('COMMENT', 'ON')) {
+        this.parseComment(statement);
+        continue;
+      }
+
+      // Summarize everything else by its leading keywords (e.g. INSERT, CREATE VIEW)
+      const words = tokens.filter(token => token.type === 'word').map(token => token.value.toUpperCase());
+      const keyword = ['CREATE', 'ALTER', 'DROP'].includes(words[0])
+        ? words.slice(0, 4).filter(word => !['OR', 'REPLACE', 'IF'].includes(word)).slice(0, 2).join(' ')
+        : words[0] || 'unknown';
+      ignored.set(keyword, (ignored.get(keyword) || 0) + 1);
+    }
+
+    for (const [keyword, count] of ignored) {
+      this.warnings.push(`Ignored ${count} unsupported ${keyword} statement${count === 1 ? '' : 's'}`);
+    }
+
+    this.tables.forEach(table => this.nameCheckConstraints(table));
+    const otherIndexes = this.applyKeys();
+    const relationships = this.resolveForeignKeys();
+    this.attachIndexes(otherIndexes);
+
+    return {
+      tables: this.tables.map(({ name, description, columns, indexes, checkConstraints }) => ({ name, description, columns, indexes, checkConstraints })),
+      relationships,
+      warnings: this.warnings
+    };
+  }
+
+  // Map a native column type (e.g. "VARCHAR(255)") to a generic one, as when reading a live database.
+  // Returns { dataType, length, precision, scale, ... } plus any warnings raised while mapping.
+  mapColumnType(typeText, label) {
+    this.reset(typeText);
+    const item = new TokenStream(this.tokenize(typeText));
+    const { nativeType, ...type } = this.readType(item, label);
+    return { ...type, nativeType, warnings: this.warnings };
+  }
+
+  // Parse one CREATE [UNIQUE] INDEX statement (as stored by a live database) into
+  // { name, table, columns, parts, unique, method, where }, or null if it is not one
+  parseIndex(sql) {
+    this.reset(sql);
+    const statement = new TokenStream(this.tokenize(sql));
+    if (!statement.acceptWords('CREATE')) {
+      return null;
+    }
+
+    const unique = statement.acceptWords('UNIQUE');
+    if (!statement.acceptWords('INDEX')) {
+      return null;
+    }
+
+    this.parseCreateIndex(statement, unique);
+    return this.indexes[0] || null;
+  }
+
+  // Parse one CREATE TABLE statement (as stored by a live database) into its CHECK constraints:
+  // { checkConstraints, columnChecks } with column checks keyed by column name, or null
+  parseTableChecks(sql) {
+    this.reset(sql);
+    const statement = new TokenStream(this.tokenize(sql));
+    if (!statement.acceptWords('CREATE') || !statement.acceptWords('TABLE')) {
+      return null;
+    }
+
+    this.parseCreateTable(statement);
+    const table = this.tables[0];
+    if (!table) {
+      return null;
+    }
+
+    this.nameCheckConstraints(table);
+    const columnChecks = new Map(table.columns
+      .filter(column => column.checkConstraint)
+      .map(column => [column.name.toLowerCase(), column.checkConstraint]));
+    return { checkConstraints: table.checkConstraints, columnChecks };
+  }
+
+  // Normalize the text of a DEFAULT expression (as stored by a live database) to a defaultValue
+  parseDefaultValue(expression) {
+    this.reset(expression);
+    const column = { defaultValue: null, isAutoIncrement: false };
+    this.readDefault(new TokenStream(this.tokenize(expression)), column);
+    return column;
+  }
+
+  // Clear state from a previous parse
+  reset(sql) {
+    this.source = sql;
+    this.tables = [];
+    this.tablesByName = new Map();
+    this.foreignKeys = [];
+    this.indexes = [];
+    this.warnings = [];
+  }
+
+  // Split SQL text into tokens, dropping whitespace and comments
+  tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < sql.length) {
+      const char = sql[i];
+      const next = sql[i + 1];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '-' && next === '-') {
+        i = this.skipTo(sql, '\n', i);
+      } else if (char === '#' && this.dialect === 'mysql') {
+        i = this.skipTo(sql, '\n', i);
+      } else if (char === '/' && next === '*') {
+        const end = sql.indexOf('*/', i + 2);
+        i = end === -1 ? sql.length : end + 2;
+      } else if (/[NEXB]/i.test(char) && next === "'" && !/\w/.test(sql[i - 1] || '')) {
+        // Prefixed string literal (N'...', E'...')
+        const end = this.readQuoted(sql, i + 1, "'");
+        tokens.push({ type: 'string', value: this.unquote(sql.slice(i + 1, end), "'"), start: i, end });
+        i = end;
+      } else if (char === "'" || (char === '"' && this.dialect === 'mysql')) {
+        const end = this.readQuoted(sql, i, char);
+        tokens.push({ type: 'string', value: this.unquote(sql.slice(i, end), char), start: i, end });
+        i = end;
+      } else if (char === '"' || char === '`') {
+        const end = this.readQuoted(sql, i, char);
+        tokens.push({ type: 'ident', value: this.unquote(sql.slice(i, end), char), start: i, end });
+        i = end;
+      } else if (char === '[' && this.dialect === 'mssql') {
+        const end = sql.indexOf(']', i + 1);
+        const close = end === -1 ? sql.length : end + 1;
+        tokens.push({ type: 'ident', value: sql.slice(i + 1, close - 1), start: i, end: close });
+        i = close;
+      } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next || ''))) {
+        const match = /^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?/.exec(sql.slice(i));
+        tokens.push({ type: 'number', value: match[0], start: i, end: i + match[0].length });
+        i += match[0].length;
+      } else if (/[A-Za-z_@$]/.test(char) || char.charCodeAt(0) > 127) {
+        const match = /^[\w@$\u0080-\uffff]+/.exec(sql.slice(i));
+        tokens.push({ type: 'word', value: match[0], start: i, end: i + match[0].length });
+        i += match[0].length;
+      } else if (char === ':' && next === ':') {
+        tokens.push({ type: 'punct', value: '::', start: i, end: i + 2 });
+        i += 2;
+      } else {
+        tokens.push({ type: 'punct', value: char, start: i, end: i + 1 });
+        i++;
+      }
+    }
+
+    return tokens;
+  }
+
+  // Index just past the next occurrence of a character
+  skipTo(sql, char, from) {
+    const end = sql.indexOf(char, from);
+    return end === -1 ? sql.length : end + 1;
+  }
+
+  // Index just past the closing quote of a quoted string/identifier starting at `start`
+  readQuoted(sql, start, quote) {
+    let i = start + 1;
+    while (i < sql.length) {
+      if (sql[i] === '\\' && quote === "'" && this.dialect === 'mysql') {
+        i += 2;
+      } else if (sql[i] === quote && sql[i + 1] === quote) {
+        i += 2;
+      } else if (sql[i] === quote) {
+        return i + 1;
+      } else {
+        i++;
+      }
+    }
+    return sql.length;
+  }
+
+  // Strip quotes and unescape doubled quote characters
+  unquote(text, quote) {
+    let value = text.slice(1, -1).split(quote + quote).join(quote);
+    if (quote === "'" && this.dialect === 'mysql') {
+      value = value.replace(/\\(.)/g, '$1');
+    }
+    return value;
+  }
+
+  // Split tokens into statements on semicolons (and GO batch separators for SQL Server)
+  splitStatements(tokens) {
+    const statements = [];
+    let current = [];
+
+    for (const token of tokens) {
+      const isSeparator = (token.type === 'punct' && token.value === ';')
+        || (this.dialect === 'mssql' && token.type === 'word' && token.value.toUpperCase() === 'GO');
+
+      if (isSeparator) {
+        if (current.length > 0) statements.push(current);
+        current = [];
+      } else {
+        current.push(token);
+      }
+    }
+
+    if (current.length > 0) statements.push(current);
+    return statements;
+  }
+
+  // Original SQL text covered by a list of tokens
+  textOf(tokens) {
+    if (tokens.length === 0) return '';
+    return this.source.slice(tokens[0].start, tokens[tokens.length - 1].end);
+  }
+
+  // CREATE TABLE [IF NOT EXISTS] name ( ... ) [options]
+  parseCreateTable(statement) {
+    statement.acceptWords('IF', 'NOT', 'EXISTS');
+    const name = statement.readName();
+
+    if (!name || !statement.isPunct('(')) {
+      this.warnings.push(`Skipped CREATE TABLE ${name || '(unnamed)'} without a column list`);
+      return;
+    }
+
+    const table = { name, description: '', columns: [], indexes: [], checkConstraints: [] };
+    if (this.tablesByName.has(name.toLowerCase())) {
+      this.warnings.push(`Table ${name} is defined more than once`);
+    } else {
+      this.tablesByName.set(name.toLowerCase(), table);
+    }
+    this.tables.push(table);
+
+    for (const item of splitTopLevel(statement.readGroup())) {
+      this.parseTableItem(table, new TokenStream(item));
+    }
+
+    // Table options, e.g. MySQL COMMENT='...'
+    while (!statement.done()) {
+      if (statement.acceptWords('COMMENT')) {
+        statement.acceptPunct('=');
+        if (statement.peek()?.type === 'string') {
+          table.description = statement.next().value;
+        }
+      } else {
+        statement.next();
+      }
+    }
+  }
+
+  // A column definition or table constraint inside CREATE TABLE
+  parseTableItem(table, item) {
+    const constraintName = item.acceptWords('CONSTRAINT') ? item.readName() : null;
+
+    if (this.parseConstraint(table, item, constraintName)) {
+      return;
+    }
+
+    if (constraintName) {
+      this.warnings.push(`Skipped unsupported constraint ${constraintName} on ${table.name}`);
+      return;
+    }
+
+    this.parseColumn(table, item);
+  }
+
+  // Table-level PRIMARY KEY / UNIQUE / FOREIGN KEY / INDEX / CHECK; returns false for anything else
+  parseConstraint(table, item, constraintName) {
+    if (item.acceptWords('PRIMARY', 'KEY')) {
+      item.acceptWords('CLUSTERED') || item.acceptWords('NONCLUSTERED');
+      this.indexes.push({ table: table.name, columns: this.readColumnList(item), primary: true });
+      return true;
+    }
+
+    if (item.acceptWords('UNIQUE')) {
+      item.acceptWords('KEY') || item.acceptWords('INDEX');
+      item.acceptWords('CLUSTERED') || item.acceptWords('NONCLUSTERED');
+      const name = item.isPunct('(') ? constraintName : item.readName();
+      this.indexes.push({ name, table: table.name, ...this.readIndexParts(item), unique: true });
+      return true;
+    }
+
+    if (item.acceptWords('FOREIGN', 'KEY')) {
+      const name = item.isPunct('(') ? constraintName : item.readName() || constraintName;
+      const columns = this.readColumnList(item);
+      this.readReferences(item, { name, table: table.name, columns });
+      return true;
+    }
+
+    if (item.peekWord('KEY', 'INDEX', 'FULLTEXT', 'SPATIAL')) {
+      const kind = item.next().value.toUpperCase();
+      if (kind === 'FULLTEXT' || kind === 'SPATIAL') {
+        item.acceptWords('KEY') || item.acceptWords('INDEX');
+      }
+      const name = item.isPunct('(') || item.peekWord('USING') ? null : item.readName();
+      const method = item.acceptWords('USING') ? item.next().value.toLowerCase() : null;
+      this.indexes.push({ name, table: table.name, ...this.readIndexParts(item), method, kind });
+      return true;
+    }
+
+    if (item.peekWord('CHECK') && table.checkConstraints) {
+      item.next();
+      const expression = item.isPunct('(') ? this.textOf(item.readGroup()) : '';
+      this.addCheckConstraint(table, constraintName, expression);
+      return true;
+    }
+
+    if (item.peekWord('CHECK', 'EXCLUDE')) {
+      const kind = item.next().value.toUpperCase();
+      this.warnings.push(`Skipped ${kind} constraint${constraintName ? ` ${constraintName}` : ''} on ${table.name}`);
+      return true;
+    }
+
+    return false;
+  }
+
+  // Table-level CHECK; unnamed constraints are named by nameCheckConstraints() once all are known
+  addCheckConstraint(table, name, expression) {
+    if (!expression) {
+      this.warnings.push(`Skipped CHECK constraint${name ? ` ${name}` : ''} on ${table.name} without an expression`);
+      return;
+    }
+    if (name && table.checkConstraints.some(check => check.name?.toLowerCase() === name.toLowerCase())) {
+      this.warnings.push(`Skipped CHECK constraint ${name} on ${table.name}: the name is already used`);
+      return;
+    }
+    table.checkConstraints.push({ name, expression });
+  }
+
+  // Name unnamed CHECK constraints chk_<table>_<n>, avoiding the declared names
+  nameCheckConstraints(table) {
+    const names = new Set(table.checkConstraints.filter(check => check.name).map(check => check.name.toLowerCase()));
+    let n = 0;
+    for (const check of table.checkConstraints.filter(check => !check.name)) {
+      do {
+        check.name = `chk_${table.name}_${++n}`;
+      } while (names.has(check.name.toLowerCase()));
+    }
+  }
+
+  // REFERENCES table [(columns)] [ON DELETE action] [ON UPDATE action] ...
+  readReferences(stream, foreignKey) {
+    if (!stream.acceptWords('REFERENCES')) {
+      this.warnings.push(`Skipped foreign key on ${foreignKey.table} without a REFERENCES clause`);
+      return;
+    }
+
+    const targetTable = stream.readName();
+    const targetColumns = stream.isPunct('(') ? this.readColumnList(stream) : [];
+    let onDelete = 'NO ACTION';
+    let onUpdate = 'NO ACTION';
+
+    while (!stream.done() && !stream.peekWord('CONSTRAINT', 'NOT', 'NULL', 'DEFAULT', 'CHECK', 'UNIQUE', 'PRIMARY', 'COLLATE')) {
+      if (stream.acceptWords('ON', 'DELETE')) {
+        onDelete = this.readReferentialAction(stream, foreignKey.table);
+      } else if (stream.acceptWords('ON', 'UPDATE')) {
+        onUpdate = this.readReferentialAction(stream, foreignKey.table);
+      } else {
+        // MATCH ..., DEFERRABLE, INITIALLY ..., NOT FOR REPLICATION
+        stream.next();
+      }
+    }
+
+    this.foreignKeys.push({ ...foreignKey, targetTable, targetColumns, onDelete, onUpdate });
+  }
+
+  // CASCADE | SET NULL | SET DEFAULT | RESTRICT | NO ACTION
+  readReferentialAction(stream, tableName) {
+    const words = [stream.next()?.value.toUpperCase()];
+    if (words[0] === 'SET' || words[0] === 'NO') {
+      words.push(stream.next()?.value.toUpperCase());
+    }
+
+    const action = words.join(' ');
+    if (REFERENTIAL_ACTIONS.includes(action)) {
+      return action;
+    }
+
+    this.warnings.push(`Referential action ${action} on ${tableName} is not supported; using NO ACTION`);
+    return 'NO ACTION';
+  }
+
+  // ( column [(prefix length)] [ASC|DESC], ... ) -> column names; expressions are returned as null
+  readColumnList(stream) {
+    if (!stream.isPunct('(')) {
+      return [];
+    }
+
+    return splitTopLevel(stream.readGroup()).map(tokens => {
+      const [first, second] = tokens;
+      const isName = first && (first.type === 'ident' || first.type === 'word');
+      const isCall = second && second.type === 'punct' && second.value === '(' && first.type === 'word';
+      return isName && !isCall ? first.value : null;
+    });
+  }
+
+  // ( column [(prefix length)] [ASC|DESC], (expression) [ASC|DESC], ... ) -> { columns, parts }:
+  // column names (null for expressions) and key parts ({ columnName, order } or { expression, order })
+  readIndexParts(stream) {
+    if (!stream.isPunct('(')) {
+      return { columns: [], parts: [] };
+    }
+
+    const parts = splitTopLevel(stream.readGroup()).map(tokens => {
+      let key = tokens;
+      let order = 'ASC';
+      if (key.length > 2 && /^NULLS$/i.test(key[key.length - 2].value)) {
+        key = key.slice(0, -2);
+      }
+      if (key.length > 1 && /^(ASC|DESC)$/i.test(key[key.length - 1].value) && key[key.length - 1].type === 'word') {
+        order = key[key.length - 1].value.toUpperCase();
+        key = key.slice(0, -1);
+      }
+
+      const [first, second] = key;
+      const isName = first && (first.type === 'ident' || first.type === 'word');
+      // MySQL prefix length, e.g. name(20)
+      const isPrefix = isName && key.length === 4 && isPunctToken(second, '(') && key[2].type === 'number';
+      if (isName && (key.length === 1 || isPrefix)) {
+        return { columnName: first.value, order };
+      }
+
+      // (expression) as written by MySQL, PostgreSQL and SQLite
+      if (isPunctToken(first, '(') && findClosing(key, 0) === key.length - 1) {
+        key = key.slice(1, -1);
+      }
+      return { expression: this.textOf(key), order };
+    });
+
+    return { columns: parts.map(part => part.columnName ?? null), parts };
+  }
+
+  // name type [(args)] [constraints...]
+  parseColumn(table, item) {
+    const nameToken = item.next();
+    if (!nameToken || (nameToken.type !== 'word' && nameToken.type !== 'ident')) {
+      this.warnings.push(`Skipped unrecognized definition in ${table.name}: ${this.textOf(item.tokens)}`);
+      return;
+    }
+
+    const column = {
+      name: nameToken.value,
+      dataType: 'TEXT',
+      length: null,
+      precision: null,
+      scale: null,
+      isPrimaryKey: false,
+      isUnique: false,
+      isRequired: false,
+      isAutoIncrement: false,
+      defaultValue: null,
+      description: ''
+    };
+    const label = `${table.name}.${column.name}`;
+
+    Object.assign(column, this.readType(item, label));
+
+    let constraintName = null;
+    while (!item.done()) {
+      if (item.acceptWords('CONSTRAINT')) {
+        constraintName = item.readName();
+        continue;
+      }
+
+      if (item.acceptWords('NOT', 'NULL')) {
+        column.isRequired = true;
+      } else if (item.acceptWords('NULL')) {
+        column.isRequired = false;
+      } else if (item.acceptWords('PRIMARY', 'KEY')) {
+        column.isPrimaryKey = true;
+        column.isRequired = true;
+      } else if (item.acceptWords('UNIQUE')) {
+        item.acceptWords('KEY');
+        column.isUnique = true;
+      } else if (item.acceptWords('AUTO_INCREMENT') || item.acceptWords('AUTOINCREMENT')) {
+        column.isAutoIncrement = true;
+      } else if (item.acceptWords('IDENTITY')) {
+        if (item.isPunct('(')) item.readGroup();
+        column.isAutoIncrement = true;
+      } else if (item.acceptWords('GENERATED')) {
+        item.acceptWords('ALWAYS') || item.acceptWords('BY', 'DEFAULT');
+        item.acceptWords('AS');
+        if (item.acceptWords('IDENTITY')) {
+          if (item.isPunct('(')) item.readGroup();
+          column.isAutoIncrement = true;
+        } else {
+          if (item.isPunct('(')) item.readGroup();
+          this.warnings.push(`Computed column ${label} was imported as a regular column`);
+        }
+      } else if (item.acceptWords('AS')) {
+        if (item.isPunct('(')) item.readGroup();
+        this.warnings.push(`Computed column ${label} was imported as a regular column`);
+      } else if (item.acceptWords('DEFAULT')) {
+        this.readDefault(item, column);
+      } else if (item.acceptWords('COMMENT')) {
+        if (item.peek()?.type === 'string') column.description = item.next().value;
+      } else if (item.acceptWords('COLLATE') || item.acceptWords('CHARSET') || item.acceptWords('CHARACTER', 'SET')) {
+        item.readName();
+      } else if (item.peekWord('REFERENCES')) {
+        this.readReferences(item, { name: constraintName, table: table.name, columns: [column.name] });
+      } else if (item.acceptWords('CHECK')) {
+        const expression = item.isPunct('(') ? this.textOf(item.readGroup()) : '';
+        if (expression) {
+          column.checkConstraint = column.checkConstraint ? `(${column.checkConstraint}) AND (${expression})` : expression;
+        }
+      } else if (item.acceptWords('ON', 'UPDATE')) {
+        // MySQL ON UPDATE CURRENT_TIMESTAMP
+        this.readExpression(item);
+      } else if (item.acceptWords('ON', 'CONFLICT')) {
+        item.next();
+      } else {
+        // ASC/DESC, UNSIGNED, SPARSE, ROWGUIDCOL, ...
+        item.next();
+      }
+      constraintName = null;
+    }
+
+    // SQLite: INTEGER PRIMARY KEY is an alias for the auto-assigned rowid
+    if (this.dialect === 'sqlite' && column.isPrimaryKey && column.nativeType === 'INTEGER') {
+      column.isAutoIncrement = true;
+    }
+
+    delete column.nativeType;
+    table.columns.push(column);
+  }
+
+  // Read a native type and map it to a generic one: { dataType, length, precision, scale, ... }
+  readType(item, label) {
+    const first = item.peek();
+    const isType = first && (first.type === 'ident' || (first.type === 'word' && !CONSTRAINT_KEYWORDS.has(first.value.toUpperCase())));
+    if (!isType) {
+      // SQLite allows columns without a type
+      return { dataType: this.dialect === 'sqlite' ? 'BLOB' : 'TEXT', nativeType: '' };
+    }
+
+    let nativeType = item.readName().toUpperCase();
+    for (const continuation of MULTI_WORD_TYPES[nativeType] || []) {
+      if (item.acceptWords(...continuation)) {
+        nativeType = [nativeType, ...continuation].join(' ');
+        break;
+      }
+    }
+
+    const args = item.isPunct('(') ? splitTopLevel(item.readGroup()).map(tokens => tokens.map(token => token.value).join(' ')) : [];
+
+    // Time zones and MySQL numeric modifiers are not modelled
+    item.acceptWords('WITH', 'TIME', 'ZONE') || item.acceptWords('WITHOUT', 'TIME', 'ZONE');
+    while (item.peekWord('UNSIGNED', 'SIGNED', 'ZEROFILL')) {
+      item.next();
+    }
+
+    // PostgreSQL arrays: integer[]
+    let isArray = false;
+    while (item.isPunct('[')) {
+      item.next();
+      item.acceptPunct(']');
+      isArray = true;
+    }
+
+    if (isArray) {
+      this.warnings.push(`Array column ${label} (${nativeType}[]) was imported as JSON`);
+      return { dataType: 'JSON', nativeType };
+    }
+
+    return { ...this.mapType(nativeType, args, label), nativeType };
+  }
+
+  // Map a native type name and its arguments to a generic type
+  mapType(nativeType, args, label) {
+    const numbers = args.map(arg => Number.parseInt(arg, 10));
+    const [first, second] = numbers;
+
+    if (SERIAL_TYPES[nativeType]) {
+      return { dataType: SERIAL_TYPES[nativeType], isAutoIncrement: true, isRequired: true };
+    }
+
+    if (nativeType === 'ENUM' || nativeType === 'SET') {
+      const longest = Math.max(1, ...args.map(arg => arg.length));
+      this.warnings.push(`${nativeType} column ${label} was imported as VARCHAR(${longest})`);
+      return { dataType: 'VARCHAR', length: longest };
+    }
+
+    // MySQL TINYINT(1)/BIT(1) and SQL Server BIT hold booleans
+    if ((nativeType === 'TINYINT' && first === 1 && this.dialect === 'mysql')
+      || (nativeType === 'BIT' && (this.dialect === 'mssql' || (this.dialect === 'mysql' && (first === 1 || args.length === 0))))) {
+      return { dataType: 'BOOLEAN' };
+    }
+
+    let dataType = NATIVE_TYPES[nativeType];
+    if (!dataType) {
+      dataType = this.dialect === 'sqlite' ? sqliteAffinity(nativeType) : 'TEXT';
+      if (this.dialect !== 'sqlite') {
+        this.warnings.push(`Unknown type ${nativeType} on ${label} was imported as TEXT`);
+      }
+    }
+
+    if (dataType === 'VARCHAR' || dataType === 'CHAR') {
+      if (args[0] && args[0].toUpperCase() === 'MAX') {
+        return { dataType: 'TEXT' };
+      }
+      if (first > MAX_LENGTH) {
+        this.warnings.push(`${label} length ${first} exceeds ${MAX_LENGTH}; imported as TEXT`);
+        return { dataType: 'TEXT' };
+      }
+      return { dataType, length: Number.isInteger(first) ? first : null };
+    }
+
+    if (nativeType === 'MONEY' || nativeType === 'SMALLMONEY') {
+      return { dataType, precision: nativeType === 'MONEY' ? 19 : 10, scale: 4 };
+    }
+
+    if (dataType === 'DECIMAL' || dataType === 'NUMERIC') {
+      const precision = Number.isInteger(first) ? Math.min(first, MAX_PRECISION) : null;
+      const scale = Number.isInteger(second) ? Math.min(second, MAX_SCALE) : null;
+      if (first > MAX_PRECISION) {
+        this.warnings.push(`${label} precision ${first} exceeds ${MAX_PRECISION}; clamped`);
+      }
+      return { dataType, precision, scale };
+    }
+
+    return { dataType };
+  }
+
+  // DEFAULT expression -> defaultValue (string literals unquoted, "now" functions normalized)
+  readDefault(item, column) {
+    let tokens = this.readExpression(item);
+
+    // SQL Server wraps defaults in parentheses: ((0)), (getdate())
+    while (tokens.length > 2 && isPunctToken(tokens[0], '(') && findClosing(tokens, 0) === tokens.length - 1) {
+      tokens = tokens.slice(1, -1);
+    }
+
+    // PostgreSQL casts: 'active'::character varying
+    const castIndex = findTopLevel(tokens, '::');
+    if (castIndex > 0) {
+      tokens = tokens.slice(0, castIndex);
+    }
+
+    const value = this.textOf(tokens);
+    if (tokens.length === 1 && tokens[0].type === 'string') {
+      column.defaultValue = tokens[0].value;
+    } else if (value.toUpperCase() === 'NULL') {
+      column.defaultValue = null;
+    } else if (/^nextval\(/i.test(value)) {
+      // PostgreSQL: DEFAULT nextval('sequence') behaves like SERIAL
+      column.defaultValue = null;
+      column.isAutoIncrement = true;
+    } else if (NOW_FUNCTIONS.has(value.toUpperCase().replace(/\s+/g, ''))) {
+      column.defaultValue = 'CURRENT_TIMESTAMP';
+    } else {
+      column.defaultValue = value;
+    }
+  }
+
+  // A single expression term: [sign] literal | word[(args)] | (group), followed by any ::casts
+  readExpression(stream) {
+    const start = stream.position;
+
+    if (stream.isPunct('-') || stream.isPunct('+')) stream.next();
+    if (stream.isPunct('(')) {
+      stream.readGroup();
+    } else {
+      stream.next();
+      if (stream.isPunct('(')) stream.readGroup();
+    }
+
+    while (stream.acceptPunct('::')) {
+      stream.readName();
+      stream.acceptWords('VARYING') || stream.acceptWords('PRECISION')
+        || stream.acceptWords('WITH', 'TIME', 'ZONE') || stream.acceptWords('WITHOUT', 'TIME', 'ZONE');
+      if (stream.isPunct('(')) stream.readGroup();
+    }
+
+    return stream.tokens.slice(start, stream.position);
+  }
+
+  // CREATE [UNIQUE] INDEX [CONCURRENTLY] [IF NOT EXISTS] name [USING method] ON [ONLY] table [USING method]
+  // (columns) [INCLUDE (columns)] [WHERE predicate]
+  parseCreateIndex(statement, unique) {
+    statement.acceptWords('CONCURRENTLY');
+    statement.acceptWords('IF', 'NOT', 'EXISTS');
+    const name = statement.peekWord('ON', 'USING') ? null : statement.readName();
+    let method = statement.acceptWords('USING') ? statement.next().value.toLowerCase() : null;
+
+    if (!statement.acceptWords('ON')) {
+      this.warnings.push(`Skipped CREATE INDEX ${name || '(unnamed)'} without a table`);
+      return;
+    }
+
+    statement.acceptWords('ONLY');
+    const table = statement.readName();
+    if (statement.acceptWords('USING')) {
+      method = statement.next().value.toLowerCase();
+    }
+
+    const index = { name, table, ...this.readIndexParts(statement), unique, method, where: null };
+    while (!statement.done()) {
+      if (statement.acceptWords('WHERE')) {
+        index.where = this.textOf(statement.rest());
+      } else {
+        // INCLUDE (...), WITH (...), TABLESPACE ..., ON filegroup
+        statement.next();
+        if (statement.isPunct('(')) statement.readGroup();
+      }
+    }
+
+    this.indexes.push(index);
+  }
+
+  // ALTER TABLE [IF EXISTS] [ONLY] name action, ... where action is one of
+  //   ADD [CONSTRAINT name] {PRIMARY KEY|UNIQUE|FOREIGN KEY} ...
+  //   ADD [COLUMN] definition
+  //   ALTER [COLUMN] name {SET DEFAULT expr|SET NOT NULL|ADD GENERATED ... AS IDENTITY}
+  parseAlterTable(statement) {
+    statement.acceptWords('IF', 'EXISTS');
+    statement.acceptWords('ONLY');
+    const tableName = statement.readName();
+    const table = this.tablesByName.get((tableName || '').toLowerCase());
+
+    for (const action of splitTopLevel(statement.rest())) {
+      const item = new TokenStream(action);
+
+      // SQL Server: ALTER TABLE t WITH CHECK ADD CONSTRAINT ...
+      item.acceptWords('WITH', 'CHECK') || item.acceptWords('WITH', 'NOCHECK');
+
+      if (IGNORED_ALTER_ACTIONS.some(words => item.acceptWords(...words))) {
+        continue;
+      }
+
+      if (item.acceptWords('ADD')) {
+        const constraintName = item.acceptWords('CONSTRAINT') ? item.readName() : null;
+        if (this.parseConstraint(table || { name: tableName }, item, constraintName)) {
+          continue;
+        }
+        if (!constraintName && table) {
+          item.acceptWords('COLUMN');
+          item.acceptWords('IF', 'NOT', 'EXISTS');
+          this.parseColumn(table, item);
+          continue;
+        }
+      } else if (item.acceptWords('ALTER')) {
+        item.acceptWords('COLUMN');
+        const column = this.findColumn(tableName, item.readName());
+
+        if (column && item.acceptWords('SET', 'DEFAULT')) {
+          this.readDefault(item, column);
+          continue;
+        }
+        if (column && item.acceptWords('SET', 'NOT', 'NULL')) {
+          column.isRequired = true;
+          continue;
+        }
+        if (column && item.acceptWords('ADD', 'GENERATED')) {
+          column.isAutoIncrement = true;
+          continue;
+        }
+      }
+
+      this.warnings.push(`Ignored ALTER TABLE ${tableName}: ${this.textOf(action)}`);
+    }
+  }
+
+  // COMMENT ON {TABLE name|COLUMN table.column} IS 'text' (PostgreSQL)
+  parseComment(statement) {
+    const isTable = statement.acceptWords('TABLE');
+    const isColumn = !isTable && statement.acceptWords('COLUMN');
+    const parts = statement.readQualifiedName();
+    const text = statement.acceptWords('IS') && statement.peek()?.type === 'string' ? statement.next().value : null;
+
+    if (text === null) {
+      return;
+    }
+
+    if (isTable) {
+      const table = this.tablesByName.get((parts[parts.length - 1] || '').toLowerCase());
+      if (table) table.description = text;
+    } else if (isColumn && parts.length >= 2) {
+      const column = this.findColumn(parts[parts.length - 2], parts[parts.length - 1]);
+      if (column) column.description = text;
+    }
+  }
+
+  // Find a column of a parsed table by name (case-insensitive)
+  findColumn(tableName, columnName) {
+    const table = this.tablesByName.get((tableName || '').toLowerCase());
+    return table?.columns.find(column => column.name.toLowerCase() === (columnName || '').toLowerCase());
+  }
+
+  // Turn collected foreign keys into relationships; composite keys also list all their columns
+  resolveForeignKeys() {
+    const relationships = [];
+
+    for (const fk of this.foreignKeys) {
+      const label = fk.name || `${fk.table}(${fk.columns.join(', ')})`;
+      let targetColumns = fk.targetColumns;
+
+      // REFERENCES table without columns points at the primary key
+      if (targetColumns.length === 0) {
+        const target = this.tablesByName.get((fk.targetTable || '').toLowerCase());
+        targetColumns = (target?.columns || []).filter(column => column.isPrimaryKey).map(column => column.name);
+      }
+
+      if (fk.columns.length === 0 || fk.columns.length !== targetColumns.length) {
+        this.warnings.push(`Skipped foreign key ${label} on ${fk.table}: ${fk.columns.length} columns reference ${targetColumns.length}`);
+        continue;
+      }
+
+      // One-to-one when the foreign key is the whole primary key or a unique column
+      const sourceColumns = fk.columns.map(name => this.findColumn(fk.table, name));
+      const primaryKeyCount = (this.tablesByName.get(fk.table.toLowerCase())?.columns || []).filter(column => column.isPrimaryKey).length;
+      const isOneToOne = sourceColumns.every(Boolean) && ((sourceColumns.length === 1 && sourceColumns[0].isUnique)
+        || (sourceColumns.every(column => column.isPrimaryKey) && sourceColumns.length === primaryKeyCount));
+
+      relationships.push({
+        name: fk.name || null,
+        sourceTable: fk.table,
+        sourceColumn: fk.columns[0],
+        targetTable: fk.targetTable,
+        targetColumn: targetColumns[0],
+        ...(fk.columns.length > 1 ? { sourceColumns: fk.columns, targetColumns } : {}),
+        relationshipType: isOneToOne ? 'one-to-one' : 'one-to-many',
+        onDelete: fk.onDelete,
+        onUpdate: fk.onUpdate
+      });
+    }
+
+    return relationships;
+  }
+
+  // Apply primary keys and single-column unique indexes to columns; returns the remaining indexes
+  applyKeys() {
+    const remaining = [];
+
+    // Primary keys first so unique indexes on them can be recognized as redundant
+    const indexes = [...this.indexes].sort((a, b) => Number(Boolean(b.primary)) - Number(Boolean(a.primary)));
+
+    for (const index of indexes) {
+      const columns = index.columns.map(column => this.findColumn(index.table, column));
+
+      const label = index.name ? `Index ${index.name}` : 'Index';
+      if (index.primary && index.columns.includes(null)) {
+        this.warnings.push(`${label} on ${index.table} indexes an expression and was not imported`);
+      } else if (!this.tablesByName.has((index.table || '').toLowerCase()) || columns.length === 0
+        || columns.some((column, position) => index.columns[position] !== null && !column)) {
+        const names = index.columns.map(column => column ?? '<expression>').join(', ');
+        this.warnings.push(`${label} on ${index.table}(${names}) references unknown columns and was skipped`);
+      } else if (index.primary) {
+        columns.forEach(column => {
+          column.isPrimaryKey = true;
+          column.isRequired = true;
+        });
+      } else if (columns.length === 1 && columns[0] && index.unique && !index.where) {
+        if (!columns[0].isPrimaryKey) columns[0].isUnique = true;
+      } else {
+        remaining.push(index);
+      }
+    }
+
+    return remaining;
+  }
+
+  // Add the remaining indexes to their tables. Indexes on foreign key columns are kept too, so
+  // that their names and sort order survive; the SQL generator creates them instead of its own.
+  attachIndexes(indexes) {
+    for (const index of indexes) {
+      if (index.kind === 'FULLTEXT' || index.kind === 'SPATIAL') {
+        this.warnings.push(`${index.kind} index${index.name ? ` ${index.name}` : ''} on ${index.table}(${index.columns.join(', ')}) was not imported`);
+        continue;
+      }
+
+      this.tablesByName.get(index.table.toLowerCase()).indexes.push({
+        name: index.name || null,
+        isUnique: Boolean(index.unique),
+        method: index.method || null,
+        where: index.where || null,
+        columns: index.parts
+      });
+    }
+  }
+}
+
+// Cursor over the tokens of one statement
+class TokenStream {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  // Remaining tokens
+  rest() {
+    const tokens = this.tokens.slice(this.position);
+    this.position = this.tokens.length;
+    return tokens;
+  }
+
+  // Whether the next token is one of the given (unquoted) keywords
+  peekWord(...words) {
+    const token = this.peek();
+    return Boolean(token && token.type === 'word' && words.includes(token.value.toUpperCase()));
+  }
+
+  // Consume a sequence of keywords if they all follow; otherwise consume nothing
+  acceptWords(...words) {
+    const matches = words.every((word, index) => {
+      const token = this.peek(index);
+      return token && token.type === 'word' && token.value.toUpperCase() === word;
+    });
+
+    if (matches) {
+      this.position += words.length;
+    }
+    return matches;
+  }
+
+  isPunct(value) {
+    const token = this.peek();
+    return Boolean(token && token.type === 'punct' && token.value === value);
+  }
+
+  acceptPunct(value) {
+    if (this.isPunct(value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  // Read a possibly qualified name (db.schema.table) and return its parts
+  readQualifiedName() {
+    const isName = (token) => Boolean(token) && (token.type === 'word' || token.type === 'ident');
+    if (!isName(this.peek())) {
+      return [];
+    }
+
+    const parts = [this.next().value];
+    while (this.isPunct('.') && isName(this.peek(1))) {
+      this.position++;
+      parts.push(this.next().value);
+    }
+    return parts;
+  }
+
+  // Read a possibly qualified name and return its last part (null if there is none)
+  readName() {
+    const parts = this.readQualifiedName();
+    return parts.length > 0 ? parts[parts.length - 1] : null;
+  }
+
+  // Read a parenthesized group and return the tokens inside it
+  readGroup() {
+    const end = findClosing(this.tokens, this.position);
+    const inner = this.tokens.slice(this.position + 1, end);
+    this.position = end + 1;
+    return inner;
+  }
+}
+
+function isPunctToken(token, value) {
+  return Boolean(token) && token.type === 'punct' && token.value === value;
+}
+
+// Index of the parenthesis closing the one at `start` (or the last token if unbalanced)
+function findClosing(tokens, start) {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (isPunctToken(tokens[i], '(')) depth++;
+    if (isPunctToken(tokens[i], ')')) depth--;
+    if (depth === 0) return i;
+  }
+  return tokens.length - 1;
+}
+
+// Index of the first punctuation token with the given value outside parentheses (-1 if none)
+function findTopLevel(tokens, value) {
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    if (isPunctToken(tokens[i], '(')) depth++;
+    if (isPunctToken(tokens[i], ')')) depth--;
+    if (depth === 0 && isPunctToken(tokens[i], value)) return i;
+  }
+  return -1;
+}
+
+// Split tokens on commas that are not nested in parentheses
+function splitTopLevel(tokens) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+
+  for (const token of tokens) {
+    if (isPunctToken(token, '(')) depth++;
+    if (isPunctToken(token, ')')) depth--;
+
+    if (isPunctToken(token, ',') && depth === 0) {
+      parts.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+
+  if (current.length > 0) parts.push(current);
+  return parts.filter(part => part.length > 0);
+}
+
+// SQLite type affinity rules (https://www.sqlite.org/datatype3.html#determination_of_column_affinity)
+function sqliteAffinity(nativeType) {
+  if (nativeType.includes('INT')) return 'INTEGER';
+  if (/CHAR|CLOB|TEXT/.test(nativeType)) return 'TEXT';
+  if (nativeType === '' || nativeType.includes('BLOB')) return 'BLOB';
+  if (/REAL|FLOA|DOUB/.test(nativeType)) return 'REAL';
+  return 'NUMERIC';
+}
+
+SQLParser.DIALECTS = DIALECTS;
+
+module.exports = SQLParser;
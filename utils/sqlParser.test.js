@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import SQLParser from './sqlParser';
+
+const findTable = (result, name) => result.tables.find(table => table.name === name);
+const findColumn = (result, tableName, name) => findTable(result, tableName).columns.find(column => column.name === name);
+
+describe('SQLParser', () => {
+  describe('mysql', () => {
+    const result = new SQLParser('mysql').parse(`
+      CREATE TABLE \`users\` (
+        \`id\` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        \`email\` VARCHAR(255) NOT NULL COMMENT 'Login',
+        \`active\` TINYINT(1) DEFAULT 1,
+        PRIMARY KEY (\`id\`),
+        UNIQUE KEY \`uq_email\` (\`email\`)
+      ) ENGINE=InnoDB COMMENT='People';
+
+      CREATE TABLE posts (
+        id INT PRIMARY KEY,
+        user_id INT NOT NULL,
+        body TEXT,
+        FULLTEXT KEY ft_body (body),
+        CONSTRAINT fk_posts_users FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+    `);
+
+    it('reads backtick names, keys, comments and TINYINT(1) booleans', () => {
+      expect(findTable(result, 'users').description).toBe('People');
+      expect(findColumn(result, 'users', 'id')).toMatchObject({ dataType: 'INTEGER', isPrimaryKey: true, isAutoIncrement: true });
+      expect(findColumn(result, 'users', 'email')).toMatchObject({ dataType: 'VARCHAR', length: 255, isUnique: true, isRequired: true, description: 'Login' });
+      expect(findColumn(result, 'users', 'active')).toMatchObject({ dataType: 'BOOLEAN', defaultValue: '1' });
+    });
+
+    it('imports foreign keys and reports FULLTEXT indexes', () => {
+      expect(result.relationships).toEqual([expect.objectContaining({
+        name: 'fk_posts_users', sourceTable: 'posts', sourceColumn: 'user_id', targetTable: 'users', targetColumn: 'id', onDelete: 'CASCADE'
+      })]);
+      expect(result.warnings).toEqual(['FULLTEXT index ft_body on posts(body) was not imported']);
+    });
+  });
+
+  describe('postgresql', () => {
+    const result = new SQLParser('postgresql').parse(`
+      CREATE TABLE users (id SERIAL PRIMARY KEY, email TEXT NOT NULL UNIQUE, created_at TIMESTAMPTZ DEFAULT now(), data JSONB);
+      COMMENT ON TABLE users IS 'People';
+      CREATE TABLE posts (
+        id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        title VARCHAR(200) CHECK (title <> ''),
+        CHECK (char_length(title) < 150),
+        CONSTRAINT chk_posts_user CHECK (user_id > 0)
+      );
+      ALTER TABLE ONLY posts ADD CONSTRAINT fk_posts_users FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+      CREATE INDEX idx_posts_user ON posts USING hash (user_id) WHERE user_id IS NOT NULL;
+    `);
+
+    it('reads serial and identity columns, defaults and COMMENT ON', () => {
+      expect(findTable(result, 'users').description).toBe('People');
+      expect(findColumn(result, 'users', 'id')).toMatchObject({ dataType: 'INTEGER', isAutoIncrement: true });
+      expect(findColumn(result, 'users', 'created_at')).toMatchObject({ dataType: 'TIMESTAMP', defaultValue: 'CURRENT_TIMESTAMP' });
+      expect(findColumn(result, 'users', 'data').dataType).toBe('JSONB');
+      expect(findColumn(result, 'posts', 'id')).toMatchObject({ dataType: 'BIGINT', isAutoIncrement: true });
+    });
+
+    it('imports CHECK constraints, naming unnamed ones', () => {
+      expect(findColumn(result, 'posts', 'title').checkConstraint).toBe("title <> ''");
+      expect(findTable(result, 'posts').checkConstraints).toEqual([
+        { name: 'chk_posts_1', expression: 'char_length(title) < 150' },
+        { name: 'chk_posts_user', expression: 'user_id > 0' }
+      ]);
+    });
+
+    it('imports ALTER TABLE foreign keys and partial indexes with their method', () => {
+      expect(result.relationships).toEqual([expect.objectContaining({ sourceTable: 'posts', targetTable: 'users', onDelete: 'SET NULL' })]);
+      expect(findTable(result, 'posts').indexes).toEqual([
+        { name: 'idx_posts_user', isUnique: false, method: 'hash', where: 'user_id IS NOT NULL', columns: [{ columnName: 'user_id', order: 'ASC' }] }
+      ]);
+      expect(result.warnings).toEqual([]);
+    });
+  });
+
+  describe('sqlite', () => {
+    const result = new SQLParser('sqlite').parse(`
+      CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT NOT NULL, score REAL DEFAULT 0);
+      CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, body);
+      CREATE UNIQUE INDEX idx_users_email ON users (lower(email));
+    `);
+
+    it('treats INTEGER PRIMARY KEY as auto increment and typeless columns as BLOB', () => {
+      expect(findColumn(result, 'users', 'id')).toMatchObject({ isPrimaryKey: true, isAutoIncrement: true });
+      expect(findColumn(result, 'posts', 'body').dataType).toBe('BLOB');
+    });
+
+    it('imports inline references and expression indexes', () => {
+      expect(result.relationships).toEqual([expect.objectContaining({ sourceTable: 'posts', sourceColumn: 'user_id', targetTable: 'users', onDelete: 'CASCADE' })]);
+      expect(findTable(result, 'users').indexes).toEqual([
+        { name: 'idx_users_email', isUnique: true, method: null, where: null, columns: [{ expression: 'lower(email)', order: 'ASC' }] }
+      ]);
+    });
+  });
+
+  describe('mssql', () => {
+    const result = new SQLParser('mssql').parse(`
+      CREATE TABLE [dbo].[users] ([id] INT IDENTITY(1,1) NOT NULL PRIMARY KEY, [email] NVARCHAR(255) NOT NULL, [active] BIT DEFAULT 1, [token] UNIQUEIDENTIFIER);
+      GO
+      CREATE TABLE [posts] ([id] INT NOT NULL, [user_id] INT NOT NULL, [rank] INT, CONSTRAINT [pk_posts] PRIMARY KEY CLUSTERED ([id]));
+      GO
+      ALTER TABLE [posts] WITH CHECK ADD CONSTRAINT [fk_posts_users] FOREIGN KEY ([user_id]) REFERENCES [users] ([id]);
+      CREATE NONCLUSTERED INDEX [idx_posts_rank] ON [posts] ([user_id], [rank] DESC) WHERE [rank] IS NOT NULL;
+    `);
+
+    it('reads bracketed and schema-qualified names, IDENTITY and SQL Server types', () => {
+      expect(result.tables.map(table => table.name)).toEqual(['users', 'posts']);
+      expect(findColumn(result, 'users', 'id')).toMatchObject({ isPrimaryKey: true, isAutoIncrement: true });
+      expect(findColumn(result, 'users', 'email')).toMatchObject({ dataType: 'VARCHAR', length: 255 });
+      expect(findColumn(result, 'users', 'active').dataType).toBe('BOOLEAN');
+      expect(findColumn(result, 'users', 'token').dataType).toBe('UUID');
+      expect(findColumn(result, 'posts', 'id').isPrimaryKey).toBe(true);
+    });
+
+    it('imports WITH CHECK foreign keys and filtered indexes', () => {
+      expect(result.relationships).toEqual([expect.objectContaining({ name: 'fk_posts_users', sourceTable: 'posts', targetTable: 'users' })]);
+      expect(findTable(result, 'posts').indexes).toEqual([{
+        name: 'idx_posts_rank',
+        isUnique: false,
+        method: null,
+        where: '[rank] IS NOT NULL',
+        columns: [{ columnName: 'user_id', order: 'ASC' }, { columnName: 'rank', order: 'DESC' }]
+      }]);
+      expect(result.warnings).toEqual([]);
+    });
+  });
+
+  it('imports composite foreign keys and skips mismatched ones', () => {
+    const result = new SQLParser('postgresql').parse(`
+      CREATE TABLE orders (region TEXT, order_no INTEGER, PRIMARY KEY (region, order_no));
+      CREATE TABLE items (id INTEGER PRIMARY KEY, region TEXT, order_no INTEGER,
+        FOREIGN KEY (region, order_no) REFERENCES orders (region, order_no),
+        FOREIGN KEY (region) REFERENCES orders (region, order_no));
+    `);
+
+    expect(result.relationships).toEqual([expect.objectContaining({
+      sourceTable: 'items',
+      sourceColumns: ['region', 'order_no'],
+      targetTable: 'orders',
+      targetColumns: ['region', 'order_no']
+    })]);
+    expect(result.warnings).toEqual([expect.stringContaining('1 columns reference 2')]);
+  });
+});
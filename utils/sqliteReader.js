@@ -0,0 +1,234 @@
+// Reverse-engineering of SQLite database files into tables and relationships
+// that reference each other by name (see namedContentToContent in utils/schemaData.js)
+
+const sqlite3 = require('sqlite3');
+const SQLParser = require('./sqlParser');
+
+// Every SQLite 3 database file starts with this header
+const SQLITE_HEADER = 'SQLite format 3\u0000';
+
+const REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION'];
+
+// Check the header of an uploaded file
+function isSQLiteFile(buffer) {
+  return buffer.length >= 100 && buffer.subarray(0, SQLITE_HEADER.length).toString('latin1') === SQLITE_HEADER;
+}
+
+// Promisified helpers for a read-only connection
+function openReadOnly(filePath) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(db);
+      }
+    });
+  });
+}
+
+function allRows(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function closeDatabase(db) {
+  return new Promise((resolve) => db.close(() => resolve()));
+}
+
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+// Read the tables, columns, keys and indexes of a SQLite database file (opened read-only).
+// Returns { tables, relationships, warnings } in the shape produced by SQLParser.parse().
+async function readSQLiteSchema(filePath) {
+  const db = await openReadOnly(filePath);
+
+  try {
+    const parser = new SQLParser('sqlite');
+    const warnings = [];
+    const tables = [];
+    const foreignKeys = [];
+    const indexes = [];
+
+    const objects = await allRows(db, `
+      SELECT type, name, sql FROM sqlite_master
+      WHERE name NOT LIKE 'sqlite_%'
+      ORDER BY name
+    `);
+
+    const indexSql = new Map(objects.filter(object => object.type === 'index').map(object => [object.name, object.sql]));
+
+    // Views and triggers have no equivalent in a schema
+    for (const type of ['view', 'trigger']) {
+      const count = objects.filter(object => object.type === type).length;
+      if (count > 0) {
+        warnings.push(`Ignored ${count} ${type}${count === 1 ? '' : 's'}`);
+      }
+    }
+
+    for (const object of objects.filter(object => object.type === 'table')) {
+      const tableName = object.name;
+      const quotedName = quoteIdentifier(tableName);
+      const columnInfo = await allRows(db, `PRAGMA table_info(${quotedName})`);
+      const primaryKeyCount = columnInfo.filter(info => info.pk > 0).length;
+      const hasRowid = !/\bWITHOUT\s+ROWID\b/i.test(object.sql || '');
+      const checks = object.sql ? parser.parseTableChecks(object.sql) : null;
+
+      const columns = columnInfo.map(info => {
+        const { warnings: typeWarnings, nativeType, ...type } = parser.mapColumnType(info.type || '', `${tableName}.${info.name}`);
+        warnings.push(...typeWarnings);
+
+        const isPrimaryKey = info.pk > 0;
+        const { defaultValue, isAutoIncrement } = info.dflt_value === null
+          ? { defaultValue: null, isAutoIncrement: false }
+          : parser.parseDefaultValue(String(info.dflt_value));
+
+        // INTEGER PRIMARY KEY is an alias for the auto-assigned rowid
+        const isRowidAlias = hasRowid && isPrimaryKey && primaryKeyCount === 1 && nativeType === 'INTEGER';
+
+        return {
+          name: info.name,
+          dataType: 'TEXT',
+          length: null,
+          precision: null,
+          scale: null,
+          ...type,
+          isPrimaryKey,
+          isUnique: false,
+          isRequired: Boolean(info.notnull) || isPrimaryKey,
+          isAutoIncrement: isRowidAlias || isAutoIncrement || Boolean(type.isAutoIncrement),
+          defaultValue,
+          checkConstraint: checks?.columnChecks.get(info.name.toLowerCase()) || null,
+          description: ''
+        };
+      });
+
+      // Group foreign key columns by constraint
+      const foreignKeyRows = await allRows(db, `PRAGMA foreign_key_list(${quotedName})`);
+      const constraints = new Map();
+      for (const row of foreignKeyRows) {
+        if (!constraints.has(row.id)) {
+          constraints.set(row.id, { table: tableName, targetTable: row.table, columns: [], targetColumns: [], onDelete: row.on_delete, onUpdate: row.on_update });
+        }
+        const constraint = constraints.get(row.id);
+        constraint.columns.push(row.from);
+        constraint.targetColumns.push(row.to);
+      }
+      foreignKeys.push(...constraints.values());
+
+      for (const index of await allRows(db, `PRAGMA index_list(${quotedName})`)) {
+        // Indexes backing the primary key add nothing
+        if (index.origin === 'pk') continue;
+
+        // CREATE INDEX statements give expressions, sort orders and WHERE clauses; indexes
+        // created automatically for UNIQUE constraints (sqlite_autoindex_*) only have columns
+        const definition = index.origin === 'c' && indexSql.get(index.name) ? parser.parseIndex(indexSql.get(index.name)) : null;
+        if (definition) {
+          const { columns: names, parts, method, where } = definition;
+          indexes.push({ name: index.name, table: tableName, columns: names, parts, unique: Boolean(index.unique), method, where });
+          continue;
+        }
+
+        const indexColumns = await allRows(db, `PRAGMA index_info(${quoteIdentifier(index.name)})`);
+        if (indexColumns.some(column => column.name === null)) {
+          warnings.push(`Index ${index.name} on ${tableName} indexes an expression and was not imported`);
+          continue;
+        }
+
+        indexes.push({
+          name: index.origin === 'c' ? index.name : null,
+          table: tableName,
+          columns: indexColumns.map(column => column.name),
+          parts: indexColumns.map(column => ({ columnName: column.name, order: 'ASC' })),
+          unique: Boolean(index.unique),
+          method: null,
+          where: null
+        });
+      }
+
+      tables.push({ name: tableName, description: '', columns, indexes: [], checkConstraints: checks?.checkConstraints || [] });
+    }
+
+    const findTable = (name) => tables.find(table => table.name.toLowerCase() === (name || '').toLowerCase());
+    const findColumn = (tableName, columnName) =>
+      findTable(tableName)?.columns.find(column => column.name.toLowerCase() === (columnName || '').toLowerCase());
+
+    // Single-column unique indexes become unique columns
+    const otherIndexes = [];
+    for (const index of indexes) {
+      const column = index.columns.length === 1 && index.columns[0] !== null && findColumn(index.table, index.columns[0]);
+      if (index.unique && !index.where && column) {
+        if (!column.isPrimaryKey) column.isUnique = true;
+      } else {
+        otherIndexes.push(index);
+      }
+    }
+
+    const relationships = [];
+    for (const fk of foreignKeys) {
+      // REFERENCES table without columns points at its primary key
+      let targetColumns = fk.targetColumns;
+      if (targetColumns.some(column => column === null)) {
+        targetColumns = (findTable(fk.targetTable)?.columns || []).filter(column => column.isPrimaryKey).map(column => column.name);
+      }
+
+      if (fk.columns.length !== targetColumns.length) {
+        warnings.push(`Skipped foreign key on ${fk.table}(${fk.columns.join(', ')}): ${fk.columns.length} columns reference ${targetColumns.length}`);
+        continue;
+      }
+
+      const actions = {};
+      for (const [key, action] of [['onDelete', fk.onDelete], ['onUpdate', fk.onUpdate]]) {
+        actions[key] = REFERENTIAL_ACTIONS.includes(action) ? action : 'NO ACTION';
+        if (actions[key] !== action) {
+          warnings.push(`Referential action ${action} on ${fk.table} is not supported; using NO ACTION`);
+        }
+      }
+
+      // One-to-one when the foreign key is the whole primary key or a unique column
+      const sourceColumns = fk.columns.map(name => findColumn(fk.table, name));
+      const primaryKeyCount = findTable(fk.table).columns.filter(column => column.isPrimaryKey).length;
+      const isOneToOne = sourceColumns.every(Boolean) && ((sourceColumns.length === 1 && sourceColumns[0].isUnique)
+        || (sourceColumns.every(column => column.isPrimaryKey) && sourceColumns.length === primaryKeyCount));
+
+      relationships.push({
+        name: null,
+        sourceTable: fk.table,
+        sourceColumn: fk.columns[0],
+        targetTable: fk.targetTable,
+        targetColumn: targetColumns[0],
+        ...(fk.columns.length > 1 ? { sourceColumns: fk.columns, targetColumns } : {}),
+        relationshipType: isOneToOne ? 'one-to-one' : 'one-to-many',
+        ...actions
+      });
+    }
+
+    for (const index of otherIndexes) {
+      findTable(index.table).indexes.push({
+        name: index.name,
+        isUnique: index.unique,
+        method: index.method,
+        where: index.where,
+        columns: index.parts
+      });
+    }
+
+    return { tables, relationships, warnings };
+  } finally {
+    await closeDatabase(db);
+  }
+}
+
+module.exports = {
+  isSQLiteFile,
+  readSQLiteSchema
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { isSQLiteFile, readSQLiteSchema } from './sqliteReader';
+
+const SQL = `
+  CREATE TABLE orders (
+    region TEXT NOT NULL,
+    order_no INTEGER NOT NULL,
+    total NUMERIC(10, 2) DEFAULT 0 CHECK (total >= 0),
+    placed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (region, order_no),
+    CONSTRAINT chk_orders_region CHECK (length(region) = 2)
+  );
+  CREATE TABLE customers (id INTEGER PRIMARY KEY, name TEXT NOT NULL);
+  CREATE TABLE order_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id INTEGER REFERENCES customers (id) ON DELETE SET NULL,
+    region TEXT NOT NULL,
+    order_no INTEGER NOT NULL,
+    sku VARCHAR(20) NOT NULL UNIQUE,
+    qty INTEGER NOT NULL,
+    FOREIGN KEY (region, order_no) REFERENCES orders (region, order_no) ON DELETE CASCADE
+  );
+  CREATE INDEX idx_order_items_qty ON order_items (qty DESC) WHERE qty > 1;
+  CREATE INDEX idx_order_items_sku_lower ON order_items (lower(sku));
+  CREATE INDEX idx_order_items_customer ON order_items (customer_id DESC);
+`;
+
+describe('readSQLiteSchema', () => {
+  const filePath = path.join(os.tmpdir(), `reader-${process.pid}-${Date.now()}.sqlite`);
+  let result;
+
+  beforeAll(async () => {
+    const db = new sqlite3.Database(filePath);
+    await new Promise((resolve, reject) => db.exec(SQL, err => (err ? reject(err) : resolve())));
+    await new Promise(resolve => db.close(() => resolve()));
+    result = await readSQLiteSchema(filePath);
+  });
+
+  afterAll(() => {
+    fs.rmSync(filePath, { force: true });
+  });
+
+  const findTable = name => result.tables.find(table => table.name === name);
+  const findColumn = (tableName, name) => findTable(tableName).columns.find(column => column.name === name);
+
+  it('recognizes SQLite files by their header', () => {
+    expect(isSQLiteFile(fs.readFileSync(filePath))).toBe(true);
+    expect(isSQLiteFile(Buffer.from(SQL))).toBe(false);
+  });
+
+  it('reads columns, composite primary keys and defaults', () => {
+    expect(findTable('orders').columns.filter(column => column.isPrimaryKey).map(column => column.name)).toEqual(['region', 'order_no']);
+    expect(findColumn('orders', 'total')).toMatchObject({ dataType: 'NUMERIC', precision: 10, scale: 2, defaultValue: '0' });
+    expect(findColumn('orders', 'placed_at')).toMatchObject({ dataType: 'DATETIME', defaultValue: 'CURRENT_TIMESTAMP' });
+    expect(findColumn('order_items', 'id')).toMatchObject({ isPrimaryKey: true, isAutoIncrement: true });
+    expect(findColumn('order_items', 'sku')).toMatchObject({ dataType: 'VARCHAR', length: 20, isUnique: true, isRequired: true });
+  });
+
+  it('reads CHECK constraints from the table definitions', () => {
+    expect(findColumn('orders', 'total').checkConstraint).toBe('total >= 0');
+    expect(findTable('orders').checkConstraints).toEqual([{ name: 'chk_orders_region', expression: 'length(region) = 2' }]);
+  });
+
+  it('reads single and composite foreign keys', () => {
+    expect(result.relationships).toEqual([
+      expect.objectContaining({
+        sourceTable: 'order_items',
+        sourceColumns: ['region', 'order_no'],
+        targetTable: 'orders',
+        targetColumns: ['region', 'order_no'],
+        onDelete: 'CASCADE'
+      }),
+      expect.objectContaining({
+        sourceTable: 'order_items',
+        sourceColumn: 'customer_id',
+        targetTable: 'customers',
+        targetColumn: 'id',
+        onDelete: 'SET NULL'
+      })
+    ]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('reads index orders and conditions, also on foreign key columns', () => {
+    expect(findTable('order_items').indexes).toEqual([
+      { name: 'idx_order_items_customer', isUnique: false, method: null, where: null, columns: [{ columnName: 'customer_id', order: 'DESC' }] },
+      { name: 'idx_order_items_sku_lower', isUnique: false, method: null, where: null, columns: [{ expression: 'lower(sku)', order: 'ASC' }] },
+      { name: 'idx_order_items_qty', isUnique: false, method: null, where: 'qty > 1', columns: [{ columnName: 'qty', order: 'DESC' }] }
+    ]);
+  });
+});
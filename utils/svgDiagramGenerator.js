@@ -0,0 +1,277 @@
+// Server-side SVG rendering of the ER diagram, using the stored table positions and colors
+
+// Drawing metrics (SVG units, matching the canvas coordinates of table positions)
+const METRICS = {
+  margin: 40,
+  headerHeight: 32,
+  rowHeight: 22,
+  minTableWidth: 180,
+  // Approximate glyph widths for the fonts below
+  headerCharWidth: 8.5,
+  rowCharWidth: 7,
+  badgeWidth: 20,
+  padding: 10,
+  // Horizontal distance a line travels before turning
+  stub: 24,
+  // How far the end markers (including the optional circle) reach from the table edge
+  markerLength: 21
+};
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const BADGE_COLORS = { PK: '#f5b301', FK: '#4a90d9' };
+
+class SVGDiagramGenerator {
+  // Render the schema as a standalone SVG document
+  generateDiagram(tables, relationships = [], options = {}) {
+    const { showTypes = true } = options;
+    const boxes = new Map(tables.map(table => [table.id, this.measureTable(table, showTypes)]));
+
+    if (boxes.size === 0) {
+      return this.wrap({ x: 0, y: 0, width: 240, height: 80 },
+        `  <text x="120" y="45" text-anchor="middle" font-family="${FONT_FAMILY}" font-size="14" fill="#666">No tables</text>\n`);
+    }
+
+    const columns = new Map(tables.flatMap(table => (table.columns || []).map(column => [column.id, column])));
+    const routes = relationships.map((rel, index) => this.routeRelationship(rel, boxes, columns.get(rel.sourceColumnId), index));
+    const bounds = this.computeBounds([...boxes.values()], routes.filter(Boolean));
+    let body = '';
+
+    // Lines first so that tables are drawn on top of them
+    body += '  <g class="relationships" fill="none" stroke="#555" stroke-width="1.5">\n';
+    relationships.forEach((rel, index) => {
+      if (routes[index]) {
+        body += this.renderRelationship(rel, routes[index], columns.get(rel.sourceColumnId));
+      }
+    });
+    body += '  </g>\n';
+
+    for (const table of tables) {
+      body += this.renderTable(table, boxes.get(table.id), showTypes);
+    }
+
+    return this.wrap(bounds, body);
+  }
+
+  // Position and size of a table box; column widths come from the longest name and type
+  measureTable(table, showTypes) {
+    const columns = table.columns || [];
+    const nameWidth = Math.max(0, ...columns.map(column => column.name.length)) * METRICS.rowCharWidth;
+    const typeWidth = showTypes ? Math.max(0, ...columns.map(column => formatType(column).length)) * METRICS.rowCharWidth : 0;
+    const rowWidth = METRICS.padding * 2 + METRICS.badgeWidth * 2 + nameWidth + (showTypes ? typeWidth + METRICS.padding * 2 : 0);
+    const headerWidth = METRICS.padding * 2 + table.name.length * METRICS.headerCharWidth;
+
+    return {
+      x: Number(table.position?.x) || 0,
+      y: Number(table.position?.y) || 0,
+      width: Math.ceil(Math.max(METRICS.minTableWidth, rowWidth, headerWidth)),
+      height: METRICS.headerHeight + Math.max(1, columns.length) * METRICS.rowHeight,
+      rows: new Map(columns.map((column, index) => [column.id, index]))
+    };
+  }
+
+  // Area covered by all tables and relationship lines (with their end markers), plus a margin
+  computeBounds(boxes, routes) {
+    const xs = boxes.flatMap(box => [box.x, box.x + box.width]);
+    const ys = boxes.flatMap(box => [box.y, box.y + box.height]);
+
+    for (const { points, directions } of routes) {
+      xs.push(...points.map(([x]) => x));
+      ys.push(...points.map(([, y]) => y));
+      xs.push(points[0][0] + directions[0] * METRICS.markerLength, points[3][0] + directions[1] * METRICS.markerLength);
+    }
+
+    const minX = Math.min(...xs) - METRICS.margin;
+    const minY = Math.min(...ys) - METRICS.margin;
+    const maxX = Math.max(...xs) + METRICS.margin;
+    const maxY = Math.max(...ys) + METRICS.margin;
+
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  // SVG document with a white background
+  wrap(bounds, body) {
+    const { x, y, width, height } = bounds;
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">
+  <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#ffffff"/>
+${body}</svg>
+`;
+  }
+
+  // Table box: colored header with the table name, then one row per column with PK/FK badges
+  renderTable(table, box, showTypes) {
+    const color = /^#[0-9a-f]{6}$/i.test(table.color || '') ? table.color : '#ffffff';
+    const textColor = isDark(color) ? '#ffffff' : '#222222';
+    const { x, y, width, height } = box;
+
+    let svg = `  <g class="table" data-table="${escapeXml(table.name)}">\n`;
+    if (table.description) {
+      svg += `    <title>${escapeXml(table.description)}</title>\n`;
+    }
+    svg += `    <rect x="${x}" y="${y}" width="${width}" height="${height}" rx="4" fill="#ffffff" stroke="#888" stroke-width="1"/>\n`;
+    svg += `    <path d="M${x},${y + METRICS.headerHeight} V${y + 4} Q${x},${y} ${x + 4},${y} H${x + width - 4} Q${x + width},${y} ${x + width},${y + 4} V${y + METRICS.headerHeight} Z" fill="${color}" stroke="#888" stroke-width="1"/>\n`;
+    svg += `    <text x="${x + width / 2}" y="${y + METRICS.headerHeight / 2 + 5}" text-anchor="middle" font-family="${FONT_FAMILY}" font-size="14" font-weight="bold" fill="${textColor}">${escapeXml(table.name)}</text>\n`;
+
+    (table.columns || []).forEach((column, index) => {
+      const rowY = y + METRICS.headerHeight + index * METRICS.rowHeight;
+      const textY = rowY + METRICS.rowHeight / 2 + 4;
+      let textX = x + METRICS.padding;
+
+      if (index > 0) {
+        svg += `    <line x1="${x}" y1="${rowY}" x2="${x + width}" y2="${rowY}" stroke="#eee" stroke-width="1"/>\n`;
+      }
+
+      for (const badge of ['PK', 'FK']) {
+        const active = badge === 'PK' ? column.isPrimaryKey : column.isForeignKey;
+        if (active) {
+          svg += this.renderBadge(badge, textX, rowY + (METRICS.rowHeight - 12) / 2);
+        }
+        textX += METRICS.badgeWidth;
+      }
+
+      const weight = column.isPrimaryKey ? ' font-weight="bold"' : '';
+      const decoration = column.isRequired || column.isPrimaryKey ? '' : ' font-style="italic"';
+      svg += `    <text x="${textX + 4}" y="${textY}" font-family="${FONT_FAMILY}" font-size="12" fill="#222"${weight}${decoration}>${escapeXml(column.name)}</text>\n`;
+
+      if (showTypes) {
+        svg += `    <text x="${x + width - METRICS.padding}" y="${textY}" text-anchor="end" font-family="${FONT_FAMILY}" font-size="11" fill="#888">${escapeXml(formatType(column))}</text>\n`;
+      }
+    });
+
+    svg += '  </g>\n';
+    return svg;
+  }
+
+  // Small labelled key badge
+  renderBadge(label, x, y) {
+    return `    <rect x="${x}" y="${y}" width="${METRICS.badgeWidth - 3}" height="12" rx="2" fill="${BADGE_COLORS[label]}"/>\n`
+      + `    <text x="${x + (METRICS.badgeWidth - 3) / 2}" y="${y + 9}" text-anchor="middle" font-family="${FONT_FAMILY}" font-size="8" font-weight="bold" fill="#ffffff">${label}</text>\n`;
+  }
+
+  // Orthogonal route between the two column rows: four points, and the direction (1 right, -1 left)
+  // each end leaves its table in. Returns null when a table or column is not drawn.
+  routeRelationship(rel, boxes, sourceColumn, index) {
+    const source = boxes.get(rel.sourceTableId);
+    const target = boxes.get(rel.targetTableId);
+    if (!source || !target || !sourceColumn || !source.rows.has(rel.sourceColumnId) || !target.rows.has(rel.targetColumnId)) {
+      return null;
+    }
+
+    const rowCenter = (box, columnId) => box.y + METRICS.headerHeight + box.rows.get(columnId) * METRICS.rowHeight + METRICS.rowHeight / 2;
+    const sourceY = rowCenter(source, rel.sourceColumnId);
+    const targetY = rowCenter(target, rel.targetColumnId);
+
+    // Lines sharing a corridor are spread apart a little
+    const offset = ((index % 5) - 2) * 4;
+    let points;
+    let sourceDirection;
+    let targetDirection;
+
+    if (source.x + source.width + METRICS.stub * 2 <= target.x) {
+      // Target to the right: leave right, enter left
+      const midX = (source.x + source.width + target.x) / 2 + offset;
+      points = [[source.x + source.width, sourceY], [midX, sourceY], [midX, targetY], [target.x, targetY]];
+      [sourceDirection, targetDirection] = [1, -1];
+    } else if (target.x + target.width + METRICS.stub * 2 <= source.x) {
+      // Target to the left: leave left, enter right
+      const midX = (target.x + target.width + source.x) / 2 + offset;
+      points = [[source.x, sourceY], [midX, sourceY], [midX, targetY], [target.x + target.width, targetY]];
+      [sourceDirection, targetDirection] = [-1, 1];
+    } else {
+      // Overlapping columns (or a self-reference): loop around the right-hand side
+      const outerX = Math.max(source.x + source.width, target.x + target.width) + METRICS.stub + Math.abs(offset);
+      points = [[source.x + source.width, sourceY], [outerX, sourceY], [outerX, targetY], [target.x + target.width, targetY]];
+      [sourceDirection, targetDirection] = [1, 1];
+    }
+
+    return { points, directions: [sourceDirection, targetDirection] };
+  }
+
+  // Relationship line with crow's-foot ends
+  renderRelationship(rel, route, sourceColumn) {
+    const { points, directions: [sourceDirection, targetDirection] } = route;
+
+    // Solid for identifying relationships (the foreign key is part of the primary key), dashed otherwise
+    const dash = sourceColumn.isPrimaryKey ? '' : ' stroke-dasharray="6,3"';
+    let label = rel.name || `${rel.sourceTableName || ''}.${rel.sourceColumnName || ''} → ${rel.targetTableName || ''}.${rel.targetColumnName || ''}`;
+    if (rel.columns?.length > 1) {
+      // Composite keys list every column pair: region → region, order_no → order_no
+      const pairs = rel.columns.map(pair => `${pair.sourceColumnName || ''} → ${pair.targetColumnName || ''}`).join(', ');
+      label = `${rel.name || `${rel.sourceTableName || ''} → ${rel.targetTableName || ''}`}: ${pairs}`;
+    }
+
+    let svg = '    <g class="relationship">\n';
+    svg += `      <title>${escapeXml(label)} (${escapeXml(rel.relationshipType)})</title>\n`;
+    svg += `      <path d="M${points.map(point => point.join(',')).join(' L')}"${dash}/>\n`;
+
+    const [sourceEnd, targetEnd] = endMarkers(rel.relationshipType, sourceColumn.isRequired || sourceColumn.isPrimaryKey);
+    svg += `      <path d="${markerPath(sourceEnd, points[0], sourceDirection)}"/>\n`;
+    svg += `      <path d="${markerPath(targetEnd, points[3], targetDirection)}"/>\n`;
+    if (sourceEnd.optional) {
+      svg += circleMarker(points[0], sourceDirection);
+    }
+    if (targetEnd.optional) {
+      svg += circleMarker(points[3], targetDirection);
+    }
+
+    svg += '    </g>\n';
+    return svg;
+  }
+}
+
+// Crow's-foot ends: the source (foreign key) side and the target (referenced) side
+function endMarkers(relationshipType, sourceIsRequired) {
+  const targetOne = { many: false, optional: !sourceIsRequired };
+  switch (relationshipType) {
+    case 'one-to-one':
+      return [{ many: false, optional: true }, targetOne];
+    case 'many-to-many':
+      return [{ many: true, optional: true }, { many: true, optional: true }];
+    default:
+      return [{ many: true, optional: true }, targetOne];
+  }
+}
+
+// Path for a "one" bar or a "many" crow's foot at a table edge; direction points away from the table
+function markerPath(end, [x, y], direction) {
+  if (end.many) {
+    const tip = x + direction * 12;
+    return `M${tip},${y} L${x},${y - 6} M${tip},${y} L${x},${y} M${tip},${y} L${x},${y + 6}`;
+  }
+
+  const bar = x + direction * 8;
+  const second = end.optional ? '' : ` M${x + direction * 12},${y - 6} V${y + 6}`;
+  return `M${bar},${y - 6} V${y + 6}${second}`;
+}
+
+// Hollow circle marking an optional end
+function circleMarker([x, y], direction) {
+  return `      <circle cx="${x + direction * 17}" cy="${y}" r="4" fill="#ffffff"/>\n`;
+}
+
+// Type with its length or precision, e.g. VARCHAR(255), DECIMAL(10,2)
+function formatType(column) {
+  if (column.length && ['VARCHAR', 'CHAR'].includes(column.dataType)) {
+    return `${column.dataType}(${column.length})`;
+  }
+  if (column.precision && ['DECIMAL', 'NUMERIC'].includes(column.dataType)) {
+    return `${column.dataType}(${column.precision},${column.scale || 0})`;
+  }
+  return column.dataType;
+}
+
+// Relative luminance check for choosing the header text color
+function isDark(hex) {
+  const [r, g, b] = [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+  return 0.299 * r + 0.587 * g + 0.114 * b < 140;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = SVGDiagramGenerator;
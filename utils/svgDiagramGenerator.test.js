@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import SVGDiagramGenerator from './svgDiagramGenerator';
+
+const column = (table, name, extra = {}) => ({ id: `${table}.${name}`, name, dataType: 'INTEGER', isRequired: true, ...extra });
+
+const users = {
+  id: 'users',
+  name: 'users',
+  description: 'People <and> "bots"',
+  color: '#1e3a8a',
+  position: { x: 100, y: 50 },
+  columns: [column('users', 'id', { isPrimaryKey: true }), column('users', 'manager_id', { isRequired: false, isForeignKey: true })]
+};
+const posts = {
+  id: 'posts',
+  name: 'posts',
+  position: { x: 500, y: 200 },
+  columns: [column('posts', 'id', { isPrimaryKey: true }), column('posts', 'user_id', { isForeignKey: true })]
+};
+const postsUsers = {
+  id: 'r1',
+  name: 'fk_posts_users',
+  relationshipType: 'one-to-many',
+  sourceTableId: 'posts',
+  sourceColumnId: 'posts.user_id',
+  targetTableId: 'users',
+  targetColumnId: 'users.id'
+};
+const manager = {
+  id: 'r2',
+  name: null,
+  relationshipType: 'one-to-many',
+  sourceTableId: 'users',
+  sourceColumnId: 'users.manager_id',
+  targetTableId: 'users',
+  targetColumnId: 'users.id',
+  sourceTableName: 'users',
+  sourceColumnName: 'manager_id',
+  targetTableName: 'users',
+  targetColumnName: 'id'
+};
+
+const viewBox = svg => /viewBox="([^"]+)"/.exec(svg)[1].split(' ').map(Number);
+
+describe('SVGDiagramGenerator', () => {
+  const generator = new SVGDiagramGenerator();
+
+  it('draws tables at their positions with escaped names and tooltips', () => {
+    const svg = generator.generateDiagram([users, posts], [postsUsers]);
+
+    expect(svg).toContain('<title>People &lt;and&gt; &quot;bots&quot;</title>');
+    expect(svg).toContain('<rect x="100" y="50" width="199" height="76" rx="4" fill="#ffffff" stroke="#888" stroke-width="1"/>');
+    // Dark headers get white text
+    expect(svg).toMatch(/font-weight="bold" fill="#ffffff">users<\/text>/);
+    expect(svg).toContain('<title>fk_posts_users (one-to-many)</title>');
+    expect(svg).toContain('<path d="M500,265 L391.5,265 L391.5,93 L299,93" stroke-dasharray="6,3"/>');
+  });
+
+  it('fits the view box to the tables plus a margin', () => {
+    const [x, y, width, height] = viewBox(generator.generateDiagram([users, posts], [postsUsers]));
+
+    expect([x, y, width, height]).toEqual([60, 10, 660, 306]);
+  });
+
+  it('widens the view box for lines routed around the tables', () => {
+    const svg = generator.generateDiagram([users], [manager]);
+    const [x, , width] = viewBox(svg);
+    const route = /<path d="M299,115 L(\d+),115 L\1,93 L299,93"/.exec(svg);
+
+    expect(svg).toContain('<title>users.manager_id → users.id (one-to-many)</title>');
+    expect(route).not.toBeNull();
+    expect(x + width).toBe(Number(route[1]) + 40);
+  });
+
+  it('lists every column pair of a composite relationship in its tooltip', () => {
+    const composite = {
+      ...manager,
+      columns: [
+        { sourceColumnId: 'posts.id', sourceColumnName: 'id', targetColumnId: 'users.id', targetColumnName: 'id' },
+        { sourceColumnId: 'posts.user_id', sourceColumnName: 'user_id', targetColumnId: 'users.manager_id', targetColumnName: 'manager_id' }
+      ],
+      sourceTableId: 'posts',
+      sourceColumnId: 'posts.id',
+      sourceTableName: 'posts'
+    };
+
+    expect(generator.generateDiagram([users, posts], [composite]))
+      .toContain('<title>posts → users: id → id, user_id → manager_id (one-to-many)</title>');
+    expect(generator.generateDiagram([users, posts], [{ ...composite, name: 'fk_posts_users' }]))
+      .toContain('<title>fk_posts_users: id → id, user_id → manager_id (one-to-many)</title>');
+  });
+
+  it('renders an empty diagram', () => {
+    expect(generator.generateDiagram([], [])).toContain('>No tables</text>');
+  });
+});
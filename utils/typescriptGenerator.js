@@ -0,0 +1,193 @@
+// TypeScript generation: one interface per table, with optional Zod validators
+
+// Generic data types mapped to TypeScript types (as they arrive over a JSON API)
+const TS_TYPES = {
+  INTEGER: 'number',
+  SMALLINT: 'number',
+  TINYINT: 'number',
+  BIGINT: 'number',
+  FLOAT: 'number',
+  DOUBLE: 'number',
+  REAL: 'number',
+  // Drivers return exact numerics as strings to keep their precision
+  DECIMAL: 'string',
+  NUMERIC: 'string',
+  VARCHAR: 'string',
+  CHAR: 'string',
+  TEXT: 'string',
+  LONGTEXT: 'string',
+  UUID: 'string',
+  DATE: 'string',
+  TIME: 'string',
+  DATETIME: 'string',
+  TIMESTAMP: 'string',
+  BOOLEAN: 'boolean',
+  BIT: 'boolean',
+  JSON: 'unknown',
+  JSONB: 'unknown',
+  // Base64-encoded
+  BLOB: 'string'
+};
+
+// Generic data types mapped to Zod schemas (length limits are added separately)
+const ZOD_TYPES = {
+  INTEGER: 'z.number().int()',
+  SMALLINT: 'z.number().int()',
+  TINYINT: 'z.number().int()',
+  BIGINT: 'z.number().int()',
+  FLOAT: 'z.number()',
+  DOUBLE: 'z.number()',
+  REAL: 'z.number()',
+  DECIMAL: 'z.string()',
+  NUMERIC: 'z.string()',
+  VARCHAR: 'z.string()',
+  CHAR: 'z.string()',
+  TEXT: 'z.string()',
+  LONGTEXT: 'z.string()',
+  UUID: 'z.string().uuid()',
+  DATE: 'z.string().date()',
+  TIME: 'z.string()',
+  DATETIME: 'z.string()',
+  TIMESTAMP: 'z.string()',
+  BOOLEAN: 'z.boolean()',
+  BIT: 'z.boolean()',
+  JSON: 'z.unknown()',
+  JSONB: 'z.unknown()',
+  BLOB: 'z.string()'
+};
+
+// Types whose column length is a maximum string length
+const LENGTH_TYPES = ['VARCHAR', 'CHAR'];
+
+class TypeScriptGenerator {
+  // Generate a TypeScript module for the schema
+  generateModule(tables, options = {}) {
+    const { includeComments = true, includeZod = false } = options;
+    const typeNames = this.buildTypeNames(tables);
+    let output = '';
+
+    if (includeComments) {
+      output += this.generateHeader();
+    }
+
+    if (includeZod) {
+      output += "import { z } from 'zod';\n\n";
+    }
+
+    output += tables
+      .map(table => this.generateInterface(table, typeNames.get(table.id), includeComments))
+      .join('\n');
+
+    if (includeZod) {
+      output += '\n' + tables
+        .map(table => this.generateZodSchema(table, typeNames.get(table.id)))
+        .join('\n');
+    }
+
+    return output;
+  }
+
+  // Generate header comment
+  generateHeader() {
+    const timestamp = new Date().toISOString();
+    return `// TypeScript types generated by Database Schema Designer
+// Generated at: ${timestamp}
+
+`;
+  }
+
+  // Interface with one property per column; nullable columns accept null
+  generateInterface(table, typeName, includeComments = true) {
+    let output = '';
+
+    if (includeComments && table.description) {
+      output += `/** ${escapeComment(table.description)} */\n`;
+    }
+    output += `export interface ${typeName} {\n`;
+
+    for (const column of table.columns || []) {
+      if (includeComments && column.description) {
+        output += `  /** ${escapeComment(column.description)} */\n`;
+      }
+      const type = TS_TYPES[column.dataType] || 'unknown';
+      output += `  ${propertyName(column.name)}: ${isNullable(column) ? `${type} | null` : type};\n`;
+    }
+
+    output += '}\n';
+    return output;
+  }
+
+  // Zod object schema encoding types, length limits and required flags
+  generateZodSchema(table, typeName) {
+    let output = `export const ${typeName}Schema = z.object({\n`;
+
+    const properties = (table.columns || []).map(column => `  ${propertyName(column.name)}: ${this.mapZodType(column)}`);
+    output += properties.join(',\n');
+    if (properties.length > 0) {
+      output += '\n';
+    }
+
+    output += '});\n';
+    return output;
+  }
+
+  // Zod schema for a single column
+  mapZodType(column) {
+    let schema = ZOD_TYPES[column.dataType] || 'z.unknown()';
+
+    if (LENGTH_TYPES.includes(column.dataType) && column.length) {
+      schema += `.max(${column.length})`;
+    }
+
+    if (isNullable(column)) {
+      schema += '.nullable()';
+    }
+
+    return schema;
+  }
+
+  // PascalCase type names, keyed by table ID and unique across the module
+  buildTypeNames(tables) {
+    const names = new Map();
+    const taken = new Set();
+
+    for (const table of tables) {
+      const base = toPascalCase(table.name);
+      let name = base;
+      for (let suffix = 2; taken.has(name); suffix++) {
+        name = `${base}${suffix}`;
+      }
+      taken.add(name);
+      names.set(table.id, name);
+    }
+
+    return names;
+  }
+}
+
+function isNullable(column) {
+  return !column.isRequired && !column.isPrimaryKey;
+}
+
+// order_items -> OrderItems; names starting with a digit get a leading underscore
+function toPascalCase(name) {
+  const pascal = name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+
+  if (!pascal) return 'Table';
+  return /^\d/.test(pascal) ? `_${pascal}` : pascal;
+}
+
+// Column names that are not valid identifiers are quoted
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function escapeComment(text) {
+  return text.replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ');
+}
+
+module.exports = TypeScriptGenerator;
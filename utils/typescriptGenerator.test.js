@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import TypeScriptGenerator from './typescriptGenerator';
+
+const tables = [
+  {
+    id: 't1',
+    name: 'order_items',
+    description: 'Lines of an */ order',
+    columns: [
+      { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isRequired: true },
+      { name: 'sku', dataType: 'VARCHAR', length: 20, isRequired: true, description: 'Stock keeping unit' },
+      { name: 'price', dataType: 'DECIMAL', precision: 10, scale: 2, isRequired: true },
+      { name: 'note', dataType: 'TEXT', isRequired: false },
+      { name: 'unit-code', dataType: 'CHAR', length: 3, isRequired: false }
+    ]
+  },
+  { id: 't2', name: 'order-items', columns: [{ name: 'token', dataType: 'UUID', isRequired: true }] }
+];
+
+describe('TypeScriptGenerator', () => {
+  const generator = new TypeScriptGenerator();
+
+  it('generates one interface per table with nullable optional columns', () => {
+    expect(generator.generateModule(tables, { includeComments: false })).toBe(`export interface OrderItems {
+  id: number;
+  sku: string;
+  price: string;
+  note: string | null;
+  "unit-code": string | null;
+}
+
+export interface OrderItems2 {
+  token: string;
+}
+`);
+  });
+
+  it('turns descriptions into doc comments', () => {
+    const output = generator.generateInterface(tables[0], 'OrderItems');
+
+    expect(output).toContain('/** Lines of an *\\/ order */\nexport interface OrderItems {');
+    expect(output).toContain('  /** Stock keeping unit */\n  sku: string;');
+  });
+
+  it('adds Zod schemas with length limits and nullable columns', () => {
+    const output = generator.generateModule(tables, { includeComments: false, includeZod: true });
+
+    expect(output.startsWith("import { z } from 'zod';\n\n")).toBe(true);
+    expect(output).toContain(`export const OrderItemsSchema = z.object({
+  id: z.number().int(),
+  sku: z.string().max(20),
+  price: z.string(),
+  note: z.string().nullable(),
+  "unit-code": z.string().max(3).nullable()
+});
+`);
+    expect(output).toContain('export const OrderItems2Schema = z.object({\n  token: z.string().uuid()\n});');
+  });
+});